@@ -0,0 +1,109 @@
+require('dotenv').config();
+const { getNextRunTimes, cronRunsOnDate, getFirstRunTime } = require('./src/cronSchedule');
+
+// Regression checks for reading cron expressions (no database or Slack needed)
+//
+// Run: npm run check:cron-schedule   (or: node check-cron-schedule.js)
+//
+// The catch-up job, the logs, App Home and GET /api/schedules all rely on src/cronSchedule.js
+// to know when a schedule runs - including weekday-only and several-times-a-day schedules,
+// names, Feb 29, and the nights clocks change.
+
+// Known next runs: [cron, timezone, look after (UTC), expected run times (UTC), what it checks]
+const KNOWN_RUNS = [
+  ['0 15 * * 1-5', 'Asia/Kolkata', '2026-10-16T10:00:00Z',
+    ['2026-10-19T09:30:00.000Z', '2026-10-20T09:30:00.000Z', '2026-10-21T09:30:00.000Z'], 'weekdays only: Friday 3:30 PM is past, so Monday'],
+  ['0 9,17 * * *', 'UTC', '2026-10-19T12:00:00Z',
+    ['2026-10-19T17:00:00.000Z', '2026-10-20T09:00:00.000Z', '2026-10-20T17:00:00.000Z'], 'two runs a day (9,17)'],
+  ['0 9,17 * * *', 'UTC', '2026-10-19T17:00:00Z',
+    ['2026-10-20T09:00:00.000Z'], 'a run happening right now is not "next"'],
+  ['*/15 9 * * *', 'UTC', '2026-10-19T09:20:00Z',
+    ['2026-10-19T09:30:00.000Z', '2026-10-19T09:45:00.000Z', '2026-10-20T09:00:00.000Z'], 'every 15 minutes of one hour'],
+  ['0 */6 * * *', 'UTC', '2026-10-19T07:00:00Z',
+    ['2026-10-19T12:00:00.000Z', '2026-10-19T18:00:00.000Z', '2026-10-20T00:00:00.000Z'], 'every 6 hours'],
+  ['0 9 * * mon,wed,fri', 'UTC', '2026-10-19T10:00:00Z',
+    ['2026-10-21T09:00:00.000Z', '2026-10-23T09:00:00.000Z', '2026-10-26T09:00:00.000Z'], 'weekday names'],
+  ['0 9 1 jan,jul *', 'UTC', '2026-10-19T10:00:00Z',
+    ['2027-01-01T09:00:00.000Z', '2027-07-01T09:00:00.000Z'], 'month names'],
+  ['0 0 9 * * 7', 'UTC', '2026-10-19T10:00:00Z',
+    ['2026-10-25T09:00:00.000Z'], 'seconds field, and 7 = Sunday'],
+  ['0 9 29 2 *', 'UTC', '2026-10-19T10:00:00Z',
+    ['2028-02-29T09:00:00.000Z', '2032-02-29T09:00:00.000Z'], 'Feb 29 only in leap years'],
+  ['0 9 29 2 1', 'UTC', '2026-10-19T10:00:00Z',
+    ['2044-02-29T09:00:00.000Z'], 'Feb 29 that is a Monday (18 years away)'],
+  ['0 9 * * *', 'America/New_York', '2026-03-07T12:00:00Z',
+    ['2026-03-07T14:00:00.000Z', '2026-03-08T13:00:00.000Z', '2026-03-09T13:00:00.000Z'], 'still 9 AM after clocks go forward'],
+  ['30 2 * * *', 'America/New_York', '2026-03-07T12:00:00Z',
+    ['2026-03-09T06:30:00.000Z', '2026-03-10T06:30:00.000Z', '2026-03-11T06:30:00.000Z'], '2:30 AM doesn\'t exist on 2026-03-08: no run that night'],
+  ['0 9 * * *', 'America/New_York', '2026-10-31T12:00:00Z',
+    ['2026-10-31T13:00:00.000Z', '2026-11-01T14:00:00.000Z', '2026-11-02T14:00:00.000Z'], 'still 9 AM after clocks go back'],
+  ['30 1 * * *', 'America/New_York', '2026-10-31T12:00:00Z',
+    ['2026-11-01T05:30:00.000Z', '2026-11-02T06:30:00.000Z', '2026-11-03T06:30:00.000Z'], '1:30 AM happens twice on 2026-11-01: one run'],
+  ['0 9 31 2 *', 'UTC', '2026-10-19T10:00:00Z', [], 'Feb 31 never comes'],
+  ['not a cron', 'UTC', '2026-10-19T10:00:00Z', [], 'invalid expression'],
+];
+
+// Days a schedule runs on: [cron, day, expected, what it checks]
+const KNOWN_DAYS = [
+  ['0 15 * * 1-5', '2026-10-16', true, 'Friday is a weekday'],
+  ['0 15 * * 1-5', '2026-10-18', false, 'Sunday is not'],
+  ['0 9 * * sat,sun', '2026-10-18', true, 'weekday names'],
+  ['0 9 * * 0', '2026-10-18', true, 'Sunday as 0'],
+  ['0 9 * * 7', '2026-10-18', true, 'Sunday as 7'],
+  ['0 9 29 2 *', '2028-02-29', true, 'Feb 29 in a leap year'],
+  ['0 9 29 2 *', '2027-03-01', false, 'no Feb 29 in 2027, and it doesn\'t move to Mar 1'],
+  ['0 9 * feb *', '2028-02-29', true, 'month name'],
+  ['not a cron', '2026-10-19', false, 'invalid expression'],
+];
+
+// Earliest run of the day (what catch-up waits for): [cron, expected hour, expected minute]
+const FIRST_RUNS = [
+  ['0 15 * * *', 15, 0],
+  ['30 17,9 * * *', 9, 30],
+  ['*/20 */6 * * *', 0, 0],
+];
+
+let failures = 0;
+
+function fail(message) {
+  failures += 1;
+  console.log(`  ❌ ${message}`);
+}
+
+// Check 1: next run times are exactly the expected moments
+console.log('⏰ Next runs:');
+for (const [cronSchedule, timezone, from, expected, note] of KNOWN_RUNS) {
+  const runs = getNextRunTimes(cronSchedule, timezone, { from: new Date(from), count: Math.max(expected.length, 1) })
+    .map((run) => run.toISOString());
+
+  if (runs.join(' ') !== expected.join(' ')) {
+    fail(`"${cronSchedule}" in ${timezone} after ${from} (${note}): got [${runs.join(', ')}], expected [${expected.join(', ')}]`);
+  } else {
+    console.log(`  ✅ "${cronSchedule}" in ${timezone}: ${note}`);
+  }
+}
+
+// Check 2: which calendar days a schedule runs on (used by catch-up)
+console.log('\n📅 Days a schedule runs on:');
+for (const [cronSchedule, day, expected, note] of KNOWN_DAYS) {
+  const runs = cronRunsOnDate(cronSchedule, day);
+  if (runs !== expected) {
+    fail(`"${cronSchedule}" on ${day} (${note}): got ${runs}, expected ${expected}`);
+  } else {
+    console.log(`  ✅ "${cronSchedule}" on ${day}: ${runs} (${note})`);
+  }
+}
+
+// Check 3: earliest run of the day, whatever order the expression lists them in
+console.log('\n🌅 First run of the day:');
+for (const [cronSchedule, hour, minute] of FIRST_RUNS) {
+  const first = getFirstRunTime(cronSchedule);
+  if (!first || first.hour !== hour || first.minute !== minute) {
+    fail(`"${cronSchedule}": got ${JSON.stringify(first)}, expected ${hour}:${String(minute).padStart(2, '0')}`);
+  } else {
+    console.log(`  ✅ "${cronSchedule}": ${hour}:${String(minute).padStart(2, '0')}`);
+  }
+}
+
+console.log(failures ? `\n❌ ${failures} cron schedule check(s) failed` : '\n✅ Cron schedules are read correctly');
+process.exit(failures ? 1 : 0);
@@ -0,0 +1,118 @@
+require('dotenv').config();
+const { getDayRange, formatDateInTimezone, shiftDateString } = require('./src/statsService');
+
+// Regression checks for local day boundaries (no database or Slack needed)
+//
+// Run: npm run check:day-ranges   (or: node check-day-ranges.js)
+//
+// A "day" must run from local midnight to the next local midnight in the channel's
+// timezone - including DST change days (23 or 25 hours) and unusual offsets.
+
+// Known days: [timezone, day, expected start (UTC), expected end (UTC), hours, what it checks]
+const KNOWN_DAYS = [
+  ['UTC', '2026-10-19', '2026-10-19T00:00:00.000Z', '2026-10-19T23:59:59.999Z', 24, 'plain UTC day'],
+  ['Asia/Kolkata', '2024-01-15', '2024-01-14T18:30:00.000Z', '2024-01-15T18:29:59.999Z', 24, 'UTC+5:30, no 19:30 UTC workaround'],
+  ['Asia/Kathmandu', '2026-10-19', '2026-10-18T18:15:00.000Z', '2026-10-19T18:14:59.999Z', 24, 'UTC+5:45'],
+  ['America/New_York', '2026-03-08', '2026-03-08T05:00:00.000Z', '2026-03-09T03:59:59.999Z', 23, 'clocks go forward'],
+  ['America/New_York', '2026-11-01', '2026-11-01T04:00:00.000Z', '2026-11-02T04:59:59.999Z', 25, 'clocks go back'],
+  ['Europe/London', '2026-03-29', '2026-03-29T00:00:00.000Z', '2026-03-29T22:59:59.999Z', 23, 'BST starts'],
+  ['Europe/London', '2026-10-25', '2026-10-24T23:00:00.000Z', '2026-10-25T23:59:59.999Z', 25, 'BST ends'],
+  ['Australia/Sydney', '2026-10-04', '2026-10-03T14:00:00.000Z', '2026-10-04T12:59:59.999Z', 23, 'southern hemisphere DST starts'],
+  ['Australia/Lord_Howe', '2026-10-04', '2026-10-03T13:30:00.000Z', '2026-10-04T12:59:59.999Z', 23.5, '30-minute DST change'],
+  ['America/Santiago', '2026-09-06', '2026-09-06T04:00:00.000Z', '2026-09-07T02:59:59.999Z', 23, 'midnight is skipped, day starts at 01:00'],
+  ['Pacific/Kiritimati', '2026-10-19', '2026-10-18T10:00:00.000Z', '2026-10-19T09:59:59.999Z', 24, 'UTC+14'],
+  ['Pacific/Pago_Pago', '2026-10-19', '2026-10-19T11:00:00.000Z', '2026-10-20T10:59:59.999Z', 24, 'UTC-11'],
+];
+
+// Zones checked day by day for a whole year
+const SWEEP_ZONES = [
+  'UTC',
+  'Asia/Kolkata',
+  'America/New_York',
+  'America/Los_Angeles',
+  'Europe/London',
+  'Australia/Sydney',
+  'Australia/Lord_Howe',
+  'America/Santiago',
+  'Pacific/Kiritimati',
+  'Pacific/Apia',
+];
+const SWEEP_START = '2026-01-01';
+const SWEEP_DAYS = 366;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let failures = 0;
+
+function fail(message) {
+  failures += 1;
+  console.log(`  ❌ ${message}`);
+}
+
+// Check 1: known days give exactly the expected boundaries
+console.log('📅 Known days:');
+for (const [timezone, day, expectedStart, expectedEnd, hours, note] of KNOWN_DAYS) {
+  const { start, end } = getDayRange(day, timezone);
+  const length = (end.getTime() + 1 - start.getTime()) / HOUR_MS;
+
+  if (start.toISOString() !== expectedStart || end.toISOString() !== expectedEnd || length !== hours) {
+    fail(`${timezone} ${day} (${note}): got ${start.toISOString()} → ${end.toISOString()} (${length}h), `
+      + `expected ${expectedStart} → ${expectedEnd} (${hours}h)`);
+  } else {
+    console.log(`  ✅ ${timezone} ${day}: ${length}h (${note})`);
+  }
+}
+
+// Check 2: a moment (Date) gives the local day it falls on, not the UTC one
+console.log('\n🕐 Days from a moment:');
+const MOMENTS = [
+  ['2026-10-19T20:00:00.000Z', 'Asia/Kolkata', '2026-10-20'],      // 1:30 AM the next day in India
+  ['2026-10-19T02:00:00.000Z', 'America/New_York', '2026-10-18'],  // 10 PM the day before in New York
+  ['2026-10-19T11:00:00.000Z', 'Pacific/Kiritimati', '2026-10-20'],
+];
+for (const [moment, timezone, expectedDay] of MOMENTS) {
+  const { start } = getDayRange(new Date(moment), timezone);
+  const day = formatDateInTimezone(start, timezone);
+  if (day !== expectedDay) {
+    fail(`${moment} in ${timezone}: got ${day}, expected ${expectedDay}`);
+  } else {
+    console.log(`  ✅ ${moment} in ${timezone} is ${expectedDay}`);
+  }
+}
+
+// Check 3: a whole year, day by day - every day starts on its own date, follows the
+// previous day without a gap or overlap, and is 23-25 hours long
+console.log(`\n🔁 Every day from ${SWEEP_START} (${SWEEP_DAYS} days):`);
+for (const timezone of SWEEP_ZONES) {
+  const before = failures;
+  let previousEnd = getDayRange(shiftDateString(SWEEP_START, -1), timezone).end;
+  const lengths = new Set();
+
+  for (let offset = 0; offset < SWEEP_DAYS; offset += 1) {
+    const day = shiftDateString(SWEEP_START, offset);
+    const { start, end } = getDayRange(day, timezone);
+    const length = (end.getTime() + 1 - start.getTime()) / HOUR_MS;
+    lengths.add(length);
+
+    if (formatDateInTimezone(start, timezone) !== day) {
+      fail(`${timezone} ${day}: starts on ${formatDateInTimezone(start, timezone)}`);
+    }
+    if (formatDateInTimezone(new Date(start.getTime() - 1), timezone) === day) {
+      fail(`${timezone} ${day}: the moment before ${start.toISOString()} is already ${day}`);
+    }
+    if (start.getTime() !== previousEnd.getTime() + 1) {
+      fail(`${timezone} ${day}: doesn't start right after the previous day (${previousEnd.toISOString()} → ${start.toISOString()})`);
+    }
+    if (length < 23 || length > 25) {
+      fail(`${timezone} ${day}: ${length} hours long`);
+    }
+    previousEnd = end;
+  }
+
+  if (failures === before) {
+    console.log(`  ✅ ${timezone}: day lengths ${[...lengths].sort((a, b) => a - b).join('h, ')}h`);
+  }
+}
+
+console.log(failures ? `\n❌ ${failures} day range check(s) failed` : '\n✅ Day ranges are correct in every timezone checked');
+process.exit(failures ? 1 : 0);
@@ -1,6 +1,8 @@
 require('dotenv').config();
 const { pool } = require('./src/db');
 const config = require('./src/config');
+const { getMonitoredChannel } = require('./src/channelsStore');
+const { getDayRange, formatDateInTimezone } = require('./src/statsService');
 
 // Show which database we're connecting to
 console.log('🔍 Database Connection Info:');
@@ -10,36 +12,25 @@ console.log('  Channel ID:', config.slackChannelId || 'C09SUH2KHK2');
 console.log('');
 
 (async () => {
-  const timezone = 'Asia/Kolkata';
   const channelId = process.env.SLACK_CHANNEL_ID || 'C09SUH2KHK2';
+
+  // Use the channel's own timezone (falls back to CRON_TIMEZONE)
+  const channel = await getMonitoredChannel(channelId);
+  const timezone = channel?.timezone || config.timezone;
   
-  // Get today's date range in IST (using same method as statsService)
+  // Get today's date range in the channel's timezone (same method as statsService)
   const now = new Date();
-  const formatter = new Intl.DateTimeFormat('en-CA', {
-    timeZone: timezone,
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-  });
-  
-  const [year, month, day] = formatter.format(now).split('-').map(Number);
-  
-  // Create start time: 1:00 AM IST today (using same method as statsService.getDayRange)
-  const todayStart = new Date(Date.UTC(year, month - 1, day, 0, 0, 0, 0));
-  // Adjust for IST: 1:00 AM IST = previous day 7:30 PM UTC (UTC+5:30)
-  // So 1:00 AM IST on Nov 19 = Nov 18 19:30 UTC
-  todayStart.setUTCHours(19, 30, 0, 0); // 1:00 AM IST = 19:30 UTC previous day
-  todayStart.setUTCDate(todayStart.getUTCDate() - 1); // Go back one day
+  const { start: todayStart } = getDayRange(now, timezone);
   
   // For end time, use current time (which is already in UTC)
   const todayEnd = new Date();
   
-  console.log('📅 Query Range (IST):');
-  console.log('Date: 19/11/2025');
-  console.log('Time Range: 1:00 AM to Current Time');
+  console.log(`📅 Query Range (${timezone}):`);
+  console.log('Date:', formatDateInTimezone(now, timezone));
+  console.log('Time Range: Midnight to Current Time');
   console.log('Start (UTC):', todayStart.toISOString());
   console.log('End (UTC):', todayEnd.toISOString());
-  console.log('Current time (IST):', now.toLocaleString('en-US', { timeZone: timezone }));
+  console.log(`Current time (${timezone}):`, now.toLocaleString('en-US', { timeZone: timezone }));
   console.log('\n📊 TODAY\'S ACTIVITY SUMMARY:\n');
   
   // Also check what events exist in database (for debugging)
@@ -0,0 +1,107 @@
+require('dotenv').config();
+const os = require('os');
+const { pool, initDb } = require('./src/db');
+const { API_KEY_SCOPES, createApiKey, listApiKeys, revokeApiKey } = require('./src/apiKeys');
+const { recordAuditEntry } = require('./src/auditLog');
+
+// Issue, list and revoke API keys for the admin API
+//
+// Usage:
+//   node manage-api-keys.js create --name "GitHub Actions" --scopes summary:run,stats:read
+//   node manage-api-keys.js list [--all]
+//   node manage-api-keys.js revoke <id or prefix>
+//
+// (or: npm run api-keys -- create --name ...)
+//
+// Runs against the same database as the server (DATABASE_URL or DB_*), e.g. from the Render shell.
+
+const USAGE = `Usage:
+  node manage-api-keys.js create --name "<who uses it>" --scopes <scope,scope>
+  node manage-api-keys.js list [--all]
+  node manage-api-keys.js revoke <id or prefix>
+
+Scopes: ${API_KEY_SCOPES.join(', ')} (admin can do everything)`;
+
+/**
+ * Read "--name value" style options
+ *
+ * @param {string[]} args - Command line arguments after the command
+ * @returns {object} - e.g., { name: "GitHub Actions", scopes: "summary:run", all: true }
+ */
+function parseOptions(args) {
+  const options = { positional: [] };
+  for (let index = 0; index < args.length; index += 1) {
+    const arg = args[index];
+    if (!arg.startsWith('--')) {
+      options.positional.push(arg);
+    } else if (args[index + 1] && !args[index + 1].startsWith('--')) {
+      options[arg.slice(2)] = args[index + 1];
+      index += 1;
+    } else {
+      options[arg.slice(2)] = true;
+    }
+  }
+  return options;
+}
+
+/**
+ * One line describing a key
+ *
+ * @param {object} apiKey - From listApiKeys
+ * @returns {string}
+ */
+function describeKey(apiKey) {
+  const lastUsed = apiKey.lastUsedAt ? new Date(apiKey.lastUsedAt).toISOString() : 'never';
+  const state = apiKey.revokedAt ? `revoked ${new Date(apiKey.revokedAt).toISOString()}` : `last used ${lastUsed}`;
+  return `  #${apiKey.id}  ${apiKey.prefix}…  ${apiKey.name}  [${apiKey.scopes.join(', ')}]  ${state}`;
+}
+
+(async () => {
+  const [command, ...args] = process.argv.slice(2);
+  const options = parseOptions(args);
+  const actor = `cli:${os.userInfo().username}`;
+  let failed = false;
+
+  if (!['create', 'list', 'revoke'].includes(command)) {
+    console.log(USAGE);
+    process.exit(['help', '--help', undefined].includes(command) ? 0 : 1);
+  }
+
+  try {
+    // Make sure the api_keys and audit_log tables exist (safe to run any time)
+    await initDb();
+
+    if (command === 'create') {
+      const scopes = typeof options.scopes === 'string' ? options.scopes.split(',').map((scope) => scope.trim()).filter(Boolean) : [];
+      const apiKey = await createApiKey({ name: typeof options.name === 'string' ? options.name : '', scopes });
+      await recordAuditEntry({ apiKey, action: 'api-key.create', details: { name: apiKey.name, scopes: apiKey.scopes, by: actor } });
+
+      console.log(`✅ API key #${apiKey.id} issued for "${apiKey.name}" [${apiKey.scopes.join(', ')}]`);
+      console.log('');
+      console.log(`   ${apiKey.key}`);
+      console.log('');
+      console.log('⚠️  Copy it now: it is not stored and can\'t be shown again.');
+      console.log('   Send it as: Authorization: Bearer <key>');
+    } else if (command === 'list') {
+      const keys = await listApiKeys({ includeRevoked: options.all === true });
+      console.log(keys.length ? `🔑 ${keys.length} API key(s):` : '🔑 No API keys yet. Issue one with: node manage-api-keys.js create ...');
+      keys.forEach((apiKey) => console.log(describeKey(apiKey)));
+    } else if (command === 'revoke') {
+      const target = options.positional[0];
+      if (!target) throw new Error('Which key? Give its id or prefix (see: node manage-api-keys.js list).');
+
+      const apiKey = await revokeApiKey(target.replace(/…$/, ''));
+      if (!apiKey) throw new Error(`No active API key matches "${target}".`);
+      await recordAuditEntry({ apiKey, action: 'api-key.revoke', details: { name: apiKey.name, by: actor } });
+
+      console.log(`🚫 API key #${apiKey.id} (${apiKey.prefix}…, "${apiKey.name}") revoked. It stops working right away.`);
+    }
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    failed = true;
+  } finally {
+    await pool.end();
+  }
+
+  process.exit(failed ? 1 : 0);
+})();
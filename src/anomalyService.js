@@ -0,0 +1,270 @@
+/**
+ * ANOMALY_SERVICE.JS - Activity Spike / Drop Detection
+ *
+ * This file checks whether a channel is unusually busy or unusually quiet.
+ *
+ * How it works:
+ * 1. Take a window: the last full hour, or yesterday (in the channel's timezone)
+ * 2. Count messages and reactions in that window
+ * 3. Count the same window on the same weekday over the last N weeks (the "baseline")
+ * 4. z-score = (count - baseline average) / baseline standard deviation
+ * 5. If |z-score| >= the channel's threshold → spike (positive) or drop (negative)
+ *
+ * Every alert is stored in the anomaly_alerts table. The UNIQUE constraint on
+ * (channel, window, metric) means running the check twice never posts twice.
+ */
+
+// Import the database connection pool from db.js
+const { pool } = require('./db');
+// Import the count functions we compare
+const { countMessagesBetween, countReactionsBetween } = require('./eventsStore');
+// Import shared date helpers
+const {
+  getDayRange,
+  formatDateInTimezone,
+  dateStringToDate,
+  shiftDateString,
+} = require('./statsService');
+// Import quiet hours parsing
+const { parseQuietHours } = require('./channelsStore');
+
+// One hour / one week in milliseconds
+const HOUR_MS = 60 * 60 * 1000;
+const WEEK_MS = 7 * 24 * HOUR_MS;
+
+// Metrics we watch, and how to count them
+const ANOMALY_METRICS = [
+  { metric: 'messages', label: '💬 Messages', count: countMessagesBetween },
+  { metric: 'reactions', label: '👍 Reactions', count: countReactionsBetween },
+];
+
+/**
+ * Get the local hour/minute/second/weekday of a moment in a timezone
+ *
+ * @param {Date} date - The moment
+ * @param {string} timezone - IANA timezone
+ * @returns {{hour: number, minute: number, second: number, weekday: string}}
+ */
+function getLocalTimeParts(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    weekday: 'long',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+
+  const get = (type) => parts.find((part) => part.type === type).value;
+  return {
+    hour: Number(get('hour')),
+    minute: Number(get('minute')),
+    second: Number(get('second')),
+    weekday: get('weekday'),
+  };
+}
+
+/**
+ * Get the last full hour before a moment, in the channel's timezone
+ * (Kolkata is UTC+5:30, so its hours start at :30 UTC - we can't just round the UTC time)
+ *
+ * @param {Date} now - Current time
+ * @param {string} timezone - IANA timezone
+ * @returns {{start: Date, end: Date}} - end is exclusive
+ */
+function getLastFullHour(now, timezone) {
+  const { minute, second } = getLocalTimeParts(now, timezone);
+  const end = new Date(now.getTime() - (minute * 60 + second) * 1000 - now.getMilliseconds());
+  return { start: new Date(end.getTime() - HOUR_MS), end };
+}
+
+/**
+ * Check if a local hour falls inside quiet hours
+ *
+ * @param {number} hour - Local hour (0-23)
+ * @param {{start: number, end: number}|null} quietHours - From parseQuietHours
+ * @returns {boolean}
+ */
+function isQuietHour(hour, quietHours) {
+  if (!quietHours) return false;
+  const { start, end } = quietHours;
+  // "9-17" is a normal range, "22-7" wraps past midnight
+  return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+}
+
+/**
+ * Average and standard deviation of the baseline counts
+ *
+ * @param {number[]} values - Counts from previous weeks
+ * @returns {{mean: number, stddev: number}}
+ */
+function getBaselineStats(values) {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+  return { mean, stddev: Math.sqrt(variance) };
+}
+
+/**
+ * z-score of an observed count against its baseline
+ * The standard deviation is at least 1, so a perfectly flat history
+ * (e.g., always 2 messages) doesn't turn 3 messages into an "infinite" spike
+ *
+ * @param {number} observed - Count in the checked window
+ * @param {{mean: number, stddev: number}} baseline - From getBaselineStats
+ * @returns {number}
+ */
+function zScore(observed, { mean, stddev }) {
+  return (observed - mean) / Math.max(stddev, 1);
+}
+
+/**
+ * Compare one window with the same window in previous weeks
+ *
+ * @param {object} channel - Channel settings (from channelsStore)
+ * @param {object} window - Window to check
+ * @param {string} window.windowType - "hour" or "day"
+ * @param {Date} window.start - Start of the window
+ * @param {Date} window.end - End of the window
+ * @param {string} window.label - Human-readable window (for the alert)
+ * @param {string} window.weekday - Local weekday of the window (e.g., "Monday")
+ * @param {object[]} window.baselineRanges - Same window in previous weeks [{ start, end }]
+ * @returns {object[]} - Anomalies found (may be empty)
+ */
+async function checkWindow(channel, { windowType, start, end, label, weekday, baselineRanges }) {
+  const { channelId, teamId, anomalyZThreshold } = channel;
+  const anomalies = [];
+
+  for (const { metric, label: metricLabel, count } of ANOMALY_METRICS) {
+    const [observed, ...history] = await Promise.all([
+      count(channelId, start, end, teamId),
+      ...baselineRanges.map((range) => count(channelId, range.start, range.end, teamId)),
+    ]);
+
+    // No activity at all in previous weeks = no history to compare against (e.g., a new channel)
+    if (history.every((value) => value === 0)) continue;
+
+    const baseline = getBaselineStats(history);
+    const z = zScore(observed, baseline);
+    if (Math.abs(z) < anomalyZThreshold) continue;
+
+    anomalies.push({
+      teamId,
+      channelId,
+      windowType,
+      windowStart: start,
+      windowLabel: label,
+      weekday,
+      metric,
+      metricLabel,
+      observed,
+      baselineMean: baseline.mean,
+      baselineStddev: baseline.stddev,
+      zScore: z,
+      direction: z > 0 ? 'spike' : 'drop',
+      lookbackWeeks: baselineRanges.length,
+    });
+  }
+
+  return anomalies;
+}
+
+/**
+ * Look for spikes and drops in one channel
+ * Checks the last full hour and yesterday, unless it's currently quiet hours for the channel
+ *
+ * @param {object} channel - Channel settings (from channelsStore)
+ * @param {object} options
+ * @param {Date} options.now - Current time (defaults to now)
+ * @returns {object[]} - Anomalies found (not yet saved or posted)
+ */
+async function detectAnomalies(channel, { now = new Date() } = {}) {
+  const { timezone, anomalyLookbackWeeks } = channel;
+
+  // Quiet hours: check nothing now. Yesterday's daily check runs once quiet hours end.
+  if (isQuietHour(getLocalTimeParts(now, timezone).hour, parseQuietHours(channel.quietHours))) {
+    return [];
+  }
+
+  const weeksBack = Array.from({ length: anomalyLookbackWeeks }, (_, index) => index + 1);
+
+  // Window 1: the last full hour (baseline: same hour, same weekday, previous weeks)
+  const hour = getLastFullHour(now, timezone);
+  const hourParts = getLocalTimeParts(hour.start, timezone);
+  const hourLabel = `${formatDateInTimezone(hour.start, timezone)} ${String(hourParts.hour).padStart(2, '0')}:00-${String((hourParts.hour + 1) % 24).padStart(2, '0')}:00`;
+  const hourAnomalies = await checkWindow(channel, {
+    windowType: 'hour',
+    start: hour.start,
+    end: new Date(hour.end.getTime() - 1),  // Count functions include the end time
+    label: hourLabel,
+    weekday: hourParts.weekday,
+    baselineRanges: weeksBack.map((weeks) => ({
+      start: new Date(hour.start.getTime() - weeks * WEEK_MS),
+      end: new Date(hour.end.getTime() - weeks * WEEK_MS - 1),
+    })),
+  });
+
+  // Window 2: yesterday (baseline: the same weekday in previous weeks)
+  const yesterday = shiftDateString(formatDateInTimezone(now, timezone), -1);
+  const dayRange = (dateString) => getDayRange(dateString, timezone);
+  const dayAnomalies = await checkWindow(channel, {
+    windowType: 'day',
+    ...dayRange(yesterday),
+    label: yesterday,
+    weekday: getLocalTimeParts(dateStringToDate(yesterday), 'UTC').weekday,
+    baselineRanges: weeksBack.map((weeks) => dayRange(shiftDateString(yesterday, -7 * weeks))),
+  });
+
+  return [...hourAnomalies, ...dayAnomalies];
+}
+
+/**
+ * Save an anomaly, unless it was already saved by an earlier run
+ *
+ * @param {object} anomaly - From detectAnomalies
+ * @param {string} alertChannelId - Where the alert will be posted
+ * @returns {number|null} - New alert ID, or null if this anomaly was already recorded
+ */
+async function recordAnomaly(anomaly, alertChannelId) {
+  const query = `
+    INSERT INTO anomaly_alerts (
+      team_id, channel_id, window_type, window_start, metric, observed,
+      baseline_mean, baseline_stddev, z_score, direction, alert_channel_id
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    ON CONFLICT (channel_id, window_type, window_start, metric) DO NOTHING
+    RETURNING id
+  `;
+
+  const { rows } = await pool.query(query, [
+    anomaly.teamId || null,
+    anomaly.channelId,
+    anomaly.windowType,
+    anomaly.windowStart,
+    anomaly.metric,
+    anomaly.observed,
+    anomaly.baselineMean,
+    anomaly.baselineStddev,
+    anomaly.zScore,
+    anomaly.direction,
+    alertChannelId,
+  ]);
+
+  return rows[0]?.id ?? null;
+}
+
+/**
+ * Remember which Slack message an alert was posted as
+ *
+ * @param {number} alertId - ID from recordAnomaly
+ * @param {string} messageTs - Slack message timestamp
+ */
+async function setAnomalyMessageTs(alertId, messageTs) {
+  await pool.query('UPDATE anomaly_alerts SET message_ts = $2 WHERE id = $1', [alertId, messageTs]);
+}
+
+// Export functions so the scheduler can use them
+module.exports = {
+  detectAnomalies,       // Find spikes/drops for one channel
+  recordAnomaly,         // Save an anomaly once (null if already saved)
+  setAnomalyMessageTs,   // Link a saved anomaly to its Slack alert
+};
@@ -0,0 +1,189 @@
+/**
+ * API_KEYS.JS - API Keys for the Admin API
+ *
+ * Every route that isn't called by Slack itself (run a summary, read stats, change channel
+ * settings, ...) needs an API key. Each key has scopes that say what it may do:
+ * - summary:run  - trigger summaries and reports (POST /api/slack/run-*)
+ * - stats:read   - read stats, channels, holidays and schedules
+ * - admin        - everything (change settings, outbox, job history, audit log)
+ *
+ * Keys look like "dsk_3fa9c1..." and are sent as "Authorization: Bearer <key>" (or "X-API-Key: <key>").
+ * The full key is shown once, when it's issued (manage-api-keys.js). The database only keeps
+ * its SHA-256 hash, so a leaked database doesn't leak working keys. Keys are 32 random bytes,
+ * so a plain hash is enough (nobody can guess them the way they'd guess a password).
+ */
+
+// Import crypto for random keys and hashing
+const crypto = require('crypto');
+// Import the database connection pool from db.js
+const { pool } = require('./db');
+
+// What a key can be allowed to do (admin includes all of them)
+const API_KEY_SCOPES = ['summary:run', 'stats:read', 'admin'];
+
+// Every key starts with this, so it's easy to spot (e.g., in a leaked config file)
+const KEY_PREFIX = 'dsk_';
+
+// Characters of the key stored in clear text to recognize it in lists and logs ("dsk_" + 8)
+const DISPLAY_PREFIX_LENGTH = KEY_PREFIX.length + 8;
+
+/**
+ * Hash a key the way it's stored in api_keys.key_hash
+ *
+ * @param {string} key - Full API key
+ * @returns {string} - SHA-256 as hex
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Convert a database row into an API key object (never includes the hash)
+ *
+ * @param {object} row - Row from api_keys
+ * @returns {object}
+ */
+function rowToApiKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.key_prefix,
+    scopes: row.scopes,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at,
+  };
+}
+
+/**
+ * Check a list of scopes
+ *
+ * @param {string[]} scopes - e.g., ["summary:run"]
+ * @returns {string[]} - Error messages (empty if valid)
+ */
+function validateScopes(scopes) {
+  if (!Array.isArray(scopes) || !scopes.length) {
+    return [`Give at least one scope (${API_KEY_SCOPES.join(', ')}).`];
+  }
+  return scopes
+    .filter((scope) => !API_KEY_SCOPES.includes(scope))
+    .map((scope) => `Unknown scope "${scope}" (use ${API_KEY_SCOPES.join(', ')}).`);
+}
+
+/**
+ * Issue a new API key
+ *
+ * @param {object} params
+ * @param {string} params.name - Who/what will use it (e.g., "GitHub Actions")
+ * @param {string[]} params.scopes - What it may do (see API_KEY_SCOPES)
+ * @returns {object} - The key's details plus `key`: the full key (this is the only time it's available)
+ * @throws {Error} - If the name or scopes are invalid
+ */
+async function createApiKey({ name, scopes }) {
+  if (!name || !name.trim()) {
+    throw new Error('Give the key a name (who or what will use it).');
+  }
+  const errors = validateScopes(scopes);
+  if (errors.length) {
+    throw new Error(errors.join(' '));
+  }
+
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+  const { rows } = await pool.query(
+    `INSERT INTO api_keys (name, key_prefix, key_hash, scopes)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [name.trim(), key.slice(0, DISPLAY_PREFIX_LENGTH), hashApiKey(key), [...new Set(scopes)]]
+  );
+
+  return { ...rowToApiKey(rows[0]), key };
+}
+
+/**
+ * Find the active key a caller sent
+ *
+ * @param {string} key - Full API key from the request
+ * @returns {object|null} - The key's details, or null if it doesn't exist or was revoked
+ */
+async function findApiKey(key) {
+  if (!key || !key.startsWith(KEY_PREFIX)) return null;
+
+  const { rows } = await pool.query(
+    'SELECT * FROM api_keys WHERE key_hash = $1 AND revoked_at IS NULL',
+    [hashApiKey(key)]
+  );
+  return rows.length ? rowToApiKey(rows[0]) : null;
+}
+
+/**
+ * Check if a key may do something
+ *
+ * @param {object} apiKey - From findApiKey
+ * @param {string} scope - Scope the route needs
+ * @returns {boolean} - True if the key has that scope (or admin)
+ */
+function hasScope(apiKey, scope) {
+  return apiKey.scopes.includes('admin') || apiKey.scopes.includes(scope);
+}
+
+/**
+ * Remember when a key was last used (best effort: a failure here never blocks the call)
+ *
+ * @param {number} id - API key ID
+ */
+async function touchApiKey(id) {
+  try {
+    await pool.query('UPDATE api_keys SET last_used_at = NOW() WHERE id = $1', [id]);
+  } catch (error) {
+    console.warn(`⚠️  Could not update last use of API key ${id}: ${error.message}`);
+  }
+}
+
+/**
+ * List every key (newest first)
+ *
+ * @param {object} options
+ * @param {boolean} options.includeRevoked - Also list revoked keys (default: false)
+ * @returns {object[]}
+ */
+async function listApiKeys({ includeRevoked = false } = {}) {
+  const { rows } = await pool.query(
+    `SELECT * FROM api_keys
+     ${includeRevoked ? '' : 'WHERE revoked_at IS NULL'}
+     ORDER BY id DESC`
+  );
+  return rows.map(rowToApiKey);
+}
+
+/**
+ * Revoke a key (it stops working right away; the row is kept for the audit log)
+ *
+ * @param {string|number} idOrPrefix - Key ID (e.g., 3) or prefix (e.g., "dsk_3fa9c1d2")
+ * @returns {object|null} - The revoked key, or null if no active key matches
+ */
+async function revokeApiKey(idOrPrefix) {
+  const value = String(idOrPrefix);
+  const byId = /^\d+$/.test(value);
+
+  const { rows } = await pool.query(
+    `UPDATE api_keys
+     SET revoked_at = NOW()
+     WHERE ${byId ? 'id = $1' : 'key_prefix = $1'} AND revoked_at IS NULL
+     RETURNING *`,
+    [byId ? Number(value) : value]
+  );
+  return rows.length ? rowToApiKey(rows[0]) : null;
+}
+
+// Export functions so the server and the CLI can use them
+module.exports = {
+  API_KEY_SCOPES,   // What a key can be allowed to do
+  validateScopes,   // Check a list of scopes
+  createApiKey,     // Issue a key (returns the full key once)
+  findApiKey,       // Key sent by a caller → its details (or null)
+  hasScope,         // May this key do that?
+  touchApiKey,      // Record when a key was last used
+  listApiKeys,      // Every key (without hashes)
+  revokeApiKey,     // Stop a key from working
+};
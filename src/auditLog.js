@@ -0,0 +1,126 @@
+/**
+ * AUDIT_LOG.JS - Who Called the Admin API
+ *
+ * Every call to a protected route is written to the audit_log table: which key was used
+ * (or that none/an invalid one was), what was called, with which query/body, and the
+ * HTTP status it got. Issuing and revoking keys with manage-api-keys.js is recorded too.
+ *
+ * Read it through GET /api/admin/audit.
+ *
+ * Recording is best effort: if the entry can't be saved, the call itself still works.
+ */
+
+// Import the database connection pool from db.js
+const { pool } = require('./db');
+
+// Longest query/body saved with an entry (larger ones, e.g. a whole .ics file, are cut)
+const MAX_DETAILS_LENGTH = 2000;
+
+/**
+ * Make request details safe and small enough to store
+ *
+ * @param {object|null} details - e.g., { query: {...}, body: {...} }
+ * @returns {object|null}
+ */
+function trimDetails(details) {
+  if (!details) return null;
+
+  const json = JSON.stringify(details);
+  if (json.length <= MAX_DETAILS_LENGTH) return details;
+  return { truncated: true, preview: json.slice(0, MAX_DETAILS_LENGTH) };
+}
+
+/**
+ * Write one audit entry
+ *
+ * @param {object} entry
+ * @param {object|null} entry.apiKey - Key that was used (from findApiKey), null if none/invalid
+ * @param {string} entry.keyPrefix - Prefix of the key that was sent (optional, for unknown keys)
+ * @param {string} entry.action - e.g., "POST /api/slack/run-summary" or "api-key.create"
+ * @param {number} entry.statusCode - HTTP status (optional)
+ * @param {string} entry.ip - Caller's IP address (optional)
+ * @param {string} entry.userAgent - Caller's User-Agent (optional)
+ * @param {object} entry.details - Query/body or what was done (optional)
+ * @param {number} entry.durationMs - How long it took (optional)
+ */
+async function recordAuditEntry({
+  apiKey = null,
+  keyPrefix = null,
+  action,
+  statusCode = null,
+  ip = null,
+  userAgent = null,
+  details = null,
+  durationMs = null,
+}) {
+  try {
+    await pool.query(
+      `INSERT INTO audit_log (api_key_id, key_prefix, action, status_code, ip, user_agent, details, duration_ms)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [
+        apiKey ? apiKey.id : null,
+        apiKey ? apiKey.prefix : keyPrefix,
+        action,
+        statusCode,
+        ip,
+        userAgent,
+        trimDetails(details),
+        durationMs,
+      ]
+    );
+  } catch (error) {
+    console.warn(`⚠️  Could not write audit entry for ${action}: ${error.message}`);
+  }
+}
+
+/**
+ * List audit entries (newest first)
+ *
+ * @param {object} filters - All optional
+ * @param {number} filters.apiKeyId - Only calls made with this key
+ * @param {number} filters.statusCode - Only calls that got this status (e.g., 401)
+ * @param {number} filters.limit - Maximum number of entries (default: 100)
+ * @returns {object[]}
+ */
+async function listAuditEntries({ apiKeyId, statusCode, limit = 100 } = {}) {
+  // Build the WHERE clause from the filters that were given
+  const conditions = [];
+  const params = [];
+  const filters = { api_key_id: apiKeyId, status_code: statusCode };
+
+  for (const [column, value] of Object.entries(filters)) {
+    if (value) {
+      params.push(value);
+      conditions.push(`${column} = $${params.length}`);
+    }
+  }
+
+  params.push(limit);
+  const { rows } = await pool.query(
+    `SELECT id, api_key_id, key_prefix, action, status_code, ip, user_agent, details, duration_ms, created_at
+     FROM audit_log
+     ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY id DESC
+     LIMIT $${params.length}`,
+    params
+  );
+
+  return rows.map((row) => ({
+    id: row.id,
+    apiKeyId: row.api_key_id,
+    keyPrefix: row.key_prefix,
+    action: row.action,
+    statusCode: row.status_code,
+    ip: row.ip,
+    userAgent: row.user_agent,
+    details: row.details,
+    durationMs: row.duration_ms,
+    createdAt: row.created_at,
+  }));
+}
+
+// Export functions so the server and the CLI can use them
+module.exports = {
+  recordAuditEntry,   // Write one entry
+  listAuditEntries,   // Read the log (GET /api/admin/audit)
+};
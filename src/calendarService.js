@@ -0,0 +1,236 @@
+/**
+ * CALENDAR_SERVICE.JS - Business-Day Calendars (Working Days and Holidays)
+ *
+ * Nobody needs a "0 messages" summary about a Sunday. Each channel can have a calendar:
+ * - working days: the weekdays summaries are posted on (channel setting workingDays / WORKING_DAYS)
+ * - holidays: extra days off, stored in channel_holidays (added by hand or imported from an .ics file)
+ *
+ * How the scheduler uses it (the daily job posts yesterday's summary):
+ * - A run on a non-working day is skipped
+ * - The first working day after a break posts ONE summary covering every day since the
+ *   last working day. Example with Monday-Friday: Monday's post covers Friday, Saturday and Sunday.
+ *
+ * Channels without a calendar (every day is a working day, no holidays) work as before.
+ */
+
+// Import the database connection pool from db.js
+const { pool } = require('./db');
+// Import date helpers
+const { dateStringToDate, shiftDateString } = require('./statsService');
+
+// Longest stretch one combined summary covers (a longer break starts a new one)
+const MAX_COMBINED_DAYS = 31;
+
+// Longest single holiday imported from an iCal event (anything longer is probably not a holiday)
+const MAX_HOLIDAY_DAYS = 366;
+
+/**
+ * Turn an iCal date or date-time into YYYY-MM-DD
+ *
+ * @param {string} value - e.g., "20261225" or "20261225T090000Z"
+ * @returns {string|null} - e.g., "2026-12-25", or null if it isn't a date
+ */
+function icsValueToDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+/**
+ * Read the holidays out of an iCal (.ics) file
+ * Every event becomes one holiday per day it covers (all-day events end the day before DTEND).
+ * Recurring events (RRULE) are only read for their first date.
+ *
+ * @param {string} icsText - Contents of the .ics file
+ * @returns {Array<{date: string, name: string|null}>} - Holidays, oldest first
+ * @throws {Error} - If the text isn't an iCal file
+ *
+ * Example:
+ *   BEGIN:VEVENT
+ *   DTSTART;VALUE=DATE:20261225
+ *   DTEND;VALUE=DATE:20261227
+ *   SUMMARY:Christmas
+ *   END:VEVENT
+ *   → [{ date: "2026-12-25", name: "Christmas" }, { date: "2026-12-26", name: "Christmas" }]
+ */
+function parseIcsHolidays(icsText) {
+  if (!/BEGIN:VCALENDAR/i.test(icsText || '')) {
+    throw new Error('Not an iCal file (BEGIN:VCALENDAR is missing).');
+  }
+
+  // Long lines are folded: a line starting with a space/tab continues the previous one
+  const lines = icsText.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+
+  const holidays = new Map();
+  let event = null;
+
+  for (const line of lines) {
+    if (/^BEGIN:VEVENT/i.test(line)) {
+      event = {};
+      continue;
+    }
+
+    if (/^END:VEVENT/i.test(line)) {
+      const startDate = icsValueToDate(event.DTSTART);
+      if (startDate) {
+        // All-day events (and events ending at midnight) end the day before DTEND
+        const endValue = event.DTEND || '';
+        const endsAtMidnight = /^\d{8}$/.test(endValue) || /T000000/.test(endValue);
+        const endDate = icsValueToDate(endValue) || startDate;
+        const lastDate = endsAtMidnight && endDate > startDate ? shiftDateString(endDate, -1) : endDate;
+
+        for (let date = startDate, days = 0; date <= lastDate && days < MAX_HOLIDAY_DAYS; date = shiftDateString(date, 1), days += 1) {
+          holidays.set(date, event.SUMMARY || null);
+        }
+      }
+      event = null;
+      continue;
+    }
+
+    if (!event) continue;
+
+    // "DTSTART;VALUE=DATE:20261225" → name "DTSTART", value "20261225"
+    const colon = line.indexOf(':');
+    if (colon === -1) continue;
+    const name = line.slice(0, colon).split(';')[0].toUpperCase();
+    const value = line.slice(colon + 1).trim();
+
+    if (name === 'SUMMARY') {
+      // Undo iCal escaping ("\," → ",", "\n" → " ")
+      event.SUMMARY = value.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1');
+    } else if (name === 'DTSTART' || name === 'DTEND') {
+      event[name] = value;
+    }
+  }
+
+  return [...holidays.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, name]) => ({ date, name }));
+}
+
+/**
+ * Save holidays for a channel (a date that's already there gets the new name)
+ *
+ * @param {string} channelId - Channel ID
+ * @param {Array<{date: string, name: string}>} holidays - Dates in YYYY-MM-DD format
+ * @returns {number} - Number of holidays saved
+ */
+async function saveChannelHolidays(channelId, holidays) {
+  if (!holidays.length) return 0;
+
+  const { rowCount } = await pool.query(
+    `INSERT INTO channel_holidays (channel_id, holiday_date, name)
+     SELECT $1, holiday_date, name FROM UNNEST($2::DATE[], $3::TEXT[]) AS h(holiday_date, name)
+     ON CONFLICT (channel_id, holiday_date) DO UPDATE SET name = EXCLUDED.name`,
+    [channelId, holidays.map((holiday) => holiday.date), holidays.map((holiday) => holiday.name || null)]
+  );
+  return rowCount;
+}
+
+/**
+ * List a channel's holidays
+ *
+ * @param {string} channelId - Channel ID
+ * @param {object} options
+ * @param {string} options.from - First date (YYYY-MM-DD, optional)
+ * @param {string} options.to - Last date (YYYY-MM-DD, optional)
+ * @returns {Array<{date: string, name: string|null}>} - Oldest first
+ */
+async function listChannelHolidays(channelId, { from = null, to = null } = {}) {
+  const { rows } = await pool.query(
+    `SELECT holiday_date::TEXT AS holiday_date, name
+     FROM channel_holidays
+     WHERE channel_id = $1
+       AND ($2::DATE IS NULL OR holiday_date >= $2)
+       AND ($3::DATE IS NULL OR holiday_date <= $3)
+     ORDER BY holiday_date`,
+    [channelId, from, to]
+  );
+  return rows.map((row) => ({ date: row.holiday_date, name: row.name }));
+}
+
+/**
+ * Remove one holiday
+ *
+ * @param {string} channelId - Channel ID
+ * @param {string} date - Holiday date (YYYY-MM-DD)
+ * @returns {boolean} - True if a holiday was removed
+ */
+async function removeChannelHoliday(channelId, date) {
+  const { rowCount } = await pool.query(
+    'DELETE FROM channel_holidays WHERE channel_id = $1 AND holiday_date = $2',
+    [channelId, date]
+  );
+  return rowCount > 0;
+}
+
+/**
+ * A channel's holiday dates between two days, for quick lookups
+ *
+ * @param {string} channelId - Channel ID
+ * @param {string} from - First date (YYYY-MM-DD)
+ * @param {string} to - Last date (YYYY-MM-DD)
+ * @returns {Set<string>} - Holiday dates
+ */
+async function getHolidaySet(channelId, from, to) {
+  const holidays = await listChannelHolidays(channelId, { from, to });
+  return new Set(holidays.map((holiday) => holiday.date));
+}
+
+/**
+ * Check if a day is a working day for a channel
+ *
+ * @param {object} channel - Channel settings (workingDays: weekdays, or null for every day)
+ * @param {string} dateString - Day in YYYY-MM-DD format
+ * @param {Set<string>} holidays - The channel's holiday dates (from getHolidaySet)
+ * @returns {boolean}
+ */
+function isWorkingDay(channel, dateString, holidays) {
+  if (holidays.has(dateString)) return false;
+  if (!channel.workingDays?.length) return true;
+  return channel.workingDays.includes(dateStringToDate(dateString).getUTCDay());
+}
+
+/**
+ * Work out what the scheduled summary for a day should cover
+ * The summary for a day is posted the day after (the "run day"), so:
+ * - run day is not a working day → skip (it'll be part of the next working day's summary)
+ * - otherwise → cover every day since the last working day before the run day
+ *
+ * @param {object} channel - Channel settings (from channelsStore)
+ * @param {string} statDate - Day the summary is for (YYYY-MM-DD, usually yesterday)
+ * @returns {{skip: boolean, reason?: string, startDate?: string, endDate?: string}}
+ *
+ * Examples (Monday-Friday channel):
+ *   getSummaryCoverage(channel, "2026-10-17")  // Saturday, posted on Sunday
+ *   → { skip: true, reason: "2026-10-18 is not a working day" }
+ *   getSummaryCoverage(channel, "2026-10-18")  // Sunday, posted on Monday
+ *   → { skip: false, startDate: "2026-10-16", endDate: "2026-10-18" }  // Friday to Sunday
+ */
+async function getSummaryCoverage(channel, statDate) {
+  const runDate = shiftDateString(statDate, 1);
+  const earliest = shiftDateString(statDate, -(MAX_COMBINED_DAYS - 1));
+  const holidays = await getHolidaySet(channel.channelId, earliest, runDate);
+
+  if (!isWorkingDay(channel, runDate, holidays)) {
+    return { skip: true, reason: `${runDate} is not a working day` };
+  }
+
+  // Walk back to the last working day: its own run covered the day before it
+  let startDate = statDate;
+  while (startDate > earliest && !isWorkingDay(channel, startDate, holidays)) {
+    startDate = shiftDateString(startDate, -1);
+  }
+
+  return { skip: false, startDate, endDate: statDate };
+}
+
+// Export functions so the scheduler, catch-up job and API can use them
+module.exports = {
+  parseIcsHolidays,       // .ics text → holiday dates
+  saveChannelHolidays,    // Add holidays to a channel
+  listChannelHolidays,    // A channel's holidays
+  removeChannelHoliday,   // Remove one holiday
+  getHolidaySet,          // Holiday dates between two days
+  isWorkingDay,           // Is this a working day for the channel?
+  getSummaryCoverage,     // Skip, or which days the next summary covers
+};
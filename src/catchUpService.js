@@ -0,0 +1,107 @@
+/**
+ * CATCH_UP_SERVICE.JS - Find Daily Summaries That Were Never Posted
+ *
+ * On Render's free tier the service sleeps and restarts, and a cron job
+ * that was due while it was asleep simply never runs. This file finds
+ * the days whose summary is missing, so the scheduler can post them late.
+ *
+ * A day counts as missed when:
+ * - it's on or after SUMMARY_START_DATE (and after the channel started being monitored)
+ * - the channel's schedule had a run for it (the run the day after - the daily job
+ *   posts yesterday's summary - so weekday-only schedules don't expect weekend runs)
+ * - the run day is a working day for the channel (no summaries on weekends/holidays -
+ *   the next working day's summary covers them, see calendarService.js)
+ * - that run should be over by now (CATCH_UP_GRACE_MINUTES after the scheduled time)
+ * - and there is no row for it in daily_summaries
+ *
+ * Catch-up is off while SUMMARY_START_DATE isn't set.
+ */
+
+// Import config for the start date
+const config = require('./config');
+// Import the saved summaries
+const { getDailySummariesBetween } = require('./eventsStore');
+// Import date helpers
+const { formatDateInTimezone, shiftDateString } = require('./statsService');
+// Import cron reading
+const { cronRunsOnDate, getFirstRunTime } = require('./cronSchedule');
+// Import the channel's business-day calendar
+const { getHolidaySet, isWorkingDay } = require('./calendarService');
+
+// How long after the scheduled time a summary can still be "on its way" (the regular job may be running)
+const CATCH_UP_GRACE_MINUTES = 30;
+
+/**
+ * Minutes since local midnight in a timezone
+ *
+ * @param {Date} date - The moment
+ * @param {string} timezone - IANA timezone
+ * @returns {number} - e.g., 930 for 3:30 PM
+ */
+function getLocalMinutes(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+
+  const get = (type) => Number(parts.find((part) => part.type === type).value);
+  return get('hour') * 60 + get('minute');
+}
+
+/**
+ * Find the days a channel should have a summary for, but doesn't
+ *
+ * @param {object} channel - Channel settings (from channelsStore)
+ * @param {object} options
+ * @param {Date} options.now - "Current time" (default: now)
+ * @param {string} options.startDate - First day to check, YYYY-MM-DD (default: SUMMARY_START_DATE)
+ * @returns {string[]} - Missed days in YYYY-MM-DD format, oldest first
+ *
+ * Example: ["2026-10-15", "2026-10-16"]
+ */
+async function findMissedSummaryDates(channel, { now = new Date(), startDate = config.summaryStartDate } = {}) {
+  const { channelId, timezone, cronSchedule } = channel;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate || '')) return [];
+
+  const firstRun = getFirstRunTime(cronSchedule);
+  if (!firstRun) return [];
+
+  // Nothing is expected from before the channel was added
+  const addedOn = channel.createdAt ? formatDateInTimezone(new Date(channel.createdAt), timezone) : startDate;
+  const firstDate = addedOn > startDate ? addedOn : startDate;
+
+  const today = formatDateInTimezone(now, timezone);
+  const lastDate = shiftDateString(today, -1);
+  if (firstDate > lastDate) return [];
+
+  // Only a scheduled run's summary counts: a day someone ran by hand still gets its regular one
+  const saved = new Set(
+    (await getDailySummariesBetween(channelId, firstDate, lastDate))
+      .filter((day) => day.scheduled)
+      .map((day) => day.statDate)
+  );
+  const holidays = await getHolidaySet(channelId, firstDate, today);
+  const todaysRunIsOver = getLocalMinutes(now, timezone) >= firstRun.hour * 60 + firstRun.minute + CATCH_UP_GRACE_MINUTES;
+
+  const missed = [];
+  for (let date = firstDate; date <= lastDate; date = shiftDateString(date, 1)) {
+    if (saved.has(date)) continue;
+
+    // The summary for a day is posted by the next day's run
+    const runDate = shiftDateString(date, 1);
+    if (!cronRunsOnDate(cronSchedule, runDate)) continue;
+    if (!isWorkingDay(channel, runDate, holidays)) continue;
+    if (runDate === today && !todaysRunIsOver) continue;
+
+    missed.push(date);
+  }
+
+  return missed;
+}
+
+// Export functions so the scheduler can use them
+module.exports = {
+  findMissedSummaryDates,  // Days whose summary was never posted
+};
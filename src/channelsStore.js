@@ -0,0 +1,365 @@
+/**
+ * CHANNELS_STORE.JS - Database Operations for Monitored Channels
+ *
+ * This file manages the "monitored_channels" table: the list of channels we
+ * produce a daily summary for, and the settings for each one.
+ *
+ * Each channel has its own:
+ * - timezone (which "yesterday" to report)
+ * - cron schedule (when to post)
+ * - summary channel (where to post, defaults to the channel itself)
+ * - enabled metrics (which rows to show in the summary table)
+ * - leaderboard toggle (top posters / reactors / file sharers)
+ * - anomaly alert settings (alert channel, threshold, lookback, quiet hours)
+ * - working days (no summary is posted on other days; holidays are in calendarService.js)
+ */
+
+// Import node-cron only to validate cron expressions
+const cron = require('node-cron');
+// Import the database connection pool from db.js
+const { pool } = require('./db');
+// Import config for default timezone/schedule/metrics
+const config = require('./config');
+
+/**
+ * All metrics a summary can show
+ * The keys match the rows built in slackClient.buildSummaryBlocks()
+ */
+const METRIC_KEYS = ['messages', 'threads', 'replies', 'reactions', 'netReactions', 'files', 'newMembers', 'membersRemoved'];
+
+/**
+ * Settings that can be cleared by sending null (back to the default)
+ * Setting name → column in monitored_channels
+ */
+const CLEARABLE_SETTINGS = {
+  summaryChannelId: 'summary_channel_id',
+  showLeaderboard: 'show_leaderboard',
+  alertChannelId: 'alert_channel_id',
+  anomalyZThreshold: 'anomaly_z_threshold',
+  anomalyLookbackWeeks: 'anomaly_lookback_weeks',
+  quietHours: 'quiet_hours',
+  workingDays: 'working_days',
+};
+
+/**
+ * Convert a database row into the camelCase object used across the app
+ *
+ * @param {object} row - Row from monitored_channels
+ * @returns {object|null} - Channel settings object
+ */
+function rowToChannel(row) {
+  if (!row) return null;
+  return {
+    teamId: row.team_id,
+    channelId: row.channel_id,
+    timezone: row.timezone,
+    cronSchedule: row.cron_schedule,
+    summaryChannelId: row.summary_channel_id,
+    enabledMetrics: row.enabled_metrics || METRIC_KEYS,
+    showLeaderboard: row.show_leaderboard ?? config.showLeaderboard,  // NULL = use SHOW_LEADERBOARD
+    // Anomaly alerts (NULL = use the ANOMALY_* defaults)
+    // "" = alerts turned off for this channel (even when ANOMALY_ALERT_CHANNEL_ID is set)
+    alertChannelId: row.alert_channel_id === ''
+      ? null
+      : (row.alert_channel_id || config.anomalyAlertChannelId || null),
+    anomalyZThreshold: row.anomaly_z_threshold !== null && row.anomaly_z_threshold !== undefined
+      ? Number(row.anomaly_z_threshold)  // NUMERIC comes back from pg as a string
+      : config.anomalyZThreshold,
+    anomalyLookbackWeeks: row.anomaly_lookback_weeks ?? config.anomalyLookbackWeeks,
+    quietHours: row.quiet_hours ?? (config.anomalyQuietHours || null),
+    workingDays: row.working_days ?? getDefaultWorkingDays(),  // NULL = use WORKING_DAYS
+    enabled: row.is_enabled,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Working days from WORKING_DAYS
+ *
+ * @returns {number[]|null} - Weekdays (0 = Sunday ... 6 = Saturday), or null for every day
+ */
+function getDefaultWorkingDays() {
+  return config.workingDays.length ? config.workingDays : null;
+}
+
+/**
+ * Check if a timezone is a valid IANA identifier
+ *
+ * @param {string} timezone - e.g., "Asia/Kolkata"
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Parse a quiet hours range like "22-7"
+ * The range can wrap past midnight ("22-7" = 10 PM until 7 AM)
+ *
+ * @param {string} quietHours - "<startHour>-<endHour>" in 24h format
+ * @returns {{start: number, end: number}|null} - Hours, or null if empty/invalid
+ *
+ * Example: parseQuietHours("22-7") → { start: 22, end: 7 }
+ */
+function parseQuietHours(quietHours) {
+  const match = /^\s*(\d{1,2})\s*-\s*(\d{1,2})\s*$/.exec(quietHours || '');
+  if (!match) return null;
+
+  const start = Number(match[1]);
+  const end = Number(match[2]);
+  if (start > 23 || end > 23 || start === end) return null;
+  return { start, end };
+}
+
+/**
+ * Check if a setting was given a value (undefined = not sent, null = clear it)
+ *
+ * @param {*} value - Setting value from the request
+ * @returns {boolean}
+ */
+function isGiven(value) {
+  return value !== undefined && value !== null;
+}
+
+/**
+ * Validate channel settings before saving them
+ *
+ * @param {object} settings - Channel settings (same shape as upsertMonitoredChannel)
+ * @returns {string[]} - List of problems (empty if everything is valid)
+ */
+function validateChannelSettings({
+  channelId,
+  timezone,
+  cronSchedule,
+  enabledMetrics,
+  showLeaderboard,
+  anomalyZThreshold,
+  anomalyLookbackWeeks,
+  quietHours,
+  workingDays,
+}) {
+  const errors = [];
+
+  if (!channelId) {
+    errors.push('channelId is required.');
+  }
+  if (timezone && !isValidTimezone(timezone)) {
+    errors.push(`Unknown timezone "${timezone}".`);
+  }
+  if (cronSchedule && !cron.validate(cronSchedule)) {
+    errors.push(`Invalid cron schedule "${cronSchedule}".`);
+  }
+  if (enabledMetrics) {
+    if (!Array.isArray(enabledMetrics) || enabledMetrics.length === 0) {
+      errors.push('enabledMetrics must be a non-empty array.');
+    } else {
+      const unknown = enabledMetrics.filter((metric) => !METRIC_KEYS.includes(metric));
+      if (unknown.length) {
+        errors.push(`Unknown metrics: ${unknown.join(', ')}. Allowed: ${METRIC_KEYS.join(', ')}.`);
+      }
+    }
+  }
+
+  // null is allowed for the optional settings below: it clears them (see upsertMonitoredChannel)
+  if (isGiven(showLeaderboard) && typeof showLeaderboard !== 'boolean') {
+    errors.push('showLeaderboard must be true or false.');
+  }
+
+  if (isGiven(anomalyZThreshold) && !(typeof anomalyZThreshold === 'number' && anomalyZThreshold > 0)) {
+    errors.push('anomalyZThreshold must be a positive number.');
+  }
+  if (isGiven(anomalyLookbackWeeks)
+    && !(Number.isInteger(anomalyLookbackWeeks) && anomalyLookbackWeeks >= 2 && anomalyLookbackWeeks <= 52)) {
+    errors.push('anomalyLookbackWeeks must be a whole number between 2 and 52.');
+  }
+  if (isGiven(quietHours) && !parseQuietHours(quietHours)) {
+    errors.push(`Invalid quietHours "${quietHours}". Use "<start>-<end>" in 24h format, e.g. "22-7".`);
+  }
+  if (isGiven(workingDays)
+    && !(Array.isArray(workingDays) && workingDays.length && workingDays.every((day) => Number.isInteger(day) && day >= 0 && day <= 6))) {
+    errors.push('workingDays must be a non-empty array of weekdays (0 = Sunday ... 6 = Saturday), e.g. [1, 2, 3, 4, 5].');
+  }
+
+  return errors;
+}
+
+/**
+ * List monitored channels
+ *
+ * @param {object} options
+ * @param {boolean} options.enabledOnly - If true, skip paused channels
+ * @returns {object[]} - Channel settings objects
+ */
+async function listMonitoredChannels({ enabledOnly = false } = {}) {
+  const query = `
+    SELECT *
+    FROM monitored_channels
+    ${enabledOnly ? 'WHERE is_enabled = TRUE' : ''}
+    ORDER BY channel_id
+  `;
+
+  const { rows } = await pool.query(query);
+  return rows.map(rowToChannel);
+}
+
+/**
+ * Get the settings for one channel
+ *
+ * @param {string} channelId - Channel ID
+ * @returns {object|null} - Channel settings, or null if the channel isn't monitored
+ */
+async function getMonitoredChannel(channelId) {
+  const { rows } = await pool.query('SELECT * FROM monitored_channels WHERE channel_id = $1', [channelId]);
+  return rowToChannel(rows[0]);
+}
+
+/**
+ * Add a channel, or update its settings if it's already monitored
+ * Settings that are not provided keep their current value (or the config default for new channels).
+ * The optional settings in CLEARABLE_SETTINGS can be cleared with an explicit null,
+ * e.g. { summaryChannelId: null } posts to the channel itself again.
+ *
+ * @param {object} settings - Channel settings
+ * @param {string} settings.teamId - Workspace the channel belongs to (optional)
+ * @param {string} settings.channelId - Channel to collect stats for
+ * @param {string} settings.timezone - IANA timezone
+ * @param {string} settings.cronSchedule - Cron expression for the daily post
+ * @param {string} settings.summaryChannelId - Where to post (optional)
+ * @param {string[]} settings.enabledMetrics - Metrics to show (optional)
+ * @param {boolean} settings.enabled - Whether the channel is active (optional)
+ * @param {boolean} settings.showLeaderboard - Whether to include the leaderboard (optional)
+ * @param {string} settings.alertChannelId - Where anomaly alerts go, "" = no alerts for this channel (optional)
+ * @param {number} settings.anomalyZThreshold - Standard deviations that count as unusual (optional)
+ * @param {number} settings.anomalyLookbackWeeks - Weeks in the anomaly baseline (optional)
+ * @param {string} settings.quietHours - No alerts in this local range, e.g. "22-7" (optional)
+ * @param {number[]} settings.workingDays - Weekdays summaries are posted on, 0 = Sunday (optional)
+ * @returns {object} - The saved channel settings
+ */
+async function upsertMonitoredChannel(settings) {
+  const {
+    teamId,
+    channelId,
+    timezone,
+    cronSchedule,
+    summaryChannelId,
+    enabledMetrics,
+    enabled,
+    showLeaderboard,
+    alertChannelId,
+    anomalyZThreshold,
+    anomalyLookbackWeeks,
+    quietHours,
+    workingDays,
+  } = settings;
+
+  const query = `
+    INSERT INTO monitored_channels (
+      channel_id, timezone, cron_schedule, summary_channel_id, enabled_metrics, is_enabled, team_id,
+      show_leaderboard, alert_channel_id, anomaly_z_threshold, anomaly_lookback_weeks, quiet_hours, working_days
+    )
+    VALUES ($1, COALESCE($2, $7), COALESCE($3, $8), $4, COALESCE($5::text[], $9::text[]), COALESCE($6, TRUE), $10, $11, $12, $13, $14, $15, $16)
+    ON CONFLICT (channel_id) DO UPDATE
+      -- Only overwrite the settings that were actually provided ($17 = settings sent as null: clear them)
+      SET timezone = COALESCE($2, monitored_channels.timezone),
+          cron_schedule = COALESCE($3, monitored_channels.cron_schedule),
+          summary_channel_id = CASE WHEN 'summary_channel_id' = ANY($17::text[]) THEN NULL
+            ELSE COALESCE($4, monitored_channels.summary_channel_id) END,
+          enabled_metrics = COALESCE($5::text[], monitored_channels.enabled_metrics),
+          is_enabled = COALESCE($6, monitored_channels.is_enabled),
+          team_id = COALESCE($10, monitored_channels.team_id),
+          show_leaderboard = CASE WHEN 'show_leaderboard' = ANY($17::text[]) THEN NULL
+            ELSE COALESCE($11, monitored_channels.show_leaderboard) END,
+          alert_channel_id = CASE WHEN 'alert_channel_id' = ANY($17::text[]) THEN NULL
+            ELSE COALESCE($12, monitored_channels.alert_channel_id) END,
+          anomaly_z_threshold = CASE WHEN 'anomaly_z_threshold' = ANY($17::text[]) THEN NULL
+            ELSE COALESCE($13, monitored_channels.anomaly_z_threshold) END,
+          anomaly_lookback_weeks = CASE WHEN 'anomaly_lookback_weeks' = ANY($17::text[]) THEN NULL
+            ELSE COALESCE($14, monitored_channels.anomaly_lookback_weeks) END,
+          quiet_hours = CASE WHEN 'quiet_hours' = ANY($17::text[]) THEN NULL
+            ELSE COALESCE($15, monitored_channels.quiet_hours) END,
+          working_days = CASE WHEN 'working_days' = ANY($17::text[]) THEN NULL
+            ELSE COALESCE($16, monitored_channels.working_days) END,
+          updated_at = NOW()
+    RETURNING *
+  `;
+
+  const { rows } = await pool.query(query, [
+    channelId,
+    timezone || null,
+    cronSchedule || null,
+    summaryChannelId || null,
+    enabledMetrics || null,
+    typeof enabled === 'boolean' ? enabled : null,
+    config.timezone,        // Default timezone for new channels
+    config.cronSchedule,    // Default schedule for new channels
+    config.defaultMetrics,  // Default metrics for new channels
+    teamId || null,
+    typeof showLeaderboard === 'boolean' ? showLeaderboard : null,
+    alertChannelId === '' ? '' : (alertChannelId || null),  // "" is kept: it turns alerts off
+    anomalyZThreshold ?? null,
+    anomalyLookbackWeeks ?? null,
+    quietHours || null,
+    workingDays ? [...new Set(workingDays)].sort((a, b) => a - b) : null,
+    Object.entries(CLEARABLE_SETTINGS)
+      .filter(([name]) => settings[name] === null)
+      .map(([, column]) => column),
+  ]);
+
+  return rowToChannel(rows[0]);
+}
+
+/**
+ * Stop monitoring a channel
+ * Collected events and past summaries are kept
+ *
+ * @param {string} channelId - Channel ID
+ * @returns {boolean} - True if a channel was removed
+ */
+async function removeMonitoredChannel(channelId) {
+  const { rowCount } = await pool.query('DELETE FROM monitored_channels WHERE channel_id = $1', [channelId]);
+  return rowCount > 0;
+}
+
+/**
+ * Settings used for a channel that is not in monitored_channels
+ * (e.g., someone runs /dailyengage in a channel nobody registered)
+ *
+ * @param {string} channelId - Channel ID
+ * @param {string} teamId - Workspace the channel belongs to (optional)
+ * @returns {object} - Channel settings built from config defaults
+ */
+function defaultChannelSettings(channelId, teamId = null) {
+  return {
+    teamId,
+    channelId,
+    timezone: config.timezone,
+    cronSchedule: config.cronSchedule,
+    summaryChannelId: null,
+    enabledMetrics: config.defaultMetrics,
+    showLeaderboard: config.showLeaderboard,
+    alertChannelId: config.anomalyAlertChannelId || null,
+    anomalyZThreshold: config.anomalyZThreshold,
+    anomalyLookbackWeeks: config.anomalyLookbackWeeks,
+    quietHours: config.anomalyQuietHours || null,
+    workingDays: getDefaultWorkingDays(),
+    enabled: true,
+  };
+}
+
+// Export all functions so other files can use them
+module.exports = {
+  METRIC_KEYS,                // All metric keys a summary can show
+  validateChannelSettings,    // Validate settings before saving
+  listMonitoredChannels,      // List channels we summarize
+  getMonitoredChannel,        // Get one channel's settings
+  upsertMonitoredChannel,     // Add or update a channel
+  removeMonitoredChannel,     // Stop monitoring a channel
+  defaultChannelSettings,     // Fallback settings for unregistered channels
+  parseQuietHours,            // "22-7" → { start: 22, end: 7 }
+};
@@ -0,0 +1,377 @@
+/**
+ * CHART_RENDERER.JS - Tiny PNG Chart Drawing (no browser, no native modules)
+ *
+ * This file draws simple line and bar charts straight into a pixel buffer
+ * and encodes it as a PNG. It only uses Node.js built-ins (zlib), so it works
+ * on any host (Render, Docker, a laptop) without canvas/Cairo/Chrome.
+ *
+ * Pieces:
+ * - Image: { width, height, data } where data is RGBA bytes (4 per pixel)
+ * - Drawing helpers: fillRect, drawLine, drawText (3×5 pixel font, scaled up)
+ * - encodePng: turns an Image into PNG bytes
+ * - renderLineChart / renderBarChart: full charts built from the helpers
+ */
+
+// Import zlib (Node.js built-in, compresses the PNG pixel data)
+const zlib = require('zlib');
+
+// Colors as [red, green, blue]
+const COLORS = {
+  background: [255, 255, 255],
+  axis: [90, 90, 90],
+  grid: [225, 225, 225],
+  text: [40, 40, 40],
+  series: [
+    [54, 162, 235],   // Blue
+    [255, 159, 64],   // Orange
+    [75, 192, 120],   // Green
+    [153, 102, 255],  // Purple
+  ],
+};
+
+/**
+ * 3×5 pixel font
+ * Each character is 5 rows; each row is 3 bits (4 = left pixel, 2 = middle, 1 = right)
+ * Only uppercase letters, digits and a little punctuation - text is uppercased before drawing
+ */
+const FONT = {
+  '0': [7, 5, 5, 5, 7], '1': [2, 6, 2, 2, 7], '2': [7, 1, 7, 4, 7], '3': [7, 1, 3, 1, 7],
+  '4': [5, 5, 7, 1, 1], '5': [7, 4, 7, 1, 7], '6': [7, 4, 7, 5, 7], '7': [7, 1, 1, 2, 2],
+  '8': [7, 5, 7, 5, 7], '9': [7, 5, 7, 1, 7],
+  A: [2, 5, 7, 5, 5], B: [6, 5, 6, 5, 6], C: [3, 4, 4, 4, 3], D: [6, 5, 5, 5, 6],
+  E: [7, 4, 6, 4, 7], F: [7, 4, 6, 4, 4], G: [3, 4, 5, 5, 3], H: [5, 5, 7, 5, 5],
+  I: [7, 2, 2, 2, 7], J: [1, 1, 1, 5, 2], K: [5, 5, 6, 5, 5], L: [4, 4, 4, 4, 7],
+  M: [5, 7, 7, 5, 5], N: [6, 5, 5, 5, 5], O: [2, 5, 5, 5, 2], P: [6, 5, 6, 4, 4],
+  Q: [2, 5, 5, 6, 3], R: [6, 5, 6, 5, 5], S: [3, 4, 2, 1, 6], T: [7, 2, 2, 2, 2],
+  U: [5, 5, 5, 5, 7], V: [5, 5, 5, 5, 2], W: [5, 5, 7, 7, 5], X: [5, 5, 2, 5, 5],
+  Y: [5, 5, 2, 2, 2], Z: [7, 1, 2, 4, 7],
+  ' ': [0, 0, 0, 0, 0], '-': [0, 0, 7, 0, 0], ':': [0, 2, 0, 2, 0], '/': [1, 1, 2, 4, 4],
+  '.': [0, 0, 0, 0, 2], ',': [0, 0, 0, 2, 4], '%': [5, 1, 2, 4, 5], '+': [0, 2, 7, 2, 0],
+  '(': [1, 2, 2, 2, 1], ')': [4, 2, 2, 2, 4], '?': [7, 1, 2, 0, 2],
+};
+
+/**
+ * Create a blank image
+ *
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {number[]} color - Background [r, g, b]
+ * @returns {{width: number, height: number, data: Buffer}}
+ */
+function createImage(width, height, color = COLORS.background) {
+  const data = Buffer.alloc(width * height * 4);
+  for (let i = 0; i < width * height; i += 1) {
+    data[i * 4] = color[0];
+    data[i * 4 + 1] = color[1];
+    data[i * 4 + 2] = color[2];
+    data[i * 4 + 3] = 255;  // Fully opaque
+  }
+  return { width, height, data };
+}
+
+/**
+ * Fill a rectangle (anything outside the image is skipped)
+ *
+ * @param {object} image - From createImage
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {number[]} color - [r, g, b]
+ */
+function fillRect(image, x, y, width, height, color) {
+  const x0 = Math.max(0, Math.round(x));
+  const y0 = Math.max(0, Math.round(y));
+  const x1 = Math.min(image.width, Math.round(x + width));
+  const y1 = Math.min(image.height, Math.round(y + height));
+
+  for (let py = y0; py < y1; py += 1) {
+    for (let px = x0; px < x1; px += 1) {
+      const offset = (py * image.width + px) * 4;
+      image.data[offset] = color[0];
+      image.data[offset + 1] = color[1];
+      image.data[offset + 2] = color[2];
+    }
+  }
+}
+
+/**
+ * Draw a straight line (Bresenham's algorithm with a square "brush")
+ *
+ * @param {object} image - From createImage
+ * @param {number} x0 - Start x
+ * @param {number} y0 - Start y
+ * @param {number} x1 - End x
+ * @param {number} y1 - End y
+ * @param {number[]} color - [r, g, b]
+ * @param {number} thickness - Line width in pixels
+ */
+function drawLine(image, x0, y0, x1, y1, color, thickness = 1) {
+  let x = Math.round(x0);
+  let y = Math.round(y0);
+  const endX = Math.round(x1);
+  const endY = Math.round(y1);
+  const dx = Math.abs(endX - x);
+  const dy = -Math.abs(endY - y);
+  const stepX = x < endX ? 1 : -1;
+  const stepY = y < endY ? 1 : -1;
+  const offset = Math.floor(thickness / 2);
+  let error = dx + dy;
+
+  for (;;) {
+    fillRect(image, x - offset, y - offset, thickness, thickness, color);
+    if (x === endX && y === endY) break;
+    const doubled = 2 * error;
+    if (doubled >= dy) {
+      error += dy;
+      x += stepX;
+    }
+    if (doubled <= dx) {
+      error += dx;
+      y += stepY;
+    }
+  }
+}
+
+/**
+ * Width of a text string in pixels
+ *
+ * @param {string} text - Text to measure
+ * @param {number} scale - Pixel size of one font "dot"
+ * @returns {number}
+ */
+function measureText(text, scale = 2) {
+  // 3 dots per character + 1 dot of spacing (no spacing after the last one)
+  return Math.max(0, String(text).length * 4 * scale - scale);
+}
+
+/**
+ * Draw text with the built-in 3×5 font
+ *
+ * @param {object} image - From createImage
+ * @param {string} text - Text (lowercase is drawn as uppercase)
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ * @param {number[]} color - [r, g, b]
+ * @param {number} scale - Pixel size of one font "dot" (2 = 6×10 px characters)
+ */
+function drawText(image, text, x, y, color = COLORS.text, scale = 2) {
+  let cursor = x;
+  for (const char of String(text).toUpperCase()) {
+    const rows = FONT[char] || FONT['?'];
+    rows.forEach((bits, row) => {
+      for (let column = 0; column < 3; column += 1) {
+        if (bits & (4 >> column)) {
+          fillRect(image, cursor + column * scale, y + row * scale, scale, scale, color);
+        }
+      }
+    });
+    cursor += 4 * scale;
+  }
+}
+
+// CRC-32 lookup table (needed for every PNG chunk)
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * CRC-32 checksum of a buffer
+ *
+ * @param {Buffer} buffer - Bytes to check
+ * @returns {number} - Unsigned 32-bit checksum
+ */
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build one PNG chunk: length + type + data + CRC
+ *
+ * @param {string} type - 4-letter chunk type (e.g., "IHDR")
+ * @param {Buffer} data - Chunk contents
+ * @returns {Buffer}
+ */
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * Encode an image as PNG
+ *
+ * @param {object} image - From createImage
+ * @returns {Buffer} - PNG file contents
+ */
+function encodePng(image) {
+  const { width, height, data } = image;
+
+  // IHDR: size, 8 bits per channel, color type 6 (RGBA), default compression/filter/interlace
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = 6;
+
+  // Each row starts with a filter byte (0 = no filter)
+  const rowLength = width * 4;
+  const raw = Buffer.alloc((rowLength + 1) * height);
+  for (let y = 0; y < height; y += 1) {
+    data.copy(raw, y * (rowLength + 1) + 1, y * rowLength, (y + 1) * rowLength);
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),  // PNG signature
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+// Number of steps on the y-axis (grid lines above the x-axis)
+const GRID_LINES = 4;
+
+/**
+ * Round a maximum up to a "nice" axis value
+ * Each of the GRID_LINES steps is a whole 1, 2, 2.5 or 5 × 10^n, so every axis label is a round number
+ *
+ * @param {number} value - Largest value on the chart
+ * @returns {number} - e.g., 30 → 40, 150 → 200, 0 → 4
+ */
+function niceMax(value) {
+  const rawStep = Math.max(1, Math.ceil(value / GRID_LINES));
+  const magnitude = 10 ** Math.floor(Math.log10(rawStep));
+  // 2.5 only when it stays a whole number (25, 250, ...)
+  const step = [1, 2, 2.5, 5, 10].find((factor) => Number.isInteger(factor * magnitude) && factor * magnitude >= rawStep);
+  return step * magnitude * GRID_LINES;
+}
+
+/**
+ * Draw the title, horizontal grid lines and y-axis labels shared by both charts
+ *
+ * @param {object} image - From createImage
+ * @param {object} plot - Plot area { left, top, right, bottom }
+ * @param {string} title - Chart title
+ * @param {number} maxValue - Top of the y-axis
+ */
+function drawFrame(image, plot, title, maxValue) {
+  drawText(image, title, plot.left, 14, COLORS.text, 3);
+
+  for (let i = 0; i <= GRID_LINES; i += 1) {
+    const y = plot.bottom - ((plot.bottom - plot.top) * i) / GRID_LINES;
+    drawLine(image, plot.left, y, plot.right, y, i === 0 ? COLORS.axis : COLORS.grid);
+    const label = String((maxValue * i) / GRID_LINES);
+    drawText(image, label, plot.left - 8 - measureText(label), y - 5);
+  }
+  drawLine(image, plot.left, plot.top, plot.left, plot.bottom, COLORS.axis);
+}
+
+/**
+ * Render a line chart
+ *
+ * @param {object} options
+ * @param {string} options.title - Chart title
+ * @param {string[]} options.labels - X-axis labels (one per point, e.g. "10-18")
+ * @param {object[]} options.series - Lines to draw [{ name: "Messages", values: [1, 2, 3] }]
+ * @param {number} options.width - Image width (default 900)
+ * @param {number} options.height - Image height (default 420)
+ * @returns {Buffer} - PNG file contents
+ */
+function renderLineChart({ title, labels, series, width = 900, height = 420 }) {
+  const image = createImage(width, height);
+  const plot = { left: 70, top: 60, right: width - 30, bottom: height - 50 };
+  const maxValue = niceMax(Math.max(0, ...series.flatMap((line) => line.values)));
+
+  drawFrame(image, plot, title, maxValue);
+
+  const pointCount = Math.max(labels.length, 1);
+  const xFor = (index) => plot.left + (pointCount === 1 ? 0 : ((plot.right - plot.left) * index) / (pointCount - 1));
+  const yFor = (value) => plot.bottom - ((plot.bottom - plot.top) * value) / maxValue;
+
+  // X-axis labels: first, middle and last point (more would overlap)
+  const labelIndexes = [...new Set([0, Math.floor((pointCount - 1) / 2), pointCount - 1])];
+  for (const index of labelIndexes) {
+    if (labels[index] === undefined) continue;
+    const label = labels[index];
+    const x = Math.min(Math.max(xFor(index) - measureText(label) / 2, plot.left), plot.right - measureText(label));
+    drawText(image, label, x, plot.bottom + 14);
+  }
+
+  // Lines (with a dot on every point)
+  const colorFor = (seriesIndex) => COLORS.series[seriesIndex % COLORS.series.length];
+  series.forEach((line, seriesIndex) => {
+    for (let i = 1; i < line.values.length; i += 1) {
+      drawLine(image, xFor(i - 1), yFor(line.values[i - 1]), xFor(i), yFor(line.values[i]), colorFor(seriesIndex), 3);
+    }
+    for (let i = 0; i < line.values.length; i += 1) {
+      fillRect(image, xFor(i) - 3, yFor(line.values[i]) - 3, 6, 6, colorFor(seriesIndex));
+    }
+  });
+
+  // Legend (top right, in series order)
+  const legendWidth = series.reduce((total, line) => total + measureText(line.name) + 30, 0);
+  let legendX = plot.right - legendWidth;
+  series.forEach((line, seriesIndex) => {
+    fillRect(image, legendX, 34, 12, 12, colorFor(seriesIndex));
+    drawText(image, line.name, legendX + 18, 35);
+    legendX += measureText(line.name) + 30;
+  });
+
+  return encodePng(image);
+}
+
+/**
+ * Render a bar chart
+ *
+ * @param {object} options
+ * @param {string} options.title - Chart title
+ * @param {string[]} options.labels - One label per bar (e.g., "Messages")
+ * @param {number[]} options.values - One value per bar
+ * @param {number} options.width - Image width (default 900)
+ * @param {number} options.height - Image height (default 420)
+ * @returns {Buffer} - PNG file contents
+ */
+function renderBarChart({ title, labels, values, width = 900, height = 420 }) {
+  const image = createImage(width, height);
+  const plot = { left: 70, top: 60, right: width - 30, bottom: height - 50 };
+  const maxValue = niceMax(Math.max(0, ...values));
+
+  drawFrame(image, plot, title, maxValue);
+
+  const slot = (plot.right - plot.left) / Math.max(values.length, 1);
+  const barWidth = slot * 0.6;
+
+  values.forEach((value, index) => {
+    const color = COLORS.series[index % COLORS.series.length];
+    const x = plot.left + slot * index + (slot - barWidth) / 2;
+    const barHeight = ((plot.bottom - plot.top) * value) / maxValue;
+    fillRect(image, x, plot.bottom - barHeight, barWidth, barHeight, color);
+
+    // Value above the bar, label below the axis (centered on the bar)
+    const valueText = String(value);
+    drawText(image, valueText, x + (barWidth - measureText(valueText)) / 2, plot.bottom - barHeight - 16);
+    const label = labels[index] || '';
+    drawText(image, label, x + (barWidth - measureText(label)) / 2, plot.bottom + 14);
+  });
+
+  return encodePng(image);
+}
+
+// Export functions so chartService can use them
+module.exports = {
+  renderLineChart,   // PNG line chart (e.g., 30 days of activity)
+  renderBarChart,    // PNG bar chart (e.g., one day's metric breakdown)
+  encodePng,         // Raw image → PNG bytes
+};
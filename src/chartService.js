@@ -0,0 +1,100 @@
+/**
+ * CHART_SERVICE.JS - Charts for the Daily Summary
+ *
+ * This file turns summary data into PNG images (drawn by chartRenderer.js):
+ * 1. Line chart: messages, reactions and files per day over the last CHART_DAYS days
+ * 2. Bar chart: the summary day's metric breakdown (same metrics as the table)
+ *
+ * The scheduler uploads them into the summary's thread with files.uploadV2.
+ * If CHART_OUTPUT_DIR is set, every chart is also written to disk there,
+ * so charts can be checked without Slack (e.g., with no bot token configured).
+ */
+
+// Import Node.js built-ins for writing charts to disk
+const fs = require('fs');
+const path = require('path');
+// Import the PNG drawing functions
+const { renderLineChart, renderBarChart } = require('./chartRenderer');
+// Import the per-day activity counts
+const { collectDailyActivity } = require('./statsService');
+// Import config for chart settings
+const config = require('./config');
+
+/**
+ * Bars in the breakdown chart
+ * The keys match channelsStore.METRIC_KEYS; labels are short so they fit under the bars
+ */
+const BAR_METRICS = [
+  { key: 'messages', label: 'Messages', field: 'messageCount' },
+  { key: 'threads', label: 'Threads', field: 'threadCount' },
+  { key: 'replies', label: 'Replies', field: 'replyCount' },
+  { key: 'reactions', label: 'Reactions', field: 'reactionCount' },
+  { key: 'netReactions', label: 'Net', field: 'netReactionCount' },
+  { key: 'files', label: 'Files', field: 'fileUploadCount' },
+  { key: 'newMembers', label: 'Joined', field: 'newMemberCount' },
+  { key: 'membersRemoved', label: 'Left', field: 'memberRemovedCount' },
+];
+
+/**
+ * Render the charts for a daily summary
+ *
+ * @param {object} summary - Summary from statsService.collectStatsForDate
+ * @param {object} options
+ * @param {string} options.timezone - IANA timezone the days are measured in
+ * @param {string[]} options.enabledMetrics - Which metrics to show in the bar chart (defaults to all)
+ * @param {number} options.days - Days in the line chart (defaults to CHART_DAYS)
+ * @returns {Array<{filename: string, title: string, content: Buffer}>} - PNG files
+ */
+async function renderSummaryCharts(summary, { timezone = config.timezone, enabledMetrics, days = config.chartDays } = {}) {
+  const { channelId, teamId, statDate } = summary;
+
+  // Chart 1: activity per day, ending on the summary date
+  const activity = await collectDailyActivity(channelId, statDate, days, timezone, teamId);
+  const valuesFor = (field) => activity.map((day) => day[field]);
+  const lineChart = renderLineChart({
+    title: `Last ${days} days`,
+    labels: activity.map((day) => day.date.slice(5)),  // "MM-DD" keeps the axis short
+    series: [
+      { name: 'Messages', values: valuesFor('messages') },
+      { name: 'Reactions', values: valuesFor('reactions') },
+      { name: 'Files', values: valuesFor('files') },
+    ],
+  });
+
+  // Chart 2: the day's breakdown
+  const bars = enabledMetrics?.length
+    ? BAR_METRICS.filter((metric) => enabledMetrics.includes(metric.key))
+    : BAR_METRICS;
+  const barChart = renderBarChart({
+    title: `${statDate} breakdown`,
+    labels: bars.map((metric) => metric.label),
+    values: bars.map((metric) => summary[metric.field] || 0),
+  });
+
+  return [
+    { filename: `activity-${channelId}-${statDate}.png`, title: `Activity - last ${days} days`, content: lineChart },
+    { filename: `breakdown-${channelId}-${statDate}.png`, title: `Breakdown - ${statDate}`, content: barChart },
+  ];
+}
+
+/**
+ * Write charts to a folder (creates the folder if needed)
+ *
+ * @param {Array<{filename: string, content: Buffer}>} charts - From renderSummaryCharts
+ * @param {string} outputDir - Folder to write to (defaults to CHART_OUTPUT_DIR)
+ * @returns {string[]} - Paths of the written files
+ */
+function saveChartsToDisk(charts, outputDir = config.chartOutputDir) {
+  fs.mkdirSync(outputDir, { recursive: true });
+  return charts.map((chart) => {
+    const filePath = path.join(outputDir, chart.filename);
+    fs.writeFileSync(filePath, chart.content);
+    return filePath;
+  });
+}
+
+// Export functions so the scheduler can use them
+module.exports = {
+  renderSummaryCharts,   // Summary → PNG charts
+  saveChartsToDisk,      // Write PNGs to CHART_OUTPUT_DIR
+};
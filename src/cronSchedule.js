@@ -0,0 +1,299 @@
+/**
+ * CRON_SCHEDULE.JS - Reading Cron Expressions
+ *
+ * node-cron runs our jobs, but it can't tell us which days a schedule runs on.
+ * This file reads a cron expression ourselves, so other code can ask questions like
+ * "was a summary due on 2026-10-18?" (used by the catch-up job) or
+ * "when does this schedule run next, in Asia/Kolkata?" (logs, App Home, GET /api/schedules).
+ *
+ * Cron format: "minute hour day-of-month month weekday"
+ * (node-cron also allows a leading seconds field; it's ignored here)
+ *
+ * Each field can be:
+ *   *          → every value
+ *   5          → one value
+ *   1-5        → a range
+ *   1,3,5      → a list
+ *   *\/15, 1-5/2 → every Nth value
+ *   mon, jan   → weekday / month names (weekday 0 and 7 are both Sunday)
+ *
+ * Like node-cron, a time matches only if EVERY field matches
+ * (so "0 9 1 * 1" means "the 1st of the month, if it's a Monday").
+ */
+
+// How far ahead to look for a next run (28 years: even "Feb 29 that's a Monday" comes around)
+const MAX_SEARCH_DAYS = 28 * 366;
+
+// One date formatter per timezone (creating them is slow, and next-run searches use them a lot)
+const localTimeFormatters = new Map();
+
+// Allowed values per field, in cron order
+const CRON_FIELDS = [
+  { name: 'minutes', min: 0, max: 59 },
+  { name: 'hours', min: 0, max: 23 },
+  { name: 'daysOfMonth', min: 1, max: 31 },
+  { name: 'months', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'weekdays', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+];
+
+/**
+ * Turn one value of a field into a number ("5", "mon", "monday" → number)
+ *
+ * @param {string} value - Value from the expression
+ * @param {object} field - Entry from CRON_FIELDS
+ * @returns {number} - NaN if it isn't a valid value
+ */
+function parseCronValue(value, field) {
+  if (/^\d+$/.test(value)) return Number(value);
+
+  // Names: "mon" or "monday" (months start at 1, weekdays at 0)
+  const index = (field.names || []).indexOf(value.slice(0, 3).toLowerCase());
+  if (index === -1) return NaN;
+  return field.name === 'months' ? index + 1 : index;
+}
+
+/**
+ * Expand one field of a cron expression into every value it allows
+ *
+ * @param {string} text - Field text, e.g. "1-5" or "*\/15"
+ * @param {object} field - Entry from CRON_FIELDS
+ * @returns {number[]|null} - Sorted values, or null if the field is invalid
+ *
+ * Examples:
+ *   parseCronField("*\/15", minutes)   → [0, 15, 30, 45]
+ *   parseCronField("mon-fri", weekdays) → [1, 2, 3, 4, 5]
+ */
+function parseCronField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) return null;
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = parseCronValue(from, field);
+      end = parseCronValue(to, field);
+    } else {
+      start = parseCronValue(range, field);
+      // "5/10" means "from 5, every 10"
+      end = stepText === undefined ? start : field.max;
+    }
+
+    if ([start, end].some((value) => Number.isNaN(value) || value < field.min || value > field.max) || start > end) {
+      return null;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  // Weekday 7 is Sunday too
+  if (field.name === 'weekdays' && values.delete(7)) {
+    values.add(0);
+  }
+
+  return [...values].sort((a, b) => a - b);
+}
+
+/**
+ * Expand a whole cron expression
+ *
+ * @param {string} cronSchedule - e.g., "0 15 * * 1-5"
+ * @returns {object|null} - { minutes, hours, daysOfMonth, months, weekdays } (arrays of numbers),
+ *   or null if the expression is invalid
+ */
+function parseCronExpression(cronSchedule) {
+  const parts = (cronSchedule || '').trim().split(/\s+/);
+  // Six fields = node-cron's optional seconds field first
+  const fields = parts.length === 6 ? parts.slice(1) : parts;
+  if (fields.length !== 5) return null;
+
+  const parsed = {};
+  for (let index = 0; index < CRON_FIELDS.length; index += 1) {
+    const values = parseCronField(fields[index], CRON_FIELDS[index]);
+    if (!values || !values.length) return null;
+    parsed[CRON_FIELDS[index].name] = values;
+  }
+  return parsed;
+}
+
+/**
+ * Check if a schedule runs at least once on a calendar day
+ *
+ * @param {string} cronSchedule - Cron expression
+ * @param {string} dateString - Day in YYYY-MM-DD format (in the schedule's own timezone)
+ * @returns {boolean}
+ *
+ * Example: cronRunsOnDate("0 15 * * 1-5", "2026-10-18") → false (a Sunday)
+ */
+function cronRunsOnDate(cronSchedule, dateString) {
+  const cron = parseCronExpression(cronSchedule);
+  if (!cron) return false;
+  return matchesDay(cron, dateString);
+}
+
+/**
+ * Check if a parsed cron allows a calendar day
+ *
+ * @param {object} cron - Result of parseCronExpression
+ * @param {string} dateString - Day in YYYY-MM-DD format
+ * @returns {boolean}
+ */
+function matchesDay(cron, dateString) {
+  // Noon UTC keeps the calendar day the same whatever the server's timezone is
+  const date = new Date(`${dateString}T12:00:00.000Z`);
+  return cron.daysOfMonth.includes(date.getUTCDate())
+    && cron.months.includes(date.getUTCMonth() + 1)
+    && cron.weekdays.includes(date.getUTCDay());
+}
+
+/**
+ * Read the local date and time of a moment in a timezone
+ *
+ * @param {Date} date - The moment
+ * @param {string} timezone - IANA timezone
+ * @returns {{dateString: string, hour: number, minute: number}}
+ *
+ * Example: getLocalTime(new Date("2026-10-19T09:30:00Z"), "Asia/Kolkata")
+ *   → { dateString: "2026-10-19", hour: 15, minute: 0 }
+ */
+function getLocalTime(date, timezone) {
+  if (!localTimeFormatters.has(timezone)) {
+    localTimeFormatters.set(timezone, new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    }));
+  }
+
+  const parts = localTimeFormatters.get(timezone).formatToParts(date);
+
+  const get = (type) => parts.find((part) => part.type === type).value;
+  return {
+    dateString: `${get('year')}-${get('month')}-${get('day')}`,
+    hour: Number(get('hour')),
+    minute: Number(get('minute')),
+  };
+}
+
+/**
+ * Turn a local wall-clock time in a timezone into the real moment
+ *
+ * @param {string} dateString - Local day (YYYY-MM-DD)
+ * @param {number} hour - Local hour (0-23)
+ * @param {number} minute - Local minute
+ * @param {string} timezone - IANA timezone
+ * @returns {Date|null} - null if that time doesn't exist there (skipped when clocks go forward)
+ */
+function localTimeToDate(dateString, hour, minute, timezone) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  // The timezone's offset at a moment = how far its wall clock is from UTC
+  const offsetAt = (time) => {
+    const local = getLocalTime(new Date(time), timezone);
+    const [y, m, d] = local.dateString.split('-').map(Number);
+    return Date.UTC(y, m - 1, d, local.hour, local.minute) - Math.floor(time / 60000) * 60000;
+  };
+
+  // Guess with the offset near that time, then correct once (the offset can change around DST)
+  let time = wallClock - offsetAt(wallClock);
+  time = wallClock - offsetAt(time);
+
+  const check = getLocalTime(new Date(time), timezone);
+  if (check.dateString !== dateString || check.hour !== hour || check.minute !== minute) {
+    return null;
+  }
+  return new Date(time);
+}
+
+/**
+ * Next times a schedule runs, in the schedule's timezone
+ * Works for any expression node-cron accepts (weekday-only, several hours a day, steps, ...)
+ *
+ * @param {string} cronSchedule - Cron expression
+ * @param {string} timezone - IANA timezone the schedule runs in (default: UTC)
+ * @param {object} options
+ * @param {Date} options.from - Start looking after this moment (default: now)
+ * @param {number} options.count - How many run times to return (default: 1)
+ * @returns {Date[]} - Run times, soonest first (empty if the expression is invalid or never runs)
+ *
+ * Example: getNextRunTimes("0 9,17 * * 1-5", "Asia/Kolkata", { from: <Fri 2026-10-16 12:00 IST>, count: 3 })
+ *   → Fri 5:00 PM, Mon 9:00 AM, Mon 5:00 PM (as Date objects)
+ */
+function getNextRunTimes(cronSchedule, timezone = 'UTC', { from = new Date(), count = 1 } = {}) {
+  const cron = parseCronExpression(cronSchedule);
+  if (!cron) return [];
+
+  const runs = [];
+  const start = getLocalTime(from, timezone);
+  const [year, month, day] = start.dateString.split('-').map(Number);
+
+  for (let offset = 0; offset < MAX_SEARCH_DAYS && runs.length < count; offset += 1) {
+    const dateString = new Date(Date.UTC(year, month - 1, day + offset)).toISOString().slice(0, 10);
+    if (!matchesDay(cron, dateString)) continue;
+
+    for (const hour of cron.hours) {
+      // Today's hours that are long gone can't be next (one hour of slack for DST changes)
+      if (offset === 0 && hour < start.hour - 1) continue;
+
+      for (const minute of cron.minutes) {
+        const runTime = localTimeToDate(dateString, hour, minute, timezone);
+        if (runTime && runTime > from) {
+          runs.push(runTime);
+          if (runs.length === count) return runs;
+        }
+      }
+    }
+  }
+
+  return runs;
+}
+
+/**
+ * Next time a schedule runs
+ *
+ * @param {string} cronSchedule - Cron expression
+ * @param {string} timezone - IANA timezone the schedule runs in
+ * @param {Date} from - Start looking after this moment (default: now)
+ * @returns {Date|null} - null if the expression is invalid or never runs
+ */
+function getNextRunTime(cronSchedule, timezone = 'UTC', from = new Date()) {
+  return getNextRunTimes(cronSchedule, timezone, { from, count: 1 })[0] || null;
+}
+
+/**
+ * Earliest time of day a schedule runs
+ *
+ * @param {string} cronSchedule - Cron expression
+ * @returns {{hour: number, minute: number}|null} - null if the expression is invalid
+ *
+ * Example: getFirstRunTime("30 9,17 * * *") → { hour: 9, minute: 30 }
+ */
+function getFirstRunTime(cronSchedule) {
+  const cron = parseCronExpression(cronSchedule);
+  if (!cron) return null;
+  return { hour: cron.hours[0], minute: cron.minutes[0] };
+}
+
+// Export functions so the scheduler and catch-up job can use them
+module.exports = {
+  parseCronExpression,  // Cron expression → allowed values per field
+  cronRunsOnDate,       // Does a schedule run on this day?
+  getFirstRunTime,      // Earliest hour/minute a schedule runs
+  getNextRunTimes,      // Next N run times in a timezone
+  getNextRunTime,       // Next run time in a timezone
+  getLocalTime,         // Local date/hour/minute of a moment
+};
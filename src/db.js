@@ -53,6 +53,42 @@ const getPoolConfig = () => {
  */
 const pool = new Pool(getPoolConfig());
 
+/**
+ * A second, small pool only for job locks (see jobLocks.js)
+ * A job holds its lock's connection for as long as it runs, and runs its own queries through `pool`.
+ * If both came from the same pool, channels that fire together could take every connection
+ * for their locks and then wait forever for one more to run a query.
+ * With their own pool, jobs that don't get a lock connection right away just wait for a free one.
+ */
+const lockPool = new Pool({ ...getPoolConfig(), max: config.jobLockConnections });
+
+/**
+ * Build the CREATE TABLE statement for a rollup (weekly/monthly) summary table
+ * 
+ * @param {string} tableName - "weekly_summaries" or "monthly_summaries"
+ * @returns {string} - SQL statement
+ */
+function buildPeriodSummaryTable(tableName) {
+  return `CREATE TABLE IF NOT EXISTS ${tableName} (
+        id SERIAL PRIMARY KEY,              -- Auto-incrementing unique ID
+        team_id TEXT,                       -- Which workspace
+        channel_id TEXT NOT NULL,           -- Which channel
+        period_start DATE NOT NULL,         -- First day of the period (YYYY-MM-DD)
+        period_end DATE NOT NULL,           -- Last day of the period (YYYY-MM-DD)
+        message_count INTEGER NOT NULL DEFAULT 0,
+        thread_count INTEGER NOT NULL DEFAULT 0,
+        reply_count INTEGER NOT NULL DEFAULT 0,
+        reaction_count INTEGER NOT NULL DEFAULT 0,
+        net_reaction_count INTEGER NOT NULL DEFAULT 0,
+        file_upload_count INTEGER NOT NULL DEFAULT 0,
+        new_member_count INTEGER NOT NULL DEFAULT 0,
+        member_removed_count INTEGER NOT NULL DEFAULT 0,
+        message_ts TEXT,                    -- Slack message timestamp (if we posted it)
+        created_at TIMESTAMPTZ DEFAULT NOW(), -- When we saved this summary
+        UNIQUE(channel_id, period_start)    -- One report per channel per period
+     );`;
+}
+
 /**
  * Initialize the database
  * This function creates all the tables we need if they don't already exist
@@ -63,6 +99,20 @@ const pool = new Pool(getPoolConfig());
  * 3. message_events - Stores when someone sends a message
  * 4. file_events - Stores when someone uploads a file
  * 5. daily_summaries - Stores the daily summary results that were posted to Slack
+ * 6. monitored_channels - Stores which channels we summarize and their settings
+ * 7. installations - Stores the bot token for every workspace that installed the app
+ * 8. users - Cache of Slack user names (for leaderboards)
+ * 9. weekly_summaries / monthly_summaries - Stores the weekly and monthly rollup reports
+ * 10. anomaly_alerts - Stores every activity spike/drop alert (so each one is only posted once)
+ * 11. summary_revisions - History of daily summaries whose counts changed after they were posted
+ * 12. slack_outbox - Every message we post to Slack, saved before sending (so failed posts are retried, not lost)
+ * 13. job_runs - History of every job run: summaries, reports, checks (what started it, how long it took, how it ended)
+ * 14. channel_holidays - Days a channel doesn't work (no summary is posted on them)
+ * 15. api_keys - Keys that can call the admin API (only a hash of each key is stored)
+ * 16. audit_log - Every call to the admin API, and every key issued or revoked
+ * 
+ * After the tables are created, "migrations" add columns that newer features need
+ * to tables that may already exist in older databases.
  * 
  * This function runs automatically when the server starts
  */
@@ -148,6 +198,266 @@ async function initDb() {
         created_at TIMESTAMPTZ DEFAULT NOW(), -- When we saved this summary
         UNIQUE(channel_id, stat_date)       -- Can't have two summaries for same channel+date
      );`,
+
+    /**
+     * MONITORED_CHANNELS TABLE
+     * Stores every channel we produce a daily summary for, with its own settings
+     * Admins add/remove rows through /api/channels (no redeploy needed)
+     */
+    `CREATE TABLE IF NOT EXISTS monitored_channels (
+        id SERIAL PRIMARY KEY,              -- Auto-incrementing unique ID
+        channel_id TEXT UNIQUE NOT NULL,    -- Channel we collect stats for
+        timezone TEXT NOT NULL,             -- IANA timezone for "yesterday" and the cron (e.g., "Asia/Kolkata")
+        cron_schedule TEXT NOT NULL,        -- When to post (e.g., "0 15 * * *")
+        summary_channel_id TEXT,            -- Where to post the summary (NULL = the channel itself)
+        enabled_metrics TEXT[] NOT NULL,    -- Which metrics to show (e.g., {messages,reactions})
+        is_enabled BOOLEAN NOT NULL DEFAULT TRUE, -- Paused channels keep their settings but don't post
+        created_at TIMESTAMPTZ DEFAULT NOW(), -- When the channel was added
+        updated_at TIMESTAMPTZ DEFAULT NOW()  -- When the settings last changed
+     );`,
+
+    /**
+     * INSTALLATIONS TABLE
+     * Stores one row per workspace (team) that installed the app through OAuth
+     * The bot token here is used for everything we do in that workspace
+     */
+    `CREATE TABLE IF NOT EXISTS installations (
+        id SERIAL PRIMARY KEY,              -- Auto-incrementing unique ID
+        team_id TEXT UNIQUE NOT NULL,       -- Slack workspace ID (e.g., "T012AB3C4")
+        team_name TEXT,                     -- Workspace name (for logs)
+        enterprise_id TEXT,                 -- Enterprise Grid org ID (if any)
+        app_id TEXT,                        -- Our Slack app ID
+        bot_user_id TEXT,                   -- The bot's user ID in that workspace
+        bot_token TEXT NOT NULL,            -- Bot token (xoxb-...) for that workspace
+        scope TEXT,                         -- Scopes that were granted
+        installed_by TEXT,                  -- User who approved the install
+        installed_at TIMESTAMPTZ DEFAULT NOW(), -- First install
+        updated_at TIMESTAMPTZ DEFAULT NOW()    -- Last re-install
+     );`,
+
+    /**
+     * USERS TABLE
+     * Local cache of Slack user names, filled from users.info
+     * Rows older than USER_CACHE_TTL_HOURS are refreshed on the next lookup
+     */
+    `CREATE TABLE IF NOT EXISTS users (
+        id SERIAL PRIMARY KEY,              -- Auto-incrementing unique ID
+        team_id TEXT,                       -- Workspace the user belongs to
+        user_id TEXT UNIQUE NOT NULL,       -- Slack user ID (e.g., "U12345")
+        display_name TEXT NOT NULL,         -- Name shown in summaries
+        real_name TEXT,                     -- Full name from the profile
+        is_bot BOOLEAN NOT NULL DEFAULT FALSE, -- Bot users
+        fetched_at TIMESTAMPTZ NOT NULL DEFAULT NOW() -- When we last asked Slack
+     );`,
+
+    /**
+     * WEEKLY_SUMMARIES / MONTHLY_SUMMARIES TABLES
+     * Same idea as daily_summaries, but for a whole week (Monday-Sunday) or calendar month
+     * Both tables have the same columns (see buildPeriodSummaryTable above)
+     */
+    buildPeriodSummaryTable('weekly_summaries'),
+    buildPeriodSummaryTable('monthly_summaries'),
+
+    /**
+     * ANOMALY_ALERTS TABLE
+     * Stores every unusual spike or drop we detected
+     * The UNIQUE constraint makes sure an alert is only posted once, even if the check runs again
+     */
+    `CREATE TABLE IF NOT EXISTS anomaly_alerts (
+        id SERIAL PRIMARY KEY,              -- Auto-incrementing unique ID
+        team_id TEXT,                       -- Which workspace
+        channel_id TEXT NOT NULL,           -- Channel the activity happened in
+        window_type TEXT NOT NULL,          -- "hour" or "day"
+        window_start TIMESTAMPTZ NOT NULL,  -- Start of the hour/day that was checked
+        metric TEXT NOT NULL,               -- "messages" or "reactions"
+        observed INTEGER NOT NULL,          -- What actually happened
+        baseline_mean NUMERIC NOT NULL,     -- Average of the same window in previous weeks
+        baseline_stddev NUMERIC NOT NULL,   -- How much that usually varies
+        z_score NUMERIC NOT NULL,           -- (observed - mean) / stddev
+        direction TEXT NOT NULL,            -- "spike" or "drop"
+        alert_channel_id TEXT,              -- Where the alert was posted
+        message_ts TEXT,                    -- Slack message timestamp of the alert
+        created_at TIMESTAMPTZ DEFAULT NOW(), -- When we detected it
+        UNIQUE(channel_id, window_type, window_start, metric)
+     );`,
+
+    /**
+     * SUMMARY_REVISIONS TABLE
+     * Stores every time reconciliation found different counts for a day that was already saved
+     * (e.g., events Slack retried or delivered late, after the summary was posted)
+     */
+    `CREATE TABLE IF NOT EXISTS summary_revisions (
+        id SERIAL PRIMARY KEY,              -- Auto-incrementing unique ID
+        team_id TEXT,                       -- Which workspace
+        channel_id TEXT NOT NULL,           -- Channel the summary is for
+        stat_date DATE NOT NULL,            -- Day the summary covers
+        previous_counts JSONB NOT NULL,     -- Counts saved before the revision
+        new_counts JSONB NOT NULL,          -- Counts after recounting
+        changed_fields TEXT[] NOT NULL,     -- Which counts changed (e.g., {messageCount,reactionCount})
+        message_ts TEXT,                    -- Slack message that was updated (NULL if it wasn't posted)
+        created_at TIMESTAMPTZ DEFAULT NOW() -- When the revision was made
+     );`,
+
+    /**
+     * SLACK_OUTBOX TABLE
+     * Every message is saved here first, then sent by outbox.js
+     * If Slack is down or rate limits us, the message stays "pending" and is retried later
+     */
+    `CREATE TABLE IF NOT EXISTS slack_outbox (
+        id SERIAL PRIMARY KEY,              -- Auto-incrementing unique ID
+        team_id TEXT,                       -- Which workspace (picks the bot token)
+        channel_id TEXT NOT NULL,           -- Channel to post to
+        kind TEXT NOT NULL,                 -- "summary", "rollup", "heatmap", "anomaly_alert", ...
+        reference JSONB,                    -- What to update once it's sent (e.g., which daily summary)
+        text TEXT,                          -- Plain text fallback
+        blocks JSONB,                       -- Block Kit blocks
+        status TEXT NOT NULL DEFAULT 'pending', -- "pending", "sending", "sent" or "failed"
+        attempts INTEGER NOT NULL DEFAULT 0,    -- How many times we tried to send it
+        next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(), -- When the worker may try again
+        last_error TEXT,                    -- Why the last attempt failed
+        message_ts TEXT,                    -- Slack message timestamp once sent
+        created_at TIMESTAMPTZ DEFAULT NOW(), -- When it was queued
+        updated_at TIMESTAMPTZ DEFAULT NOW(), -- Last status change
+        sent_at TIMESTAMPTZ                 -- When Slack accepted it
+     );`,
+
+    /**
+     * JOB_RUNS TABLE
+     * One row per job run, so failures can be found without reading the logs
+     */
+    `CREATE TABLE IF NOT EXISTS job_runs (
+        id SERIAL PRIMARY KEY,              -- Auto-incrementing unique ID
+        job_type TEXT NOT NULL,             -- Which job (e.g., "daily-summary", "weekly-report", "outbox")
+        trigger TEXT NOT NULL,              -- What started it: "cron", "slash", "api" or "catch-up"
+        team_id TEXT,                       -- Which workspace
+        channel_id TEXT,                    -- Which channel (NULL for jobs about every channel, like the outbox)
+        target_date DATE,                   -- Which day the job was about
+        status TEXT NOT NULL,               -- "running", "posted", "updated", "queued", "skipped", "done" or "failed"
+        error TEXT,                         -- Error message (failed) or why it was skipped
+        message_ts TEXT,                    -- Slack message it posted/updated
+        started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(), -- When it started
+        finished_at TIMESTAMPTZ,            -- When it ended (NULL while running)
+        duration_ms INTEGER                 -- How long it took
+     );`,
+
+    /**
+     * CHANNEL_HOLIDAYS TABLE
+     * Holiday dates per channel (added by hand or imported from an iCal file)
+     */
+    `CREATE TABLE IF NOT EXISTS channel_holidays (
+        channel_id TEXT NOT NULL,           -- Which channel
+        holiday_date DATE NOT NULL,         -- The day off (in the channel's timezone)
+        name TEXT,                          -- e.g., "Diwali"
+        created_at TIMESTAMPTZ DEFAULT NOW(), -- When it was added
+        PRIMARY KEY (channel_id, holiday_date)  -- One entry per channel per day
+     );`,
+
+    /**
+     * API_KEYS TABLE
+     * Keys for the admin API (run summaries, read stats, change settings)
+     * The key itself is shown once when it's issued; only its SHA-256 hash is stored
+     */
+    `CREATE TABLE IF NOT EXISTS api_keys (
+        id SERIAL PRIMARY KEY,              -- Auto-incrementing unique ID
+        name TEXT NOT NULL,                 -- Who/what uses it (e.g., "GitHub Actions")
+        key_prefix TEXT NOT NULL,           -- First characters of the key, to recognize it (e.g., "dsk_3fa9c1")
+        key_hash TEXT UNIQUE NOT NULL,      -- SHA-256 of the full key
+        scopes TEXT[] NOT NULL,             -- What it may do, e.g. {summary:run,stats:read}
+        created_at TIMESTAMPTZ DEFAULT NOW(), -- When it was issued
+        last_used_at TIMESTAMPTZ,           -- Last successful call
+        revoked_at TIMESTAMPTZ              -- When it was revoked (NULL = active)
+     );`,
+
+    /**
+     * AUDIT_LOG TABLE
+     * One row per admin API call (allowed or not) and per key issued/revoked
+     */
+    `CREATE TABLE IF NOT EXISTS audit_log (
+        id SERIAL PRIMARY KEY,              -- Auto-incrementing unique ID
+        api_key_id INTEGER,                 -- Key that was used (NULL = no/unknown key)
+        key_prefix TEXT,                    -- Its prefix (kept even if the key is deleted)
+        action TEXT NOT NULL,               -- e.g., "POST /api/slack/run-summary" or "api-key.create"
+        status_code INTEGER,                -- HTTP status of the response (NULL for CLI actions)
+        ip TEXT,                            -- Caller's IP address
+        user_agent TEXT,                    -- Caller's User-Agent
+        details JSONB,                      -- Query/body of the call, or what the CLI did
+        duration_ms INTEGER,                -- How long the call took
+        created_at TIMESTAMPTZ DEFAULT NOW() -- When it happened
+     );`,
+  ];
+
+  /**
+   * MIGRATIONS
+   * Columns added after the first version of each table
+   * "ADD COLUMN IF NOT EXISTS" / "CREATE INDEX IF NOT EXISTS" make these safe to run on every start
+   */
+  const migrations = [
+    // team_id: which workspace an event/summary/channel belongs to (NULL for rows saved before multi-workspace support)
+    'ALTER TABLE reaction_events ADD COLUMN IF NOT EXISTS team_id TEXT',
+    'ALTER TABLE member_events ADD COLUMN IF NOT EXISTS team_id TEXT',
+    'ALTER TABLE message_events ADD COLUMN IF NOT EXISTS team_id TEXT',
+    'ALTER TABLE file_events ADD COLUMN IF NOT EXISTS team_id TEXT',
+    'ALTER TABLE daily_summaries ADD COLUMN IF NOT EXISTS team_id TEXT',
+    'ALTER TABLE monitored_channels ADD COLUMN IF NOT EXISTS team_id TEXT',
+
+    // Message edits, deletions and thread replies
+    // slack_ts is Slack's own message timestamp ("1234567890.123456") - edits/deletes refer to it
+    'ALTER TABLE message_events ADD COLUMN IF NOT EXISTS slack_ts TEXT',
+    'ALTER TABLE message_events ADD COLUMN IF NOT EXISTS thread_ts TEXT',               // Parent message ts (replies only)
+    'ALTER TABLE message_events ADD COLUMN IF NOT EXISTS is_thread_reply BOOLEAN NOT NULL DEFAULT FALSE',
+    'ALTER TABLE message_events ADD COLUMN IF NOT EXISTS edited_at TIMESTAMPTZ',         // Last edit time
+    'ALTER TABLE message_events ADD COLUMN IF NOT EXISTS edit_count INTEGER NOT NULL DEFAULT 0',
+    'ALTER TABLE message_events ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ',        // Deleted messages stop counting
+    // Older rows only have the Slack ts inside raw_event
+    `UPDATE message_events SET slack_ts = raw_event->>'ts' WHERE slack_ts IS NULL AND raw_event ? 'ts'`,
+    'CREATE INDEX IF NOT EXISTS message_events_slack_ts_idx ON message_events (channel_id, slack_ts)',
+    'CREATE INDEX IF NOT EXISTS message_events_thread_ts_idx ON message_events (channel_id, thread_ts)',
+    'ALTER TABLE daily_summaries ADD COLUMN IF NOT EXISTS thread_count INTEGER NOT NULL DEFAULT 0',  // New threads that day
+    'ALTER TABLE daily_summaries ADD COLUMN IF NOT EXISTS reply_count INTEGER NOT NULL DEFAULT 0',   // Thread replies that day
+
+    // Reaction removals are linked to the reaction they undo
+    'ALTER TABLE reaction_events ADD COLUMN IF NOT EXISTS item_ts TEXT',              // Message the reaction is on
+    'ALTER TABLE reaction_events ADD COLUMN IF NOT EXISTS removed_at TIMESTAMPTZ',    // When it was removed (NULL = still there)
+    'ALTER TABLE reaction_events ADD COLUMN IF NOT EXISTS removed_event_id TEXT',     // The reaction_removed event
+    `UPDATE reaction_events SET item_ts = raw_event->'item'->>'ts' WHERE item_ts IS NULL AND raw_event ? 'item'`,
+    'CREATE INDEX IF NOT EXISTS reaction_events_item_idx ON reaction_events (channel_id, item_ts, user_id, reaction)',
+    'ALTER TABLE daily_summaries ADD COLUMN IF NOT EXISTS net_reaction_count INTEGER NOT NULL DEFAULT 0', // Reactions minus removals
+
+    // Per-channel toggle for the leaderboard section
+    'ALTER TABLE monitored_channels ADD COLUMN IF NOT EXISTS show_leaderboard BOOLEAN',
+
+    // Per-channel anomaly alert settings (NULL = use the ANOMALY_* environment defaults)
+    'ALTER TABLE monitored_channels ADD COLUMN IF NOT EXISTS alert_channel_id TEXT',          // Where spike/drop alerts go
+    'ALTER TABLE monitored_channels ADD COLUMN IF NOT EXISTS anomaly_z_threshold NUMERIC',    // Standard deviations that count as unusual
+    'ALTER TABLE monitored_channels ADD COLUMN IF NOT EXISTS anomaly_lookback_weeks INTEGER', // Weeks in the baseline
+    'ALTER TABLE monitored_channels ADD COLUMN IF NOT EXISTS quiet_hours TEXT',               // e.g. "22-7" (no alerts in that local time range)
+
+    // Channel the summary message is in (message_ts alone isn't enough to update it with chat.update)
+    'ALTER TABLE daily_summaries ADD COLUMN IF NOT EXISTS posted_channel_id TEXT',
+
+    // Revisions are looked up per channel and day
+    'CREATE INDEX IF NOT EXISTS summary_revisions_channel_idx ON summary_revisions (channel_id, stat_date)',
+
+    // The outbox worker looks for due messages by status
+    'CREATE INDEX IF NOT EXISTS slack_outbox_status_idx ON slack_outbox (status, next_attempt_at)',
+
+    // Job runs are listed per channel (newest first)
+    'CREATE INDEX IF NOT EXISTS job_runs_channel_idx ON job_runs (channel_id, id DESC)',
+    // Outbox runs are about every channel, so they have none
+    'ALTER TABLE job_runs ALTER COLUMN channel_id DROP NOT NULL',
+
+    // Business-day calendars
+    'ALTER TABLE monitored_channels ADD COLUMN IF NOT EXISTS working_days INTEGER[]',  // Weekdays summaries are posted on (NULL = WORKING_DAYS)
+    'ALTER TABLE daily_summaries ADD COLUMN IF NOT EXISTS covers_from DATE',          // First day a combined summary message covers (NULL = just stat_date)
+
+    // Whether the day's scheduled (cron/catch-up) run saved it: a summary saved by hand
+    // (/dailyengage today, Publish, run-summary) doesn't stop the scheduled one from posting.
+    // Rows from before this column count as scheduled, so nothing old is posted again
+    'ALTER TABLE daily_summaries ADD COLUMN IF NOT EXISTS scheduled BOOLEAN NOT NULL DEFAULT TRUE',
+    'ALTER TABLE daily_summaries ALTER COLUMN scheduled SET DEFAULT FALSE',
+
+    // Audit entries are listed newest first, per key
+    'CREATE INDEX IF NOT EXISTS audit_log_key_idx ON audit_log (api_key_id, id DESC)',
   ];
 
   // Execute each CREATE TABLE query one by one
@@ -155,11 +465,28 @@ async function initDb() {
   for (const query of queries) {
     await pool.query(query);  // Run the SQL query
   }
+
+  // Then bring older tables up to date
+  for (const migration of migrations) {
+    await pool.query(migration);
+  }
+
+  // Seed the channel from SLACK_CHANNEL_ID so existing single-channel setups keep working
+  // ON CONFLICT DO NOTHING means settings changed later through the API are never overwritten
+  if (config.slackChannelId) {
+    await pool.query(
+      `INSERT INTO monitored_channels (channel_id, timezone, cron_schedule, enabled_metrics)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (channel_id) DO NOTHING`,
+      [config.slackChannelId, config.timezone, config.cronSchedule, config.defaultMetrics]
+    );
+  }
 }
 
 // Export the pool (for other files to use) and initDb function
 module.exports = {
   pool,      // Database connection pool
+  lockPool,  // Connections that hold job locks (jobLocks.js only)
   initDb,    // Function to initialize/create tables
 };
 
@@ -16,7 +16,19 @@
 // Import config to check which channel we're monitoring
 const config = require('./config');
 // Import functions to save events to database
-const { saveReactionEvent, saveMemberEvent, saveMessageEvent, saveFileEvent } = require('./eventsStore');
+const {
+  saveReactionEvent,
+  markReactionRemoved,
+  saveMemberEvent,
+  saveMessageEvent,
+  markMessageEdited,
+  markMessageDeleted,
+  saveFileEvent,
+} = require('./eventsStore');
+// Import installation cleanup for when a workspace removes the app
+const { deleteInstallation } = require('./installations');
+// Import the App Home dashboard
+const { publishHome } = require('./homeService');
 
 /**
  * Convert Slack timestamp to JavaScript Date object
@@ -40,6 +52,7 @@ function slackTsToDate(eventTs) {
  * 
  * @param {object} params - Event data
  * @param {string} params.eventId - Unique ID for this event
+ * @param {string} params.teamId - Workspace the event came from
  * @param {object} params.event - Full event data from Slack
  * 
  * Example event:
@@ -47,11 +60,11 @@ function slackTsToDate(eventTs) {
  *   type: "reaction_added",
  *   user: "U12345",
  *   reaction: "thumbsup",
- *   item: { channel: "C09SUH2KHK2" },
+ *   item: { channel: "C09SUH2KHK2", ts: "1234567800.000100" },
  *   event_ts: "1234567890.123456"
  * }
  */
-async function handleReactionAdded({ eventId, event }) {
+async function handleReactionAdded({ eventId, teamId, event }) {
   // Get the channel ID from the event
   // event.item?.channel means "get channel from event.item, but if item doesn't exist, return undefined"
   const channelId = event.item?.channel;
@@ -63,9 +76,11 @@ async function handleReactionAdded({ eventId, event }) {
   try {
     await saveReactionEvent({
       eventId,
+      teamId,
       channelId,
       userId: event.user,
       reaction: event.reaction,
+      itemTs: event.item?.ts,                     // Message the reaction is on
       eventTs: slackTsToDate(event.event_ts),
       rawEvent: event,
     });
@@ -75,11 +90,51 @@ async function handleReactionAdded({ eventId, event }) {
   }
 }
 
+/**
+ * Handle when someone removes a reaction (emoji) from a message
+ * The removal is linked to the matching reaction_added row, so net counts drop
+ * 
+ * @param {object} params - Event data
+ * @param {string} params.eventId - Unique ID for this event
+ * @param {object} params.event - Full event data from Slack
+ * 
+ * Example event:
+ * {
+ *   type: "reaction_removed",
+ *   user: "U12345",
+ *   reaction: "thumbsup",
+ *   item: { channel: "C09SUH2KHK2", ts: "1234567800.000100" },
+ *   event_ts: "1234567899.000200"
+ * }
+ */
+async function handleReactionRemoved({ eventId, event }) {
+  const channelId = event.item?.channel;
+  if (!channelId || !event.item?.ts) {
+    console.log('❌ Reaction removed event skipped: Missing channel ID or message ts');
+    return;
+  }
+
+  try {
+    const found = await markReactionRemoved({
+      eventId,
+      channelId,
+      userId: event.user,
+      reaction: event.reaction,
+      itemTs: event.item.ts,
+      removedAt: slackTsToDate(event.event_ts),
+    });
+    console.log(`➖ Reaction removal ${found ? 'linked' : 'ignored (no matching reaction)'}: ${eventId} (channel ${channelId})`);
+  } catch (error) {
+    console.error(`❌ Error saving reaction removal ${eventId}:`, error.message);
+  }
+}
+
 /**
  * Handle when someone joins the channel
  * 
  * @param {object} params - Event data
  * @param {string} params.eventId - Unique ID for this event
+ * @param {string} params.teamId - Workspace the event came from
  * @param {object} params.event - Full event data from Slack
  * 
  * Example event:
@@ -90,7 +145,7 @@ async function handleReactionAdded({ eventId, event }) {
  *   event_ts: "1234567890.123456"
  * }
  */
-async function handleMemberJoined({ eventId, event }) {
+async function handleMemberJoined({ eventId, teamId, event }) {
   // Get the channel ID from the event
   const channelId = event.channel;
   if (!channelId) {
@@ -101,6 +156,7 @@ async function handleMemberJoined({ eventId, event }) {
   try {
     await saveMemberEvent({
       eventId,
+      teamId,
       channelId,
       userId: event.user,
       eventType: event.type,
@@ -118,6 +174,7 @@ async function handleMemberJoined({ eventId, event }) {
  * 
  * @param {object} params - Event data
  * @param {string} params.eventId - Unique ID for this event
+ * @param {string} params.teamId - Workspace the event came from
  * @param {object} params.event - Full event data from Slack
  * 
  * Example event:
@@ -128,7 +185,7 @@ async function handleMemberJoined({ eventId, event }) {
  *   event_ts: "1234567890.123456"
  * }
  */
-async function handleMemberLeft({ eventId, event }) {
+async function handleMemberLeft({ eventId, teamId, event }) {
   // Get the channel ID from the event
   const channelId = event.channel;
   if (!channelId) {
@@ -139,6 +196,7 @@ async function handleMemberLeft({ eventId, event }) {
   try {
     await saveMemberEvent({
       eventId,
+      teamId,
       channelId,
       userId: event.user,
       eventType: event.type,
@@ -151,11 +209,88 @@ async function handleMemberLeft({ eventId, event }) {
   }
 }
 
+/**
+ * Handle when someone edits a message (subtype "message_changed")
+ * The edit is recorded on the original message row
+ * 
+ * @param {object} params - Event data
+ * @param {string} params.eventId - Unique ID for this event
+ * @param {object} params.event - Full message event data from Slack
+ * 
+ * Example event:
+ * {
+ *   type: "message",
+ *   subtype: "message_changed",
+ *   channel: "C09SUH2KHK2",
+ *   message: { ts: "1234567890.123456", text: "Hello again!", edited: { ts: "1234567999.000100" } },
+ *   event_ts: "1234567999.000200"
+ * }
+ */
+async function handleMessageChanged({ eventId, event }) {
+  const channelId = event.channel;
+  const original = event.message;
+
+  // Slack also sends message_changed when a thread gets a new reply (reply_count changes)
+  // Only a real edit has an "edited" field
+  if (!channelId || !original?.ts || !original.edited) {
+    console.log(`⏭️  message_changed skipped: not a user edit (${eventId})`);
+    return;
+  }
+
+  try {
+    const found = await markMessageEdited({
+      channelId,
+      slackTs: original.ts,                       // Timestamp of the original message
+      editedAt: slackTsToDate(original.edited.ts || event.event_ts),
+    });
+    console.log(`✏️  Message edit ${found ? 'recorded' : 'ignored (original not stored)'}: ${original.ts} (channel ${channelId})`);
+  } catch (error) {
+    console.error(`❌ Error saving message edit ${eventId}:`, error.message);
+  }
+}
+
+/**
+ * Handle when someone deletes a message (subtype "message_deleted")
+ * The original message row is marked as deleted so it stops counting
+ * 
+ * @param {object} params - Event data
+ * @param {string} params.eventId - Unique ID for this event
+ * @param {object} params.event - Full message event data from Slack
+ * 
+ * Example event:
+ * {
+ *   type: "message",
+ *   subtype: "message_deleted",
+ *   channel: "C09SUH2KHK2",
+ *   deleted_ts: "1234567890.123456",
+ *   event_ts: "1234567999.000200"
+ * }
+ */
+async function handleMessageDeleted({ eventId, event }) {
+  const channelId = event.channel;
+  if (!channelId || !event.deleted_ts) {
+    console.log(`❌ message_deleted skipped: Missing channel ID or deleted_ts (${eventId})`);
+    return;
+  }
+
+  try {
+    const found = await markMessageDeleted({
+      channelId,
+      slackTs: event.deleted_ts,                  // Timestamp of the deleted message
+      deletedAt: slackTsToDate(event.event_ts || event.ts),
+    });
+    console.log(`🗑️  Message deletion ${found ? 'recorded' : 'ignored (original not stored)'}: ${event.deleted_ts} (channel ${channelId})`);
+  } catch (error) {
+    console.error(`❌ Error saving message deletion ${eventId}:`, error.message);
+  }
+}
+
 /**
  * Handle when someone sends a message in the channel
  * 
  * @param {object} params - Event data
  * @param {string} params.eventId - Unique ID for this event
+ * @param {string} params.teamId - Workspace the event came from
  * @param {object} params.event - Full message event data from Slack
  * 
  * Example event:
@@ -164,10 +299,11 @@ async function handleMemberLeft({ eventId, event }) {
  *   user: "U12345",
  *   channel: "C09SUH2KHK2",
  *   text: "Hello world!",
- *   ts: "1234567890.123456"
+ *   ts: "1234567890.123456",
+ *   thread_ts: "1234567800.000100"   // Only for thread replies
  * }
  */
-async function handleMessage({ eventId, event }) {
+async function handleMessage({ eventId, teamId, event }) {
   // Get the channel ID from the event
   const channelId = event.channel;
   
@@ -175,9 +311,10 @@ async function handleMessage({ eventId, event }) {
   console.log(`🔍 Message event details:`, {
     channelId,                              // Which channel
     targetChannel: config.slackChannelId,   // Which channel we're monitoring
-    hasSubtype: !!event.subtype,            // Does this message have a subtype? (edit, delete, etc.)
+    subtype: event.subtype || null,         // Message subtype (edit, delete, etc.)
     hasBotId: !!event.bot_id,               // Is this from a bot?
     userId: event.user,                     // Who sent it
+    threadTs: event.thread_ts || null,      // Parent message (if this is a thread reply)
   });
 
   // Only process messages from our target channel
@@ -186,24 +323,41 @@ async function handleMessage({ eventId, event }) {
     return;  // Exit if not our channel
   }
 
-  // Skip bot messages and message subtypes
-  // Subtypes include: message_changed (edit), message_deleted, etc.
-  // We only want to count regular user messages, not bot messages or edits
-  if (event.subtype || event.bot_id) {
+  // Edits and deletions update the original message row
+  if (event.subtype === 'message_changed') {
+    await handleMessageChanged({ eventId, event });
+    return;
+  }
+  if (event.subtype === 'message_deleted') {
+    await handleMessageDeleted({ eventId, event });
+    return;
+  }
+
+  // Skip bot messages and other message subtypes (joins, topic changes, etc.)
+  // "thread_broadcast" is a thread reply that was also sent to the channel, so we keep it
+  if ((event.subtype && event.subtype !== 'thread_broadcast') || event.bot_id) {
     console.log(`⏭️  Message skipped: Bot message or subtype (${event.subtype || 'bot_id'})`);
     return;  // Exit, don't save this message
   }
 
+  // A reply has a thread_ts that points to a different (parent) message
+  // The parent itself has thread_ts === ts once it has replies
+  const isThreadReply = Boolean(event.thread_ts && event.thread_ts !== event.ts);
+
   // Try to save the message event to database
   try {
     await saveMessageEvent({
       eventId,                                    // Unique event ID
+      teamId,                                     // Which workspace
       channelId,                                  // Which channel
       userId: event.user,                         // Who sent the message
       eventTs: slackTsToDate(event.event_ts || event.ts),  // When it was sent
+      slackTs: event.ts,                          // Slack's message ID (edits/deletes refer to it)
+      threadTs: isThreadReply ? event.thread_ts : null,    // Parent message (replies only)
+      isThreadReply,                              // Reply or top-level post
       rawEvent: event,                            // Full message data
     });
-    console.log(`✅ Message event saved: ${eventId} (channel ${channelId})`);
+    console.log(`✅ ${isThreadReply ? 'Thread reply' : 'Message'} event saved: ${eventId} (channel ${channelId})`);
   } catch (error) {
     // If something goes wrong, log the error but don't crash the server
     console.error(`❌ Error saving message event ${eventId}:`, error.message);
@@ -215,6 +369,7 @@ async function handleMessage({ eventId, event }) {
  * 
  * @param {object} params - Event data
  * @param {string} params.eventId - Unique ID for this event
+ * @param {string} params.teamId - Workspace the event came from
  * @param {object} params.event - Full file event data from Slack
  * 
  * Example event:
@@ -227,7 +382,7 @@ async function handleMessage({ eventId, event }) {
  *   event_ts: "1234567890.123456"
  * }
  */
-async function handleFileShared({ eventId, event }) {
+async function handleFileShared({ eventId, teamId, event }) {
   // Get the channel ID from the event
   // Note: file events use "channel_id" instead of "channel"
   const channelId = event.channel_id;
@@ -242,6 +397,7 @@ async function handleFileShared({ eventId, event }) {
   try {
     await saveFileEvent({
       eventId,                                    // Unique event ID
+      teamId,                                     // Which workspace
       channelId,                                  // Which channel
       userId: event.user_id,                      // Who uploaded (note: file events use "user_id")
       fileId: event.file_id,                      // Slack's file ID
@@ -255,6 +411,27 @@ async function handleFileShared({ eventId, event }) {
   }
 }
 
+/**
+ * Handle when the app is uninstalled from a workspace
+ * 
+ * @param {object} params - Event data
+ * @param {string} params.teamId - Workspace that removed the app
+ * @param {object} params.event - Full event data from Slack
+ */
+async function handleAppUninstalled({ teamId, event }) {
+  if (!teamId) {
+    console.log(`❌ ${event.type} event skipped: Missing team ID`);
+    return;
+  }
+
+  try {
+    const removed = await deleteInstallation(teamId);
+    console.log(`👋 ${event.type}: ${removed ? 'removed' : 'no'} installation for team ${teamId}`);
+  } catch (error) {
+    console.error(`❌ Error removing installation for team ${teamId}:`, error.message);
+  }
+}
+
 /**
  * Main function to process any Slack event
  * This is called by server.js when Slack sends us an event
@@ -264,6 +441,7 @@ async function handleFileShared({ eventId, event }) {
  * Example payload:
  * {
  *   type: "event_callback",
+ *   team_id: "T012AB3C4",
  *   event_id: "Ev12345",
  *   event: {
  *     type: "reaction_added",
@@ -277,7 +455,7 @@ async function processSlackEvent(payload) {
   // Destructuring: const { event, event_id: eventId } means:
   // - Get "event" from payload and call it "event"
   // - Get "event_id" from payload and call it "eventId"
-  const { event, event_id: eventId } = payload;
+  const { event, event_id: eventId, team_id: teamId } = payload;
   
   // If there's no event or event_id, we can't process it
   if (!event || !eventId) {
@@ -285,24 +463,29 @@ async function processSlackEvent(payload) {
   }
 
   // Log what event we received (helps with debugging)
-  console.log(`📥 Received event: ${event.type} (event_id: ${eventId})`);
+  console.log(`📥 Received event: ${event.type} (event_id: ${eventId}, team: ${teamId || 'unknown'})`);
 
   // Use switch statement to handle different event types
   // Think of it like: "If event type is X, do Y"
   switch (event.type) {
     // Someone added a reaction (emoji) to a message
     case 'reaction_added':
-      await handleReactionAdded({ eventId, event });
+      await handleReactionAdded({ eventId, teamId, event });
+      break;
+    
+    // Someone removed a reaction (undoes a reaction_added)
+    case 'reaction_removed':
+      await handleReactionRemoved({ eventId, event });
       break;
     
     // Someone joined the channel
     case 'member_joined_channel':
-      await handleMemberJoined({ eventId, event });
+      await handleMemberJoined({ eventId, teamId, event });
       break;
     
     // Someone left the channel
     case 'member_left_channel':
-      await handleMemberLeft({ eventId, event });
+      await handleMemberLeft({ eventId, teamId, event });
       break;
     
     // Someone sent a message
@@ -310,12 +493,27 @@ async function processSlackEvent(payload) {
       // Note: When subscribed to "message.channels", Slack still sends type "message"
       // but it only sends messages from public channels
       console.log(`💬 Processing message event from channel: ${event.channel}`);
-      await handleMessage({ eventId, event });
+      await handleMessage({ eventId, teamId, event });
       break;
     
     // Someone uploaded a file
     case 'file_shared':
-      await handleFileShared({ eventId, event });
+      await handleFileShared({ eventId, teamId, event });
+      break;
+    
+    // The app was removed from a workspace (or its tokens were revoked)
+    // Forget the bot token so we stop trying to post there
+    case 'app_uninstalled':
+    case 'tokens_revoked':
+      await handleAppUninstalled({ teamId, event });
+      break;
+    
+    // Someone opened the bot's App Home (or switched to its Messages/About tab)
+    // Only the Home tab has content we publish
+    case 'app_home_opened':
+      if (event.tab === 'home') {
+        await publishHome({ teamId, userId: event.user });
+      }
       break;
     
     // If we get an event type we don't know how to handle, just log it
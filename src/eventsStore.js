@@ -13,32 +13,78 @@
 // Import the database connection pool from db.js
 const { pool } = require('./db');
 
+/**
+ * SQL condition that limits a count query to one workspace
+ * - $4 is the team ID; if it's NULL, every workspace is counted
+ * - Rows saved before multi-workspace support have no team_id, so they always count
+ */
+const TEAM_FILTER = 'AND ($4::TEXT IS NULL OR team_id IS NULL OR team_id = $4)';
+
 /**
  * Save a reaction event to the database
  * Called when someone adds an emoji reaction to a message
  * 
  * @param {object} params - Reaction event data
  * @param {string} params.eventId - Unique event ID from Slack
+ * @param {string} params.teamId - Workspace the event came from
  * @param {string} params.channelId - Channel where reaction was added
  * @param {string} params.userId - Who added the reaction
  * @param {string} params.reaction - Which emoji (e.g., "thumbsup")
+ * @param {string} params.itemTs - Timestamp of the message the reaction is on
  * @param {Date} params.eventTs - When it happened
  * @param {object} params.rawEvent - Full event data from Slack
  */
-async function saveReactionEvent({ eventId, channelId, userId, reaction, eventTs, rawEvent }) {
+async function saveReactionEvent({ eventId, teamId, channelId, userId, reaction, itemTs, eventTs, rawEvent }) {
   // SQL query to insert a new reaction event
   // $1, $2, $3, etc. are placeholders that will be replaced with actual values
   // This prevents SQL injection attacks (security)
   const query = `
-    INSERT INTO reaction_events (event_id, channel_id, user_id, reaction, event_ts, raw_event)
-    VALUES ($1, $2, $3, $4, $5, $6)
+    INSERT INTO reaction_events (event_id, channel_id, user_id, reaction, event_ts, raw_event, team_id, item_ts)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
     ON CONFLICT (event_id) DO NOTHING
   `;
   // ON CONFLICT means: if event_id already exists, don't insert (prevents duplicates)
 
   // Execute the query with the actual values
   // pool.query() runs the SQL query against the database
-  await pool.query(query, [eventId, channelId, userId, reaction, eventTs, rawEvent]);
+  await pool.query(query, [eventId, channelId, userId, reaction, eventTs, rawEvent, teamId || null, itemTs || null]);
+}
+
+/**
+ * Link a reaction_removed event to the reaction it undoes
+ * Marks the most recent matching reaction (same user, emoji and message) as removed
+ * 
+ * @param {object} params - Removal data
+ * @param {string} params.eventId - Unique ID of the reaction_removed event
+ * @param {string} params.channelId - Channel ID
+ * @param {string} params.userId - Who removed the reaction
+ * @param {string} params.reaction - Which emoji
+ * @param {string} params.itemTs - Timestamp of the message the reaction was on
+ * @param {Date} params.removedAt - When it was removed
+ * @returns {boolean} - True if a matching reaction was found
+ */
+async function markReactionRemoved({ eventId, channelId, userId, reaction, itemTs, removedAt }) {
+  const query = `
+    UPDATE reaction_events
+    SET removed_at = $5,
+        removed_event_id = $6
+    WHERE id = (
+        SELECT id
+        FROM reaction_events
+        WHERE channel_id = $1
+          AND user_id = $2
+          AND reaction = $3
+          AND item_ts = $4
+          AND removed_at IS NULL
+        ORDER BY event_ts DESC
+        LIMIT 1
+      )
+      -- Slack may retry the same event; it must only undo one reaction
+      AND NOT EXISTS (SELECT 1 FROM reaction_events WHERE removed_event_id = $6)
+  `;
+
+  const { rowCount } = await pool.query(query, [channelId, userId, reaction, itemTs, removedAt, eventId]);
+  return rowCount > 0;
 }
 
 /**
@@ -46,20 +92,21 @@ async function saveReactionEvent({ eventId, channelId, userId, reaction, eventTs
  * 
  * @param {object} params - Member event data
  * @param {string} params.eventId - Unique event ID
+ * @param {string} params.teamId - Workspace the event came from
  * @param {string} params.channelId - Channel ID
  * @param {string} params.userId - Who joined/left
  * @param {string} params.eventType - "member_joined_channel" or "member_left_channel"
  * @param {Date} params.eventTs - When it happened
  * @param {object} params.rawEvent - Full event data
  */
-async function saveMemberEvent({ eventId, channelId, userId, eventType, eventTs, rawEvent }) {
+async function saveMemberEvent({ eventId, teamId, channelId, userId, eventType, eventTs, rawEvent }) {
   const query = `
-    INSERT INTO member_events (event_id, channel_id, user_id, event_type, event_ts, raw_event)
-    VALUES ($1, $2, $3, $4, $5, $6)
+    INSERT INTO member_events (event_id, channel_id, user_id, event_type, event_ts, raw_event, team_id)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
     ON CONFLICT (event_id) DO NOTHING
   `;
 
-  await pool.query(query, [eventId, channelId, userId, eventType, eventTs, rawEvent]);
+  await pool.query(query, [eventId, channelId, userId, eventType, eventTs, rawEvent, teamId || null]);
 }
 
 /**
@@ -67,19 +114,81 @@ async function saveMemberEvent({ eventId, channelId, userId, eventType, eventTs,
  * 
  * @param {object} params - Message event data
  * @param {string} params.eventId - Unique event ID
+ * @param {string} params.teamId - Workspace the event came from
  * @param {string} params.channelId - Channel ID
  * @param {string} params.userId - Who sent the message
  * @param {Date} params.eventTs - When it was sent
+ * @param {string} params.slackTs - Slack's message timestamp (used later to find this row for edits/deletes)
+ * @param {string} params.threadTs - Parent message timestamp (thread replies only)
+ * @param {boolean} params.isThreadReply - True if this message is a reply inside a thread
  * @param {object} params.rawEvent - Full message data
  */
-async function saveMessageEvent({ eventId, channelId, userId, eventTs, rawEvent }) {
+async function saveMessageEvent({ eventId, teamId, channelId, userId, eventTs, slackTs, threadTs, isThreadReply, rawEvent }) {
   const query = `
-    INSERT INTO message_events (event_id, channel_id, user_id, message_ts, raw_event)
-    VALUES ($1, $2, $3, $4, $5)
+    INSERT INTO message_events (
+      event_id, channel_id, user_id, message_ts, raw_event, team_id, slack_ts, thread_ts, is_thread_reply
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
     ON CONFLICT (event_id) DO NOTHING
   `;
 
-  await pool.query(query, [eventId, channelId, userId, eventTs, rawEvent]);
+  await pool.query(query, [
+    eventId,
+    channelId,
+    userId,
+    eventTs,
+    rawEvent,
+    teamId || null,
+    slackTs || null,
+    threadTs || null,
+    Boolean(isThreadReply),
+  ]);
+}
+
+/**
+ * Record an edit against the original message row
+ * 
+ * @param {object} params - Edit data
+ * @param {string} params.channelId - Channel ID
+ * @param {string} params.slackTs - Timestamp of the original message
+ * @param {Date} params.editedAt - When the edit happened
+ * @returns {boolean} - True if the original message was found
+ */
+async function markMessageEdited({ channelId, slackTs, editedAt }) {
+  // "edited_at IS DISTINCT FROM" skips Slack retries of the same edit, so edit_count stays correct
+  const query = `
+    UPDATE message_events
+    SET edited_at = $3,
+        edit_count = edit_count + 1
+    WHERE channel_id = $1
+      AND slack_ts = $2
+      AND edited_at IS DISTINCT FROM $3
+  `;
+
+  const { rowCount } = await pool.query(query, [channelId, slackTs, editedAt]);
+  return rowCount > 0;
+}
+
+/**
+ * Record a deletion against the original message row
+ * Deleted messages stay in the table but are no longer counted
+ * 
+ * @param {object} params - Deletion data
+ * @param {string} params.channelId - Channel ID
+ * @param {string} params.slackTs - Timestamp of the deleted message
+ * @param {Date} params.deletedAt - When it was deleted
+ * @returns {boolean} - True if the original message was found
+ */
+async function markMessageDeleted({ channelId, slackTs, deletedAt }) {
+  const query = `
+    UPDATE message_events
+    SET deleted_at = COALESCE(deleted_at, $3)   -- Keep the first deletion time
+    WHERE channel_id = $1
+      AND slack_ts = $2
+  `;
+
+  const { rowCount } = await pool.query(query, [channelId, slackTs, deletedAt]);
+  return rowCount > 0;
 }
 
 /**
@@ -87,6 +196,7 @@ async function saveMessageEvent({ eventId, channelId, userId, eventTs, rawEvent
  * 
  * @param {object} params - File event data
  * @param {string} params.eventId - Unique event ID
+ * @param {string} params.teamId - Workspace the event came from
  * @param {string} params.channelId - Channel ID
  * @param {string} params.userId - Who uploaded the file
  * @param {string} params.fileId - Slack's file ID
@@ -94,14 +204,14 @@ async function saveMessageEvent({ eventId, channelId, userId, eventTs, rawEvent
  * @param {Date} params.eventTs - When it was uploaded
  * @param {object} params.rawEvent - Full event data
  */
-async function saveFileEvent({ eventId, channelId, userId, fileId, fileName, eventTs, rawEvent }) {
+async function saveFileEvent({ eventId, teamId, channelId, userId, fileId, fileName, eventTs, rawEvent }) {
   const query = `
-    INSERT INTO file_events (event_id, channel_id, user_id, file_id, file_name, event_ts, raw_event)
-    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    INSERT INTO file_events (event_id, channel_id, user_id, file_id, file_name, event_ts, raw_event, team_id)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
     ON CONFLICT (event_id) DO NOTHING
   `;
 
-  await pool.query(query, [eventId, channelId, userId, fileId, fileName, eventTs, rawEvent]);
+  await pool.query(query, [eventId, channelId, userId, fileId, fileName, eventTs, rawEvent, teamId || null]);
 }
 
 /**
@@ -111,12 +221,13 @@ async function saveFileEvent({ eventId, channelId, userId, fileId, fileName, eve
  * @param {string} channelId - Which channel to count
  * @param {Date} start - Start date/time
  * @param {Date} end - End date/time
+ * @param {string} teamId - Workspace (optional, see TEAM_FILTER)
  * @returns {number} - Total number of reactions
  * 
  * Example: countReactionsBetween("C09SUH2KHK2", startOfDay, endOfDay)
  *          Returns: 15 (if 15 reactions were added that day)
  */
-async function countReactionsBetween(channelId, start, end) {
+async function countReactionsBetween(channelId, start, end, teamId = null) {
   // SQL query to count rows
   // COUNT(*) counts all rows that match the WHERE conditions
   const query = `
@@ -125,25 +236,83 @@ async function countReactionsBetween(channelId, start, end) {
     WHERE channel_id = $1              -- Only this channel
       AND event_ts >= $2               -- After start time
       AND event_ts <= $3               -- Before end time
+      ${TEAM_FILTER}                   -- Only this workspace
   `;
 
   // Execute query and get results
-  const { rows } = await pool.query(query, [channelId, start, end]);
+  const { rows } = await pool.query(query, [channelId, start, end, teamId]);
   // rows[0] is the first (and only) row
   // rows[0].total is the count
   // Convert to number and return (or 0 if no results)
   return Number(rows[0]?.total || 0);
 }
 
+/**
+ * Count net reactions between two dates
+ * Net = reactions added in the range that have not been removed since
+ * (countReactionsBetween gives the gross number, including removed ones)
+ * 
+ * @param {string} channelId - Which channel
+ * @param {Date} start - Start date/time
+ * @param {Date} end - End date/time
+ * @param {string} teamId - Workspace (optional, see TEAM_FILTER)
+ * @returns {number} - Total number of reactions still in place
+ */
+async function countNetReactionsBetween(channelId, start, end, teamId = null) {
+  const query = `
+    SELECT COUNT(*) AS total
+    FROM reaction_events
+    WHERE channel_id = $1
+      AND event_ts >= $2
+      AND event_ts <= $3
+      AND removed_at IS NULL           -- Still in place
+      ${TEAM_FILTER}
+  `;
+
+  const { rows } = await pool.query(query, [channelId, start, end, teamId]);
+  return Number(rows[0]?.total || 0);
+}
+
+/**
+ * Get the most used emoji between two dates (net of removals)
+ * 
+ * @param {string} channelId - Which channel
+ * @param {Date} start - Start date/time
+ * @param {Date} end - End date/time
+ * @param {string} teamId - Workspace (optional, see TEAM_FILTER)
+ * @param {number} limit - How many emoji to return
+ * @returns {Array<{reaction: string, count: number}>} - Most used first
+ * 
+ * Example: [{ reaction: "thumbsup", count: 12 }, { reaction: "tada", count: 5 }]
+ */
+async function getTopReactionsBetween(channelId, start, end, teamId = null, limit = 5) {
+  const query = `
+    SELECT reaction, COUNT(*) AS total
+    FROM reaction_events
+    WHERE channel_id = $1
+      AND event_ts >= $2
+      AND event_ts <= $3
+      AND removed_at IS NULL
+      ${TEAM_FILTER}
+    GROUP BY reaction
+    ORDER BY total DESC, reaction
+    LIMIT $5
+  `;
+
+  const { rows } = await pool.query(query, [channelId, start, end, teamId, limit]);
+  return rows.map((row) => ({ reaction: row.reaction, count: Number(row.total) }));
+}
+
 /**
  * Count how many new members joined between two dates
  * 
  * @param {string} channelId - Which channel
  * @param {Date} start - Start date/time
  * @param {Date} end - End date/time
+ * @param {string} teamId - Workspace (optional, see TEAM_FILTER)
  * @returns {number} - Total number of new members
  */
-async function countNewMembersBetween(channelId, start, end) {
+async function countNewMembersBetween(channelId, start, end, teamId = null) {
   const query = `
     SELECT COUNT(*) AS total
     FROM member_events
@@ -151,9 +320,10 @@ async function countNewMembersBetween(channelId, start, end) {
       AND event_type = 'member_joined_channel'  -- Only count joins, not leaves
       AND event_ts >= $2
       AND event_ts <= $3
+      ${TEAM_FILTER}
   `;
 
-  const { rows } = await pool.query(query, [channelId, start, end]);
+  const { rows } = await pool.query(query, [channelId, start, end, teamId]);
   return Number(rows[0]?.total || 0);
 }
 
@@ -163,9 +333,10 @@ async function countNewMembersBetween(channelId, start, end) {
  * @param {string} channelId - Which channel
  * @param {Date} start - Start date/time
  * @param {Date} end - End date/time
+ * @param {string} teamId - Workspace (optional, see TEAM_FILTER)
  * @returns {number} - Total number of members who left
  */
-async function countMembersRemovedBetween(channelId, start, end) {
+async function countMembersRemovedBetween(channelId, start, end, teamId = null) {
   const query = `
     SELECT COUNT(*) AS total
     FROM member_events
@@ -173,30 +344,94 @@ async function countMembersRemovedBetween(channelId, start, end) {
       AND event_type = 'member_left_channel'    -- Only count leaves
       AND event_ts >= $2
       AND event_ts <= $3
+      ${TEAM_FILTER}
   `;
 
-  const { rows } = await pool.query(query, [channelId, start, end]);
+  const { rows } = await pool.query(query, [channelId, start, end, teamId]);
   return Number(rows[0]?.total || 0);
 }
 
 /**
  * Count how many messages were sent between two dates
+ * Includes thread replies, skips deleted messages
  * 
  * @param {string} channelId - Which channel
  * @param {Date} start - Start date/time
  * @param {Date} end - End date/time
+ * @param {string} teamId - Workspace (optional, see TEAM_FILTER)
  * @returns {number} - Total number of messages
  */
-async function countMessagesBetween(channelId, start, end) {
+async function countMessagesBetween(channelId, start, end, teamId = null) {
+  const query = `
+    SELECT COUNT(*) AS total
+    FROM message_events
+    WHERE channel_id = $1
+      AND message_ts >= $2
+      AND message_ts <= $3
+      AND deleted_at IS NULL           -- Deleted messages don't count
+      ${TEAM_FILTER}
+  `;
+
+  const { rows } = await pool.query(query, [channelId, start, end, teamId]);
+  return Number(rows[0]?.total || 0);
+}
+
+/**
+ * Count how many new threads were started between two dates
+ * A new thread = a top-level message posted in the range that has at least one reply
+ * 
+ * @param {string} channelId - Which channel
+ * @param {Date} start - Start date/time
+ * @param {Date} end - End date/time
+ * @param {string} teamId - Workspace (optional, see TEAM_FILTER)
+ * @returns {number} - Total number of new threads
+ */
+async function countNewThreadsBetween(channelId, start, end, teamId = null) {
+  const query = `
+    SELECT COUNT(*) AS total
+    FROM message_events parent
+    WHERE channel_id = $1
+      AND message_ts >= $2
+      AND message_ts <= $3
+      AND is_thread_reply = FALSE
+      AND deleted_at IS NULL
+      ${TEAM_FILTER}
+      AND EXISTS (                     -- Has at least one reply (posted any time)
+        SELECT 1
+        FROM message_events reply
+        WHERE reply.channel_id = parent.channel_id
+          AND reply.thread_ts = parent.slack_ts
+          AND reply.is_thread_reply = TRUE
+          AND reply.deleted_at IS NULL
+      )
+  `;
+
+  const { rows } = await pool.query(query, [channelId, start, end, teamId]);
+  return Number(rows[0]?.total || 0);
+}
+
+/**
+ * Count how many thread replies were posted between two dates
+ * 
+ * @param {string} channelId - Which channel
+ * @param {Date} start - Start date/time
+ * @param {Date} end - End date/time
+ * @param {string} teamId - Workspace (optional, see TEAM_FILTER)
+ * @returns {number} - Total number of replies
+ */
+async function countThreadRepliesBetween(channelId, start, end, teamId = null) {
   const query = `
     SELECT COUNT(*) AS total
     FROM message_events
     WHERE channel_id = $1
       AND message_ts >= $2
       AND message_ts <= $3
+      AND is_thread_reply = TRUE
+      AND deleted_at IS NULL
+      ${TEAM_FILTER}
   `;
 
-  const { rows } = await pool.query(query, [channelId, start, end]);
+  const { rows } = await pool.query(query, [channelId, start, end, teamId]);
   return Number(rows[0]?.total || 0);
 }
 
@@ -206,43 +441,229 @@ async function countMessagesBetween(channelId, start, end) {
  * @param {string} channelId - Which channel
  * @param {Date} start - Start date/time
  * @param {Date} end - End date/time
+ * @param {string} teamId - Workspace (optional, see TEAM_FILTER)
  * @returns {number} - Total number of file uploads
  */
-async function countFileUploadsBetween(channelId, start, end) {
+async function countFileUploadsBetween(channelId, start, end, teamId = null) {
   const query = `
     SELECT COUNT(*) AS total
     FROM file_events
     WHERE channel_id = $1
       AND event_ts >= $2
       AND event_ts <= $3
+      ${TEAM_FILTER}
   `;
 
-  const { rows } = await pool.query(query, [channelId, start, end]);
+  const { rows } = await pool.query(query, [channelId, start, end, teamId]);
   return Number(rows[0]?.total || 0);
 }
 
+/**
+ * Run a "top users" query and convert the rows
+ * Shared by the three leaderboard functions below
+ * 
+ * @param {string} query - SQL returning user_id and total, using $1-$5 like the count queries
+ * @param {Array} params - [channelId, start, end, teamId, limit]
+ * @returns {Array<{userId: string, count: number}>} - Most active first
+ */
+async function queryTopUsers(query, params) {
+  const { rows } = await pool.query(query, params);
+  return rows.map((row) => ({ userId: row.user_id, count: Number(row.total) }));
+}
+
+/**
+ * Get the people who posted the most messages between two dates
+ * 
+ * @param {string} channelId - Which channel
+ * @param {Date} start - Start date/time
+ * @param {Date} end - End date/time
+ * @param {string} teamId - Workspace (optional, see TEAM_FILTER)
+ * @param {number} limit - How many people to return
+ * @returns {Array<{userId: string, count: number}>} - Most active first
+ */
+async function getTopPostersBetween(channelId, start, end, teamId = null, limit = 3) {
+  const query = `
+    SELECT user_id, COUNT(*) AS total
+    FROM message_events
+    WHERE channel_id = $1
+      AND message_ts >= $2
+      AND message_ts <= $3
+      AND deleted_at IS NULL
+      ${TEAM_FILTER}
+    GROUP BY user_id
+    ORDER BY total DESC, user_id
+    LIMIT $5
+  `;
+
+  return queryTopUsers(query, [channelId, start, end, teamId, limit]);
+}
+
+/**
+ * Get the people who added the most reactions between two dates (net of removals)
+ * 
+ * @param {string} channelId - Which channel
+ * @param {Date} start - Start date/time
+ * @param {Date} end - End date/time
+ * @param {string} teamId - Workspace (optional, see TEAM_FILTER)
+ * @param {number} limit - How many people to return
+ * @returns {Array<{userId: string, count: number}>} - Most active first
+ */
+async function getTopReactorsBetween(channelId, start, end, teamId = null, limit = 3) {
+  const query = `
+    SELECT user_id, COUNT(*) AS total
+    FROM reaction_events
+    WHERE channel_id = $1
+      AND event_ts >= $2
+      AND event_ts <= $3
+      AND removed_at IS NULL
+      ${TEAM_FILTER}
+    GROUP BY user_id
+    ORDER BY total DESC, user_id
+    LIMIT $5
+  `;
+
+  return queryTopUsers(query, [channelId, start, end, teamId, limit]);
+}
+
+/**
+ * Get the people who shared the most files between two dates
+ * 
+ * @param {string} channelId - Which channel
+ * @param {Date} start - Start date/time
+ * @param {Date} end - End date/time
+ * @param {string} teamId - Workspace (optional, see TEAM_FILTER)
+ * @param {number} limit - How many people to return
+ * @returns {Array<{userId: string, count: number}>} - Most active first
+ */
+async function getTopFileSharersBetween(channelId, start, end, teamId = null, limit = 3) {
+  const query = `
+    SELECT user_id, COUNT(*) AS total
+    FROM file_events
+    WHERE channel_id = $1
+      AND event_ts >= $2
+      AND event_ts <= $3
+      ${TEAM_FILTER}
+    GROUP BY user_id
+    ORDER BY total DESC, user_id
+    LIMIT $5
+  `;
+
+  return queryTopUsers(query, [channelId, start, end, teamId, limit]);
+}
+
+/**
+ * Count messages per weekday and hour of the day between two dates
+ * Used for the "when is the channel busy?" heatmap
+ * 
+ * @param {string} channelId - Which channel
+ * @param {Date} start - Start date/time
+ * @param {Date} end - End date/time
+ * @param {string} teamId - Workspace (optional, see TEAM_FILTER)
+ * @param {string} timezone - IANA timezone the hours are measured in (e.g., "Asia/Kolkata")
+ * @returns {Array<{weekday: number, hour: number, count: number}>} - weekday: 1 = Monday ... 7 = Sunday
+ * 
+ * Example return:
+ * [{ weekday: 1, hour: 10, count: 42 }, { weekday: 1, hour: 11, count: 17 }, ...]
+ * (weekday/hour combinations with no messages are left out)
+ */
+async function getMessageHeatmapBetween(channelId, start, end, teamId = null, timezone = 'UTC') {
+  // AT TIME ZONE turns the stored UTC time into the channel's local time before bucketing
+  const query = `
+    SELECT EXTRACT(ISODOW FROM message_ts AT TIME ZONE $5) AS weekday,
+           EXTRACT(HOUR FROM message_ts AT TIME ZONE $5) AS hour,
+           COUNT(*) AS total
+    FROM message_events
+    WHERE channel_id = $1
+      AND message_ts >= $2
+      AND message_ts <= $3
+      AND deleted_at IS NULL           -- Deleted messages don't count
+      ${TEAM_FILTER}
+    GROUP BY 1, 2
+  `;
+
+  const { rows } = await pool.query(query, [channelId, start, end, teamId, timezone]);
+  return rows.map((row) => ({
+    weekday: Number(row.weekday),
+    hour: Number(row.hour),
+    count: Number(row.total),
+  }));
+}
+
+/**
+ * Count messages, reactions and file uploads per day between two dates
+ * One query per table, grouped by the calendar day in the channel's timezone (used for charts)
+ * 
+ * @param {string} channelId - Which channel
+ * @param {Date} start - Start date/time
+ * @param {Date} end - End date/time
+ * @param {string} teamId - Workspace (optional, see TEAM_FILTER)
+ * @param {string} timezone - IANA timezone the days are measured in
+ * @returns {Map<string, {messages: number, reactions: number, files: number}>} - Key: YYYY-MM-DD (days with no activity are missing)
+ */
+async function getDailyActivityBetween(channelId, start, end, teamId = null, timezone = 'UTC') {
+  const perDay = (table, timeColumn, extraCondition = '') => `
+    SELECT ((${timeColumn} AT TIME ZONE $5)::DATE)::TEXT AS day, COUNT(*) AS total
+    FROM ${table}
+    WHERE channel_id = $1
+      AND ${timeColumn} >= $2
+      AND ${timeColumn} <= $3
+      ${extraCondition}
+      ${TEAM_FILTER}
+    GROUP BY 1
+  `;
+  const params = [channelId, start, end, teamId, timezone];
+
+  const [messages, reactions, files] = await Promise.all([
+    pool.query(perDay('message_events', 'message_ts', 'AND deleted_at IS NULL'), params),
+    pool.query(perDay('reaction_events', 'event_ts'), params),
+    pool.query(perDay('file_events', 'event_ts'), params),
+  ]);
+
+  const days = new Map();
+  const add = (rows, field) => {
+    for (const row of rows) {
+      const day = days.get(row.day) || { messages: 0, reactions: 0, files: 0 };
+      day[field] = Number(row.total);
+      days.set(row.day, day);
+    }
+  };
+  add(messages.rows, 'messages');
+  add(reactions.rows, 'reactions');
+  add(files.rows, 'files');
+
+  return days;
+}
+
 /**
  * Save the daily summary to the database
  * This stores the summary results so we have a history of all summaries
  * 
  * @param {object} params - Summary data
+ * @param {string} params.teamId - Workspace the channel belongs to
  * @param {string} params.channelId - Channel ID
  * @param {string} params.statDate - Date in YYYY-MM-DD format
  * @param {number} params.reactionCount - Total reactions
+ * @param {number} params.netReactionCount - Reactions still in place (after removals)
  * @param {number} params.newMemberCount - New members
  * @param {number} params.memberRemovedCount - Members who left
  * @param {number} params.messageCount - Total messages
  * @param {number} params.fileUploadCount - Total file uploads
+ * @param {number} params.threadCount - New threads
+ * @param {number} params.replyCount - Thread replies
  * @param {string} params.messageTs - Slack message timestamp (if posted)
+ * @param {string} params.postedChannelId - Channel that message is in
+ * @param {string} params.coversFrom - First day the message covers, for combined summaries (optional)
+ * @param {boolean} params.scheduled - Saved by the day's scheduled run (cron/catch-up); once set, it stays set
  * @returns {object} - The saved summary record
  */
-async function saveDailySummary({ channelId, statDate, reactionCount, newMemberCount, memberRemovedCount, messageCount, fileUploadCount, messageTs }) {
+async function saveDailySummary({ teamId, channelId, statDate, reactionCount, newMemberCount, memberRemovedCount, messageCount, fileUploadCount, threadCount, replyCount, netReactionCount, messageTs, postedChannelId, coversFrom, scheduled }) {
   const query = `
     INSERT INTO daily_summaries (
       channel_id, stat_date, reaction_count, new_member_count, 
-      member_removed_count, message_count, file_upload_count, message_ts
+      member_removed_count, message_count, file_upload_count, message_ts, team_id,
+      thread_count, reply_count, net_reaction_count, posted_channel_id, covers_from, scheduled
     )
-    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
     ON CONFLICT (channel_id, stat_date) DO UPDATE
       -- If a summary for this channel+date already exists, update it instead
       SET reaction_count = EXCLUDED.reaction_count,
@@ -250,7 +671,16 @@ async function saveDailySummary({ channelId, statDate, reactionCount, newMemberC
           member_removed_count = EXCLUDED.member_removed_count,
           message_count = EXCLUDED.message_count,
           file_upload_count = EXCLUDED.file_upload_count,
-          message_ts = COALESCE(EXCLUDED.message_ts, daily_summaries.message_ts)
+          thread_count = EXCLUDED.thread_count,
+          reply_count = EXCLUDED.reply_count,
+          net_reaction_count = EXCLUDED.net_reaction_count,
+          message_ts = COALESCE(EXCLUDED.message_ts, daily_summaries.message_ts),
+          posted_channel_id = COALESCE(EXCLUDED.posted_channel_id, daily_summaries.posted_channel_id),
+          -- covers_from belongs to the message: it only changes when a message is saved
+          covers_from = CASE WHEN EXCLUDED.message_ts IS NOT NULL THEN EXCLUDED.covers_from ELSE daily_summaries.covers_from END,
+          team_id = COALESCE(EXCLUDED.team_id, daily_summaries.team_id),
+          -- A manual re-run (or reconciliation) of a day the schedule already did doesn't undo that
+          scheduled = daily_summaries.scheduled OR EXCLUDED.scheduled
     RETURNING *
   `;
   // RETURNING * means: return the saved/updated record
@@ -265,22 +695,319 @@ async function saveDailySummary({ channelId, statDate, reactionCount, newMemberC
     messageCount || 0,            // Use 0 if not provided
     fileUploadCount || 0,         // Use 0 if not provided
     messageTs || null,            // Use null if not provided
+    teamId || null,               // Use null for single-workspace setups
+    threadCount || 0,             // Use 0 if not provided
+    replyCount || 0,              // Use 0 if not provided
+    netReactionCount || 0,        // Use 0 if not provided
+    postedChannelId || null,      // Use null if not provided
+    coversFrom || null,           // Only set for combined summaries
+    scheduled === true,           // Manual unless the scheduled run saved it
   ]);
 
   // Return the first (and only) row
   return rows[0];
 }
 
+/**
+ * Get saved daily summaries for a range of dates
+ * Used for the trend arrows (yesterday and the 7-day average) and by reconciliation
+ * 
+ * @param {string} channelId - Channel ID
+ * @param {string} fromDate - First date in YYYY-MM-DD format
+ * @param {string} toDate - Last date in YYYY-MM-DD format
+ * @returns {object[]} - One object per saved day, with the same count fields as a summary
+ *   plus the Slack message it was posted as (null if it wasn't posted)
+ *   and whether the day's scheduled run saved it
+ * 
+ * Example return:
+ * [{ statDate: "2024-01-14", messageCount: 134, reactionCount: 20, ..., messageTs: "1705224000.123456", postedChannelId: "C0SUMMARY", scheduled: true }]
+ */
+async function getDailySummariesBetween(channelId, fromDate, toDate) {
+  const query = `
+    SELECT stat_date::TEXT AS stat_date,  -- TEXT so the date isn't shifted by the server's timezone
+           message_count, thread_count, reply_count, reaction_count, net_reaction_count,
+           file_upload_count, new_member_count, member_removed_count, message_ts, posted_channel_id, scheduled
+    FROM daily_summaries
+    WHERE channel_id = $1
+      AND stat_date >= $2
+      AND stat_date <= $3
+    ORDER BY stat_date
+  `;
+
+  const { rows } = await pool.query(query, [channelId, fromDate, toDate]);
+  return rows.map((row) => ({
+    ...rowToDailySummary(row),
+    messageTs: row.message_ts,
+    postedChannelId: row.posted_channel_id,
+    scheduled: row.scheduled,
+  }));
+}
+
+/**
+ * Get the most recent saved daily summary of a channel
+ * Used by the App Home tab
+ * 
+ * @param {string} channelId - Channel ID
+ * @returns {object|null} - Same fields as getDailySummariesBetween plus messageTs, or null if none was saved yet
+ */
+async function getLatestDailySummary(channelId) {
+  const query = `
+    SELECT stat_date::TEXT AS stat_date,
+           message_count, thread_count, reply_count, reaction_count, net_reaction_count,
+           file_upload_count, new_member_count, member_removed_count, message_ts
+    FROM daily_summaries
+    WHERE channel_id = $1
+    ORDER BY stat_date DESC
+    LIMIT 1
+  `;
+
+  const { rows } = await pool.query(query, [channelId]);
+  return rows[0] ? { ...rowToDailySummary(rows[0]), messageTs: rows[0].message_ts } : null;
+}
+
+/**
+ * Find the Slack message a channel's summary for a date was posted as
+ * Used to update that message instead of posting a duplicate when the summary is re-run
+ * 
+ * @param {string} channelId - Channel the summary is for
+ * @param {string} statDate - Date in YYYY-MM-DD format
+ * @returns {{messageTs: string, postedChannelId: string|null, coversFrom: string|null}|null} - null if it was never posted
+ *   (postedChannelId is null for summaries saved before it was recorded;
+ *   coversFrom is the first day of a combined summary, null for a normal one)
+ */
+async function getPostedSummary(channelId, statDate) {
+  const query = `
+    SELECT message_ts, posted_channel_id, covers_from::TEXT AS covers_from
+    FROM daily_summaries
+    WHERE channel_id = $1
+      AND stat_date = $2
+      AND message_ts IS NOT NULL
+  `;
+
+  const { rows } = await pool.query(query, [channelId, statDate]);
+  return rows[0]
+    ? { messageTs: rows[0].message_ts, postedChannelId: rows[0].posted_channel_id, coversFrom: rows[0].covers_from }
+    : null;
+}
+
+/**
+ * Find the combined summary message (posted after a break) that covers an earlier day
+ * A combined summary's message is saved on its last day only, so the days before it
+ * have no message of their own
+ * 
+ * @param {string} channelId - Channel the summary is for
+ * @param {string} statDate - Date in YYYY-MM-DD format
+ * @returns {{statDate: string, messageTs: string, postedChannelId: string|null, coversFrom: string}|null}
+ *   - The day the message is saved on, and the message; null if no combined summary covers that day
+ * 
+ * Example: a Monday post covering Friday to Sunday is saved on Sunday, so for Friday →
+ *   { statDate: "2026-10-18", messageTs: "1760787000.123456", postedChannelId: "C0SUMMARY", coversFrom: "2026-10-16" }
+ */
+async function getCombinedSummaryCovering(channelId, statDate) {
+  const query = `
+    SELECT stat_date::TEXT AS stat_date, message_ts, posted_channel_id, covers_from::TEXT AS covers_from
+    FROM daily_summaries
+    WHERE channel_id = $1
+      AND covers_from <= $2
+      AND stat_date > $2
+      AND message_ts IS NOT NULL
+    ORDER BY stat_date
+    LIMIT 1
+  `;
+
+  const { rows } = await pool.query(query, [channelId, statDate]);
+  return rows[0]
+    ? { statDate: rows[0].stat_date, messageTs: rows[0].message_ts, postedChannelId: rows[0].posted_channel_id, coversFrom: rows[0].covers_from }
+    : null;
+}
+
+/**
+ * Remember which Slack message a saved daily summary was posted as
+ * Used by the outbox when a summary is sent after it was saved (a retried post)
+ * 
+ * @param {object} params
+ * @param {string} params.channelId - Channel the summary is for
+ * @param {string} params.statDate - Date in YYYY-MM-DD format
+ * @param {string} params.messageTs - Slack message timestamp
+ * @param {string} params.postedChannelId - Channel the message is in
+ * @param {string} params.coversFrom - First day the message covers, for combined summaries (optional)
+ * @returns {boolean} - True if a summary was updated (false if it already had a message)
+ */
+async function setDailySummaryMessage({ channelId, statDate, messageTs, postedChannelId, coversFrom = null }) {
+  const query = `
+    UPDATE daily_summaries
+    SET message_ts = $3, posted_channel_id = $4, covers_from = $5
+    WHERE channel_id = $1
+      AND stat_date = $2
+      AND message_ts IS NULL  -- Don't replace a message that was posted in the meantime
+  `;
+
+  const { rowCount } = await pool.query(query, [channelId, statDate, messageTs, postedChannelId, coversFrom]);
+  return rowCount > 0;
+}
+
+/**
+ * Convert a daily_summaries row (snake_case) into a summary-like object (camelCase)
+ * 
+ * @param {object} row - Database row
+ * @returns {object}
+ */
+function rowToDailySummary(row) {
+  return {
+    statDate: row.stat_date,
+    messageCount: row.message_count,
+    threadCount: row.thread_count,
+    replyCount: row.reply_count,
+    reactionCount: row.reaction_count,
+    netReactionCount: row.net_reaction_count,
+    fileUploadCount: row.file_upload_count,
+    newMemberCount: row.new_member_count,
+    memberRemovedCount: row.member_removed_count,
+  };
+}
+
+// Rollup tables savePeriodSummary() is allowed to write to (period type → table)
+const PERIOD_SUMMARY_TABLES = {
+  week: 'weekly_summaries',
+  month: 'monthly_summaries',
+};
+
+/**
+ * Save a weekly or monthly rollup summary to the database
+ * Works like saveDailySummary, but for a period of several days
+ * 
+ * @param {object} params - Summary data
+ * @param {string} params.periodType - "week" or "month"
+ * @param {string} params.teamId - Workspace the channel belongs to
+ * @param {string} params.channelId - Channel ID
+ * @param {string} params.periodStart - First day in YYYY-MM-DD format
+ * @param {string} params.periodEnd - Last day in YYYY-MM-DD format
+ * @param {object} params.counts - Counts from statsService.collectStatsBetween
+ * @param {string} params.messageTs - Slack message timestamp (if posted)
+ * @returns {object} - The saved summary record
+ */
+async function savePeriodSummary({ periodType, teamId, channelId, periodStart, periodEnd, counts, messageTs }) {
+  const table = PERIOD_SUMMARY_TABLES[periodType];
+  if (!table) {
+    throw new Error(`Unknown summary period "${periodType}".`);
+  }
+
+  const query = `
+    INSERT INTO ${table} (
+      team_id, channel_id, period_start, period_end, message_count, thread_count, reply_count,
+      reaction_count, net_reaction_count, file_upload_count, new_member_count, member_removed_count, message_ts
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+    ON CONFLICT (channel_id, period_start) DO UPDATE
+      SET period_end = EXCLUDED.period_end,
+          message_count = EXCLUDED.message_count,
+          thread_count = EXCLUDED.thread_count,
+          reply_count = EXCLUDED.reply_count,
+          reaction_count = EXCLUDED.reaction_count,
+          net_reaction_count = EXCLUDED.net_reaction_count,
+          file_upload_count = EXCLUDED.file_upload_count,
+          new_member_count = EXCLUDED.new_member_count,
+          member_removed_count = EXCLUDED.member_removed_count,
+          message_ts = COALESCE(EXCLUDED.message_ts, ${table}.message_ts),
+          team_id = COALESCE(EXCLUDED.team_id, ${table}.team_id)
+    RETURNING *
+  `;
+
+  const { rows } = await pool.query(query, [
+    teamId || null,
+    channelId,
+    periodStart,
+    periodEnd,
+    counts.messageCount || 0,
+    counts.threadCount || 0,
+    counts.replyCount || 0,
+    counts.reactionCount || 0,
+    counts.netReactionCount || 0,
+    counts.fileUploadCount || 0,
+    counts.newMemberCount || 0,
+    counts.memberRemovedCount || 0,
+    messageTs || null,
+  ]);
+
+  return rows[0];
+}
+
+/**
+ * Remember which Slack message a saved weekly/monthly rollup was posted as
+ * Used by the outbox when a rollup is sent after it was saved (a retried post)
+ * 
+ * @param {object} params
+ * @param {string} params.periodType - "week" or "month"
+ * @param {string} params.channelId - Channel the rollup is for
+ * @param {string} params.periodStart - First day of the period (YYYY-MM-DD)
+ * @param {string} params.messageTs - Slack message timestamp
+ * @returns {boolean} - True if a rollup was updated
+ */
+async function setPeriodSummaryMessage({ periodType, channelId, periodStart, messageTs }) {
+  const table = PERIOD_SUMMARY_TABLES[periodType];
+  if (!table) {
+    throw new Error(`Unknown summary period "${periodType}".`);
+  }
+
+  const { rowCount } = await pool.query(
+    `UPDATE ${table} SET message_ts = $3 WHERE channel_id = $1 AND period_start = $2 AND message_ts IS NULL`,
+    [channelId, periodStart, messageTs]
+  );
+  return rowCount > 0;
+}
+
+/**
+ * Find the Slack message a weekly or monthly rollup was posted as
+ * Used so a scheduled report isn't posted twice for the same period
+ * 
+ * @param {string} periodType - "week" or "month"
+ * @param {string} channelId - Channel the rollup is for
+ * @param {string} periodStart - First day of the period (YYYY-MM-DD)
+ * @returns {string|null} - Slack message timestamp, or null if that period wasn't posted yet
+ */
+async function getPostedPeriodSummary(periodType, channelId, periodStart) {
+  const table = PERIOD_SUMMARY_TABLES[periodType];
+  if (!table) {
+    throw new Error(`Unknown summary period "${periodType}".`);
+  }
+
+  const { rows } = await pool.query(
+    `SELECT message_ts FROM ${table} WHERE channel_id = $1 AND period_start = $2 AND message_ts IS NOT NULL`,
+    [channelId, periodStart]
+  );
+  return rows[0] ? rows[0].message_ts : null;
+}
+
 // Export all functions so other files can use them
 module.exports = {
   saveReactionEvent,           // Save reaction to database
+  markReactionRemoved,         // Link a reaction removal to its reaction
   saveMemberEvent,             // Save member join/leave to database
   saveMessageEvent,            // Save message to database
+  markMessageEdited,           // Record an edit on the original message
+  markMessageDeleted,          // Record a deletion on the original message
   saveFileEvent,               // Save file upload to database
   countReactionsBetween,       // Count reactions in date range
+  countNetReactionsBetween,    // Count reactions still in place in date range
+  getTopReactionsBetween,      // Most used emoji in date range
   countNewMembersBetween,      // Count new members in date range
   countMembersRemovedBetween,  // Count members who left in date range
   countMessagesBetween,        // Count messages in date range
+  countNewThreadsBetween,      // Count new threads in date range
+  countThreadRepliesBetween,   // Count thread replies in date range
   countFileUploadsBetween,     // Count file uploads in date range
+  getTopPostersBetween,        // Leaderboard: most messages
+  getTopReactorsBetween,       // Leaderboard: most reactions
+  getTopFileSharersBetween,    // Leaderboard: most files
+  getMessageHeatmapBetween,    // Messages per weekday × hour
+  getDailyActivityBetween,     // Messages/reactions/files per day (charts)
   saveDailySummary,            // Save summary results to database
+  getDailySummariesBetween,    // Read saved daily summaries (trend history)
+  getLatestDailySummary,       // Most recent saved summary of a channel (App Home)
+  getPostedSummary,            // Slack message of an already posted summary
+  getCombinedSummaryCovering,  // Combined summary message that covers an earlier day
+  setDailySummaryMessage,      // Link a saved summary to a message sent later (outbox retry)
+  savePeriodSummary,           // Save weekly/monthly rollup to database
+  setPeriodSummaryMessage,     // Link a saved rollup to a message sent later (outbox retry)
+  getPostedPeriodSummary,      // Slack message of an already posted rollup
 };
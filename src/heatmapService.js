@@ -0,0 +1,122 @@
+/**
+ * HEATMAP_SERVICE.JS - Hour-of-Day × Weekday Activity Heatmap
+ *
+ * This file answers "when is the channel actually busy?".
+ * It counts messages per (weekday, hour) over the last few weeks, in the
+ * channel's timezone, so teams can plan stand-ups and announcements.
+ *
+ * The same heatmap is used by:
+ * - the weekly heatmap post (scheduler)
+ * - `/dailyengage heatmap` (slash command)
+ * - GET /api/stats/heatmap (JSON)
+ */
+
+// Import the heatmap query
+const { getMessageHeatmapBetween } = require('./eventsStore');
+// Import shared date helpers
+const {
+  getDayRange,
+  formatDateInTimezone,
+  shiftDateString,
+} = require('./statsService');
+// Import config for the default number of days
+const config = require('./config');
+
+// Row labels (index 0 = Monday, matches ISODOW - 1)
+const WEEKDAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// Shades from "quiet" to "busiest hour of the week"
+const SHADES = ['░', '▒', '▓', '█'];
+
+/**
+ * Collect the heatmap for one channel
+ * Covers the last N full days, ending yesterday in the channel's timezone
+ *
+ * @param {object} channel - Channel settings (from channelsStore)
+ * @param {object} options
+ * @param {number} options.days - How many days to include (defaults to HEATMAP_DAYS)
+ * @param {string} options.endDate - Last day to include, YYYY-MM-DD (defaults to yesterday)
+ * @returns {object} - Heatmap data
+ *
+ * Example return:
+ * {
+ *   channelId: "C09SUH2KHK2",
+ *   timezone: "Asia/Kolkata",
+ *   periodStart: "2026-09-21",
+ *   periodEnd: "2026-10-18",
+ *   weekdays: ["Mon", ..., "Sun"],      // Row labels
+ *   grid: [[0, 0, ..., 3], ...],        // 7 rows (Mon-Sun) × 24 hours
+ *   total: 1234,
+ *   busiest: { weekday: "Tue", hour: 10, count: 57 }
+ * }
+ */
+async function collectHeatmap(channel, { days = config.heatmapDays, endDate } = {}) {
+  const { channelId, teamId, timezone } = channel;
+
+  const periodEnd = endDate || shiftDateString(formatDateInTimezone(new Date(), timezone), -1);
+  const periodStart = shiftDateString(periodEnd, -(days - 1));
+  const { start } = getDayRange(periodStart, timezone);
+  const { end } = getDayRange(periodEnd, timezone);
+
+  const rows = await getMessageHeatmapBetween(channelId, start, end, teamId, timezone);
+
+  // Fill a 7 × 24 grid (missing combinations stay 0)
+  const grid = WEEKDAY_LABELS.map(() => new Array(24).fill(0));
+  let total = 0;
+  let busiest = null;
+  for (const { weekday, hour, count } of rows) {
+    grid[weekday - 1][hour] = count;
+    total += count;
+    if (!busiest || count > busiest.count) {
+      busiest = { weekday: WEEKDAY_LABELS[weekday - 1], hour, count };
+    }
+  }
+
+  return {
+    teamId,
+    channelId,
+    timezone,
+    periodStart,
+    periodEnd,
+    days,
+    weekdays: WEEKDAY_LABELS,
+    grid,
+    total,
+    busiest,
+  };
+}
+
+/**
+ * Draw the heatmap as a monospace text grid (one character per hour)
+ *
+ * @param {number[][]} grid - 7 × 24 counts from collectHeatmap
+ * @returns {string} - Multi-line text, meant for a ``` code block
+ *
+ * Example:
+ *     0     6     12    18
+ * Mon ······░░▒▓█▓▒░░·······
+ * Tue ······░▒▓██▓▒░░·······
+ */
+function formatHeatmapGrid(grid) {
+  const max = Math.max(0, ...grid.flat());
+
+  // Hour markers every 6 hours, lined up with the cells
+  const header = `    ${['0', '6', '12', '18'].map((hour) => hour.padEnd(6)).join('')}`.trimEnd();
+
+  const lines = grid.map((hours, index) => {
+    const cells = hours.map((count) => {
+      if (!count) return '·';
+      // Scale 1..max onto the 4 shades (anything above 0 gets at least the lightest one)
+      return SHADES[Math.min(SHADES.length - 1, Math.ceil((count / max) * SHADES.length) - 1)];
+    });
+    return `${WEEKDAY_LABELS[index]} ${cells.join('')}`;
+  });
+
+  return [header, ...lines].join('\n');
+}
+
+// Export functions so the scheduler, slash command and API can use them
+module.exports = {
+  collectHeatmap,      // Messages per weekday × hour for a channel
+  formatHeatmapGrid,   // Text version of the grid for Slack
+};
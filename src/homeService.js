@@ -0,0 +1,97 @@
+/**
+ * HOME_SERVICE.JS - App Home Dashboard
+ *
+ * When someone opens the bot's Home tab in Slack, Slack sends an
+ * `app_home_opened` event. This file collects what the tab shows and publishes it:
+ *
+ * For every monitored channel in the workspace:
+ * - The last saved summary (from daily_summaries)
+ * - Messages per day over the last 7 days, compared with the 7 days before
+ * - When the next summary will be posted
+ *
+ * The tab is rebuilt every time it's opened, so it's always up to date
+ * and anyone can check channel health without waiting for the daily post.
+ */
+
+// Import channel settings
+const { listMonitoredChannels } = require('./channelsStore');
+// Import the last saved summary
+const { getLatestDailySummary } = require('./eventsStore');
+// Import activity counts and date helpers
+const {
+  collectDailyActivity,
+  formatDateInTimezone,
+  shiftDateString,
+  percentChange,
+} = require('./statsService');
+// Import the next run description
+const { describeNextRun } = require('./scheduler');
+// Import the Home tab builder and views.publish
+const { HOME_MAX_CHANNELS, buildHomeView, publishHomeView } = require('./slackClient');
+
+/**
+ * Collect the Home tab data for one channel
+ *
+ * @param {object} channel - Channel settings (from channelsStore)
+ * @returns {object} - { channel, lastSummary, trend, nextRun }
+ *
+ * Example return:
+ * {
+ *   channel: { channelId: "C09SUH2KHK2", timezone: "Asia/Kolkata", ... },
+ *   lastSummary: { statDate: "2026-10-18", messageCount: 134, ... },   // null if never posted
+ *   trend: { days: [{ date: "2026-10-12", messages: 20 }, ...], total: 150, previousTotal: 120, change: 25 },
+ *   nextRun: "Today at 3:00 PM Asia/Kolkata"                            // null if paused
+ * }
+ */
+async function collectChannelHome(channel) {
+  const { channelId, teamId, timezone } = channel;
+
+  // Last 14 full days: the last 7 are the trend, the 7 before are what it's compared with
+  const yesterday = shiftDateString(formatDateInTimezone(new Date(), timezone), -1);
+  const [activity, lastSummary] = await Promise.all([
+    collectDailyActivity(channelId, yesterday, 14, timezone, teamId),
+    getLatestDailySummary(channelId),
+  ]);
+
+  const lastWeek = activity.slice(7);
+  const total = lastWeek.reduce((sum, day) => sum + day.messages, 0);
+  const previousTotal = activity.slice(0, 7).reduce((sum, day) => sum + day.messages, 0);
+
+  return {
+    channel,
+    lastSummary,
+    trend: {
+      days: lastWeek.map(({ date, messages }) => ({ date, messages })),
+      total,
+      previousTotal,
+      change: percentChange(total, previousTotal),
+    },
+    nextRun: channel.enabled ? describeNextRun(channel.cronSchedule, timezone) : null,
+  };
+}
+
+/**
+ * Build and publish the Home tab for one user
+ *
+ * @param {object} params
+ * @param {string} params.teamId - Workspace of the user (only that workspace's channels are shown)
+ * @param {string} params.userId - User who opened the tab (each user has their own Home tab)
+ */
+async function publishHome({ teamId, userId }) {
+  // Channels saved without a workspace (single-workspace setups) show up everywhere
+  const channels = (await listMonitoredChannels())
+    .filter((channel) => !teamId || !channel.teamId || channel.teamId === teamId)
+    .sort((a, b) => Number(b.enabled) - Number(a.enabled));  // Active channels first, paused ones at the end
+
+  // The tab only has room for HOME_MAX_CHANNELS channels, so only collect those
+  const entries = await Promise.all(channels.slice(0, HOME_MAX_CHANNELS).map(collectChannelHome));
+
+  await publishHomeView({ teamId, userId, view: buildHomeView(entries, { totalChannels: channels.length }) });
+  console.log(`🏠 Published Home tab for ${userId} (${entries.length} of ${channels.length} channels)`);
+}
+
+// Export functions so eventsHandler.js can use them
+module.exports = {
+  publishHome,         // Build and publish a user's Home tab
+  collectChannelHome,  // Home tab data for one channel
+};
@@ -0,0 +1,169 @@
+/**
+ * INSTALLATIONS.JS - Per-Workspace Bot Tokens
+ *
+ * When a workspace installs the app through OAuth ("Add to Slack"), Slack gives us
+ * a bot token for that workspace. This file stores those tokens and hands out
+ * a Slack WebClient for the right workspace (team).
+ *
+ * Single-workspace setups keep working: if a team has no installation row,
+ * we fall back to SLACK_BOT_TOKEN from the environment.
+ */
+
+// Import Slack Web API client
+const { WebClient } = require('@slack/web-api');
+// Import the database connection pool from db.js
+const { pool } = require('./db');
+// Import config for the fallback token and Slack API URL
+const config = require('./config');
+
+// Cache of WebClients, one per team (key: team ID, plus ":fail-fast" for fail-fast clients)
+// Saves a database lookup on every Slack call
+const clientCache = new Map();
+
+// Options for fail-fast clients (used by the outbox)
+// Normal clients wait out rate limits and retry for up to ~30 minutes inside the call;
+// the outbox retries on its own schedule instead, so its calls should fail right away
+const FAIL_FAST_OPTIONS = {
+  rejectRateLimitedCalls: true,  // Throw a rate-limit error (with retryAfter) instead of waiting
+  retryConfig: { retries: 0 },   // No automatic retries
+};
+
+/**
+ * Create a WebClient for a bot token
+ *
+ * @param {string} token - Bot token (xoxb-...)
+ * @param {boolean} failFast - Fail right away on errors and rate limits (see FAIL_FAST_OPTIONS)
+ * @returns {WebClient}
+ */
+function createClient(token, failFast = false) {
+  return new WebClient(token, {
+    slackApiUrl: config.slackApiUrl,
+    ...(failFast ? FAIL_FAST_OPTIONS : {}),
+  });
+}
+
+// Clients for SLACK_BOT_TOKEN (the original single-workspace setup)
+const defaultClient = config.slackBotToken ? createClient(config.slackBotToken) : null;
+const defaultFailFastClient = config.slackBotToken ? createClient(config.slackBotToken, true) : null;
+
+/**
+ * Forget the cached clients of a workspace (its token changed or was removed)
+ *
+ * @param {string} teamId - Workspace ID
+ */
+function forgetClients(teamId) {
+  clientCache.delete(teamId);
+  clientCache.delete(`${teamId}:fail-fast`);
+}
+
+/**
+ * Save (or refresh) a workspace installation
+ * Re-installing the app in the same workspace replaces the old token
+ *
+ * @param {object} params - Installation data from oauth.v2.access
+ * @param {string} params.teamId - Workspace ID
+ * @param {string} params.teamName - Workspace name
+ * @param {string} params.enterpriseId - Enterprise Grid org ID (optional)
+ * @param {string} params.appId - Our Slack app ID
+ * @param {string} params.botUserId - Bot user ID in that workspace
+ * @param {string} params.botToken - Bot token (xoxb-...)
+ * @param {string} params.scope - Granted scopes
+ * @param {string} params.installedBy - User who approved the install
+ * @returns {object} - The saved installation record
+ */
+async function saveInstallation({ teamId, teamName, enterpriseId, appId, botUserId, botToken, scope, installedBy }) {
+  const query = `
+    INSERT INTO installations (
+      team_id, team_name, enterprise_id, app_id, bot_user_id, bot_token, scope, installed_by
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    ON CONFLICT (team_id) DO UPDATE
+      SET team_name = EXCLUDED.team_name,
+          enterprise_id = EXCLUDED.enterprise_id,
+          app_id = EXCLUDED.app_id,
+          bot_user_id = EXCLUDED.bot_user_id,
+          bot_token = EXCLUDED.bot_token,
+          scope = EXCLUDED.scope,
+          installed_by = EXCLUDED.installed_by,
+          updated_at = NOW()
+    RETURNING *
+  `;
+
+  const { rows } = await pool.query(query, [
+    teamId,
+    teamName || null,
+    enterpriseId || null,
+    appId || null,
+    botUserId || null,
+    botToken,
+    scope || null,
+    installedBy || null,
+  ]);
+
+  // Forget the old client so the new token is used right away
+  forgetClients(teamId);
+  return rows[0];
+}
+
+/**
+ * Get the installation for a workspace
+ *
+ * @param {string} teamId - Workspace ID
+ * @returns {object|null} - Installation record, or null if the team never installed the app
+ */
+async function getInstallation(teamId) {
+  const { rows } = await pool.query('SELECT * FROM installations WHERE team_id = $1', [teamId]);
+  return rows[0] || null;
+}
+
+/**
+ * Remove a workspace installation (called when the app is uninstalled)
+ *
+ * @param {string} teamId - Workspace ID
+ * @returns {boolean} - True if an installation was removed
+ */
+async function deleteInstallation(teamId) {
+  forgetClients(teamId);
+  const { rowCount } = await pool.query('DELETE FROM installations WHERE team_id = $1', [teamId]);
+  return rowCount > 0;
+}
+
+/**
+ * Get a Slack WebClient for a workspace
+ *
+ * @param {string} teamId - Workspace ID (optional)
+ * @param {object} options
+ * @param {boolean} options.failFast - Don't wait out rate limits or retry inside the call (default: false)
+ * @returns {WebClient|null} - Client using that team's bot token,
+ *   or the SLACK_BOT_TOKEN client if the team has no installation,
+ *   or null if there is no token at all
+ *
+ * @example
+ * const client = await getClientForTeam('T012AB3C4');
+ * await client.chat.postMessage({ channel: 'C09SUH2KHK2', text: 'Hi' });
+ */
+async function getClientForTeam(teamId, { failFast = false } = {}) {
+  if (teamId) {
+    const cacheKey = failFast ? `${teamId}:fail-fast` : teamId;
+    if (clientCache.has(cacheKey)) {
+      return clientCache.get(cacheKey);
+    }
+
+    const installation = await getInstallation(teamId);
+    if (installation) {
+      const client = createClient(installation.bot_token, failFast);
+      clientCache.set(cacheKey, client);
+      return client;
+    }
+  }
+
+  return failFast ? defaultFailFastClient : defaultClient;
+}
+
+// Export functions so other files can use them
+module.exports = {
+  saveInstallation,    // Save a workspace's bot token after OAuth
+  getInstallation,     // Look up a workspace installation
+  deleteInstallation,  // Forget a workspace (app uninstalled)
+  getClientForTeam,    // Get a WebClient for a workspace
+};
@@ -0,0 +1,226 @@
+/**
+ * INTERACTIONS_HANDLER.JS - Handles Button Presses and Modal Submissions
+ *
+ * This file processes Block Kit interactions that Slack sends to our server.
+ * When someone presses a button in one of our messages, Slack sends a
+ * "block_actions" payload, and this file decides what to do with it.
+ *
+ * Buttons under every posted daily summary:
+ * - 📅 Last 7 days → opens a modal with messages/reactions/files per day
+ * - 🥇 Leaderboard → opens a modal with the day's top posters/reactors/file sharers
+ * - 🔄 Refresh     → recounts the day and updates the summary message in place
+ *
+ * Button on a `/dailyengage preview`:
+ * - Publish to channel → posts (and saves) the summary for real
+ *
+ * Modal submissions ("view_submission"):
+ * - `/dailyengage settings` → saves the channel's settings (see settingsModal.js)
+ *
+ * Flow:
+ * 1. Someone presses a button → Slack sends the payload to server.js
+ * 2. server.js checks the signature, answers 200 and calls processInteraction()
+ *    (modal submissions are answered with what processInteraction() returns)
+ * 3. This file looks at the button's action_id (or the modal's callback_id) and calls the matching handler
+ */
+
+// Import the settings modal submission
+const { SETTINGS_CALLBACK_ID, handleSettingsSubmission } = require('./settingsModal');
+// Import the summary jobs
+const { runDailySummaryJob, refreshPostedSummary } = require('./scheduler');
+// Import the numbers shown in the modals
+const { collectDailyActivity, collectLeaderboardForDate } = require('./statsService');
+// Import channel settings (timezone for the modals)
+const { getMonitoredChannel, defaultChannelSettings } = require('./channelsStore');
+// Import Slack helpers and the button action_ids
+const {
+  PUBLISH_SUMMARY_ACTION,
+  SUMMARY_ACTIONS,
+  respondToSlack,
+  openModal,
+  buildLeaderboardView,
+  buildLastSevenDaysView,
+} = require('./slackClient');
+
+/**
+ * Read the channel/date a button is for
+ * Our buttons store them as JSON in the button's value
+ *
+ * @param {object} action - The pressed button from payload.actions
+ * @returns {{channelId: string, teamId: string, date: string}}
+ */
+function parseButtonValue(action) {
+  return JSON.parse(action.value);
+}
+
+/**
+ * Load a channel's settings (or the defaults if it isn't monitored)
+ *
+ * @param {string} channelId - Channel ID
+ * @param {string} teamId - Workspace ID
+ * @returns {object} - Channel settings
+ */
+async function loadChannel(channelId, teamId) {
+  return (await getMonitoredChannel(channelId)) || defaultChannelSettings(channelId, teamId);
+}
+
+/**
+ * "Publish to channel" on a preview: post the summary for real,
+ * then replace the preview with a short confirmation
+ *
+ * @param {object} payload - Interaction payload from Slack
+ * @param {object} action - The pressed button
+ */
+async function handlePublishSummary(payload, action) {
+  const { channelId, teamId, date } = parseButtonValue(action);
+  // Recorded as a slash command run: the preview came from /dailyengage preview
+  const [result] = await runDailySummaryJob({ channelId, teamId, date, targetChannelId: channelId, trigger: 'slash' });
+  console.log(`📣 Preview for ${channelId} on ${date} published by ${payload.user?.id} (${result?.status || 'not run'}).`);
+
+  await respondToSlack(payload.response_url, {
+    replace_original: true,
+    text: describePublishResult(result, { channelId, date }),
+  });
+}
+
+/**
+ * The confirmation that replaces a published preview, worded by how the run ended
+ *
+ * @param {object|undefined} result - Result of runSummaryForChannel (undefined if the channel couldn't be loaded)
+ * @param {object} where - channelId and date of the summary
+ * @returns {string}
+ */
+function describePublishResult(result, { channelId, date }) {
+  switch (result?.status) {
+    case 'posted':
+      return `✅ Published the summary for ${date} to <#${channelId}>.`;
+    case 'updated':
+      return `✅ Updated the summary for ${date} that was already posted in <#${channelId}>.`;
+    case 'queued':
+      return `⏳ Slack didn't accept the summary for ${date} yet. It was saved and will be retried automatically (check the server logs if it doesn't show up).`;
+    case 'skipped':
+      return `🔒 The summary for ${date} is already being posted to <#${channelId}> (by another run), so it wasn't published twice.`;
+    default:
+      return `❌ Couldn't publish the summary for ${date}${result?.error ? `: ${result.error}` : ''}. Try again, or check the server logs.`;
+  }
+}
+
+/**
+ * "📅 Last 7 days": modal with the 7 days ending on the summary's date
+ *
+ * @param {object} payload - Interaction payload from Slack
+ * @param {object} action - The pressed button
+ */
+async function handleShowLastSevenDays(payload, action) {
+  const { channelId, teamId, date } = parseButtonValue(action);
+  const channel = await loadChannel(channelId, teamId);
+  const days = await collectDailyActivity(channelId, date, 7, channel.timezone, teamId);
+
+  await openModal({
+    teamId,
+    triggerId: payload.trigger_id,
+    view: buildLastSevenDaysView(channelId, days),
+  });
+}
+
+/**
+ * "🥇 Leaderboard": modal with the day's most active people
+ * Works even for channels that don't show the leaderboard in the summary itself
+ *
+ * @param {object} payload - Interaction payload from Slack
+ * @param {object} action - The pressed button
+ */
+async function handleShowLeaderboard(payload, action) {
+  const { channelId, teamId, date } = parseButtonValue(action);
+  const channel = await loadChannel(channelId, teamId);
+  const leaderboard = await collectLeaderboardForDate(date, channelId, channel.timezone, teamId);
+
+  await openModal({
+    teamId,
+    triggerId: payload.trigger_id,
+    view: buildLeaderboardView(channelId, date, leaderboard),
+  });
+}
+
+/**
+ * "🔄 Refresh": recount the day and update the summary message in place
+ *
+ * @param {object} payload - Interaction payload from Slack
+ * @param {object} action - The pressed button
+ */
+async function handleRefresh(payload, action) {
+  const { channelId, teamId, date } = parseButtonValue(action);
+
+  try {
+    await refreshPostedSummary({
+      channelId,
+      teamId,
+      date,
+      messageChannelId: payload.container?.channel_id || payload.channel?.id,
+      messageTs: payload.container?.message_ts || payload.message?.ts,
+    });
+  } catch (error) {
+    console.error(`❌ Failed to refresh summary for ${channelId} on ${date}:`, error.message);
+    // Let the person who pressed the button know (only they see it)
+    await respondToSlack(payload.response_url, {
+      response_type: 'ephemeral',
+      replace_original: false,
+      text: `❌ Couldn't refresh the summary for ${date}. Please try again later.`,
+    });
+  }
+}
+
+/**
+ * Main function to process an interaction payload
+ * This is called by server.js for every request to /api/slack/interactions
+ *
+ * @param {object} payload - The parsed "payload" field Slack sends
+ * @returns {object|undefined} - Response body for modal submissions (e.g., field errors)
+ */
+async function processInteraction(payload) {
+  // Modal submissions: the return value is sent back to Slack
+  if (payload?.type === 'view_submission') {
+    if (payload.view?.callback_id === SETTINGS_CALLBACK_ID) {
+      return handleSettingsSubmission(payload);
+    }
+    console.log(`⚠️  Unhandled modal: ${payload.view?.callback_id}`);
+    return;
+  }
+
+  // Everything else we handle is a button press
+  if (payload?.type !== 'block_actions') {
+    console.log(`⚠️  Unhandled interaction type: ${payload?.type}`);
+    return;
+  }
+
+  // Slack sends one action per button press
+  const action = payload.actions?.[0];
+  console.log(`🖱️  Button "${action?.action_id}" pressed by ${payload.user?.id}`);
+
+  switch (action?.action_id) {
+    case PUBLISH_SUMMARY_ACTION:
+      await handlePublishSummary(payload, action);
+      break;
+
+    case SUMMARY_ACTIONS.lastSevenDays:
+      await handleShowLastSevenDays(payload, action);
+      break;
+
+    case SUMMARY_ACTIONS.leaderboard:
+      await handleShowLeaderboard(payload, action);
+      break;
+
+    case SUMMARY_ACTIONS.refresh:
+      await handleRefresh(payload, action);
+      break;
+
+    // Buttons we don't know (e.g., from an older version of a message)
+    default:
+      console.log(`⚠️  Unhandled action: ${action?.action_id}`);
+      break;
+  }
+}
+
+// Export the main function so server.js can use it
+module.exports = {
+  processInteraction,  // Processes every button press and modal submission from Slack
+};
@@ -0,0 +1,126 @@
+/**
+ * JOB_LOCKS.JS - One Instance per Job (Postgres Advisory Locks)
+ *
+ * During a deploy (old and new instance overlap) or when the service is scaled out,
+ * every instance has the same cron jobs, so they all fire at the same moment.
+ * Without a lock, each one would post the same daily summary.
+ *
+ * Postgres advisory locks are named locks that live in the database, so every
+ * instance sees the same lock:
+ * - pg_try_advisory_lock(key) → true if we got it, false if another connection holds it
+ * - pg_advisory_unlock(key)   → let it go
+ * - If an instance crashes, its connection closes and Postgres releases the lock
+ *   automatically (no stale locks to clean up)
+ *
+ * Lock names are text (e.g., "daily-summary:C09SUH2KHK2:2026-10-18");
+ * hashtextextended() turns them into the 64-bit number Postgres expects.
+ *
+ * Locks are taken on their own small pool (lockPool, JOB_LOCK_CONNECTIONS connections),
+ * never on the pool the jobs run their queries on, so a job holding a lock can always
+ * get a connection for its work.
+ */
+
+// Import the connections used only for job locks from db.js
+const { lockPool } = require('./db');
+
+/**
+ * Run a job only if no other instance is running the same job right now
+ *
+ * @param {string} lockKey - Name of the job, e.g. "daily-summary:C09SUH2KHK2:2026-10-18"
+ * @param {function} job - Async function to run while holding the lock
+ * @returns {{acquired: boolean, result: *}} - acquired is false (and the job didn't run)
+ *   when another instance holds the lock
+ *
+ * @example
+ * const { acquired } = await withJobLock('daily-summary:C1:2026-10-18', async () => postIt());
+ * if (!acquired) console.log('Another instance is posting it');
+ */
+async function withJobLock(lockKey, job) {
+  // Advisory locks belong to a connection, so hold one connection for the whole job
+  const client = await lockPool.connect();
+  let unlockError;
+
+  // If the connection drops during the job (e.g., the database restarts), the lock is gone with it.
+  // Log it instead of crashing on an unhandled 'error' event; the unlock below then fails
+  const onConnectionError = (error) => {
+    console.warn(`⚠️  Lost the connection holding job lock ${lockKey}: ${error.message}`);
+  };
+  client.on('error', onConnectionError);
+
+  try {
+    const { rows } = await client.query('SELECT pg_try_advisory_lock(hashtextextended($1, 0)) AS acquired', [lockKey]);
+    if (!rows[0].acquired) {
+      return { acquired: false, result: undefined };
+    }
+
+    try {
+      return { acquired: true, result: await job() };
+    } finally {
+      try {
+        await client.query('SELECT pg_advisory_unlock(hashtextextended($1, 0))', [lockKey]);
+      } catch (error) {
+        // The connection may still hold the lock: it's closed below instead of being reused,
+        // and Postgres releases the lock when the connection closes
+        unlockError = error;
+        console.warn(`⚠️  Could not release job lock ${lockKey} (${error.message}), closing its connection.`);
+      }
+    }
+  } finally {
+    // Passing an error makes the pool close the connection instead of handing it out again
+    client.off('error', onConnectionError);
+    client.release(unlockError);
+  }
+}
+
+/**
+ * Lock name for one channel's daily summary of one day
+ *
+ * @param {string} channelId - Channel the summary is for
+ * @param {string} statDate - Day in YYYY-MM-DD format
+ * @returns {string} - e.g., "daily-summary:C09SUH2KHK2:2026-10-18"
+ */
+function dailySummaryLockKey(channelId, statDate) {
+  return `daily-summary:${channelId}:${statDate}`;
+}
+
+/**
+ * Lock name for one channel's weekly or monthly report of one period
+ *
+ * @param {string} periodType - "week" or "month"
+ * @param {string} channelId - Channel the report is for
+ * @param {string} periodStart - First day of the period in YYYY-MM-DD format
+ * @returns {string} - e.g., "rollup:week:C09SUH2KHK2:2026-10-12"
+ */
+function rollupLockKey(periodType, channelId, periodStart) {
+  return `rollup:${periodType}:${channelId}:${periodStart}`;
+}
+
+/**
+ * Lock name for one channel's activity heatmap ending on a day
+ *
+ * @param {string} channelId - Channel the heatmap is for
+ * @param {string} periodEnd - Last day it covers in YYYY-MM-DD format
+ * @returns {string} - e.g., "heatmap:C09SUH2KHK2:2026-10-18"
+ */
+function heatmapLockKey(channelId, periodEnd) {
+  return `heatmap:${channelId}:${periodEnd}`;
+}
+
+/**
+ * Lock name for one channel's reconciliation (recounting its recent days)
+ *
+ * @param {string} channelId - Channel being reconciled
+ * @returns {string} - e.g., "reconcile:C09SUH2KHK2"
+ */
+function reconcileLockKey(channelId) {
+  return `reconcile:${channelId}`;
+}
+
+// Export functions so the scheduler can use them
+module.exports = {
+  withJobLock,           // Run a job unless another instance is running it
+  dailySummaryLockKey,   // Lock name for a channel/date summary
+  rollupLockKey,         // Lock name for a channel's weekly/monthly report
+  heatmapLockKey,        // Lock name for a channel's heatmap
+  reconcileLockKey,      // Lock name for a channel's reconciliation
+};
@@ -0,0 +1,181 @@
+/**
+ * JOB_RUNS.JS - Job Run History
+ *
+ * Every job run is recorded in the job_runs table: daily summaries, weekly/monthly and range
+ * reports, heatmaps, anomaly checks, reconciliation and outbox sends (job_type tells them apart).
+ * Each row says what started it, which channel and day, how long it took, and how it ended
+ * (with the error if it failed). That way a failed job shows up in GET /api/admin/jobs
+ * instead of only in the logs.
+ *
+ * A run is saved as "running" when it starts and updated when it ends, so a run
+ * that never finished (e.g., the server restarted mid-run) stays visible too.
+ *
+ * Recording is best effort: if the history can't be saved, the job still runs.
+ */
+
+// Import the database connection pool from db.js
+const { pool } = require('./db');
+
+// What started a run
+const JOB_TRIGGERS = ['cron', 'slash', 'api', 'catch-up'];
+
+// How a run can end ("running" = not finished yet)
+// posted = new Slack message, updated = existing message edited, queued = saved but waiting in the outbox,
+// skipped = another instance had it / already done / not a working day,
+// done = finished with nothing to post (e.g., an anomaly check that found nothing unusual), failed = error
+const JOB_RUN_STATUSES = ['running', 'posted', 'updated', 'queued', 'skipped', 'done', 'failed'];
+
+/**
+ * Record that a job started
+ *
+ * @param {object} params - Run data
+ * @param {string} params.jobType - e.g., "daily-summary", "weekly-report", "outbox"
+ * @param {string} params.trigger - One of JOB_TRIGGERS
+ * @param {string} params.teamId - Workspace (optional)
+ * @param {string} params.channelId - Channel the job is for (null for jobs about every channel, like the outbox)
+ * @param {string} params.targetDate - Day the job is about (YYYY-MM-DD, optional)
+ * @returns {object|null} - { id, startedAt } to pass to finishJobRun, or null if it couldn't be saved
+ */
+async function startJobRun({ jobType, trigger, teamId = null, channelId = null, targetDate = null }) {
+  const startedAt = new Date();
+
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO job_runs (job_type, trigger, team_id, channel_id, target_date, status, started_at)
+       VALUES ($1, $2, $3, $4, $5, 'running', $6)
+       RETURNING id`,
+      [jobType, trigger, teamId, channelId, targetDate, startedAt]
+    );
+    return { id: rows[0].id, startedAt };
+  } catch (error) {
+    console.warn(`⚠️  Could not record the ${jobType} run${channelId ? ` for ${channelId}` : ''}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Record how a job ended
+ *
+ * @param {object|null} run - Result of startJobRun (null → nothing to update)
+ * @param {object} result
+ * @param {string} result.status - One of JOB_RUN_STATUSES (not "running")
+ * @param {string} result.error - Error message (failed) or why it was skipped
+ * @param {string} result.messageTs - Slack message timestamp (posted/updated)
+ * @param {string} result.targetDate - Day the job turned out to be about, if it wasn't known at the start
+ *   (e.g., the first day of a weekly report)
+ */
+async function finishJobRun(run, { status, error = null, messageTs = null, targetDate = null }) {
+  if (!run) return;
+
+  try {
+    await pool.query(
+      `UPDATE job_runs
+       SET status = $2, error = $3, message_ts = $4, finished_at = NOW(), duration_ms = $5,
+           target_date = COALESCE($6, target_date)
+       WHERE id = $1`,
+      [run.id, status, error, messageTs, Date.now() - run.startedAt.getTime(), targetDate]
+    );
+  } catch (updateError) {
+    console.warn(`⚠️  Could not record the end of job run ${run.id}: ${updateError.message}`);
+  }
+}
+
+/**
+ * Run a job and record it in job_runs (started, then how it ended)
+ * The job returns its result ({ status, error, messageTs, targetDate } - see finishJobRun);
+ * if it throws, the run is recorded as failed and the error is thrown again
+ *
+ * @param {object} params - Same as startJobRun
+ * @param {function} job - Async function that does the work and returns its result
+ * @returns {object} - The job's result
+ *
+ * @example
+ * await recordJobRun({ jobType: 'heatmap', trigger: 'cron', channelId }, async () => {
+ *   const messageTs = await postIt();
+ *   return { status: messageTs ? 'posted' : 'queued', messageTs };
+ * });
+ */
+async function recordJobRun(params, job) {
+  const run = await startJobRun(params);
+
+  try {
+    const result = await job();
+    await finishJobRun(run, result);
+    return result;
+  } catch (error) {
+    await finishJobRun(run, { status: 'failed', error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Convert a database row into a job run object
+ *
+ * @param {object} row - Row from job_runs
+ * @returns {object}
+ */
+function rowToJobRun(row) {
+  return {
+    id: row.id,
+    jobType: row.job_type,
+    trigger: row.trigger,
+    teamId: row.team_id,
+    channelId: row.channel_id,
+    targetDate: row.target_date,
+    status: row.status,
+    error: row.error,
+    messageTs: row.message_ts,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    durationMs: row.duration_ms,
+  };
+}
+
+/**
+ * List job runs (newest first)
+ *
+ * @param {object} filters - All optional
+ * @param {string} filters.channelId - Only this channel
+ * @param {string} filters.status - Only this status (e.g., "failed")
+ * @param {string} filters.trigger - Only runs started this way (e.g., "cron")
+ * @param {string} filters.jobType - Only this kind of job
+ * @param {string} filters.targetDate - Only runs for this day (YYYY-MM-DD)
+ * @param {number} filters.limit - Maximum number of runs (default: 50)
+ * @returns {object[]}
+ */
+async function listJobRuns({ channelId, status, trigger, jobType, targetDate, limit = 50 } = {}) {
+  // Build the WHERE clause from the filters that were given
+  const conditions = [];
+  const params = [];
+  const filters = { channel_id: channelId, status, trigger, job_type: jobType, target_date: targetDate };
+
+  for (const [column, value] of Object.entries(filters)) {
+    if (value) {
+      params.push(value);
+      conditions.push(`${column} = $${params.length}`);
+    }
+  }
+
+  params.push(limit);
+  const query = `
+    SELECT id, job_type, trigger, team_id, channel_id, target_date::TEXT AS target_date,
+           status, error, message_ts, started_at, finished_at, duration_ms
+    FROM job_runs
+    ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY id DESC
+    LIMIT $${params.length}
+  `;
+
+  const { rows } = await pool.query(query, params);
+  return rows.map(rowToJobRun);
+}
+
+// Export functions so the scheduler and the admin API can use them
+module.exports = {
+  JOB_TRIGGERS,       // What can start a run
+  JOB_RUN_STATUSES,   // How a run can end
+  startJobRun,        // Record that a job started
+  finishJobRun,       // Record how it ended
+  recordJobRun,       // Run a job and record both
+  listJobRuns,        // Run history (GET /api/admin/jobs)
+};
@@ -0,0 +1,143 @@
+/**
+ * OAUTH.JS - "Add to Slack" Install Flow (OAuth v2)
+ *
+ * This file lets other workspaces install the bot without running their own copy.
+ *
+ * Flow:
+ * 1. User opens GET /api/slack/install → we redirect them to Slack's authorize page
+ * 2. User approves → Slack redirects to GET /api/slack/oauth/callback?code=...&state=...
+ * 3. We check the state (CSRF protection) and exchange the code with oauth.v2.access
+ * 4. The workspace's bot token is saved in the installations table
+ *
+ * SLACK_API_URL and SLACK_OAUTH_AUTHORIZE_URL can point at a local fake Slack for testing.
+ */
+
+// Import crypto (Node.js built-in, for signing the state parameter)
+const crypto = require('crypto');
+// Import Slack Web API client (used without a token for oauth.v2.access)
+const { WebClient } = require('@slack/web-api');
+// Import config for client ID/secret and URLs
+const config = require('./config');
+// Import installation storage
+const { saveInstallation } = require('./installations');
+
+// How long an install link stays valid (10 minutes)
+const STATE_MAX_AGE_MS = 10 * 60 * 1000;
+
+/**
+ * Sign a value with the client secret
+ *
+ * @param {string} value - Value to sign
+ * @returns {string} - Hex HMAC-SHA256 signature
+ */
+function sign(value) {
+  return crypto.createHmac('sha256', config.slackClientSecret).update(value).digest('hex');
+}
+
+/**
+ * Create the OAuth "state" parameter
+ * The state is "<timestamp>.<random>.<signature>", so we can check it later
+ * without storing anything (works across restarts and multiple instances)
+ *
+ * @returns {string} - Signed state value
+ */
+function createOAuthState() {
+  const payload = `${Date.now()}.${crypto.randomBytes(16).toString('hex')}`;
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Check an OAuth "state" parameter coming back from Slack
+ *
+ * @param {string} state - State value from the callback query string
+ * @returns {boolean} - True if we created it and it isn't expired
+ */
+function verifyOAuthState(state) {
+  if (!state || typeof state !== 'string') return false;
+
+  const lastDot = state.lastIndexOf('.');
+  if (lastDot === -1) return false;
+
+  const payload = state.slice(0, lastDot);
+  const signature = state.slice(lastDot + 1);
+  const expected = sign(payload);
+
+  // Use timingSafeEqual to prevent timing attacks (security)
+  if (signature.length !== expected.length
+    || !crypto.timingSafeEqual(Buffer.from(signature, 'utf8'), Buffer.from(expected, 'utf8'))) {
+    return false;
+  }
+
+  const createdAt = Number(payload.split('.')[0]);
+  return !Number.isNaN(createdAt) && Date.now() - createdAt <= STATE_MAX_AGE_MS;
+}
+
+/**
+ * Build the Slack authorize URL the user is sent to
+ *
+ * @param {string} state - Signed state from createOAuthState()
+ * @returns {string} - Full authorize URL
+ */
+function buildInstallUrl(state) {
+  const url = new URL(config.slackOAuthAuthorizeUrl);
+  url.searchParams.set('client_id', config.slackClientId);
+  url.searchParams.set('scope', config.slackBotScopes);
+  url.searchParams.set('state', state);
+  if (config.slackRedirectUri) {
+    url.searchParams.set('redirect_uri', config.slackRedirectUri);
+  }
+  return url.toString();
+}
+
+/**
+ * Exchange the temporary OAuth code for a bot token and save the installation
+ *
+ * @param {string} code - Code from the callback query string
+ * @returns {object} - The saved installation record
+ *
+ * Example oauth.v2.access response (only the fields we use):
+ * {
+ *   ok: true,
+ *   access_token: "xoxb-...",
+ *   scope: "chat:write,reactions:read",
+ *   bot_user_id: "U0KRQLJ9H",
+ *   app_id: "A0KRD7HC3",
+ *   team: { id: "T9TK3CUKW", name: "Slack Softball Team" },
+ *   enterprise: null,
+ *   authed_user: { id: "U1234" }
+ * }
+ */
+async function completeInstall(code) {
+  // No token needed: oauth.v2.access authenticates with client ID/secret
+  const client = new WebClient(undefined, { slackApiUrl: config.slackApiUrl });
+
+  const response = await client.oauth.v2.access({
+    client_id: config.slackClientId,
+    client_secret: config.slackClientSecret,
+    code,
+    redirect_uri: config.slackRedirectUri || undefined,
+  });
+
+  if (!response.team?.id || !response.access_token) {
+    throw new Error('oauth.v2.access did not return a team and bot token.');
+  }
+
+  return saveInstallation({
+    teamId: response.team.id,
+    teamName: response.team.name,
+    enterpriseId: response.enterprise?.id,
+    appId: response.app_id,
+    botUserId: response.bot_user_id,
+    botToken: response.access_token,
+    scope: response.scope,
+    installedBy: response.authed_user?.id,
+  });
+}
+
+// Export functions so server.js can use them
+module.exports = {
+  createOAuthState,   // Create a signed state for the install link
+  verifyOAuthState,   // Check the state when Slack redirects back
+  buildInstallUrl,    // Slack authorize URL
+  completeInstall,    // Exchange code → token and save the installation
+};
@@ -0,0 +1,409 @@
+/**
+ * OUTBOX.JS - Durable Outbox for Slack Posts
+ *
+ * Every message we post to a channel is saved in the slack_outbox table first,
+ * then sent. If sending fails, the message isn't lost: it stays in the table
+ * and the outbox worker tries again later.
+ *
+ * How it works:
+ * 1. enqueueMessage() saves the message ("pending")
+ * 2. deliverOutboxMessage() sends it right away (so normal posts aren't delayed)
+ * 3. If Slack fails:
+ *    - Rate limited → retry after the Retry-After time Slack gave us
+ *    - Temporary error (network, 5xx, internal_error, ...) → retry with backoff
+ *      (OUTBOX_RETRY_BASE_SECONDS, doubled every attempt, at most OUTBOX_RETRY_MAX_SECONDS)
+ *    - Permanent error (channel_not_found, not_in_channel, invalid_auth, ...) → "failed"
+ *    - Still failing after OUTBOX_MAX_ATTEMPTS tries → "failed"
+ * 4. processOutbox() runs every minute (OUTBOX_CRON_SCHEDULE) and sends what's due
+ * 5. Failed messages are listed by GET /api/admin/outbox and can be re-sent with
+ *    POST /api/admin/outbox/:id/resend
+ *
+ * A message sent on a later try still ends up linked to what it's about:
+ * the "kind" and "reference" columns say which saved summary/rollup/alert
+ * gets the Slack message timestamp once it's sent.
+ *
+ * Status flow: pending → sending → sent
+ *                               ↘ pending (retry) ... → failed
+ */
+
+// Import Slack's error codes
+const { ErrorCode } = require('@slack/web-api');
+// Import the database connection pool from db.js
+const { pool } = require('./db');
+// Import config for the retry settings
+const config = require('./config');
+// Import per-workspace Slack clients
+const { getClientForTeam } = require('./installations');
+// Import what gets linked to a message once it's sent
+const { setDailySummaryMessage, setPeriodSummaryMessage } = require('./eventsStore');
+const { setAnomalyMessageTs } = require('./anomalyService');
+// Import the job run history (worker runs that had something to send are recorded)
+const { startJobRun, finishJobRun } = require('./jobRuns');
+
+// Slack error codes that are worth retrying (everything else from Slack is permanent)
+const RETRYABLE_SLACK_ERRORS = ['ratelimited', 'internal_error', 'fatal_error', 'service_unavailable', 'request_timeout'];
+
+// Most messages the worker sends in one run (the rest wait for the next run)
+const OUTBOX_BATCH_SIZE = 50;
+
+// A message stuck in "sending" this long (e.g., the server restarted mid-send) is tried again
+const STALE_SENDING_MINUTES = 10;
+
+// Statuses an outbox message can have
+const OUTBOX_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+
+/**
+ * Save a message to the outbox
+ *
+ * @param {object} params - Message data
+ * @param {string} params.teamId - Workspace (picks the bot token)
+ * @param {string} params.channel - Channel ID to post to
+ * @param {string} params.text - Plain text fallback
+ * @param {array} params.blocks - Block Kit blocks
+ * @param {string} params.kind - What this message is ("summary", "rollup", "anomaly_alert", ...)
+ * @param {object} params.reference - What to link the message to once it's sent (see linkSentMessage)
+ * @returns {number} - Outbox message ID
+ */
+async function enqueueMessage({ teamId, channel, text, blocks, kind = 'message', reference = null }) {
+  const query = `
+    INSERT INTO slack_outbox (team_id, channel_id, kind, reference, text, blocks)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING id
+  `;
+
+  const { rows } = await pool.query(query, [
+    teamId || null,
+    channel,
+    kind,
+    reference ? JSON.stringify(reference) : null,
+    text || null,
+    blocks ? JSON.stringify(blocks) : null,
+  ]);
+
+  return rows[0].id;
+}
+
+/**
+ * Claim the next due message so no other run sends it at the same time
+ * ("FOR UPDATE SKIP LOCKED" skips rows another run is claiming right now)
+ *
+ * @param {number|null} id - Only this message (null = the oldest due message)
+ * @returns {object|null} - The claimed outbox row, or null if nothing is due
+ */
+async function claimMessage(id = null) {
+  const query = `
+    UPDATE slack_outbox
+    SET status = 'sending', attempts = attempts + 1, updated_at = NOW()
+    WHERE id = (
+      SELECT id
+      FROM slack_outbox
+      WHERE ($1::INTEGER IS NULL OR id = $1)
+        AND (
+          (status = 'pending' AND next_attempt_at <= NOW())
+          OR (status = 'sending' AND updated_at < NOW() - INTERVAL '${STALE_SENDING_MINUTES} minutes')
+        )
+      ORDER BY id
+      LIMIT 1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `;
+
+  const { rows } = await pool.query(query, [id]);
+  return rows[0] || null;
+}
+
+/**
+ * Decide whether a failed send is worth retrying
+ *
+ * @param {Error} error - Error thrown by @slack/web-api
+ * @returns {{retryable: boolean, retryAfterSeconds: number|null, reason: string}}
+ *
+ * Examples:
+ *   rate limited (429, Retry-After: 30)  → { retryable: true, retryAfterSeconds: 30, reason: "rate limited" }
+ *   { ok: false, error: "channel_not_found" } → { retryable: false, retryAfterSeconds: null, reason: "channel_not_found" }
+ */
+function classifySendError(error) {
+  switch (error.code) {
+    // Slack said "slow down" and told us for how long
+    case ErrorCode.RateLimitedError:
+      return { retryable: true, retryAfterSeconds: error.retryAfter ?? null, reason: 'rate limited' };
+
+    // Slack answered with { ok: false, error: "..." }
+    case ErrorCode.PlatformError: {
+      const reason = error.data?.error || error.message;
+      return { retryable: RETRYABLE_SLACK_ERRORS.includes(reason), retryAfterSeconds: null, reason };
+    }
+
+    // Slack answered with an HTTP error status
+    case ErrorCode.HTTPError: {
+      const retryAfter = Number.parseInt(error.headers?.['retry-after'], 10);
+      return {
+        retryable: error.statusCode === 429 || error.statusCode >= 500,
+        retryAfterSeconds: Number.isNaN(retryAfter) ? null : retryAfter,
+        reason: `HTTP ${error.statusCode}`,
+      };
+    }
+
+    // Network problems (timeouts, DNS, connection reset) and anything unexpected
+    default:
+      return { retryable: true, retryAfterSeconds: null, reason: error.message };
+  }
+}
+
+/**
+ * How long to wait before the next try
+ *
+ * @param {number} attempts - Tries so far (1 after the first failure)
+ * @param {number|null} retryAfterSeconds - Retry-After from Slack, if it sent one
+ * @returns {number} - Seconds to wait
+ *
+ * Example (default settings): 30s, 60s, 120s, 240s, ... up to 3600s
+ */
+function getRetryDelaySeconds(attempts, retryAfterSeconds) {
+  if (retryAfterSeconds) return retryAfterSeconds;
+  return Math.min(config.outboxRetryBaseSeconds * 2 ** (attempts - 1), config.outboxRetryMaxSeconds);
+}
+
+/**
+ * Link a sent message to what it's about (the summary/rollup/alert it was posted for)
+ * The job that queued the message does this too when the first try works;
+ * this covers messages that went out on a later try
+ *
+ * @param {object} row - Outbox row
+ * @param {string} messageTs - Slack message timestamp
+ */
+async function linkSentMessage(row, messageTs) {
+  const reference = row.reference || {};
+
+  switch (row.kind) {
+    case 'summary':
+      await setDailySummaryMessage({
+        channelId: reference.channelId,
+        statDate: reference.statDate,
+        messageTs,
+        postedChannelId: row.channel_id,
+        coversFrom: reference.coversFrom,
+      });
+      break;
+
+    case 'rollup':
+      await setPeriodSummaryMessage({
+        periodType: reference.periodType,
+        channelId: reference.channelId,
+        periodStart: reference.periodStart,
+        messageTs,
+      });
+      break;
+
+    case 'anomaly_alert':
+      if (reference.alertId) {
+        await setAnomalyMessageTs(reference.alertId, messageTs);
+      }
+      break;
+
+    // Heatmaps, range reports, ... aren't saved anywhere else
+    default:
+      break;
+  }
+}
+
+/**
+ * Mark a message as permanently failed (it stays until someone re-sends it)
+ *
+ * @param {number} id - Outbox message ID
+ * @param {string} reason - Why it failed
+ */
+async function markFailed(id, reason) {
+  await pool.query(
+    `UPDATE slack_outbox SET status = 'failed', last_error = $2, updated_at = NOW() WHERE id = $1`,
+    [id, reason]
+  );
+}
+
+/**
+ * Send one claimed message and record the result
+ *
+ * @param {object} row - Outbox row from claimMessage
+ * @returns {{messageTs: string|null, rateLimited: boolean}}
+ */
+async function sendClaimedMessage(row) {
+  // Fail-fast client: rate limits come back as errors instead of blocking this call for minutes
+  const client = await getClientForTeam(row.team_id, { failFast: true });
+  if (!client) {
+    await markFailed(row.id, `No bot token for workspace ${row.team_id || '(default)'}`);
+    console.error(`❌ Outbox message ${row.id} failed: no bot token for workspace ${row.team_id || '(default)'}.`);
+    return { messageTs: null, rateLimited: false };
+  }
+
+  try {
+    const response = await client.chat.postMessage({
+      channel: row.channel_id,
+      text: row.text || undefined,
+      blocks: row.blocks || undefined,
+    });
+
+    await pool.query(
+      `UPDATE slack_outbox
+       SET status = 'sent', message_ts = $2, last_error = NULL, sent_at = NOW(), updated_at = NOW()
+       WHERE id = $1`,
+      [row.id, response.ts]
+    );
+
+    try {
+      await linkSentMessage(row, response.ts);
+    } catch (error) {
+      console.warn(`⚠️  Outbox message ${row.id} was sent, but linking it failed: ${error.message}`);
+    }
+
+    if (row.attempts > 1) {
+      console.log(`📬 Outbox message ${row.id} (${row.kind}) sent to ${row.channel_id} on try ${row.attempts}.`);
+    }
+    return { messageTs: response.ts, rateLimited: false };
+  } catch (error) {
+    const { retryable, retryAfterSeconds, reason } = classifySendError(error);
+    const rateLimited = error.code === ErrorCode.RateLimitedError || reason === 'HTTP 429';
+
+    if (!retryable || row.attempts >= config.outboxMaxAttempts) {
+      await markFailed(row.id, reason);
+      console.error(`❌ Outbox message ${row.id} (${row.kind}) to ${row.channel_id} failed after ${row.attempts} tries: ${reason}`);
+      return { messageTs: null, rateLimited };
+    }
+
+    const delaySeconds = getRetryDelaySeconds(row.attempts, retryAfterSeconds);
+    await pool.query(
+      `UPDATE slack_outbox
+       SET status = 'pending', last_error = $2, next_attempt_at = NOW() + make_interval(secs => $3), updated_at = NOW()
+       WHERE id = $1`,
+      [row.id, reason, delaySeconds]
+    );
+    console.warn(`⚠️  Outbox message ${row.id} (${row.kind}) to ${row.channel_id} not sent (${reason}), retrying in ${delaySeconds}s.`);
+    return { messageTs: null, rateLimited };
+  }
+}
+
+/**
+ * Send one outbox message now (if it's due)
+ * Called right after enqueueMessage() so normal posts go out immediately
+ *
+ * @param {number} id - Outbox message ID
+ * @returns {string|null} - Slack message timestamp, or null if it wasn't sent (yet)
+ */
+async function deliverOutboxMessage(id) {
+  const row = await claimMessage(id);
+  if (!row) return null;
+
+  const { messageTs } = await sendClaimedMessage(row);
+  return messageTs;
+}
+
+/**
+ * Outbox worker: send every message that is due for a (re)try
+ * Stops early when Slack rate limits us (the rest waits for the next run)
+ *
+ * A run that had something to send is recorded in job_runs ("outbox", no channel):
+ * "posted" when everything went out, "queued" when some messages wait for another try.
+ * Runs that found nothing due aren't recorded (the worker runs every minute).
+ *
+ * @param {object} options
+ * @param {string} options.trigger - What started it, for job_runs (default: "cron")
+ * @returns {number} - Number of messages sent
+ */
+async function processOutbox({ trigger = 'cron' } = {}) {
+  let sent = 0;
+  let claimed = 0;
+  let run = null;
+
+  try {
+    for (let count = 0; count < OUTBOX_BATCH_SIZE; count += 1) {
+      const row = await claimMessage();
+      if (!row) break;
+
+      if (!run) run = await startJobRun({ jobType: 'outbox', trigger });
+      claimed += 1;
+
+      const { messageTs, rateLimited } = await sendClaimedMessage(row);
+      if (messageTs) sent += 1;
+      if (rateLimited) break;
+    }
+  } catch (error) {
+    console.error('❌ Outbox worker failed:', error.message);
+    await finishJobRun(run, { status: 'failed', error: error.message });
+    return sent;
+  }
+
+  await finishJobRun(run, { status: sent === claimed ? 'posted' : 'queued' });
+  return sent;
+}
+
+/**
+ * Convert a slack_outbox row (snake_case) into an object for the admin API (camelCase)
+ *
+ * @param {object} row - Database row
+ * @returns {object}
+ */
+function rowToOutboxMessage(row) {
+  return {
+    id: row.id,
+    teamId: row.team_id,
+    channelId: row.channel_id,
+    kind: row.kind,
+    reference: row.reference,
+    text: row.text,
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.next_attempt_at,
+    lastError: row.last_error,
+    messageTs: row.message_ts,
+    createdAt: row.created_at,
+    sentAt: row.sent_at,
+  };
+}
+
+/**
+ * List outbox messages (newest first)
+ *
+ * @param {object} options
+ * @param {string} options.status - Only this status (default: "failed")
+ * @param {number} options.limit - Maximum number of messages (default: 50)
+ * @returns {object[]}
+ */
+async function listOutboxMessages({ status = 'failed', limit = 50 } = {}) {
+  const { rows } = await pool.query(
+    'SELECT * FROM slack_outbox WHERE status = $1 ORDER BY id DESC LIMIT $2',
+    [status, limit]
+  );
+  return rows.map(rowToOutboxMessage);
+}
+
+/**
+ * Re-send a failed message (resets its tries and sends it right away)
+ *
+ * @param {number} id - Outbox message ID
+ * @returns {object|null} - The message after the new try, or null if there is no failed message with that ID
+ */
+async function resendOutboxMessage(id) {
+  const { rowCount } = await pool.query(
+    `UPDATE slack_outbox
+     SET status = 'pending', attempts = 0, last_error = NULL, next_attempt_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND status = 'failed'`,
+    [id]
+  );
+  if (!rowCount) return null;
+
+  console.log(`🔁 Re-sending outbox message ${id}...`);
+  await deliverOutboxMessage(id);
+
+  const { rows } = await pool.query('SELECT * FROM slack_outbox WHERE id = $1', [id]);
+  return rowToOutboxMessage(rows[0]);
+}
+
+// Export functions so slackClient.js, the scheduler and the admin API can use them
+module.exports = {
+  OUTBOX_STATUSES,       // Statuses an outbox message can have
+  enqueueMessage,        // Save a message before sending it
+  deliverOutboxMessage,  // Send one saved message now
+  processOutbox,         // Worker: send everything that is due
+  listOutboxMessages,    // Admin: list messages by status
+  resendOutboxMessage,   // Admin: re-send a failed message
+};
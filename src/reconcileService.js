@@ -0,0 +1,152 @@
+/**
+ * RECONCILE_SERVICE.JS - Fix Summaries That Changed After They Were Posted
+ *
+ * Slack retries events it couldn't deliver and sometimes delivers them late,
+ * so a reaction or message can be saved after the day's summary was already
+ * posted. The saved and posted numbers are then out of date.
+ *
+ * How it works:
+ * 1. Take the last N days (RECONCILE_DAYS, counting back from yesterday in the channel's timezone)
+ * 2. Read the summaries we saved for those days (daily_summaries)
+ * 3. Count each of those days again with collectStatsForDate()
+ * 4. Any day whose counts differ is a "revision"
+ *
+ * The scheduler then saves each revision to the summary_revisions table
+ * (old counts, new counts, which fields changed) and updates the saved
+ * summary and the posted Slack message.
+ *
+ * Days that were never saved are skipped: there is nothing to correct yet.
+ */
+
+// Import the database connection pool from db.js
+const { pool } = require('./db');
+// Import config for the default number of days
+const config = require('./config');
+// Import the saved summaries
+const { getDailySummariesBetween } = require('./eventsStore');
+// Import the recount and date helpers
+const {
+  collectStatsForDate,
+  formatDateInTimezone,
+  shiftDateString,
+  TREND_FIELDS,
+} = require('./statsService');
+
+/**
+ * Pick the count fields out of a summary
+ *
+ * @param {object} summary - Saved or freshly counted summary
+ * @returns {object} - e.g., { messageCount: 134, reactionCount: 20, ... }
+ */
+function pickCounts(summary) {
+  return Object.fromEntries(TREND_FIELDS.map((field) => [field, summary[field] || 0]));
+}
+
+/**
+ * Recount a channel's recent days and find the ones whose saved counts are out of date
+ *
+ * @param {object} channel - Channel settings (from channelsStore)
+ * @param {object} options
+ * @param {number} options.days - How many days to check (default: RECONCILE_DAYS)
+ * @param {Date} options.now - "Current time" (default: now)
+ * @returns {object[]} - One entry per changed day
+ *
+ * Example return:
+ * [{
+ *   saved: { statDate: "2026-10-18", messageCount: 134, ..., messageTs: "1760787000.123456", postedChannelId: "C0SUMMARY" },
+ *   summary: { channelId: "C09SUH2KHK2", statDate: "2026-10-18", messageCount: 136, ... },  // from collectStatsForDate
+ *   changedFields: ["messageCount"]
+ * }]
+ */
+async function findChangedSummaries(channel, { days = config.reconcileDays, now = new Date() } = {}) {
+  const { channelId, teamId, timezone } = channel;
+
+  // Yesterday and the days before it (today isn't over yet, so its numbers are expected to change)
+  const lastDate = shiftDateString(formatDateInTimezone(now, timezone), -1);
+  const firstDate = shiftDateString(lastDate, -(days - 1));
+  const savedDays = await getDailySummariesBetween(channelId, firstDate, lastDate);
+
+  const changed = [];
+  for (const saved of savedDays) {
+    const summary = await collectStatsForDate(saved.statDate, channelId, timezone, teamId);
+    const changedFields = TREND_FIELDS.filter((field) => (summary[field] || 0) !== (saved[field] || 0));
+
+    if (changedFields.length) {
+      changed.push({ saved, summary, changedFields });
+    }
+  }
+
+  return changed;
+}
+
+/**
+ * Save a revision to the summary_revisions table
+ *
+ * @param {object} change - One entry from findChangedSummaries
+ * @returns {number} - ID of the new revision
+ */
+async function recordSummaryRevision({ saved, summary, changedFields }) {
+  const query = `
+    INSERT INTO summary_revisions (
+      team_id, channel_id, stat_date, previous_counts, new_counts, changed_fields, message_ts
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING id
+  `;
+
+  const { rows } = await pool.query(query, [
+    summary.teamId || null,
+    summary.channelId,
+    saved.statDate,
+    JSON.stringify(pickCounts(saved)),
+    JSON.stringify(pickCounts(summary)),
+    changedFields,
+    saved.messageTs || null,
+  ]);
+
+  return rows[0].id;
+}
+
+/**
+ * List the revisions of a channel's summaries (newest first)
+ *
+ * @param {string} channelId - Channel ID
+ * @param {object} options
+ * @param {string} options.statDate - Only this day (YYYY-MM-DD), optional
+ * @param {number} options.limit - Maximum number of revisions (default: 50)
+ * @returns {object[]}
+ *
+ * Example return:
+ * [{ id: 7, statDate: "2026-10-18", previousCounts: { messageCount: 134, ... },
+ *    newCounts: { messageCount: 136, ... }, changedFields: ["messageCount"],
+ *    messageTs: "1760787000.123456", createdAt: "2026-10-19T10:20:00.000Z" }]
+ */
+async function listSummaryRevisions(channelId, { statDate = null, limit = 50 } = {}) {
+  const query = `
+    SELECT id, stat_date::TEXT AS stat_date, previous_counts, new_counts,
+           changed_fields, message_ts, created_at
+    FROM summary_revisions
+    WHERE channel_id = $1
+      AND ($2::DATE IS NULL OR stat_date = $2::DATE)
+    ORDER BY created_at DESC, id DESC
+    LIMIT $3
+  `;
+
+  const { rows } = await pool.query(query, [channelId, statDate, limit]);
+  return rows.map((row) => ({
+    id: row.id,
+    statDate: row.stat_date,
+    previousCounts: row.previous_counts,
+    newCounts: row.new_counts,
+    changedFields: row.changed_fields,
+    messageTs: row.message_ts,
+    createdAt: row.created_at,
+  }));
+}
+
+// Export functions so the scheduler and server can use them
+module.exports = {
+  findChangedSummaries,    // Recount recent days, return the ones that changed
+  recordSummaryRevision,   // Save a change to summary_revisions
+  listSummaryRevisions,    // Revision history of a channel
+};
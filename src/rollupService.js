@@ -0,0 +1,188 @@
+/**
+ * ROLLUP_SERVICE.JS - Weekly and Monthly Reports
+ *
+ * This file builds the weekly report (every Monday) and the monthly report
+ * (on the 1st). Each report shows the totals for the period that just ended,
+ * plus the percentage change against the period before it.
+ *
+ * Flow:
+ * 1. Work out the period boundaries in the channel's timezone
+ *    - week: the Monday-Sunday week before the reference date
+ *    - month: the calendar month before the reference date
+ * 2. Count everything in that period and in the previous one (collectStatsBetween)
+ * 3. Compute the % change per metric
+ *
+ * The same comparison also powers custom ranges (`/dailyengage range <from> <to>`),
+ * compared with the same number of days right before the range.
+ */
+
+// Import the shared counting and date helpers
+const {
+  collectStatsBetween,
+  getDayRange,
+  formatDateInTimezone,
+  dateStringToDate,
+  shiftDateString,
+  percentChange,
+} = require('./statsService');
+
+// Counts compared between periods (same fields as the daily summary)
+const COMPARED_FIELDS = [
+  'messageCount',
+  'threadCount',
+  'replyCount',
+  'reactionCount',
+  'netReactionCount',
+  'fileUploadCount',
+  'newMemberCount',
+  'memberRemovedCount',
+];
+
+/**
+ * Get the Monday-Sunday week that ended before a date
+ *
+ * @param {string} referenceDate - YYYY-MM-DD (usually today in the channel's timezone)
+ * @returns {{periodStart: string, periodEnd: string}}
+ *
+ * Example: getPreviousWeek("2026-10-19") (a Monday) → { periodStart: "2026-10-12", periodEnd: "2026-10-18" }
+ */
+function getPreviousWeek(referenceDate) {
+  // getUTCDay(): 0 = Sunday ... 6 = Saturday → days since this week's Monday
+  const daysSinceMonday = (dateStringToDate(referenceDate).getUTCDay() + 6) % 7;
+  const thisMonday = shiftDateString(referenceDate, -daysSinceMonday);
+
+  return {
+    periodStart: shiftDateString(thisMonday, -7),
+    periodEnd: shiftDateString(thisMonday, -1),
+  };
+}
+
+/**
+ * Get the calendar month that ended before a date
+ *
+ * @param {string} referenceDate - YYYY-MM-DD (usually today in the channel's timezone)
+ * @returns {{periodStart: string, periodEnd: string}}
+ *
+ * Example: getPreviousMonth("2026-11-01") → { periodStart: "2026-10-01", periodEnd: "2026-10-31" }
+ */
+function getPreviousMonth(referenceDate) {
+  const firstOfThisMonth = `${referenceDate.slice(0, 7)}-01`;
+  const periodEnd = shiftDateString(firstOfThisMonth, -1);
+
+  return {
+    periodStart: `${periodEnd.slice(0, 7)}-01`,
+    periodEnd,
+  };
+}
+
+/**
+ * Get the period of a given type that ended before a date
+ *
+ * @param {string} periodType - "week" or "month"
+ * @param {string} referenceDate - YYYY-MM-DD
+ * @returns {{periodStart: string, periodEnd: string}}
+ */
+function getPreviousPeriod(periodType, referenceDate) {
+  if (periodType === 'week') return getPreviousWeek(referenceDate);
+  if (periodType === 'month') return getPreviousMonth(referenceDate);
+  throw new Error(`Unknown rollup period "${periodType}". Use "week" or "month".`);
+}
+
+/**
+ * Collect a weekly or monthly rollup for one channel
+ *
+ * @param {object} channel - Channel settings (from channelsStore)
+ * @param {string} periodType - "week" or "month"
+ * @param {object} options
+ * @param {string} options.referenceDate - YYYY-MM-DD to report "before" (defaults to today in the channel's timezone)
+ * @returns {object} - Rollup with current/previous counts and % changes
+ *
+ * Example return:
+ * {
+ *   periodType: "week",
+ *   channelId: "C09SUH2KHK2",
+ *   periodStart: "2026-10-12",
+ *   periodEnd: "2026-10-18",
+ *   current: { messageCount: 120, ... },
+ *   previous: { messageCount: 100, ... },
+ *   changes: { messageCount: 20, ... }   // percent
+ * }
+ */
+async function collectRollup(channel, periodType, { referenceDate } = {}) {
+  const today = referenceDate || formatDateInTimezone(new Date(), channel.timezone);
+  const period = getPreviousPeriod(periodType, today);
+  // The period before is the same kind of period ending the day before this one starts
+  const previousPeriod = getPreviousPeriod(periodType, period.periodStart);
+
+  return comparePeriods(channel, periodType, period, previousPeriod);
+}
+
+/**
+ * Collect a report for any range of days, compared with the same number of days before it
+ *
+ * @param {object} channel - Channel settings (from channelsStore)
+ * @param {string} startDate - First day, YYYY-MM-DD
+ * @param {string} endDate - Last day, YYYY-MM-DD (inclusive)
+ * @returns {object} - Same shape as collectRollup, with periodType "range"
+ *
+ * Example: collectRangeReport(channel, "2026-10-01", "2026-10-15")
+ *          compares Oct 1-15 with Sep 16-30
+ */
+async function collectRangeReport(channel, startDate, endDate) {
+  const dayCount = Math.round((dateStringToDate(endDate) - dateStringToDate(startDate)) / (24 * 60 * 60 * 1000)) + 1;
+  const previousPeriod = {
+    periodStart: shiftDateString(startDate, -dayCount),
+    periodEnd: shiftDateString(startDate, -1),
+  };
+
+  return comparePeriods(channel, 'range', { periodStart: startDate, periodEnd: endDate }, previousPeriod);
+}
+
+/**
+ * Count two periods and compute the % change between them
+ *
+ * @param {object} channel - Channel settings (from channelsStore)
+ * @param {string} periodType - "week", "month" or "range"
+ * @param {{periodStart: string, periodEnd: string}} period - Period being reported
+ * @param {{periodStart: string, periodEnd: string}} previousPeriod - Period to compare with
+ * @returns {object} - Rollup (see collectRollup)
+ */
+async function comparePeriods(channel, periodType, period, previousPeriod) {
+  // Period boundaries are local midnights in the channel's timezone
+  const toRange = ({ periodStart, periodEnd }) => ({
+    start: getDayRange(periodStart, channel.timezone).start,
+    end: getDayRange(periodEnd, channel.timezone).end,
+  });
+  const currentRange = toRange(period);
+  const previousRange = toRange(previousPeriod);
+
+  const [current, previous] = await Promise.all([
+    collectStatsBetween(channel.channelId, currentRange.start, currentRange.end, channel.teamId),
+    collectStatsBetween(channel.channelId, previousRange.start, previousRange.end, channel.teamId),
+  ]);
+
+  const changes = {};
+  for (const field of COMPARED_FIELDS) {
+    changes[field] = percentChange(current[field], previous[field]);
+  }
+
+  return {
+    periodType,
+    teamId: channel.teamId,
+    channelId: channel.channelId,
+    periodStart: period.periodStart,
+    periodEnd: period.periodEnd,
+    previousPeriodStart: previousPeriod.periodStart,
+    previousPeriodEnd: previousPeriod.periodEnd,
+    current,
+    previous,
+    changes,
+  };
+}
+
+// Export functions so the scheduler can use them
+module.exports = {
+  collectRollup,       // Totals + % change for a week or month
+  collectRangeReport,  // Totals + % change for any range of days
+  getPreviousPeriod,   // Period boundaries (YYYY-MM-DD)
+};
@@ -6,9 +6,36 @@
  * 
  * How it works:
  * 1. When server starts, scheduleDailySummary() is called
- * 2. It sets up a cron job to run at the scheduled time (e.g., 3:00 PM IST)
- * 3. When the time comes, it calls runDailySummaryJob()
- * 4. runDailySummaryJob() collects yesterday's stats and posts to Slack
+ * 2. It loads every channel from the monitored_channels table
+ * 3. It sets up one cron job per channel at that channel's time (e.g., 3:00 PM IST)
+ * 4. When the time comes, it calls runDailySummaryJob() for that channel
+ * 5. runDailySummaryJob() collects yesterday's stats and posts to Slack
+ * 
+ * Each channel also gets a weekly report (WEEKLY_CRON_SCHEDULE, Mondays by default),
+ * a monthly report (MONTHLY_CRON_SCHEDULE, the 1st by default) and a weekly
+ * activity heatmap (HEATMAP_CRON_SCHEDULE, Mondays by default).
+ * 
+ * One more job (ANOMALY_CRON_SCHEDULE, hourly by default) checks every channel
+ * for unusual spikes or drops and posts alerts.
+ * 
+ * And a reconciliation job (RECONCILE_CRON_SCHEDULE, hourly by default) recounts
+ * the last few days and updates summaries that changed because of late events.
+ * 
+ * The outbox worker (OUTBOX_CRON_SCHEDULE, every minute by default) re-sends
+ * Slack posts that failed earlier (see outbox.js).
+ * 
+ * When SUMMARY_START_DATE is set, a catch-up check (on startup and CATCH_UP_CRON_SCHEDULE,
+ * hourly by default) posts daily summaries that were missed while the service was down.
+ * 
+ * Channels with a business-day calendar (working days, holidays - see calendarService.js) get
+ * no summary on non-working days; the next working day posts one summary covering the break.
+ * 
+ * Every daily summary runs under a Postgres lock for its channel and day (see jobLocks.js),
+ * so when two instances run side by side (deploy overlap, scale-out) only one posts it.
+ * 
+ * When channels are added/removed/changed through the API or Slack, refreshChannelSchedules()
+ * adds/removes/rebuilds only the affected cron jobs so no restart or redeploy is needed.
+ * Every few minutes (SCHEDULE_RELOAD_CRON_SCHEDULE) it also picks up changes made on another instance.
  * 
  * Cron schedule format: "minute hour day month weekday"
  * Example: "0 15 * * *" means: at 3:00 PM every day
@@ -19,17 +46,69 @@ const cron = require('node-cron');
 // Import config to get schedule and timezone settings
 const config = require('./config');
 // Import functions to collect stats and post to Slack
-const { collectStatsForDate, persistSummary } = require('./statsService');
-const { postSummary } = require('./slackClient');
+const {
+  collectStatsForDate,
+  collectLeaderboardForDate,
+  collectTrendsForDate,
+  collectStatsForDays,
+  collectLeaderboardBetween,
+  getDayRange,
+  persistSummary,
+  formatDateInTimezone,
+  shiftDateString,
+  getLocalDayStart,
+} = require('./statsService');
+const { postSummary, updateSummary, postRollup, postAnomalyAlert, postHeatmap, uploadCharts } = require('./slackClient');
+const { renderSummaryCharts, saveChartsToDisk } = require('./chartService');
+const { collectHeatmap } = require('./heatmapService');
+const { detectAnomalies, recordAnomaly, setAnomalyMessageTs } = require('./anomalyService');
+const { findChangedSummaries, recordSummaryRevision } = require('./reconcileService');
+const { processOutbox } = require('./outbox');
+const { findMissedSummaryDates } = require('./catchUpService');
+const { getSummaryCoverage } = require('./calendarService');
+const { getNextRunTime, getNextRunTimes, getLocalTime } = require('./cronSchedule');
+const { collectRollup, collectRangeReport } = require('./rollupService');
+const { withJobLock, dailySummaryLockKey, rollupLockKey, heatmapLockKey, reconcileLockKey } = require('./jobLocks');
+const { startJobRun, finishJobRun, recordJobRun } = require('./jobRuns');
+const { savePeriodSummary, getPostedPeriodSummary, getPostedSummary, getDailySummariesBetween, getCombinedSummaryCovering } = require('./eventsStore');
+const { listMonitoredChannels, getMonitoredChannel, defaultChannelSettings } = require('./channelsStore');
+
+// Active cron jobs per monitored channel
+// (key: channel ID, value: { scheduleKey, tasks } - scheduleKey tells when the tasks need rebuilding)
+const channelTasks = new Map();
+
+// The hourly anomaly check (one job for all channels)
+let anomalyTask = null;
+
+// The hourly reconciliation of recent summaries (one job for all channels)
+let reconcileTask = null;
+
+// The outbox worker (re-sends failed Slack posts)
+let outboxTask = null;
+
+// The hourly check for missed summaries (one job for all channels)
+let catchUpTask = null;
+
+// Reloads channel schedules every few minutes (picks up settings saved by another instance)
+let scheduleReloadTask = null;
 
 /**
  * Parse a date string into a Date object
+ * A plain day ("2024-01-15") means that day in the channel's timezone
+ * (new Date("2024-01-15") would be UTC midnight, which is still the 14th in New York)
  * 
  * @param {string} input - Date string (e.g., "2024-01-15")
+ * @param {string} timezone - IANA timezone a plain day is in
  * @returns {Date|null} - Date object or null if invalid
  */
-function parseDateInput(input) {
+function parseDateInput(input, timezone = config.timezone || 'UTC') {
   if (!input) return null;  // If no input, return null
+  if (/^\d{4}-\d{2}-\d{2}$/.test(input)) {
+    const day = new Date(`${input}T00:00:00.000Z`);
+    // "2024-02-30" is not a real day (Date would quietly turn it into March 2nd)
+    if (Number.isNaN(day.getTime()) || day.toISOString().slice(0, 10) !== input) return null;
+    return getLocalDayStart(input, timezone);  // Local midnight of that day
+  }
   const parsed = new Date(input);  // Try to parse the date string
   // If parsing failed (invalid date), return null
   return Number.isNaN(parsed.getTime()) ? null : parsed;
@@ -41,105 +120,801 @@ function parseDateInput(input) {
  * But can be today (for manual testing)
  * 
  * @param {boolean} useToday - If true, return today. If false, return yesterday
- * @returns {Date} - Date object set to start of day (00:00:00)
- */
-function getDefaultDate(useToday = false) {
-  // Determine the current date in the configured timezone
-  const timezone = config.timezone || 'UTC';
-  const formatter = new Intl.DateTimeFormat('en-CA', {
-    timeZone: timezone,
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-  });
+ * @param {string} timezone - IANA timezone that decides what "today" is
+ * @returns {Date} - Date object set to start of day (00:00:00 in that timezone)
+ */
+function getDefaultDate(useToday = false, timezone = config.timezone || 'UTC') {
+  // Determine the current date in the channel's timezone
+  const today = formatDateInTimezone(new Date(), timezone);
 
-  const [year, month, day] = formatter.format(new Date()).split('-').map(Number);
-  const target = new Date(Date.UTC(year, month - 1, day, 0, 0, 0, 0));
+  // Move one day back (yesterday in the channel's timezone) unless today was asked for
+  const target = useToday ? today : shiftDateString(today, -1);
 
-  if (!useToday) {
-    // Move one day back (yesterday in the configured timezone)
-    target.setUTCDate(target.getUTCDate() - 1);
+  return getLocalDayStart(target, timezone);
+}
+
+/**
+ * Render the summary charts, save them to CHART_OUTPUT_DIR and/or upload them in the summary's thread
+ * A chart failure is logged but never stops the summary itself
+ * 
+ * @param {object} summary - Summary from collectStatsForDate
+ * @param {object} channel - Channel settings (from channelsStore)
+ * @param {object} options
+ * @param {string} options.postedChannelId - Channel the summary was posted in
+ * @param {string} options.messageTs - Timestamp of the summary message (null if it wasn't posted)
+ */
+async function attachCharts(summary, channel, { postedChannelId, messageTs }) {
+  try {
+    const charts = await renderSummaryCharts(summary, {
+      timezone: channel.timezone,
+      enabledMetrics: channel.enabledMetrics,
+    });
+
+    if (config.chartOutputDir) {
+      const paths = saveChartsToDisk(charts);
+      console.log(`🖼️  Charts written: ${paths.join(', ')}`);
+    }
+
+    if (config.summaryCharts && messageTs) {
+      await uploadCharts(charts, { teamId: summary.teamId, channel: postedChannelId, threadTs: messageTs });
+      console.log(`🖼️  Charts uploaded in the summary thread for ${summary.channelId}`);
+    }
+  } catch (error) {
+    console.warn(`⚠️  Could not attach charts for ${summary.channelId}: ${error.message}`);
   }
+}
+
+/**
+ * Collect everything that goes into one channel's daily summary (nothing is posted or saved)
+ * Used by the real summary and by `/dailyengage preview`
+ * 
+ * @param {object} channel - Channel settings (from channelsStore)
+ * @param {Date|string} targetDate - Day to summarize (a moment on that day, or YYYY-MM-DD)
+ * @returns {object} - Summary with trends (and the leaderboard, if the channel shows it)
+ */
+async function buildSummary(channel, targetDate) {
+  // Collect all statistics for the target date
+  // This counts reactions, messages, files, members, etc. from that day
+  const summary = await collectStatsForDate(targetDate, channel.channelId, channel.timezone, channel.teamId);
 
-  return target;
+  // Trend arrows: compare with yesterday and the 7-day average
+  // A failure here shouldn't stop the summary, it just goes out without arrows
+  try {
+    summary.trends = await collectTrendsForDate(summary, channel.timezone);
+  } catch (error) {
+    console.warn(`⚠️  Could not collect trends for ${channel.channelId}: ${error.message}`);
+  }
+
+  // Optional: who was most active (only for channels that turned the leaderboard on)
+  // Like trends, a failure here (e.g., looking up user names) just leaves the leaderboard out
+  if (channel.showLeaderboard) {
+    try {
+      summary.leaderboard = await collectLeaderboardForDate(targetDate, channel.channelId, channel.timezone, channel.teamId);
+    } catch (error) {
+      console.warn(`⚠️  Could not collect the leaderboard for ${channel.channelId}: ${error.message}`);
+    }
+  }
+
+  return summary;
 }
 
 /**
- * Run the daily summary job
+ * Collect a combined summary for several days (nothing is posted or saved)
+ * Used on the first working day after a break (see calendarService.js)
+ * 
+ * @param {object} channel - Channel settings (from channelsStore)
+ * @param {string} startDate - First day (YYYY-MM-DD)
+ * @param {string} endDate - Last day (YYYY-MM-DD)
+ * @returns {object} - Summary of all the days together (no trends: "vs yesterday" doesn't fit several days),
+ *   plus `days`: each day's own summary, so every day is still saved in daily_summaries
+ */
+async function buildCombinedSummary(channel, startDate, endDate) {
+  const { channelId, timezone, teamId } = channel;
+  const summary = await collectStatsForDays(startDate, endDate, channelId, timezone, teamId);
+
+  if (channel.showLeaderboard) {
+    try {
+      const { start } = getDayRange(startDate, timezone);
+      const { end } = getDayRange(endDate, timezone);
+      summary.leaderboard = await collectLeaderboardBetween(channelId, start, end, teamId);
+    } catch (error) {
+      console.warn(`⚠️  Could not collect the leaderboard for ${channelId}: ${error.message}`);
+    }
+  }
+
+  // Each day's own numbers (trends, reconciliation and catch-up work day by day)
+  summary.days = [];
+  for (let date = startDate; date <= endDate; date = shiftDateString(date, 1)) {
+    summary.days.push(await collectStatsForDate(date, channelId, timezone, teamId));
+  }
+
+  return summary;
+}
+
+/**
+ * Save a summary to daily_summaries
+ * A combined summary saves every day it covers; its message is linked to the last day
+ * 
+ * @param {object} summary - From buildSummary or buildCombinedSummary
+ * @param {string|null} messageTs - Slack message timestamp (null if it wasn't posted)
+ * @param {string|null} postedChannelId - Channel the message is in
+ * @param {boolean} scheduled - Saved by the scheduled run (cron/catch-up), not by hand
+ */
+async function saveSummary(summary, messageTs, postedChannelId, scheduled = false) {
+  if (!summary.days) {
+    await persistSummary(summary, messageTs, postedChannelId, scheduled);
+    return;
+  }
+
+  for (const day of summary.days) {
+    if (day.statDate === summary.statDate) {
+      await persistSummary({ ...day, coversFrom: summary.coversFrom }, messageTs, postedChannelId, scheduled);
+    } else {
+      await persistSummary(day, null, null, scheduled);
+    }
+  }
+}
+
+/**
+ * Update the summary message of an already posted day (instead of posting a duplicate)
+ * 
+ * @param {object} summary - Freshly collected summary
+ * @param {object} channel - Channel settings (from channelsStore)
+ * @param {string} postedChannelId - Channel the summary is about to be posted in
+ * @returns {string|null} - Timestamp of the updated message, or null if a new post is needed
+ *   (never posted, posted in another channel, or the old message is gone)
+ */
+async function updateExistingSummary(summary, channel, postedChannelId) {
+  const previous = await getPostedSummary(summary.channelId, summary.statDate);
+  // Summaries saved before posted_channel_id existed were posted in the summary channel (or the channel itself)
+  const previousChannelId = previous?.postedChannelId || channel.summaryChannelId || channel.channelId;
+  if (!previous || previousChannelId !== postedChannelId) {
+    return null;
+  }
+  // A combined summary and a one-day summary are different messages
+  if ((previous.coversFrom || null) !== (summary.coversFrom || null)) {
+    return null;
+  }
+
+  try {
+    return await updateSummary(summary, {
+      channel: postedChannelId,
+      ts: previous.messageTs,
+      enabledMetrics: channel.enabledMetrics,
+      withCharts: config.summaryCharts,
+    });
+  } catch (error) {
+    // e.g., message_not_found when the old summary was deleted
+    console.warn(`⚠️  Could not update the earlier summary for ${summary.channelId} on ${summary.statDate} (${error.message}), posting a new one.`);
+    return null;
+  }
+}
+
+/**
+ * Run the summary for one channel
  * This function:
- * 1. Determines which date to collect stats for (usually yesterday)
+ * 1. Determines which date to collect stats for (usually yesterday in the channel's timezone)
+ *    and takes the lock for that channel/date (another instance running it → skip)
  * 2. Collects all statistics for that date
- * 3. Posts the summary to Slack
+ * 3. Posts the summary to Slack (or updates the message if that day was already posted there)
  * 4. Saves the summary to database
  * 
- * @param {object} options - Options for the job
- * @param {string} options.date - Optional date string (e.g., "2024-01-15")
- * @param {boolean} options.defaultToToday - If true, use today. If false, use yesterday
- * @param {string} options.channelId - Optional channel override
+ * Every run is recorded in job_runs (see jobRuns.js), including failures and skips.
+ * 
+ * @param {object} channel - Channel settings (from channelsStore)
+ * @param {object} options - Same options as runDailySummaryJob
+ * @param {boolean} options.catchUp - Mark the post as a late catch-up (see runCatchUpJob)
+ * @param {boolean} options.scheduled - Cron/catch-up run: skip the day if another scheduled run already saved it
+ *   (another instance got there first), instead of updating it
+ * @returns {{status: string, messageTs: string|null, error?: string}} - How the run ended (its job_runs status)
+ *   and the timestamp of the posted summary (null if it wasn't posted)
  */
-async function runDailySummaryJob({ date, defaultToToday = false, channelId } = {}) {
+async function runSummaryForChannel(channel, { date, defaultToToday = false, targetChannelId, forceNewPost = false, catchUp = false, scheduled = false, trigger = 'api' } = {}) {
   // Determine which date to use:
   // 1. If date parameter is provided, parse it
   // 2. Otherwise, use getDefaultDate() (yesterday by default, or today if defaultToToday is true)
-  const targetDate = parseDateInput(date) || getDefaultDate(defaultToToday);
+  const targetDate = parseDateInput(date, channel.timezone) || getDefaultDate(defaultToToday, channel.timezone);
+  const statDate = formatDateInTimezone(targetDate, channel.timezone);
+
+  const run = await startJobRun({
+    jobType: 'daily-summary',
+    trigger,
+    teamId: channel.teamId,
+    channelId: channel.channelId,
+    targetDate: statDate,
+  });
 
   try {
-    // Step 1: Collect all statistics for the target date
-    // This counts reactions, messages, files, members, etc. from that day
-    const summary = await collectStatsForDate(targetDate, channelId);
-    
-    // Step 2: Post the summary to Slack
-    // This sends a formatted message to the channel
-    // messageTs is the timestamp of the Slack message (so we can reference it later)
-    const messageTs = await postSummary(summary);
-    
-    // Step 3: Save the summary to database
-    // This stores the results so we have a history of all summaries
-    await persistSummary(summary, messageTs);
-    
-    // Log success message
-    console.log(
-      `✅ Posted summary for ${summary.statDate}: ${summary.reactionCount} reactions, ${summary.newMemberCount} new members.`
-    );
+    // Scheduled runs follow the channel's calendar: nothing on non-working days,
+    // and one combined summary on the first working day after a break
+    let coversFrom = null;
+    if (scheduled) {
+      const coverage = await getSummaryCoverage(channel, statDate);
+      if (coverage.skip) {
+        console.log(`📅 No summary for ${channel.channelId} on ${statDate}: ${coverage.reason} (it goes into the next working day's summary).`);
+        const skipped = { status: 'skipped', messageTs: null, error: coverage.reason };
+        await finishJobRun(run, skipped);
+        return skipped;
+      }
+      if (coverage.startDate < statDate) {
+        coversFrom = coverage.startDate;
+      }
+    }
+
+    // Only one instance may run a channel's summary for a day at a time
+    const { acquired, result } = await withJobLock(dailySummaryLockKey(channel.channelId, statDate), () => (
+      postSummaryForChannel(channel, targetDate, { targetChannelId, forceNewPost, catchUp, scheduled, coversFrom })
+    ));
+
+    if (!acquired) {
+      console.log(`🔒 Another instance is already running the summary for ${channel.channelId} on ${statDate}, skipping.`);
+      const skipped = { status: 'skipped', messageTs: null, error: 'Another instance was running it' };
+      await finishJobRun(run, skipped);
+      return skipped;
+    }
+
+    await finishJobRun(run, result);
+    return result;
   } catch (error) {
     // If something goes wrong, log the error but don't crash
     console.error('\n❌ ========================================');
-    console.error('❌ Failed to post daily summary:');
+    console.error(`❌ Failed to post daily summary for ${channel.channelId}:`);
     console.error('❌ Error:', error.message);
     console.error('❌ Stack:', error.stack);
     console.error('❌ ========================================\n');
+    const failed = { status: 'failed', messageTs: null, error: error.message };
+    await finishJobRun(run, failed);
+    return failed;
   }
 }
 
 /**
- * Parse a cron expression (minute hour ...) into hour/minute numbers.
- * Supports daily expressions like "0 15 * * *"
+ * Collect, post and save one channel's summary (called while holding the channel/date lock)
+ * 
+ * @param {object} channel - Channel settings (from channelsStore)
+ * @param {Date} targetDate - Day to summarize
+ * @param {object} options - targetChannelId, forceNewPost, catchUp, scheduled (see runSummaryForChannel)
+ *   and coversFrom (first day of a combined summary, null for a normal one)
+ * @returns {{status: string, messageTs: string|null, error?: string}} - How it ended (a job_runs status)
+ *   and the timestamp of the posted summary (null if it wasn't posted)
+ */
+async function postSummaryForChannel(channel, targetDate, { targetChannelId, forceNewPost, catchUp, scheduled, coversFrom }) {
+  // A scheduled run that finds the day already saved by a scheduled run lost the race to another
+  // instance (or the summary is waiting in the outbox): posting again would be a duplicate.
+  // A summary someone ran by hand (/dailyengage today, Publish, run-summary) doesn't count
+  if (scheduled) {
+    const statDate = formatDateInTimezone(targetDate, channel.timezone);
+    const [saved] = await getDailySummariesBetween(channel.channelId, statDate, statDate);
+    if (saved?.scheduled) {
+      console.log(`⏭️  Summary for ${channel.channelId} on ${statDate} was already saved by a scheduled run, skipping.`);
+      return { status: 'skipped', messageTs: null, error: 'Summary was already saved' };
+    }
+  }
+
+  // Step 1: Collect all statistics for the target date (plus trends and leaderboard)
+  // or for every day since the last working day (combined summary after a break)
+  const summary = coversFrom
+    ? await buildCombinedSummary(channel, coversFrom, formatDateInTimezone(targetDate, channel.timezone))
+    : await buildSummary(channel, targetDate);
+  
+  // Step 2: Post the summary to Slack
+  // This sends a formatted message to the summary channel (or the channel itself)
+  // messageTs is the timestamp of the Slack message (so we can reference it later)
+  const postedChannelId = targetChannelId || channel.summaryChannelId || channel.channelId;
+
+  // Re-run for a day that was already posted in that channel: update that message instead of a duplicate
+  // (the scheduled summary is always its own post, even if someone posted the day by hand earlier)
+  let messageTs = forceNewPost || scheduled ? null : await updateExistingSummary(summary, channel, postedChannelId);
+  const updated = Boolean(messageTs);
+
+  if (!updated) {
+    messageTs = await postSummary(summary, {
+      targetChannelId: postedChannelId,
+      enabledMetrics: channel.enabledMetrics,
+      withCharts: config.summaryCharts,
+      catchUp,
+    });
+
+    // Optional: PNG charts in the summary's thread (and/or on disk)
+    // (an updated message keeps the charts already in its thread)
+    if (config.summaryCharts || config.chartOutputDir) {
+      await attachCharts(summary, channel, { postedChannelId, messageTs });
+    }
+  }
+  
+  // Step 3: Save the summary to database
+  // This stores the results so we have a history of all summaries
+  await saveSummary(summary, messageTs, messageTs ? postedChannelId : null, scheduled);
+  
+  // Slack didn't take it: the summary is saved and the outbox will retry the post
+  if (!messageTs) {
+    console.warn(`⏳ Summary for ${summary.channelId} on ${summary.statDate} saved, but not posted yet (queued in the outbox).`);
+    return { status: 'queued', messageTs: null };
+  }
+
+  // Log success message
+  console.log(
+    `✅ ${updated ? 'Updated' : 'Posted'} summary for ${summary.channelId} on ${summary.statDate}: ${summary.reactionCount} reactions, ${summary.newMemberCount} new members.`
+  );
+  return { status: updated ? 'updated' : 'posted', messageTs };
+}
+
+/**
+ * Run the daily summary job
+ * Produces one summary per channel:
+ * - If channelId is given, only that channel (uses its saved settings, or defaults if it isn't monitored)
+ * - Otherwise, every enabled channel in monitored_channels
+ * 
+ * @param {object} options - Options for the job
+ * @param {string} options.date - Optional date string (e.g., "2024-01-15")
+ * @param {boolean} options.defaultToToday - If true, use today. If false, use yesterday
+ * @param {string} options.channelId - Optional channel to summarize
+ * @param {string} options.teamId - Workspace of that channel (used when it isn't monitored yet)
+ * @param {string} options.targetChannelId - Optional channel to post into (e.g., where a slash command was run)
+ * @param {boolean} options.forceNewPost - Always post a new message, even if that day was already posted
+ * @param {boolean} options.scheduled - Set by the cron job: skip days another instance already summarized
+ * @param {string} options.trigger - What started the run, saved in job_runs: "cron", "slash", "api" (default) or "catch-up"
+ * @returns {Array<{status: string, messageTs: string|null, error?: string}>} - How each channel's run ended
+ *   (see runSummaryForChannel)
+ */
+async function runDailySummaryJob({ date, defaultToToday = false, channelId, teamId, targetChannelId, forceNewPost = false, scheduled = false, trigger = 'api' } = {}) {
+  let channels;
+  try {
+    channels = channelId
+      ? [(await getMonitoredChannel(channelId)) || defaultChannelSettings(channelId, teamId)]
+      : await listMonitoredChannels({ enabledOnly: true });
+  } catch (error) {
+    console.error('❌ Failed to load monitored channels:', error.message);
+    return [];
+  }
+
+  if (!channels.length) {
+    console.warn('⚠️  No monitored channels. Add one with POST /api/channels or set SLACK_CHANNEL_ID.');
+    return [];
+  }
+
+  // Run channels one by one so a failure in one channel doesn't stop the others
+  const results = [];
+  for (const channel of channels) {
+    results.push(await runSummaryForChannel(channel, { date, defaultToToday, targetChannelId, forceNewPost, scheduled, trigger }));
+  }
+  return results;
+}
+
+/**
+ * Build a channel's daily summary without posting or saving it
+ * Used by `/dailyengage preview`: the summary is shown only to the person who asked,
+ * and daily_summaries is left untouched until they press "Publish to channel"
+ * 
+ * @param {object} options - Options for the preview
+ * @param {string} options.channelId - Channel to summarize
+ * @param {string} options.teamId - Workspace of that channel (used when it isn't monitored yet)
+ * @param {string} options.date - Optional date string (e.g., "2024-01-15")
+ * @param {boolean} options.defaultToToday - If true, use today. If false, use yesterday
+ * @returns {{summary: object, channel: object}} - The summary and the channel settings it was built with
+ */
+async function previewDailySummary({ channelId, teamId, date, defaultToToday = false }) {
+  const channel = (await getMonitoredChannel(channelId)) || defaultChannelSettings(channelId, teamId);
+  const targetDate = parseDateInput(date, channel.timezone) || getDefaultDate(defaultToToday, channel.timezone);
+  const summary = await buildSummary(channel, targetDate);
+  return { summary, channel };
+}
+
+/**
+ * Recount a summary that was already posted and update the message in place
+ * Used by the "🔄 Refresh" button: late messages/reactions show up without a second post,
+ * and daily_summaries is updated to match the message
+ * 
+ * @param {object} options
+ * @param {string} options.channelId - Channel the summary is for
+ * @param {string} options.teamId - Workspace of that channel
+ * @param {string} options.date - Day of the summary (YYYY-MM-DD)
+ * @param {string} options.messageChannelId - Channel the summary message is in
+ * @param {string} options.messageTs - Timestamp of the summary message
+ * @returns {object} - The refreshed summary
+ */
+async function refreshPostedSummary({ channelId, teamId, date, messageChannelId, messageTs }) {
+  const channel = (await getMonitoredChannel(channelId)) || defaultChannelSettings(channelId, teamId);
+
+  // A combined summary (after a break) is recounted over all of its days
+  const posted = await getPostedSummary(channelId, date);
+  const summary = posted?.coversFrom && posted.messageTs === messageTs
+    ? await buildCombinedSummary(channel, posted.coversFrom, date)
+    : await buildSummary(channel, date);
+
+  await updateSummary(summary, {
+    channel: messageChannelId,
+    ts: messageTs,
+    enabledMetrics: channel.enabledMetrics,
+    withCharts: config.summaryCharts,
+  });
+  await saveSummary(summary, messageTs, messageChannelId);
+
+  console.log(`🔄 Refreshed summary for ${channelId} on ${summary.statDate}: ${summary.messageCount} messages, ${summary.reactionCount} reactions.`);
+  return summary;
+}
+
+/**
+ * Run the weekly or monthly report
+ * Same channel selection as runDailySummaryJob (one channel, or every enabled channel)
+ * 
+ * @param {object} options - Options for the job
+ * @param {string} options.periodType - "week" or "month"
+ * @param {string} options.date - Optional reference date (YYYY-MM-DD); reports the period that ended before it
+ * @param {string} options.channelId - Optional channel to report on
+ * @param {string} options.teamId - Workspace of that channel (used when it isn't monitored yet)
+ * @param {string} options.targetChannelId - Optional channel to post into (e.g., where a slash command was run)
+ * @param {boolean} options.scheduled - Set by the cron job: skip a period that was already posted
+ * @param {string} options.trigger - What started it, for job_runs: "cron", "slash" or "api" (default: "api")
  *
- * @param {string} cronExpr
- * @returns {{hour: number, minute: number}|null}
+ * Each channel's report for a period runs under a lock, so overlapping instances post it once.
+ * Every channel's run is recorded in job_runs ("weekly-report" / "monthly-report").
  */
-function parseDailyCronTime(cronExpr) {
-  if (!cronExpr) {
-    return null;
+async function runRollupJob({ periodType, date, channelId, teamId, targetChannelId, scheduled = false, trigger = 'api' } = {}) {
+  let channels;
+  try {
+    channels = channelId
+      ? [(await getMonitoredChannel(channelId)) || defaultChannelSettings(channelId, teamId)]
+      : await listMonitoredChannels({ enabledOnly: true });
+  } catch (error) {
+    console.error('❌ Failed to load monitored channels:', error.message);
+    return;
   }
 
-  const parts = cronExpr.trim().split(/\s+/);
-  if (parts.length < 5) {
-    return null;
+  const jobType = periodType === 'month' ? 'monthly-report' : 'weekly-report';
+
+  for (const channel of channels) {
+    try {
+      await recordJobRun({ jobType, trigger, teamId: channel.teamId, channelId: channel.channelId }, () => (
+        postRollupForChannel(channel, { periodType, date, targetChannelId, scheduled })
+      ));
+    } catch (error) {
+      console.error(`❌ Failed to post ${periodType} report for ${channel.channelId}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Collect, post and save one channel's weekly or monthly report (under the lock for its period)
+ * 
+ * @param {object} channel - Channel settings (from channelsStore)
+ * @param {object} options - periodType, date, targetChannelId and scheduled (see runRollupJob)
+ * @returns {{status: string, messageTs: string|null, targetDate: string, error?: string}} - How it ended
+ *   (a job_runs status) and the first day of the period
+ */
+async function postRollupForChannel(channel, { periodType, date, targetChannelId, scheduled }) {
+  // Step 1: Totals for the period and the one before it
+  const rollup = await collectRollup(channel, periodType, { referenceDate: date });
+  const targetDate = rollup.periodStart;
+
+  const { acquired, result } = await withJobLock(rollupLockKey(periodType, channel.channelId, rollup.periodStart), async () => {
+    // A scheduled report that finds the period already posted lost the race to another instance
+    if (scheduled && await getPostedPeriodSummary(periodType, channel.channelId, rollup.periodStart)) {
+      console.log(`⏭️  ${periodType} report for ${channel.channelId} (${rollup.periodStart} → ${rollup.periodEnd}) was already posted, skipping.`);
+      return { status: 'skipped', messageTs: null, targetDate, error: 'Report was already posted' };
+    }
+
+    // Step 2: Post the report next to the daily summaries
+    const messageTs = await postRollup(rollup, {
+      targetChannelId: targetChannelId || channel.summaryChannelId,
+      enabledMetrics: channel.enabledMetrics,
+    });
+
+    // Step 3: Save it in weekly_summaries / monthly_summaries
+    await savePeriodSummary({
+      periodType,
+      teamId: rollup.teamId,
+      channelId: rollup.channelId,
+      periodStart: rollup.periodStart,
+      periodEnd: rollup.periodEnd,
+      counts: rollup.current,
+      messageTs,
+    });
+
+    console.log(`✅ Posted ${periodType} report for ${channel.channelId}: ${rollup.periodStart} → ${rollup.periodEnd}`);
+    // No messageTs = Slack didn't take it yet, the outbox retries it
+    return { status: messageTs ? 'posted' : 'queued', messageTs, targetDate };
+  });
+
+  if (!acquired) {
+    console.log(`🔒 Another instance is already posting the ${periodType} report for ${channel.channelId} (${rollup.periodStart}), skipping.`);
+    return { status: 'skipped', messageTs: null, targetDate, error: 'Another instance was running it' };
   }
+  return result;
+}
 
-  const minute = Number(parts[0]);
-  const hour = Number(parts[1]);
+/**
+ * Post a report for a custom range of days (e.g., `/dailyengage range 2026-10-01 2026-10-15`)
+ * Not saved anywhere - ranges are ad hoc, unlike the weekly/monthly reports
+ * 
+ * @param {object} options - Options for the job
+ * @param {string} options.channelId - Channel to report on
+ * @param {string} options.teamId - Workspace of that channel (used when it isn't monitored yet)
+ * @param {string} options.startDate - First day, YYYY-MM-DD
+ * @param {string} options.endDate - Last day, YYYY-MM-DD
+ * @param {string} options.targetChannelId - Optional channel to post into
+ * @param {string} options.trigger - What started it, for job_runs (default: "slash")
+ */
+async function runRangeReportJob({ channelId, teamId, startDate, endDate, targetChannelId, trigger = 'slash' }) {
+  try {
+    await recordJobRun({ jobType: 'range-report', trigger, teamId, channelId, targetDate: startDate }, async () => {
+      const channel = (await getMonitoredChannel(channelId)) || defaultChannelSettings(channelId, teamId);
+      const report = await collectRangeReport(channel, startDate, endDate);
 
-  if ([minute, hour].some((value) => Number.isNaN(value))) {
-    return null;
+      const messageTs = await postRollup(report, {
+        targetChannelId: targetChannelId || channel.summaryChannelId,
+        enabledMetrics: channel.enabledMetrics,
+      });
+
+      console.log(`✅ Posted range report for ${channelId}: ${startDate} → ${endDate}`);
+      return { status: messageTs ? 'posted' : 'queued', messageTs };
+    });
+  } catch (error) {
+    console.error(`❌ Failed to post range report for ${channelId}:`, error.message);
   }
+}
 
-  if (minute < 0 || minute > 59 || hour < 0 || hour > 23) {
-    return null;
+/**
+ * Run the activity heatmap post
+ * Same channel selection as runDailySummaryJob (one channel, or every enabled channel)
+ * 
+ * @param {object} options - Options for the job
+ * @param {string} options.channelId - Optional channel to report on
+ * @param {string} options.teamId - Workspace of that channel (used when it isn't monitored yet)
+ * @param {string} options.targetChannelId - Optional channel to post into (e.g., where a slash command was run)
+ * @param {number} options.days - Optional number of days to cover (defaults to HEATMAP_DAYS)
+ * @param {string} options.trigger - What started it, for job_runs: "cron", "slash" or "api" (default: "api")
+ *
+ * Each channel's heatmap runs under a lock, so overlapping instances don't both post it,
+ * and is recorded in job_runs ("heatmap").
+ */
+async function runHeatmapJob({ channelId, teamId, targetChannelId, days, trigger = 'api' } = {}) {
+  let channels;
+  try {
+    channels = channelId
+      ? [(await getMonitoredChannel(channelId)) || defaultChannelSettings(channelId, teamId)]
+      : await listMonitoredChannels({ enabledOnly: true });
+  } catch (error) {
+    console.error('❌ Failed to load monitored channels:', error.message);
+    return;
+  }
+
+  for (const channel of channels) {
+    try {
+      await recordJobRun({ jobType: 'heatmap', trigger, teamId: channel.teamId, channelId: channel.channelId }, async () => {
+        const heatmap = await collectHeatmap(channel, { days });
+        const targetDate = heatmap.periodEnd;
+
+        const { acquired, result } = await withJobLock(heatmapLockKey(channel.channelId, heatmap.periodEnd), async () => {
+          const messageTs = await postHeatmap(heatmap, { targetChannelId: targetChannelId || channel.summaryChannelId });
+          console.log(`✅ Posted heatmap for ${channel.channelId}: ${heatmap.periodStart} → ${heatmap.periodEnd}`);
+          return { status: messageTs ? 'posted' : 'queued', messageTs, targetDate };
+        });
+
+        if (!acquired) {
+          console.log(`🔒 Another instance is already posting the heatmap for ${channel.channelId}, skipping.`);
+          return { status: 'skipped', targetDate, error: 'Another instance was running it' };
+        }
+        return result;
+      });
+    } catch (error) {
+      console.error(`❌ Failed to post heatmap for ${channel.channelId}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Run the anomaly check
+ * Looks at every enabled channel that has an alert channel and posts one alert per new spike/drop
+ * 
+ * @param {object} options - Options for the job
+ * @param {string} options.channelId - Optional channel to check (default: all)
+ * @param {Date} options.now - Optional "current time" (to re-check a past hour)
+ * @param {string} options.trigger - What started it, for job_runs: "cron" or "api" (default: "api")
+ * @returns {number} - Number of alerts posted
+ *
+ * Every checked channel's run is recorded in job_runs ("anomaly-check"; "done" when nothing was unusual).
+ */
+async function runAnomalyJob({ channelId, now = new Date(), trigger = 'api' } = {}) {
+  let channels;
+  try {
+    channels = (await listMonitoredChannels({ enabledOnly: true }))
+      .filter((channel) => !channelId || channel.channelId === channelId);
+  } catch (error) {
+    console.error('❌ Failed to load monitored channels:', error.message);
+    return 0;
+  }
+
+  let posted = 0;
+  for (const channel of channels) {
+    // No alert channel configured = alerts are off for this channel
+    if (!channel.alertChannelId) continue;
+
+    try {
+      const run = { jobType: 'anomaly-check', trigger, teamId: channel.teamId, channelId: channel.channelId, targetDate: formatDateInTimezone(now, channel.timezone) };
+      await recordJobRun(run, async () => {
+        const anomalies = await detectAnomalies(channel, { now });
+        let alerts = 0;
+        let sent = 0;
+
+        for (const anomaly of anomalies) {
+          // Save first: if another run already saved it, it was already posted
+          const alertId = await recordAnomaly(anomaly, channel.alertChannelId);
+          if (!alertId) continue;
+          alerts += 1;
+
+          const messageTs = await postAnomalyAlert(anomaly, { targetChannelId: channel.alertChannelId, alertId });
+          if (messageTs) {
+            await setAnomalyMessageTs(alertId, messageTs);
+            sent += 1;
+          }
+          console.log(`🚨 ${anomaly.direction} in ${channel.channelId}: ${anomaly.observed} ${anomaly.metric} (${anomaly.windowLabel}, z=${anomaly.zScore.toFixed(1)})`);
+        }
+
+        posted += sent;
+        // Alerts Slack didn't take yet wait in the outbox
+        if (!alerts) return { status: 'done' };
+        return { status: sent === alerts ? 'posted' : 'queued' };
+      });
+    } catch (error) {
+      console.error(`❌ Anomaly check failed for ${channel.channelId}:`, error.message);
+    }
+  }
+
+  return posted;
+}
+
+/**
+ * Run the reconciliation
+ * Recounts the last few days of every enabled channel; for each day whose counts changed,
+ * saves a revision, updates daily_summaries and updates the posted message
+ * (for a day inside a combined summary, the combined message that covers it)
+ * 
+ * @param {object} options - Options for the job
+ * @param {string} options.channelId - Optional channel to reconcile (default: all)
+ * @param {number} options.days - Optional number of days to check (default: RECONCILE_DAYS)
+ * @param {Date} options.now - Optional "current time"
+ * @param {string} options.trigger - What started it, for job_runs: "cron" or "api" (default: "api")
+ * @returns {number} - Number of summaries that were revised
+ *
+ * Each channel is reconciled under a lock: two instances recounting it at once would
+ * both save the same revisions and update the same messages.
+ * Every channel's run is recorded in job_runs ("reconcile"; "updated" when summaries changed, else "done").
+ */
+async function runReconcileJob({ channelId, days = config.reconcileDays, now = new Date(), trigger = 'api' } = {}) {
+  let channels;
+  try {
+    channels = (await listMonitoredChannels({ enabledOnly: true }))
+      .filter((channel) => !channelId || channel.channelId === channelId);
+  } catch (error) {
+    console.error('❌ Failed to load monitored channels:', error.message);
+    return 0;
+  }
+
+  let revised = 0;
+  for (const channel of channels) {
+    try {
+      await recordJobRun({ jobType: 'reconcile', trigger, teamId: channel.teamId, channelId: channel.channelId }, async () => {
+        const { acquired, result } = await withJobLock(reconcileLockKey(channel.channelId), () => (
+          reconcileChannel(channel, { days, now })
+        ));
+
+        if (!acquired) {
+          console.log(`🔒 Another instance is already reconciling ${channel.channelId}, skipping.`);
+          return { status: 'skipped', error: 'Another instance was running it' };
+        }
+        revised += result;
+        return { status: result ? 'updated' : 'done' };
+      });
+    } catch (error) {
+      console.error(`❌ Reconciliation failed for ${channel.channelId}:`, error.message);
+    }
   }
 
-  return { hour, minute };
+  return revised;
+}
+
+/**
+ * Recount one channel's recent days and fix the summaries that changed
+ * (called while holding the channel's reconcile lock)
+ * 
+ * @param {object} channel - Channel settings (from channelsStore)
+ * @param {object} options - days and now (see runReconcileJob)
+ * @returns {number} - Number of summaries that were revised
+ */
+async function reconcileChannel(channel, { days, now }) {
+  let revised = 0;
+  const changes = await findChangedSummaries(channel, { days, now });
+  // Messages already refreshed in this run (a combined summary can cover several changed days)
+  const refreshed = new Set();
+
+  for (const change of changes) {
+    const { saved, summary, changedFields } = change;
+    await recordSummaryRevision(change);
+    revised += 1;
+
+    const counts = changedFields.map((field) => `${field} ${saved[field]} → ${summary[field]}`).join(', ');
+    console.log(`🧮 Summary for ${channel.channelId} on ${saved.statDate} changed: ${counts}`);
+
+    // A day without its own message can still be part of a combined summary posted after a break
+    // (the message is saved on its last day): that message is the one to update
+    const message = saved.messageTs
+      ? { statDate: saved.statDate, messageTs: saved.messageTs, postedChannelId: saved.postedChannelId }
+      : await getCombinedSummaryCovering(channel.channelId, saved.statDate);
+
+    // Never posted: only the saved numbers need fixing
+    if (!message) {
+      await persistSummary(summary);
+      continue;
+    }
+    // Refreshing a combined summary recounts and saves all of its days at once
+    if (refreshed.has(message.messageTs)) {
+      continue;
+    }
+
+    try {
+      await refreshPostedSummary({
+        channelId: channel.channelId,
+        teamId: channel.teamId,
+        date: message.statDate,
+        // Summaries saved before posted_channel_id existed were posted in the summary channel (or the channel itself)
+        messageChannelId: message.postedChannelId || channel.summaryChannelId || channel.channelId,
+        messageTs: message.messageTs,
+      });
+      refreshed.add(message.messageTs);
+    } catch (error) {
+      // e.g., message_not_found when the summary was deleted: still fix the saved numbers
+      console.warn(`⚠️  Could not update the posted summary for ${channel.channelId} on ${message.statDate} (${error.message}), saving the new numbers only.`);
+      await persistSummary(summary);
+    }
+  }
+
+  return revised;
+}
+
+/**
+ * Run the catch-up check
+ * Posts the daily summaries that were missed (e.g., the service was asleep at post time),
+ * oldest first and at most CATCH_UP_MAX_POSTS per channel per run, marked as catch-up posts
+ * 
+ * @param {object} options - Options for the job
+ * @param {string} options.channelId - Optional channel to check (default: all)
+ * @param {Date} options.now - Optional "current time"
+ * @returns {number} - Number of missed summaries that were posted
+ */
+async function runCatchUpJob({ channelId, now = new Date() } = {}) {
+  let channels;
+  try {
+    channels = (await listMonitoredChannels({ enabledOnly: true }))
+      .filter((channel) => !channelId || channel.channelId === channelId);
+  } catch (error) {
+    console.error('❌ Failed to load monitored channels:', error.message);
+    return 0;
+  }
+
+  let posted = 0;
+  for (const channel of channels) {
+    try {
+      const missed = await findMissedSummaryDates(channel, { now });
+      if (!missed.length) continue;
+
+      // The cap keeps a long outage from flooding the channel; the rest goes out on the next checks
+      const batch = missed.slice(0, config.catchUpMaxPosts);
+      const later = missed.length - batch.length;
+      console.log(`⏪ ${missed.length} missed summaries for ${channel.channelId} (${missed[0]} → ${missed[missed.length - 1]}), posting ${batch.length} now${later ? `, ${later} on the next checks` : ''}.`);
+
+      for (const date of batch) {
+        const { messageTs } = await runSummaryForChannel(channel, { date, catchUp: true, scheduled: true, trigger: 'catch-up' });
+        if (messageTs) {
+          posted += 1;
+        }
+      }
+    } catch (error) {
+      console.error(`❌ Catch-up failed for ${channel.channelId}:`, error.message);
+    }
+  }
+
+  return posted;
 }
 
 /**
@@ -157,83 +932,318 @@ function formatTime(hour, minute) {
 }
 
 /**
- * Schedule the daily summary to run automatically
- * This sets up a cron job that runs at the configured time every day
- * 
- * The cron job will:
- * - Run at the time specified in CRON_SCHEDULE (e.g., "0 15 * * *" = 3:00 PM)
- * - Use the timezone specified in CRON_TIMEZONE (e.g., "Asia/Kolkata")
- * - Call runDailySummaryJob() which collects yesterday's stats
+ * Work out a human-readable next run time for any cron expression
+ *
+ * @param {string} cronSchedule - Cron expression (e.g., "0 15 * * *" or "0 9,17 * * 1-5")
+ * @param {string} timezone - IANA timezone the cron runs in
+ * @param {Date} now - "Current time" (default: now)
+ * @returns {string} - e.g., "Today at 3:00 PM Asia/Kolkata" or "Mon, Oct 26 at 9:00 AM Asia/Kolkata"
  */
-function scheduleDailySummary() {
-  // Check if channel ID is configured
-  if (!config.slackChannelId) {
-    console.warn('⚠️  SLACK_CHANNEL_ID not set. Scheduler will not run.');
-    return;  // Exit early if not configured
+function describeNextRun(cronSchedule, timezone, now = new Date()) {
+  const nextRun = getNextRunTime(cronSchedule, timezone, now);
+  if (!nextRun) {
+    return `Never (cron "${cronSchedule}" has no upcoming run)`;
   }
 
-  // Log current time and timezone for debugging
-  const currentTime = new Date();
-  console.log(`🕐 Current server time: ${currentTime.toISOString()}`);
-  console.log(`🌍 Server timezone: ${Intl.DateTimeFormat().resolvedOptions().timeZone}`);
-  console.log(`⏰ Scheduled timezone: ${config.timezone}`);
-  console.log(`📅 Cron schedule: "${config.cronSchedule}"`);
+  const { dateString, hour, minute } = getLocalTime(nextRun, timezone);
+  const today = getLocalTime(now, timezone).dateString;
+
+  let day;
+  if (dateString === today) {
+    day = 'Today';
+  } else if (dateString === shiftDateString(today, 1)) {
+    day = 'Tomorrow';
+  } else {
+    day = new Intl.DateTimeFormat('en-US', { timeZone: timezone, weekday: 'short', month: 'short', day: 'numeric' }).format(nextRun);
+  }
 
-  // Set up the cron job
-  const task = cron.schedule(
-    config.cronSchedule,  // When to run (e.g., "0 15 * * *" = 3:00 PM daily)
+  return `${day} at ${formatTime(hour, minute)} ${timezone}`;
+}
+
+/**
+ * Create one cron job in a channel's timezone
+ *
+ * @param {string} cronSchedule - Cron expression
+ * @param {string} timezone - IANA timezone
+ * @param {string} name - Task name (shows up in logs and node-cron's registry)
+ * @param {function} job - What to run
+ * @param {object} options
+ * @param {boolean} options.quiet - Don't log a banner on every run (default: false)
+ * @returns {object|null} - node-cron task, or null if the expression is invalid
+ */
+function createChannelTask(cronSchedule, timezone, name, job, { quiet = false } = {}) {
+  // Verify cron is valid before scheduling (an invalid one would throw)
+  if (!cron.validate(cronSchedule)) {
+    console.error(`❌ ERROR: Invalid cron schedule for ${name}: "${cronSchedule}"`);
+    console.error(`   Format should be: "minute hour day month weekday"`);
+    console.error(`   Example: "0 15 * * *" for 3:00 PM daily`);
+    return null;
+  }
+
+  return cron.schedule(
+    cronSchedule,  // When to run (e.g., "0 15 * * *" = 3:00 PM daily)
     () => {
+      // Frequent background jobs (like the outbox worker) skip the banner
+      if (quiet) {
+        job();
+        return;
+      }
+
       // This function runs when the scheduled time arrives
       const triggerTime = new Date();
       console.log(`\n⏰ ========================================`);
-      console.log(`⏰ Running scheduled Slack summary job...`);
+      console.log(`⏰ Running scheduled job ${name}...`);
       console.log(`⏰ Triggered at: ${triggerTime.toISOString()}`);
-      console.log(`⏰ Timezone: ${config.timezone}`);
+      console.log(`⏰ Timezone: ${timezone}`);
       console.log(`⏰ ========================================\n`);
-      // Run the summary job (will use yesterday's date by default)
-      runDailySummaryJob();
+      job();
     },
     {
-      timezone: config.timezone,  // Which timezone (e.g., "Asia/Kolkata")
-      scheduled: true,  // Start the task immediately
+      timezone,  // Which timezone (e.g., "Asia/Kolkata")
+      name,      // Makes the task easy to spot in node-cron's registry
     }
   );
+}
 
-  // Log that the scheduler is set up
-  console.log(
-    `📆 Scheduler initialized. Summaries will post at "${config.cronSchedule}" (${config.timezone}).`
-  );
-  
-  // Calculate and log next run time
-  const currentTimeForCalc = new Date();
-  const nowInTimezone = new Date(currentTimeForCalc.toLocaleString('en-US', { timeZone: config.timezone }));
-  const cronTime = parseDailyCronTime(config.cronSchedule);
-  const hour = cronTime?.hour ?? 15;
-  const minute = cronTime?.minute ?? 30;
-
-  const nextRunDate = new Date(nowInTimezone);
-  nextRunDate.setHours(hour, minute, 0, 0);
-
-  const humanTime = cronTime ? formatTime(hour, minute) : `cron "${config.cronSchedule}"`;
-  let nextRun;
-  if (nowInTimezone < nextRunDate) {
-    nextRun = `Today at ${humanTime} ${config.timezone}`;
+/**
+ * The cron jobs one channel gets (daily summary + weekly/monthly reports + heatmap)
+ *
+ * @param {object} channel - Channel settings (from channelsStore)
+ * @returns {Array<{type: string, name: string, cronSchedule: string, run: function}>}
+ */
+function getChannelJobs(channel) {
+  const { channelId, cronSchedule } = channel;
+
+  return [
+    // Daily summary (will use yesterday's date by default)
+    { type: 'daily-summary', cronSchedule, run: () => runDailySummaryJob({ channelId, scheduled: true, trigger: 'cron' }) },
+    // Weekly report (the Monday-Sunday week that just ended)
+    { type: 'weekly-report', cronSchedule: config.weeklyCronSchedule, run: () => runRollupJob({ periodType: 'week', channelId, scheduled: true, trigger: 'cron' }) },
+    // Monthly report (the calendar month that just ended)
+    { type: 'monthly-report', cronSchedule: config.monthlyCronSchedule, run: () => runRollupJob({ periodType: 'month', channelId, scheduled: true, trigger: 'cron' }) },
+    // Weekly activity heatmap (last HEATMAP_DAYS days)
+    { type: 'heatmap', cronSchedule: config.heatmapCronSchedule, run: () => runHeatmapJob({ channelId, trigger: 'cron' }) },
+  ]
+    .filter((job) => job.cronSchedule)
+    .map((job) => ({ ...job, name: `${job.type}-${channelId}` }));
+}
+
+/**
+ * What a channel's cron jobs depend on: when these change, its jobs must be rebuilt
+ * (everything else, like metrics or the summary channel, is read when the job runs)
+ *
+ * @param {object} channel - Channel settings (from channelsStore)
+ * @returns {string} - e.g., "0 15 * * *|Asia/Kolkata"
+ */
+function getScheduleKey(channel) {
+  return `${channel.cronSchedule}|${channel.timezone}`;
+}
+
+/**
+ * Set up the cron jobs for one channel
+ *
+ * @param {object} channel - Channel settings (from channelsStore)
+ */
+function scheduleChannel(channel) {
+  const { channelId, cronSchedule, timezone } = channel;
+
+  const tasks = getChannelJobs(channel)
+    .map((job) => createChannelTask(job.cronSchedule, timezone, job.name, job.run))
+    .filter(Boolean);
+
+  channelTasks.set(channelId, { scheduleKey: getScheduleKey(channel), tasks });
+  console.log(`📆 ${channelId}: summaries post at "${cronSchedule}" (${timezone}). Next run: ${describeNextRun(cronSchedule, timezone)}`);
+}
+
+/**
+ * Stop a channel's cron jobs
+ *
+ * @param {string} channelId - Channel to unschedule
+ */
+function unscheduleChannel(channelId) {
+  channelTasks.get(channelId).tasks.forEach((task) => task.destroy());
+  channelTasks.delete(channelId);
+}
+
+/**
+ * Sync the cron jobs with the monitored_channels table
+ * Called at startup, whenever channels are added, changed or removed, and every few minutes
+ * (SCHEDULE_RELOAD_CRON_SCHEDULE) to pick up changes saved by another instance
+ * 
+ * Only channels that changed are touched: new channels get jobs, removed/paused channels lose them,
+ * and a channel whose schedule or timezone changed gets new ones. The rest keep running as they are.
+ * 
+ * @param {object} options
+ * @param {boolean} options.quiet - Only log when something changed (used by the periodic reload)
+ * @returns {number} - Number of channels whose jobs were added, changed or removed
+ */
+async function refreshChannelSchedules({ quiet = false } = {}) {
+  const channels = await listMonitoredChannels({ enabledOnly: true });
+  const wanted = new Map(channels.map((channel) => [channel.channelId, channel]));
+
+  let changed = 0;
+
+  // Remove the jobs of channels that are gone (or paused) or whose schedule changed
+  for (const [channelId, { scheduleKey }] of channelTasks) {
+    const channel = wanted.get(channelId);
+    if (channel && getScheduleKey(channel) === scheduleKey) continue;
+
+    unscheduleChannel(channelId);
+    if (!channel) {
+      console.log(`📆 ${channelId}: no longer scheduled (removed or paused).`);
+      changed += 1;
+    }
+  }
+
+  // Add jobs for new channels (and the ones whose schedule changed, removed just above)
+  for (const channel of channels) {
+    if (channelTasks.has(channel.channelId)) continue;
+    scheduleChannel(channel);
+    changed += 1;
+  }
+
+  if (quiet && !changed) {
+    return 0;
+  }
+
+  if (!channels.length) {
+    console.warn('⚠️  No monitored channels. Add one with POST /api/channels or set SLACK_CHANNEL_ID.');
   } else {
-    nextRun = `Tomorrow at ${humanTime} ${config.timezone}`;
+    console.log(`📆 Scheduler running for ${channels.length} channel(s) (${changed} changed).`);
   }
+  return changed;
+}
 
-  console.log(`📆 Next scheduled run: ${nextRun}`);
-  
-  // Verify cron is valid
-  if (!cron.validate(config.cronSchedule)) {
-    console.error(`❌ ERROR: Invalid cron schedule: "${config.cronSchedule}"`);
-    console.error(`   Format should be: "minute hour day month weekday"`);
-    console.error(`   Example: "0 15 * * *" for 3:00 PM daily`);
+/**
+ * Describe a cron job and when it runs next
+ *
+ * @param {string} name - Job name
+ * @param {string} cronSchedule - Cron expression
+ * @param {string} timezone - IANA timezone it runs in
+ * @param {object} options
+ * @param {number} options.count - How many upcoming runs to list
+ * @param {Date} options.now - "Current time"
+ * @returns {object} - { name, cronSchedule, timezone, nextRun, nextRuns }
+ */
+function describeJob(name, cronSchedule, timezone, { count, now }) {
+  return {
+    name,
+    cronSchedule,
+    timezone,
+    nextRun: describeNextRun(cronSchedule, timezone, now),
+    nextRuns: getNextRunTimes(cronSchedule, timezone, { from: now, count }).map((date) => date.toISOString()),
+  };
+}
+
+/**
+ * List every channel's schedule and the shared jobs, with their upcoming run times
+ * Used by GET /api/schedules
+ * 
+ * @param {object} options
+ * @param {string} options.channelId - Optional: only this channel (and no shared jobs)
+ * @param {number} options.count - Upcoming runs listed per job (default: 3)
+ * @param {Date} options.now - "Current time" (default: now)
+ * @returns {object} - { channels: [...], jobs: [...] }
+ *
+ * Example return:
+ * {
+ *   channels: [{
+ *     channelId: "C09SUH2KHK2", enabled: true, scheduled: true,
+ *     jobs: [{ name: "daily-summary-C09SUH2KHK2", cronSchedule: "0 15 * * 1-5", timezone: "Asia/Kolkata",
+ *              nextRun: "Today at 3:00 PM Asia/Kolkata", nextRuns: ["2026-10-19T09:30:00.000Z", ...] }, ...]
+ *   }],
+ *   jobs: [{ name: "anomaly-check", cronSchedule: "5 * * * *", timezone: "UTC", ... }]
+ * }
+ */
+async function listSchedules({ channelId, count = 3, now = new Date() } = {}) {
+  const channels = (await listMonitoredChannels())
+    .filter((channel) => !channelId || channel.channelId === channelId);
+
+  const sharedJobs = [
+    ['anomaly-check', config.anomalyCronSchedule, anomalyTask],
+    ['reconcile', config.reconcileCronSchedule, reconcileTask],
+    ['outbox', config.outboxCronSchedule, outboxTask],
+    ['catch-up', config.catchUpCronSchedule, catchUpTask],
+    ['schedule-reload', config.scheduleReloadCronSchedule, scheduleReloadTask],
+  ].filter(([, , task]) => task);
+
+  return {
+    channels: channels.map((channel) => ({
+      channelId: channel.channelId,
+      teamId: channel.teamId,
+      enabled: channel.enabled,
+      // False for paused channels, and for a channel saved on another instance until the next reload
+      scheduled: channelTasks.has(channel.channelId),
+      jobs: channel.enabled
+        ? getChannelJobs(channel).map((job) => describeJob(job.name, job.cronSchedule, channel.timezone, { count, now }))
+        : [],
+    })),
+    jobs: channelId ? [] : sharedJobs.map(([name, cronSchedule]) => describeJob(name, cronSchedule, 'UTC', { count, now })),
+  };
+}
+
+/**
+ * Schedule the daily summary to run automatically
+ * This sets up one cron job per monitored channel
+ * 
+ * Each cron job will:
+ * - Run at the channel's cron schedule (e.g., "0 15 * * *" = 3:00 PM)
+ * - Use the channel's timezone (e.g., "Asia/Kolkata")
+ * - Call runDailySummaryJob() which collects yesterday's stats for that channel
+ */
+async function scheduleDailySummary() {
+  // Log current time and timezone for debugging
+  const currentTime = new Date();
+  console.log(`🕐 Current server time: ${currentTime.toISOString()}`);
+  console.log(`🌍 Server timezone: ${Intl.DateTimeFormat().resolvedOptions().timeZone}`);
+
+  await refreshChannelSchedules();
+
+  // One anomaly check for all channels (each channel uses its own timezone/quiet hours inside the job)
+  if (config.anomalyCronSchedule && !anomalyTask) {
+    anomalyTask = createChannelTask(config.anomalyCronSchedule, 'UTC', 'anomaly-check', () => runAnomalyJob({ trigger: 'cron' }));
+  }
+
+  // One reconciliation for all channels (each channel's days are in its own timezone)
+  if (config.reconcileCronSchedule && !reconcileTask) {
+    reconcileTask = createChannelTask(config.reconcileCronSchedule, 'UTC', 'reconcile', () => runReconcileJob({ trigger: 'cron' }));
+  }
+
+  // Retry failed Slack posts (quiet: runs every minute)
+  if (config.outboxCronSchedule && !outboxTask) {
+    outboxTask = createChannelTask(config.outboxCronSchedule, 'UTC', 'outbox', () => processOutbox({ trigger: 'cron' }), { quiet: true });
+  }
+
+  // Pick up channel settings saved by other instances (quiet: only logs changes)
+  if (config.scheduleReloadCronSchedule && !scheduleReloadTask) {
+    scheduleReloadTask = createChannelTask(config.scheduleReloadCronSchedule, 'UTC', 'schedule-reload', () => (
+      refreshChannelSchedules({ quiet: true }).catch((error) => console.error('❌ Failed to reload channel schedules:', error.message))
+    ), { quiet: true });
+  }
+
+  // Missed summaries: check now (the service may have just woken up) and then every hour
+  if (config.summaryStartDate && !catchUpTask) {
+    if (config.catchUpCronSchedule) {
+      catchUpTask = createChannelTask(config.catchUpCronSchedule, 'UTC', 'catch-up', () => runCatchUpJob());
+    }
+    // Not awaited: the server should start answering Slack right away
+    runCatchUpJob();
   }
 }
 
 // Export functions so server.js can use them
 module.exports = {
   scheduleDailySummary,  // Function to set up the scheduler (called when server starts)
+  refreshChannelSchedules,  // Function to rebuild cron jobs after channel settings change
+  describeNextRun,       // Human-readable next run time (App Home)
+  listSchedules,         // Every channel's cron jobs and their upcoming runs (GET /api/schedules)
   runDailySummaryJob,    // Function to run the summary manually (for testing)
+  previewDailySummary,   // Function to build a summary without posting or saving it
+  refreshPostedSummary,  // Function to recount a posted summary and update its message
+  runRollupJob,          // Function to run the weekly/monthly report manually
+  runRangeReportJob,     // Function to post a report for a custom date range
+  runAnomalyJob,         // Function to run the spike/drop check manually
+  runReconcileJob,       // Function to recount recent days and fix changed summaries
+  runCatchUpJob,         // Function to post summaries that were missed during downtime
+  runHeatmapJob,         // Function to post the activity heatmap manually
 };
@@ -8,6 +8,10 @@
  * 4. Provides endpoints for health checks and manual testing
  * 5. Starts the daily summary scheduler
  * 
+ * Routes called by Slack are checked with Slack's signature. Every other route
+ * (run summaries, stats, settings, admin) needs an API key with the right scope
+ * (see apiKeys.js), and every call to them is written to the audit log.
+ * 
  * When you run "npm start", this file is executed.
  */
 
@@ -22,12 +26,48 @@ const crypto = require('crypto');
 const config = require('./config');                    // Configuration settings
 const { initDb } = require('./db');                    // Database initialization
 const { processSlackEvent } = require('./eventsHandler');  // Event processing
-const { scheduleDailySummary, runDailySummaryJob } = require('./scheduler');  // Scheduler
+const {
+  scheduleDailySummary,
+  runDailySummaryJob,
+  runRollupJob,
+  runAnomalyJob,
+  runReconcileJob,
+  runCatchUpJob,
+  refreshChannelSchedules,
+  listSchedules,
+} = require('./scheduler');  // Scheduler
+const {
+  validateChannelSettings,
+  listMonitoredChannels,
+  upsertMonitoredChannel,
+  removeMonitoredChannel,
+  getMonitoredChannel,
+  defaultChannelSettings,
+} = require('./channelsStore');  // Monitored channel settings
+const { collectHeatmap } = require('./heatmapService');  // Activity heatmap
+const { listSummaryRevisions } = require('./reconcileService');  // Summary revision history
+const { OUTBOX_STATUSES, listOutboxMessages, resendOutboxMessage } = require('./outbox');  // Failed Slack posts
+const { JOB_TRIGGERS, JOB_RUN_STATUSES, listJobRuns } = require('./jobRuns');  // Job run history
+const {
+  parseIcsHolidays,
+  saveChannelHolidays,
+  listChannelHolidays,
+  removeChannelHoliday,
+} = require('./calendarService');  // Working days and holidays
+const { USAGE_TEXT, parseCommandText, describeCommand, runSlashCommand } = require('./slashCommands');  // /dailyengage subcommands
+const { processInteraction } = require('./interactionsHandler');  // Button presses
+const { createOAuthState, verifyOAuthState, buildInstallUrl, completeInstall } = require('./oauth');  // "Add to Slack" flow
+const { findApiKey, hasScope, touchApiKey } = require('./apiKeys');  // Admin API keys
+const { recordAuditEntry, listAuditEntries } = require('./auditLog');  // Who called the admin API
 
 // Create an Express application instance
 // This is our web server
 const app = express();
 
+// Render puts a proxy in front of the app: take the caller's IP (for the audit log)
+// from the X-Forwarded-For entry that proxy adds
+app.set('trust proxy', 1);
+
 /**
  * Middleware function to save the raw request body
  * 
@@ -55,6 +95,21 @@ app.use(
   })
 );
 
+/**
+ * Compare a computed Slack signature with the one a request sent
+ * timingSafeEqual throws on different lengths, so a forged signature of another
+ * length is rejected here instead of ending in a 500
+ * 
+ * @param {string} computed - Signature we calculated ("v0=...")
+ * @param {string} signature - X-Slack-Signature header
+ * @returns {boolean} - True if they match
+ */
+function signaturesMatch(computed, signature) {
+  const expected = Buffer.from(computed, 'utf8');
+  const received = Buffer.from(signature, 'utf8');
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
 /**
  * Middleware function to verify Slack request signatures
  * 
@@ -106,7 +161,7 @@ function verifySlackSignature(req, res, next) {
 
   // Compare computed signature with Slack's signature
   // Use timingSafeEqual to prevent timing attacks (security)
-  if (!crypto.timingSafeEqual(Buffer.from(computed, 'utf8'), Buffer.from(signature, 'utf8'))) {
+  if (!signaturesMatch(computed, signature)) {
     return res.status(400).send('Invalid Slack signature.');
   }
 
@@ -114,6 +169,95 @@ function verifySlackSignature(req, res, next) {
   return next();
 }
 
+/**
+ * Read the API key a caller sent
+ * 
+ * @param {object} req - Express request object
+ * @returns {string|null} - From "Authorization: Bearer <key>" or "X-API-Key: <key>"
+ */
+function getApiKeyFromRequest(req) {
+  const authorization = req.get('authorization') || '';
+  const match = /^Bearer\s+(\S+)$/i.exec(authorization);
+  return match ? match[1] : (req.get('x-api-key') || null);
+}
+
+/**
+ * What an audit entry saves about a call: its query and (for changes) its body
+ * 
+ * @param {object} req - Express request object
+ * @returns {object|null}
+ */
+function getAuditDetails(req) {
+  const details = {};
+  if (Object.keys(req.query || {}).length) details.query = req.query;
+  if (req.method !== 'GET' && req.body && Object.keys(req.body).length) details.body = req.body;
+  return Object.keys(details).length ? details : null;
+}
+
+/**
+ * Middleware factory: only let callers with an API key that has `scope` through
+ * 
+ * Why we need this:
+ * - Without it, anyone who knows the Render URL could post summaries or change settings
+ * 
+ * How it works:
+ * 1. Read the key from the Authorization (or X-API-Key) header
+ * 2. Look up its hash in api_keys (revoked keys don't count)
+ * 3. Check it has the scope this route needs ("admin" has them all)
+ * 4. Whatever happens, write an audit entry once the response is sent
+ * 
+ * Responses: 401 (no key / unknown or revoked key), 403 (key lacks the scope)
+ * 
+ * @param {string} scope - "summary:run", "stats:read" or "admin"
+ * @returns {function} - Express middleware
+ * 
+ * @example
+ * app.get('/api/stats/heatmap', requireApiKey('stats:read'), async (req, res) => { ... });
+ */
+function requireApiKey(scope) {
+  return async (req, res, next) => {
+    const startedAt = Date.now();
+    const key = getApiKeyFromRequest(req);
+    let apiKey = null;
+
+    // Audit every call, allowed or not (the status code is known once the response is sent)
+    res.on('finish', () => {
+      recordAuditEntry({
+        apiKey,
+        keyPrefix: key ? key.slice(0, 12) : null,
+        action: `${req.method} ${req.path}`,
+        statusCode: res.statusCode,
+        ip: req.ip,
+        userAgent: req.get('user-agent') || null,
+        details: getAuditDetails(req),
+        durationMs: Date.now() - startedAt,
+      });
+    });
+
+    if (!key) {
+      return res.status(401).json({ success: false, error: 'Missing API key. Send it as "Authorization: Bearer <key>".' });
+    }
+
+    try {
+      apiKey = await findApiKey(key);
+    } catch (error) {
+      console.error('Failed to check API key:', error);
+      return res.status(500).json({ success: false, error: 'Could not check the API key.' });
+    }
+
+    if (!apiKey) {
+      return res.status(401).json({ success: false, error: 'Invalid or revoked API key.' });
+    }
+    if (!hasScope(apiKey, scope)) {
+      return res.status(403).json({ success: false, error: `This API key doesn't have the "${scope}" scope.` });
+    }
+
+    req.apiKey = apiKey;  // Route handlers can see who called
+    touchApiKey(apiKey.id);  // Best effort, no need to wait
+    return next();
+  };
+}
+
 /**
  * Health check endpoint
  * 
@@ -191,7 +335,7 @@ app.post('/api/slack/events', async (req, res) => {
       const computed = `v0=${hmac.digest('hex')}`;
 
       // Compare signatures
-      if (!crypto.timingSafeEqual(Buffer.from(computed, 'utf8'), Buffer.from(signature, 'utf8'))) {
+      if (!signaturesMatch(computed, signature)) {
         console.error('❌ Invalid Slack signature');
         return res.status(400).send('Invalid Slack signature.');
       }
@@ -229,26 +373,31 @@ app.post('/api/slack/events', async (req, res) => {
  * 
  * Request body (optional):
  * {
- *   "date": "2024-01-15"  // Optional: specific date. If not provided, uses yesterday
+ *   "date": "2024-01-15",        // Optional: specific date. If not provided, uses yesterday
+ *   "channelId": "C09SUH2KHK2",  // Optional: one channel. If not provided, all monitored channels
+ *   "forceNewPost": true         // Optional: post a new message even if that day was already posted
  * }
  * 
+ * If the summary for that day was already posted (in the same channel), the existing
+ * message is updated in place (chat.update) instead of posting a duplicate.
+ * 
  * Response:
  * {
  *   "success": true,
  *   "date": "yesterday" or the date you provided
  * }
  */
-app.post('/api/slack/run-summary', async (req, res) => {
-  // Get optional date from request body
-  const { date } = req.body || {};
+app.post('/api/slack/run-summary', requireApiKey('summary:run'), async (req, res) => {
+  // Get optional date, channel and force flag from request body
+  const { date, channelId, forceNewPost = false } = req.body || {};
   
   try {
     // Run the summary job
     // defaultToToday: false means use yesterday (not today)
-    await runDailySummaryJob({ date, defaultToToday: false });
+    await runDailySummaryJob({ date, defaultToToday: false, channelId, forceNewPost: forceNewPost === true, trigger: 'api' });
     
     // Return success response
-    res.json({ success: true, date: date || 'yesterday' });
+    res.json({ success: true, date: date || 'yesterday', channelId: channelId || 'all' });
   } catch (error) {
     // If something goes wrong, return error response
     console.error('Failed to run summary job manually:', error);
@@ -256,6 +405,124 @@ app.post('/api/slack/run-summary', async (req, res) => {
   }
 });
 
+/**
+ * Manual weekly/monthly report trigger endpoint
+ * 
+ * POST /api/slack/run-rollup
+ * 
+ * Request body:
+ * {
+ *   "period": "week",            // Required: "week" or "month"
+ *   "date": "2026-10-19",        // Optional: report the period that ended before this date (default: today)
+ *   "channelId": "C09SUH2KHK2"   // Optional: one channel. If not provided, all monitored channels
+ * }
+ */
+app.post('/api/slack/run-rollup', requireApiKey('summary:run'), async (req, res) => {
+  const { period, date, channelId } = req.body || {};
+
+  if (!['week', 'month'].includes(period)) {
+    return res.status(400).json({ success: false, error: 'period must be "week" or "month".' });
+  }
+
+  try {
+    await runRollupJob({ periodType: period, date, channelId });
+    return res.json({ success: true, period, channelId: channelId || 'all' });
+  } catch (error) {
+    console.error('Failed to run rollup job manually:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Manual anomaly check endpoint
+ * 
+ * POST /api/slack/run-anomaly-check
+ * 
+ * Request body:
+ * {
+ *   "channelId": "C09SUH2KHK2",   // Optional: one channel. If not provided, all monitored channels
+ *   "now": "2026-10-19T10:05:00Z" // Optional: pretend it's this time (re-check a past hour/day)
+ * }
+ * 
+ * Alerts that were already posted for the same window are not posted again.
+ */
+app.post('/api/slack/run-anomaly-check', requireApiKey('summary:run'), async (req, res) => {
+  const { channelId, now } = req.body || {};
+  const checkTime = now ? new Date(now) : new Date();
+
+  if (Number.isNaN(checkTime.getTime())) {
+    return res.status(400).json({ success: false, error: 'now must be an ISO date/time.' });
+  }
+
+  try {
+    const posted = await runAnomalyJob({ channelId, now: checkTime });
+    return res.json({ success: true, alertsPosted: posted });
+  } catch (error) {
+    console.error('Failed to run anomaly check manually:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Manual reconciliation endpoint
+ * 
+ * POST /api/slack/run-reconcile
+ * 
+ * Request body:
+ * {
+ *   "channelId": "C09SUH2KHK2",   // Optional: one channel. If not provided, all monitored channels
+ *   "days": 7                     // Optional: how many days back from yesterday (default: RECONCILE_DAYS)
+ * }
+ * 
+ * Days whose counts changed since they were saved get a revision in summary_revisions,
+ * and their saved summary and posted message are updated.
+ */
+app.post('/api/slack/run-reconcile', requireApiKey('summary:run'), async (req, res) => {
+  const { channelId } = req.body || {};
+  const days = req.body?.days !== undefined ? Number(req.body.days) : config.reconcileDays;
+
+  if (!Number.isInteger(days) || days < 1 || days > 366) {
+    return res.status(400).json({ success: false, error: 'days must be a whole number between 1 and 366.' });
+  }
+
+  try {
+    const revised = await runReconcileJob({ channelId, days });
+    return res.json({ success: true, summariesRevised: revised });
+  } catch (error) {
+    console.error('Failed to run reconciliation manually:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Manual catch-up endpoint
+ * 
+ * POST /api/slack/run-catch-up
+ * 
+ * Request body:
+ * {
+ *   "channelId": "C09SUH2KHK2"   // Optional: one channel. If not provided, all monitored channels
+ * }
+ * 
+ * Posts up to CATCH_UP_MAX_POSTS missed summaries per channel (days since SUMMARY_START_DATE
+ * without a daily_summaries row). Does nothing while SUMMARY_START_DATE isn't set.
+ */
+app.post('/api/slack/run-catch-up', requireApiKey('summary:run'), async (req, res) => {
+  const { channelId } = req.body || {};
+
+  if (!config.summaryStartDate) {
+    return res.status(400).json({ success: false, error: 'Set SUMMARY_START_DATE (YYYY-MM-DD) to enable catch-up.' });
+  }
+
+  try {
+    const posted = await runCatchUpJob({ channelId });
+    return res.json({ success: true, summariesPosted: posted });
+  } catch (error) {
+    console.error('Failed to run catch-up manually:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * Slack Slash Command endpoint
  * 
@@ -267,25 +534,50 @@ app.post('/api/slack/run-summary', async (req, res) => {
  * Flow:
  * 1. User types `/dailyengage` in a channel
  * 2. Slack sends a URL-encoded payload to this endpoint
+ *    (we verify it's really from Slack: team_id picks the workspace's bot token)
  * 3. We immediately respond with an ephemeral message (only visible to the user)
- * 4. We run the daily summary job for that channel (yesterday's data)
- * 5. The summary is posted to the channel where the command was used
+ * 4. We run the report for the subcommand (see slashCommands.js)
+ * 5. The report is posted to the channel where the command was used
+ * 
+ * Subcommands:
+ * - `/dailyengage` → yesterday's summary
+ * - `/dailyengage today` / `week` / `month` / `heatmap`
+ * - `/dailyengage date 2026-10-01`
+ * - `/dailyengage range 2026-10-01 2026-10-15`
+ * - `/dailyengage help` → usage (ephemeral)
+ * - `/dailyengage settings` → settings modal (channel admins only)
+ * - `/dailyengage preview [today | date 2026-10-01]` → summary shown only to the user,
+ *   with a "Publish to channel" button (see POST /api/slack/interactions)
+ * Invalid input gets a usage error that only the user sees.
  * 
  * Request body (URL-encoded):
  * - command: The slash command name (e.g., "/dailyengage")
+ * - text: Anything typed after the command (the subcommand)
+ * - team_id: Workspace where the command was used (picks the bot token)
  * - channel_id: Channel where the command was used
  * - user_id: User who triggered the command
+ * - trigger_id: Lets us open the settings modal (valid for 3 seconds)
+ * - response_url: Where to send the preview (ephemeral, expires after 30 minutes)
  * 
  * Response:
  * - Immediate ephemeral response (user sees "Collecting stats...")
- * - Summary is posted to the channel asynchronously
+ * - Report is posted to the channel asynchronously
  */
 app.post(
   '/api/slack/command',
-  bodyParser.urlencoded({ extended: true }),  // Parse URL-encoded form data
+  bodyParser.urlencoded({ extended: true, verify: rawBodySaver }),  // Keep the raw body for the signature check
+  verifySlackSignature,
   async (req, res) => {
-    // Extract command, channel ID, and user ID from request body
-    const { command, channel_id: channelId, user_id: userId } = req.body || {};
+    // Extract command, text, workspace, channel ID, and user ID from request body
+    const {
+      command,
+      text = '',
+      team_id: teamId,
+      channel_id: channelId,
+      user_id: userId,
+      trigger_id: triggerId,
+      response_url: responseUrl,
+    } = req.body || {};
 
     // Only support /dailyengage command
     if (command !== '/dailyengage') {
@@ -295,25 +587,675 @@ app.post(
       });
     }
 
+    // Work out which report was asked for
+    const parsed = parseCommandText(text);
+
+    // Usage errors and help are only shown to the person who ran the command
+    if (parsed.error) {
+      return res.json({
+        response_type: 'ephemeral',
+        text: `⚠️ ${parsed.error}\n\n${USAGE_TEXT}`,
+      });
+    }
+    if (parsed.name === 'help') {
+      return res.json({ response_type: 'ephemeral', text: USAGE_TEXT });
+    }
+
     // Immediately respond to Slack (within 3 seconds)
     // This prevents Slack from showing an error
     res.json({
       response_type: 'ephemeral',  // Only visible to the user
-      text: `✅ Collecting yesterday's stats for <#${channelId}>...`,
+      text: describeCommand(parsed, channelId),
     });
 
-    // Run the summary job asynchronously (after responding to Slack)
-    // defaultToToday: false means use yesterday's data
-    // channelId: Use the channel where the command was run (not the default channel)
+    // Build and post the report asynchronously (after responding to Slack)
     try {
-      await runDailySummaryJob({ defaultToToday: false, channelId });
-      console.log(`Slash command triggered by ${userId} in ${channelId}.`);
+      await runSlashCommand(parsed, { teamId, channelId, userId, triggerId, responseUrl });
+      console.log(`Slash command "${parsed.preview ? 'preview ' : ''}${parsed.name}" triggered by ${userId} in ${channelId}.`);
     } catch (error) {
-      console.error('Failed to run summary via slash command:', error);
+      console.error('Failed to run report via slash command:', error);
     }
   }
 );
 
+/**
+ * POST /api/slack/interactions
+ * 
+ * Slack calls this when someone presses a button in one of our messages
+ * (set it as the "Request URL" under Interactivity & Shortcuts in the app settings).
+ * 
+ * Flow:
+ * 1. We verify it's really from Slack (signature check)
+ * 2. We answer 200 right away (Slack expects an answer within 3 seconds)
+ * 3. interactionsHandler.js does the work for the pressed button
+ * 
+ * Supported buttons:
+ * - Summary "📅 Last 7 days" / "🥇 Leaderboard": open a modal with details
+ * - Summary "🔄 Refresh": recount the day and update the message in place (chat.update)
+ * - Preview "Publish to channel": post and save the summary for real
+ * 
+ * Modal submissions:
+ * - `/dailyengage settings` "Save": answered with field errors, or the saved confirmation
+ * 
+ * Request body (URL-encoded):
+ * - payload: JSON string with type ("block_actions"), actions, user, response_url, ...
+ * 
+ * Response:
+ * - 200 right away (Slack expects an answer within 3 seconds), the work happens after
+ */
+app.post(
+  '/api/slack/interactions',
+  bodyParser.urlencoded({ extended: true, verify: rawBodySaver }),  // Keep the raw body for the signature check
+  verifySlackSignature,
+  async (req, res) => {
+    let payload;
+    try {
+      payload = JSON.parse(req.body?.payload || '');
+    } catch (error) {
+      return res.status(400).send('Invalid interaction payload.');
+    }
+
+    // Modal submissions wait for the result: Slack shows field errors or the next view from it
+    if (payload.type === 'view_submission') {
+      try {
+        const response = await processInteraction(payload);
+        return response ? res.json(response) : res.status(200).send();
+      } catch (error) {
+        console.error('❌ Error processing modal submission:', error);
+        return res.json({ response_action: 'errors', errors: { post_time: 'Something went wrong, please try again.' } });
+      }
+    }
+
+    // Acknowledge the button press immediately
+    res.status(200).send();
+
+    try {
+      await processInteraction(payload);
+    } catch (error) {
+      // If something goes wrong, log it but don't crash
+      console.error('❌ Error processing Slack interaction:', error);
+    }
+  }
+);
+
+/**
+ * Activity heatmap as JSON
+ * 
+ * GET /api/stats/heatmap?channelId=C09SUH2KHK2&days=28
+ * 
+ * Query parameters:
+ * - channelId: Required. Channel to report on (uses its timezone if it's monitored)
+ * - days: Optional. How many days back from yesterday (default: HEATMAP_DAYS)
+ * - timezone: Optional. Override the channel's timezone (e.g., "Europe/Berlin")
+ * 
+ * Response:
+ * {
+ *   "channelId": "C09SUH2KHK2",
+ *   "timezone": "Asia/Kolkata",
+ *   "periodStart": "2026-09-21",
+ *   "periodEnd": "2026-10-18",
+ *   "weekdays": ["Mon", ..., "Sun"],
+ *   "grid": [[0, 0, ..., 3], ...],   // 7 rows × 24 hours
+ *   "total": 1234,
+ *   "busiest": { "weekday": "Tue", "hour": 10, "count": 57 }
+ * }
+ */
+app.get('/api/stats/heatmap', requireApiKey('stats:read'), async (req, res) => {
+  const { channelId, timezone } = req.query;
+  const days = req.query.days ? Number(req.query.days) : config.heatmapDays;
+
+  if (!channelId) {
+    return res.status(400).json({ success: false, error: 'channelId is required.' });
+  }
+  if (!Number.isInteger(days) || days < 1 || days > 366) {
+    return res.status(400).json({ success: false, error: 'days must be a whole number between 1 and 366.' });
+  }
+
+  try {
+    const channel = (await getMonitoredChannel(channelId)) || defaultChannelSettings(channelId);
+    const errors = timezone ? validateChannelSettings({ channelId, timezone }) : [];
+    if (errors.length) {
+      return res.status(400).json({ success: false, errors });
+    }
+
+    const heatmap = await collectHeatmap({ ...channel, timezone: timezone || channel.timezone }, { days });
+    return res.json(heatmap);
+  } catch (error) {
+    console.error('Failed to build heatmap:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Revision history of a channel's summaries
+ * 
+ * GET /api/stats/revisions?channelId=C09SUH2KHK2&date=2026-10-18
+ * 
+ * Query parameters:
+ * - channelId: Required. Channel whose summaries were revised
+ * - date: Optional. Only revisions of this day (YYYY-MM-DD)
+ * - limit: Optional. Maximum number of revisions (default: 50)
+ * 
+ * Response:
+ * {
+ *   "channelId": "C09SUH2KHK2",
+ *   "revisions": [
+ *     {
+ *       "id": 7,
+ *       "statDate": "2026-10-18",
+ *       "previousCounts": { "messageCount": 134, ... },
+ *       "newCounts": { "messageCount": 136, ... },
+ *       "changedFields": ["messageCount"],
+ *       "messageTs": "1760787000.123456",
+ *       "createdAt": "2026-10-19T10:20:00.000Z"
+ *     }
+ *   ]
+ * }
+ */
+app.get('/api/stats/revisions', requireApiKey('stats:read'), async (req, res) => {
+  const { channelId, date } = req.query;
+  const limit = req.query.limit ? Number(req.query.limit) : 50;
+
+  if (!channelId) {
+    return res.status(400).json({ success: false, error: 'channelId is required.' });
+  }
+  if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return res.status(400).json({ success: false, error: 'date must be in YYYY-MM-DD format.' });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+    return res.status(400).json({ success: false, error: 'limit must be a whole number between 1 and 500.' });
+  }
+
+  try {
+    const revisions = await listSummaryRevisions(channelId, { statDate: date || null, limit });
+    return res.json({ channelId, revisions });
+  } catch (error) {
+    console.error('Failed to list summary revisions:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * "Add to Slack" install link
+ * 
+ * GET /api/slack/install
+ * 
+ * Redirects the user to Slack's OAuth v2 authorize page.
+ * After they approve, Slack sends them to /api/slack/oauth/callback.
+ */
+app.get('/api/slack/install', (req, res) => {
+  if (!config.slackClientId || !config.slackClientSecret) {
+    return res.status(500).send('SLACK_CLIENT_ID and SLACK_CLIENT_SECRET must be set to install the app.');
+  }
+
+  return res.redirect(buildInstallUrl(createOAuthState()));
+});
+
+/**
+ * OAuth v2 callback
+ * 
+ * GET /api/slack/oauth/callback?code=...&state=...
+ * 
+ * Flow:
+ * 1. Check the state (so nobody can forge an install)
+ * 2. Exchange the code for the workspace's bot token
+ * 3. Save it in the installations table
+ */
+app.get('/api/slack/oauth/callback', async (req, res) => {
+  const { code, state, error } = req.query;
+
+  // The user pressed "Cancel" on Slack's authorize page
+  if (error) {
+    return res.status(400).send(`Slack install was cancelled: ${error}`);
+  }
+
+  if (!code || !verifyOAuthState(state)) {
+    return res.status(400).send('Invalid or expired install link. Please start again from /api/slack/install.');
+  }
+
+  try {
+    const installation = await completeInstall(code);
+    console.log(`✅ App installed in workspace ${installation.team_name || installation.team_id} (${installation.team_id})`);
+    return res.send(`✅ Installed in ${installation.team_name || installation.team_id}. You can close this page.`);
+  } catch (installError) {
+    console.error('❌ OAuth install failed:', installError);
+    return res.status(500).send('Install failed. Please try again.');
+  }
+});
+
+/**
+ * List monitored channels
+ * 
+ * GET /api/channels
+ * 
+ * Response:
+ * {
+ *   "channels": [{ "channelId": "C09SUH2KHK2", "timezone": "Asia/Kolkata", "cronSchedule": "0 15 * * *", ... }]
+ * }
+ */
+app.get('/api/channels', requireApiKey('stats:read'), async (req, res) => {
+  try {
+    const channels = await listMonitoredChannels();
+    res.json({ channels });
+  } catch (error) {
+    console.error('Failed to list monitored channels:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Add a monitored channel (or update its settings)
+ * 
+ * POST /api/channels
+ * 
+ * Request body:
+ * {
+ *   "channelId": "C09SUH2KHK2",          // Required: channel to collect stats for
+ *   "teamId": "T012AB3C4",               // Optional: workspace (needed for OAuth-installed workspaces)
+ *   "timezone": "Asia/Kolkata",          // Optional: defaults to CRON_TIMEZONE
+ *   "cronSchedule": "0 15 * * *",        // Optional: defaults to CRON_SCHEDULE
+ *   "summaryChannelId": "C0SUMMARIES",   // Optional: where to post (defaults to the channel itself)
+ *   "enabledMetrics": ["messages", "reactions"],  // Optional: defaults to SUMMARY_METRICS
+ *   "showLeaderboard": true,             // Optional: include top posters/reactors/file sharers
+ *   "alertChannelId": "C0ALERTS",        // Optional: where anomaly alerts go (defaults to ANOMALY_ALERT_CHANNEL_ID, "" = no alerts)
+ *   "anomalyZThreshold": 3,              // Optional: standard deviations that count as a spike/drop
+ *   "anomalyLookbackWeeks": 4,           // Optional: weeks of the same weekday used as the baseline
+ *   "quietHours": "22-7",                // Optional: no alerts in this local time range
+ *   "workingDays": [1, 2, 3, 4, 5],      // Optional: days summaries are posted (0 = Sunday; defaults to WORKING_DAYS)
+ *   "enabled": true                      // Optional: false pauses the channel
+ * }
+ * 
+ * Settings left out keep their current value. Send null to clear an optional setting
+ * (summaryChannelId, showLeaderboard, alertChannelId, anomalyZThreshold, anomalyLookbackWeeks,
+ * quietHours, workingDays), so it goes back to its default. To turn anomaly alerts off for one
+ * channel while ANOMALY_ALERT_CHANNEL_ID is set, send "alertChannelId": "" (null would use that default).
+ * 
+ * The scheduler picks up the change right away (no redeploy needed).
+ */
+app.post('/api/channels', requireApiKey('admin'), async (req, res) => {
+  const settings = req.body || {};
+
+  const errors = validateChannelSettings(settings);
+  if (errors.length) {
+    return res.status(400).json({ success: false, errors });
+  }
+
+  try {
+    const channel = await upsertMonitoredChannel(settings);
+    await refreshChannelSchedules();
+    return res.json({ success: true, channel });
+  } catch (error) {
+    console.error('Failed to save monitored channel:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Stop monitoring a channel
+ * 
+ * DELETE /api/channels/:channelId
+ * 
+ * Past events and summaries are kept; only the daily post stops.
+ */
+app.delete('/api/channels/:channelId', requireApiKey('admin'), async (req, res) => {
+  try {
+    const removed = await removeMonitoredChannel(req.params.channelId);
+    if (!removed) {
+      return res.status(404).json({ success: false, error: 'Channel is not monitored.' });
+    }
+
+    await refreshChannelSchedules();
+    return res.json({ success: true });
+  } catch (error) {
+    console.error('Failed to remove monitored channel:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * List a channel's holidays (days without a summary, see calendarService.js)
+ * 
+ * GET /api/channels/:channelId/holidays?from=2026-12-01&to=2026-12-31
+ * 
+ * from and to are optional (YYYY-MM-DD).
+ * 
+ * Response:
+ * {
+ *   "channelId": "C09SUH2KHK2",
+ *   "holidays": [{ "date": "2026-12-25", "name": "Christmas" }]
+ * }
+ */
+app.get('/api/channels/:channelId/holidays', requireApiKey('stats:read'), async (req, res) => {
+  const { channelId } = req.params;
+  const { from, to } = req.query;
+
+  if ((from && !/^\d{4}-\d{2}-\d{2}$/.test(from)) || (to && !/^\d{4}-\d{2}-\d{2}$/.test(to))) {
+    return res.status(400).json({ success: false, error: 'from and to must be in YYYY-MM-DD format.' });
+  }
+
+  try {
+    const holidays = await listChannelHolidays(channelId, { from: from || null, to: to || null });
+    return res.json({ channelId, holidays });
+  } catch (error) {
+    console.error('Failed to list holidays:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Add holidays to a channel, by hand or from an iCal (.ics) file
+ * 
+ * POST /api/channels/:channelId/holidays
+ * 
+ * Request body (one of):
+ * {
+ *   "holidays": [{ "date": "2026-12-25", "name": "Christmas" }]
+ * }
+ * {
+ *   "ics": "BEGIN:VCALENDAR\r\nBEGIN:VEVENT\r\nDTSTART;VALUE=DATE:20261225\r\n..."   // Contents of the .ics file
+ * }
+ * 
+ * Dates that are already holidays get the new name.
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "saved": 1,
+ *   "holidays": [{ "date": "2026-12-25", "name": "Christmas" }]
+ * }
+ */
+app.post('/api/channels/:channelId/holidays', requireApiKey('admin'), async (req, res) => {
+  const { channelId } = req.params;
+  const { ics } = req.body || {};
+  let holidays = req.body?.holidays;
+
+  if (ics !== undefined) {
+    if (typeof ics !== 'string') {
+      return res.status(400).json({ success: false, error: 'ics must be the text of an .ics file.' });
+    }
+    try {
+      holidays = parseIcsHolidays(ics);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+  } else if (!Array.isArray(holidays)) {
+    return res.status(400).json({ success: false, error: 'Send either holidays (a list of { date, name }) or ics.' });
+  }
+
+  const invalid = holidays.filter((holiday) => (
+    !/^\d{4}-\d{2}-\d{2}$/.test(holiday?.date || '') || Number.isNaN(Date.parse(holiday.date))
+  ));
+  if (invalid.length) {
+    return res.status(400).json({ success: false, error: 'Every holiday needs a date in YYYY-MM-DD format.' });
+  }
+
+  try {
+    const saved = await saveChannelHolidays(channelId, holidays);
+    return res.json({ success: true, saved, holidays: holidays.map(({ date, name }) => ({ date, name: name || null })) });
+  } catch (error) {
+    console.error('Failed to save holidays:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Remove a holiday from a channel
+ * 
+ * DELETE /api/channels/:channelId/holidays/:date
+ */
+app.delete('/api/channels/:channelId/holidays/:date', requireApiKey('admin'), async (req, res) => {
+  const { channelId, date } = req.params;
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return res.status(400).json({ success: false, error: 'date must be in YYYY-MM-DD format.' });
+  }
+
+  try {
+    const removed = await removeChannelHoliday(channelId, date);
+    if (!removed) {
+      return res.status(404).json({ success: false, error: 'That day is not a holiday for this channel.' });
+    }
+    return res.json({ success: true });
+  } catch (error) {
+    console.error('Failed to remove holiday:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Show every channel's cron jobs and when they run next
+ * 
+ * GET /api/schedules?channelId=C09SUH2KHK2&count=5
+ * 
+ * channelId is optional (default: every channel, plus the shared jobs like the anomaly check).
+ * count is how many upcoming runs to list per job (default: 3, max: 50).
+ * 
+ * Response:
+ * {
+ *   "channels": [
+ *     {
+ *       "channelId": "C09SUH2KHK2",
+ *       "enabled": true,
+ *       "scheduled": true,
+ *       "jobs": [
+ *         {
+ *           "name": "daily-summary-C09SUH2KHK2",
+ *           "cronSchedule": "0 9,17 * * 1-5",
+ *           "timezone": "Asia/Kolkata",
+ *           "nextRun": "Today at 5:00 PM Asia/Kolkata",
+ *           "nextRuns": ["2026-10-19T11:30:00.000Z", "2026-10-20T03:30:00.000Z", "2026-10-20T11:30:00.000Z"]
+ *         }
+ *       ]
+ *     }
+ *   ],
+ *   "jobs": [{ "name": "anomaly-check", "cronSchedule": "5 * * * *", "timezone": "UTC", ... }]
+ * }
+ */
+app.get('/api/schedules', requireApiKey('stats:read'), async (req, res) => {
+  const { channelId } = req.query;
+  const count = req.query.count ? Number(req.query.count) : 3;
+
+  if (!Number.isInteger(count) || count < 1 || count > 50) {
+    return res.status(400).json({ success: false, error: 'count must be a whole number between 1 and 50.' });
+  }
+
+  try {
+    const schedules = await listSchedules({ channelId, count });
+    if (channelId && !schedules.channels.length) {
+      return res.status(404).json({ success: false, error: 'Channel is not monitored.' });
+    }
+    return res.json(schedules);
+  } catch (error) {
+    console.error('Failed to list schedules:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * List outbox messages (Slack posts saved before sending)
+ * 
+ * GET /api/admin/outbox?status=failed&limit=50
+ * 
+ * Query parameters:
+ * - status: Optional. "pending", "sending", "sent" or "failed" (default: "failed")
+ * - limit: Optional. Maximum number of messages (default: 50)
+ * 
+ * Response:
+ * {
+ *   "messages": [
+ *     {
+ *       "id": 12,
+ *       "channelId": "C0SUMMARY",
+ *       "kind": "summary",
+ *       "reference": { "channelId": "C09SUH2KHK2", "statDate": "2026-10-18" },
+ *       "status": "failed",
+ *       "attempts": 8,
+ *       "lastError": "not_in_channel",
+ *       ...
+ *     }
+ *   ]
+ * }
+ */
+app.get('/api/admin/outbox', requireApiKey('admin'), async (req, res) => {
+  const status = req.query.status || 'failed';
+  const limit = req.query.limit ? Number(req.query.limit) : 50;
+
+  if (!OUTBOX_STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, error: `status must be one of: ${OUTBOX_STATUSES.join(', ')}.` });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+    return res.status(400).json({ success: false, error: 'limit must be a whole number between 1 and 500.' });
+  }
+
+  try {
+    const messages = await listOutboxMessages({ status, limit });
+    return res.json({ messages });
+  } catch (error) {
+    console.error('Failed to list outbox messages:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * List job runs (newest first)
+ * 
+ * GET /api/admin/jobs?status=failed&channelId=C09SUH2KHK2
+ * 
+ * Query parameters (all optional):
+ * - channelId: Only this channel
+ * - status: "running", "posted", "updated", "queued", "skipped", "done" or "failed"
+ * - trigger: "cron", "slash", "api" or "catch-up"
+ * - jobType: "daily-summary", "weekly-report", "monthly-report", "range-report", "heatmap",
+ *   "anomaly-check", "reconcile" or "outbox"
+ * - date: Only runs for this day (YYYY-MM-DD)
+ * - limit: Maximum number of runs (default: 50)
+ * 
+ * Response:
+ * {
+ *   "runs": [
+ *     {
+ *       "id": 42,
+ *       "jobType": "daily-summary",
+ *       "trigger": "cron",
+ *       "channelId": "C09SUH2KHK2",
+ *       "targetDate": "2026-10-18",
+ *       "status": "failed",
+ *       "error": "not_in_channel",
+ *       "startedAt": "2026-10-19T09:30:00.120Z",
+ *       "finishedAt": "2026-10-19T09:30:01.480Z",
+ *       "durationMs": 1360,
+ *       ...
+ *     }
+ *   ]
+ * }
+ */
+app.get('/api/admin/jobs', requireApiKey('admin'), async (req, res) => {
+  const { channelId, status, trigger, jobType, date } = req.query;
+  const limit = req.query.limit ? Number(req.query.limit) : 50;
+
+  if (status && !JOB_RUN_STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, error: `status must be one of: ${JOB_RUN_STATUSES.join(', ')}.` });
+  }
+  if (trigger && !JOB_TRIGGERS.includes(trigger)) {
+    return res.status(400).json({ success: false, error: `trigger must be one of: ${JOB_TRIGGERS.join(', ')}.` });
+  }
+  if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return res.status(400).json({ success: false, error: 'date must be in YYYY-MM-DD format.' });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+    return res.status(400).json({ success: false, error: 'limit must be a whole number between 1 and 500.' });
+  }
+
+  try {
+    const runs = await listJobRuns({ channelId, status, trigger, jobType, targetDate: date, limit });
+    return res.json({ runs });
+  } catch (error) {
+    console.error('Failed to list job runs:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Read the audit log (newest first)
+ * 
+ * GET /api/admin/audit?apiKeyId=3&status=401&limit=50
+ * 
+ * Query parameters (all optional):
+ * - apiKeyId: Only calls made with this key
+ * - status: Only calls that got this HTTP status (e.g., 401 for rejected keys)
+ * - limit: Maximum number of entries (default: 100)
+ * 
+ * Response:
+ * {
+ *   "entries": [
+ *     {
+ *       "id": 812,
+ *       "apiKeyId": 3,
+ *       "keyPrefix": "dsk_3fa9c1d2",
+ *       "action": "POST /api/slack/run-summary",
+ *       "statusCode": 200,
+ *       "ip": "203.0.113.7",
+ *       "details": { "body": { "channelId": "C09SUH2KHK2" } },
+ *       "durationMs": 1840,
+ *       "createdAt": "2026-10-19T09:30:01.480Z",
+ *       ...
+ *     }
+ *   ]
+ * }
+ */
+app.get('/api/admin/audit', requireApiKey('admin'), async (req, res) => {
+  const apiKeyId = req.query.apiKeyId ? Number(req.query.apiKeyId) : null;
+  const statusCode = req.query.status ? Number(req.query.status) : null;
+  const limit = req.query.limit ? Number(req.query.limit) : 100;
+
+  if (apiKeyId !== null && (!Number.isInteger(apiKeyId) || apiKeyId < 1)) {
+    return res.status(400).json({ success: false, error: 'apiKeyId must be a positive whole number.' });
+  }
+  if (statusCode !== null && (!Number.isInteger(statusCode) || statusCode < 100 || statusCode > 599)) {
+    return res.status(400).json({ success: false, error: 'status must be an HTTP status code.' });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+    return res.status(400).json({ success: false, error: 'limit must be a whole number between 1 and 500.' });
+  }
+
+  try {
+    const entries = await listAuditEntries({ apiKeyId, statusCode, limit });
+    return res.json({ entries });
+  } catch (error) {
+    console.error('Failed to list audit entries:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Re-send a failed outbox message
+ * 
+ * POST /api/admin/outbox/:id/resend
+ * 
+ * Resets the message's tries and sends it right away. If Slack fails again,
+ * the message goes back to normal retrying (or "failed" for permanent errors).
+ * 
+ * Response:
+ * { "success": true, "message": { "id": 12, "status": "sent", "messageTs": "1760787000.123456", ... } }
+ */
+app.post('/api/admin/outbox/:id/resend', requireApiKey('admin'), async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id < 1) {
+    return res.status(400).json({ success: false, error: 'id must be a positive whole number.' });
+  }
+
+  try {
+    const message = await resendOutboxMessage(id);
+    if (!message) {
+      return res.status(404).json({ success: false, error: 'No failed outbox message with that id.' });
+    }
+    return res.json({ success: message.status === 'sent', message });
+  } catch (error) {
+    console.error('Failed to re-send outbox message:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * Start the server
  * 
@@ -328,8 +1270,8 @@ async function start() {
   await initDb();
   
   // Step 2: Schedule the daily summary
-  // This sets up a cron job to run at the configured time (e.g., 10 AM)
-  scheduleDailySummary();
+  // This sets up one cron job per monitored channel at its configured time (e.g., 10 AM)
+  await scheduleDailySummary();
 
   // Step 3: Start the web server
   // Listen on the configured port (3000 for local, Render sets its own)
@@ -0,0 +1,274 @@
+/**
+ * SETTINGS_MODAL.JS - `/dailyengage settings` Modal
+ *
+ * Lets a channel's admins change its summary settings from Slack,
+ * instead of editing environment variables and redeploying:
+ * - Post time (the hour/minute of the channel's cron schedule)
+ * - Timezone
+ * - Where the summary is posted
+ * - Which metrics are shown
+ * - Whether the leaderboard is included
+ *
+ * Who counts as an admin:
+ * - Workspace admins and owners
+ * - The person who created the channel
+ * - Anyone listed in SETTINGS_ADMIN_USER_IDS
+ *
+ * Flow:
+ * 1. `/dailyengage settings` → openSettingsModal() checks the user and opens the modal
+ * 2. The user presses "Save" → Slack sends a view_submission to /api/slack/interactions
+ * 3. handleSettingsSubmission() checks again, validates, saves to monitored_channels
+ *    and rebuilds the cron jobs (no restart needed)
+ *
+ * Saving settings for a channel that isn't monitored yet starts monitoring it.
+ */
+
+// Import config for the extra admin list
+const config = require('./config');
+// Import per-workspace Slack clients (admin check)
+const { getClientForTeam } = require('./installations');
+// Import channel settings storage
+const {
+  validateChannelSettings,
+  getMonitoredChannel,
+  upsertMonitoredChannel,
+  defaultChannelSettings,
+} = require('./channelsStore');
+// Import schedule refresh and next run text
+const { refreshChannelSchedules, describeNextRun } = require('./scheduler');
+// Import metric labels and the modal opener
+const { METRIC_ROWS, openModal } = require('./slackClient');
+
+// callback_id of the settings modal (tells interactionsHandler.js which form was submitted)
+const SETTINGS_CALLBACK_ID = 'channel_settings';
+
+/**
+ * Check if a user may change a channel's settings
+ *
+ * @param {object} params
+ * @param {string} params.teamId - Workspace
+ * @param {string} params.channelId - Channel whose settings would change
+ * @param {string} params.userId - User who wants to change them
+ * @returns {boolean}
+ */
+async function isChannelAdmin({ teamId, channelId, userId }) {
+  if (config.settingsAdminUserIds.includes(userId)) return true;
+
+  const client = await getClientForTeam(teamId);
+  if (!client) return false;
+
+  try {
+    // Workspace admins and owners
+    const { user } = await client.users.info({ user: userId });
+    if (user?.is_admin || user?.is_owner) return true;
+
+    // The channel's creator
+    const { channel } = await client.conversations.info({ channel: channelId });
+    return channel?.creator === userId;
+  } catch (error) {
+    console.warn(`⚠️  Could not check admin rights of ${userId} in ${channelId}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Turn a cron schedule's minute/hour into "HH:MM" (for the time picker)
+ *
+ * @param {string} cronSchedule - e.g., "30 15 * * *"
+ * @returns {string} - e.g., "15:30" ("15:00" if the schedule isn't a fixed time)
+ */
+function cronToTime(cronSchedule) {
+  const [minute, hour] = (cronSchedule || '').trim().split(/\s+/).map(Number);
+  if (!Number.isInteger(minute) || !Number.isInteger(hour)) return '15:00';
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+/**
+ * Put a new time into a cron schedule, keeping its day/month/weekday fields
+ *
+ * @param {string} cronSchedule - Current schedule, e.g. "0 15 * * 1-5"
+ * @param {string} time - "HH:MM" from the time picker, e.g. "09:30"
+ * @returns {string} - e.g., "30 9 * * 1-5"
+ */
+function setCronTime(cronSchedule, time) {
+  const [hour, minute] = time.split(':').map(Number);
+  const fields = (cronSchedule || '').trim().split(/\s+/);
+  const days = fields.length === 5 ? fields.slice(2) : ['*', '*', '*'];
+  return [minute, hour, ...days].join(' ');
+}
+
+/**
+ * Build the settings modal for a channel
+ *
+ * @param {object} channel - Current channel settings (from channelsStore)
+ * @returns {object} - Block Kit modal view (for views.open)
+ */
+function buildSettingsView(channel) {
+  const metricOption = (row) => ({ text: { type: 'plain_text', text: row.label }, value: row.key });
+  const leaderboardOptions = [
+    { text: { type: 'plain_text', text: 'Include the leaderboard' }, value: 'on' },
+    { text: { type: 'plain_text', text: 'No leaderboard' }, value: 'off' },
+  ];
+
+  return {
+    type: 'modal',
+    callback_id: SETTINGS_CALLBACK_ID,
+    // Which channel this form is for (Slack sends it back on submit)
+    private_metadata: JSON.stringify({ channelId: channel.channelId, teamId: channel.teamId }),
+    title: { type: 'plain_text', text: 'Summary settings' },
+    submit: { type: 'plain_text', text: 'Save' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks: [
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: `*⚙️ Daily summary for <#${channel.channelId}>*` },
+      },
+      {
+        type: 'input',
+        block_id: 'post_time',
+        label: { type: 'plain_text', text: 'Post time' },
+        hint: { type: 'plain_text', text: `Current schedule: ${channel.cronSchedule} (only the time changes)` },
+        element: { type: 'timepicker', action_id: 'value', initial_time: cronToTime(channel.cronSchedule) },
+      },
+      {
+        type: 'input',
+        block_id: 'timezone',
+        label: { type: 'plain_text', text: 'Timezone' },
+        hint: { type: 'plain_text', text: 'IANA name, e.g. Asia/Kolkata or Europe/Berlin' },
+        element: { type: 'plain_text_input', action_id: 'value', initial_value: channel.timezone },
+      },
+      {
+        type: 'input',
+        block_id: 'summary_channel',
+        optional: true,
+        label: { type: 'plain_text', text: 'Post summaries in' },
+        hint: { type: 'plain_text', text: 'Leave empty to post in the channel itself' },
+        element: {
+          type: 'conversations_select',
+          action_id: 'value',
+          filter: { include: ['public', 'private'], exclude_bot_users: true },
+          ...(channel.summaryChannelId ? { initial_conversation: channel.summaryChannelId } : {}),
+        },
+      },
+      {
+        type: 'input',
+        block_id: 'metrics',
+        label: { type: 'plain_text', text: 'Metrics shown' },
+        element: {
+          type: 'checkboxes',
+          action_id: 'value',
+          options: METRIC_ROWS.map(metricOption),
+          initial_options: METRIC_ROWS.filter((row) => channel.enabledMetrics.includes(row.key)).map(metricOption),
+        },
+      },
+      {
+        type: 'input',
+        block_id: 'leaderboard',
+        label: { type: 'plain_text', text: 'Leaderboard' },
+        element: {
+          type: 'radio_buttons',
+          action_id: 'value',
+          options: leaderboardOptions,
+          initial_option: leaderboardOptions[channel.showLeaderboard ? 0 : 1],
+        },
+      },
+    ],
+  };
+}
+
+/**
+ * Open the settings modal (only for the channel's admins)
+ *
+ * @param {object} params
+ * @param {string} params.teamId - Workspace
+ * @param {string} params.channelId - Channel where `/dailyengage settings` was run
+ * @param {string} params.userId - User who ran it
+ * @param {string} params.triggerId - trigger_id from the slash command (valid for 3 seconds)
+ * @returns {boolean} - false if the user isn't allowed to change the settings
+ */
+async function openSettingsModal({ teamId, channelId, userId, triggerId }) {
+  if (!(await isChannelAdmin({ teamId, channelId, userId }))) {
+    return false;
+  }
+
+  const channel = (await getMonitoredChannel(channelId)) || defaultChannelSettings(channelId, teamId);
+  await openModal({ teamId, triggerId, view: buildSettingsView(channel) });
+  return true;
+}
+
+/**
+ * Save a submitted settings modal
+ * The return value is the response to Slack: field errors keep the modal open,
+ * otherwise the modal switches to a short confirmation
+ *
+ * @param {object} payload - view_submission payload from Slack
+ * @returns {object} - { response_action: "errors" | "update", ... }
+ */
+async function handleSettingsSubmission(payload) {
+  const { channelId, teamId } = JSON.parse(payload.view.private_metadata);
+  const userId = payload.user?.id;
+
+  // Check again: the modal could have been open for a while, or the payload forged
+  if (!(await isChannelAdmin({ teamId, channelId, userId }))) {
+    return {
+      response_action: 'errors',
+      errors: { post_time: 'Only channel admins can change these settings.' },
+    };
+  }
+
+  const values = payload.view.state.values;
+  const current = (await getMonitoredChannel(channelId)) || defaultChannelSettings(channelId, teamId);
+  const settings = {
+    teamId,
+    channelId,
+    cronSchedule: setCronTime(current.cronSchedule, values.post_time.value.selected_time),
+    timezone: (values.timezone.value.value || '').trim(),
+    // Empty = the channel itself (null clears a summary channel chosen before)
+    summaryChannelId: values.summary_channel.value.selected_conversation || null,
+    enabledMetrics: values.metrics.value.selected_options.map((option) => option.value),
+    showLeaderboard: values.leaderboard.value.selected_option?.value === 'on',
+  };
+
+  // Validate each field on its own so the error shows up next to it
+  const errors = {};
+  const check = (blockId, fields) => {
+    const problems = validateChannelSettings({ channelId, ...fields });
+    if (problems.length) errors[blockId] = problems.join(' ');
+  };
+  check('post_time', { cronSchedule: settings.cronSchedule });
+  check('timezone', { timezone: settings.timezone });
+  check('metrics', { enabledMetrics: settings.enabledMetrics });
+  if (Object.keys(errors).length) {
+    return { response_action: 'errors', errors };
+  }
+
+  // Save and rebuild the cron jobs so the new time applies right away
+  const channel = await upsertMonitoredChannel(settings);
+  await refreshChannelSchedules();
+  console.log(`⚙️  Settings for ${channelId} changed by ${userId}: ${channel.cronSchedule} (${channel.timezone})`);
+
+  return {
+    response_action: 'update',
+    view: {
+      type: 'modal',
+      title: { type: 'plain_text', text: 'Summary settings' },
+      close: { type: 'plain_text', text: 'Done' },
+      blocks: [
+        {
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: `✅ Saved settings for <#${channelId}>.\nNext summary: ${describeNextRun(channel.cronSchedule, channel.timezone)}`,
+          },
+        },
+      ],
+    },
+  };
+}
+
+// Export functions so the slash command and interactions handler can use them
+module.exports = {
+  SETTINGS_CALLBACK_ID,       // callback_id of the settings modal
+  openSettingsModal,          // Open the modal (admins only)
+  handleSettingsSubmission,   // Validate + save a submitted modal
+};
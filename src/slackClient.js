@@ -12,10 +12,14 @@
  * - etc.
  */
 
-// Import Slack Web API client
-const { WebClient } = require('@slack/web-api');
 // Import config to get bot token and channel ID
 const config = require('./config');
+// Import per-workspace clients (each installed workspace has its own bot token)
+const { getClientForTeam } = require('./installations');
+// Import the outbox (every post is saved before it's sent, so failed posts are retried)
+const { enqueueMessage, deliverOutboxMessage } = require('./outbox');
+// Import the text grid used in the heatmap post
+const { formatHeatmapGrid } = require('./heatmapService');
 
 // Check if bot token is configured
 console.log('\n🔍 ========================================');
@@ -28,22 +32,40 @@ console.log(`🔍 Token length: ${config.slackBotToken ? config.slackBotToken.le
 if (!config.slackBotToken || config.slackBotToken.trim() === '') {
   console.error('❌ ========================================');
   console.error('❌ SLACK_BOT_TOKEN is not set or empty!');
-  console.error('❌ Please set SLACK_BOT_TOKEN in Render environment variables.');
+  console.error('❌ Please set SLACK_BOT_TOKEN in Render environment variables,');
+  console.error('❌ or install the app through /api/slack/install (OAuth).');
   console.error('❌ ========================================');
 } else {
   console.log('✅ SLACK_BOT_TOKEN is configured');
 }
 console.log('🔍 ========================================\n');
 
-// Create a Slack client instance
-// This is used to send messages to Slack
-const slackClient = new WebClient(config.slackBotToken || '');
+/**
+ * Rows that can appear in the summary table
+ * The keys match channelsStore.METRIC_KEYS so each channel can pick which rows it wants
+ */
+const METRIC_ROWS = [
+  { key: 'messages', label: '💬 Messages Sent', field: 'messageCount' },
+  { key: 'threads', label: '🧵 New Threads', field: 'threadCount' },
+  { key: 'replies', label: '↩️ Thread Replies', field: 'replyCount' },
+  { key: 'reactions', label: '👍 Reactions Added', field: 'reactionCount' },
+  { key: 'netReactions', label: '✅ Net Reactions', field: 'netReactionCount' },
+  { key: 'files', label: '📎 File Uploads', field: 'fileUploadCount' },
+  { key: 'newMembers', label: '👥 New Members', field: 'newMemberCount' },
+  { key: 'membersRemoved', label: '👋 Members Removed', field: 'memberRemovedCount' },
+];
 
 /**
  * Build Slack Block Kit blocks for the daily summary message
  * Block Kit is Slack's format for creating rich, formatted messages
  * 
  * @param {object} summary - Summary data with all the counts
+ * @param {object} options - Display options
+ * @param {string[]} options.enabledMetrics - Which metric rows to show (defaults to all)
+ * @param {boolean} options.withCharts - Mention the charts that get uploaded in the thread
+ * @param {boolean} options.withButtons - Add the "Last 7 days" / "Leaderboard" / "Refresh" buttons
+ * @param {boolean} options.markUpdated - Add "(updated)" to the header and the update time to the footer
+ * @param {boolean} options.catchUp - Mark the summary as a late catch-up post (it was missed on its day)
  * @returns {array} - Array of Block Kit blocks
  * 
  * The message will look like:
@@ -54,23 +76,60 @@ const slackClient = new WebClient(config.slackBotToken || '');
  * │                                 │
  * │ Metric          │ Count         │
  * │ Messages Sent   │ 150           │
+ * │ New Threads     │ 4             │
+ * │ Thread Replies  │ 30            │
  * │ Reactions       │ 25            │
+ * │ Net Reactions   │ 22            │
  * │ File Uploads    │ 5             │
  * │ New Members     │ 3             │
  * │ Members Removed │ 1             │
  * │ ────────────────                │
  * │ Total Activity  │ 180           │
+ * │                                 │
+ * │ 📈 Trends (when history is given) │
+ * │ Messages Sent: ▲ 12% vs yesterday • ▲ 25% vs 7-day avg │
+ * │                                 │
+ * │ 🏆 Top Reactions                │
+ * │ :thumbsup: 12  :tada: 5         │
+ * │                                 │
+ * │ 🥇 Leaderboard (optional)       │
+ * │ Top Posters │ Top Reactors │ Top File Sharers │
+ * │                                 │
+ * │ [📅 Last 7 days] [🥇 Leaderboard] [🔄 Refresh] │
  * └─────────────────────────────────┘
  */
-function buildSummaryBlocks(summary) {
+function buildSummaryBlocks(summary, { enabledMetrics, withCharts = false, withButtons = false, markUpdated = false, catchUp = false } = {}) {
   // Extract values from summary object
-  const { statDate, reactionCount, newMemberCount, memberRemovedCount, messageCount, fileUploadCount } = summary;
+  const { statDate, reactionCount, messageCount, fileUploadCount } = summary;
   
   // Helper function to format numbers with commas (e.g., 1000 → "1,000")
   const formatNumber = (num) => num.toLocaleString();
   
   // Calculate total activity (messages + reactions + files)
   const totalActivity = messageCount + reactionCount + fileUploadCount;
+
+  // Keep only the rows this channel wants to see (all rows if nothing is configured)
+  const rows = enabledMetrics?.length
+    ? METRIC_ROWS.filter((row) => enabledMetrics.includes(row.key))
+    : METRIC_ROWS;
+  const metricLabels = rows.map((row) => row.label).join('\n');
+  const metricCounts = rows.map((row) => `\`${formatNumber(summary[row.field] || 0)}\``).join('\n');
+
+  // Trend line per metric: "💬 Messages Sent: ▲ 12% vs yesterday (134) • ▲ 25% vs 7-day avg (120.4)"
+  const { trends } = summary;
+  const formatAverage = (num) => (Math.round(num * 10) / 10).toLocaleString();
+  const trendLines = trends
+    ? rows.map((row) => `${row.label}: ${formatChange(trends.changeVsPrevious[row.field])} vs yesterday (${formatNumber(trends.previous[row.field] || 0)})`
+      + ` • ${formatChange(trends.changeVsAverage[row.field])} vs 7-day avg (${formatAverage(trends.average[row.field])})`)
+    : [];
+
+  // Per-emoji breakdown, only if this channel shows reactions at all
+  const showsReactions = rows.some((row) => row.key === 'reactions' || row.key === 'netReactions');
+  const topReactions = showsReactions ? summary.topReactions || [] : [];
+
+  // A combined summary (first working day after a break) covers several days
+  const title = summary.coversFrom ? `Channel Summary - ${summary.coversFrom} to ${statDate}` : `Daily Channel Summary - ${statDate}`;
+
   
   // Return array of Block Kit blocks
   // Each block is a different part of the message
@@ -80,10 +139,40 @@ function buildSummaryBlocks(summary) {
       type: 'header',  // Header block type (big, bold text)
       text: {
         type: 'plain_text',  // Plain text (no formatting)
-        text: `📊 Daily Channel Summary - ${statDate}`,  // The header text
+        text: `📊 ${title}${catchUp ? ' (catch-up)' : ''}${markUpdated ? ' (updated)' : ''}`,  // The header text
       },
     },
     
+    // Combined summary note (first working day after a weekend/holiday, see calendarService.js)
+    ...(summary.coversFrom
+      ? [
+          {
+            type: 'context',
+            elements: [
+              {
+                type: 'mrkdwn',
+                text: `🗓️ *Covers ${summary.dayCount} days:* no summaries are posted on non-working days, so this one includes everything since the last working day.`,
+              },
+            ],
+          },
+        ]
+      : []),
+    
+    // Catch-up note (only for summaries posted after their day, see catchUpService.js)
+    ...(catchUp
+      ? [
+          {
+            type: 'context',
+            elements: [
+              {
+                type: 'mrkdwn',
+                text: '⏪ *Catch-up post:* this summary wasn\'t posted on time (the service was offline), so it\'s posted now.',
+              },
+            ],
+          },
+        ]
+      : []),
+    
     // Block 2: Divider (horizontal line)
     {
       type: 'divider',  // Just a horizontal line to separate sections
@@ -104,98 +193,837 @@ function buildSummaryBlocks(summary) {
       fields: [  // Fields create a two-column layout
         {
           type: 'mrkdwn',  // Left column: Metric names
-          text: `*Metric*\n💬 Messages Sent\n👍 Reactions Added\n📎 File Uploads\n👥 New Members\n👋 Members Removed\n━━━━━━━━━━━━━━━━\n📊 *Total Activity*`,
+          text: `*Metric*\n${metricLabels}\n━━━━━━━━━━━━━━━━\n📊 *Total Activity*`,
           // \n means new line
           // ━━━ creates a separator line
         },
         {
           type: 'mrkdwn',  // Right column: Counts
-          text: `*Count*\n\`${formatNumber(messageCount)}\`\n\`${formatNumber(reactionCount)}\`\n\`${formatNumber(fileUploadCount)}\`\n\`${formatNumber(newMemberCount)}\`\n\`${formatNumber(memberRemovedCount)}\`\n━━━━━━━━━━━━━━━━\n\`*${formatNumber(totalActivity)}*\``,
+          text: `*Count*\n${metricCounts}\n━━━━━━━━━━━━━━━━\n\`*${formatNumber(totalActivity)}*\``,
           // \` creates code formatting (monospace font)
           // * makes text bold
         },
       ],
     },
     
-    // Block 5: Footer (context)
+    // Block 5: Trends against yesterday and the 7-day average (only when history was collected)
+    ...(trendLines.length
+      ? [
+          {
+            type: 'section',
+            text: {
+              type: 'mrkdwn',
+              text: `*📈 Trends*\n${trendLines.join('\n')}`,
+            },
+          },
+        ]
+      : []),
+    
+    // Block 6: Top reactions of the day (only when there were any)
+    ...(topReactions.length
+      ? [
+          {
+            type: 'section',
+            text: {
+              type: 'mrkdwn',
+              // :name: renders as the emoji itself in Slack
+              text: `*🏆 Top Reactions*\n${topReactions
+                .map(({ reaction, count }) => `:${reaction}: \`${formatNumber(count)}\``)
+                .join('   ')}`,
+            },
+          },
+        ]
+      : []),
+    
+    // Block 7: Leaderboard (only when the channel turned it on)
+    ...(summary.leaderboard
+      ? [
+          { type: 'divider' },
+          {
+            type: 'section',
+            text: { type: 'mrkdwn', text: '*🥇 Leaderboard*' },
+          },
+          {
+            type: 'section',
+            fields: buildLeaderboardFields(summary.leaderboard),
+          },
+        ]
+      : []),
+    
+    // Block 8: Buttons (handled by interactionsHandler.js)
+    ...(withButtons ? [buildSummaryActions(summary)] : []),
+    
+    // Block 9: Footer (context)
     {
       type: 'context',  // Context block (small text at bottom)
       elements: [
         {
           type: 'mrkdwn',
-          text: `⏰ Generated automatically • Date: ${statDate}`,  // Footer text
+          // Footer text (charts are uploaded as replies in this message's thread)
+          text: `⏰ Generated automatically • Date: ${statDate}${withCharts ? ' • 📈 Charts in thread' : ''}${markUpdated ? ` • ✏️ Updated ${formatSlackTime(new Date())}` : ''}`,
         },
       ],
     },
   ];
 }
 
+// action_ids of the buttons under a posted summary (see interactionsHandler.js)
+const SUMMARY_ACTIONS = {
+  lastSevenDays: 'summary_last_7_days',
+  leaderboard: 'summary_leaderboard',
+  refresh: 'summary_refresh',
+};
+
+/**
+ * Buttons under a posted summary
+ * Each button's value says which channel and date the summary is for,
+ * so the click can be handled without looking the message up
+ * 
+ * @param {object} summary - Summary data (channelId, teamId, statDate)
+ * @returns {object} - Block Kit actions block
+ */
+function buildSummaryActions(summary) {
+  const value = JSON.stringify({ channelId: summary.channelId, teamId: summary.teamId, date: summary.statDate });
+  const button = (actionId, text) => ({
+    type: 'button',
+    action_id: actionId,
+    text: { type: 'plain_text', text },
+    value,
+  });
+
+  return {
+    type: 'actions',
+    elements: [
+      button(SUMMARY_ACTIONS.lastSevenDays, '📅 Last 7 days'),
+      button(SUMMARY_ACTIONS.leaderboard, '🥇 Leaderboard'),
+      button(SUMMARY_ACTIONS.refresh, '🔄 Refresh'),
+    ],
+  };
+}
+
+/**
+ * Leaderboard columns: "1. dinesh — 42" per line, or "—" when nobody was active
+ * 
+ * @param {object} leaderboard - From statsService.collectLeaderboardForDate
+ * @returns {array} - Three mrkdwn fields (posters, reactors, file sharers)
+ */
+function buildLeaderboardFields(leaderboard) {
+  const formatColumn = (title, entries = []) => ({
+    type: 'mrkdwn',
+    text: `*${title}*\n${entries.length
+      ? entries.map((entry, index) => `${index + 1}. ${entry.name} — \`${entry.count.toLocaleString()}\``).join('\n')
+      : '—'}`,
+  });
+
+  return [
+    formatColumn('✍️ Top Posters', leaderboard.topPosters),
+    formatColumn('👍 Top Reactors', leaderboard.topReactors),
+    formatColumn('📎 Top File Sharers', leaderboard.topFileSharers),
+  ];
+}
+
+/**
+ * Modal for the "🥇 Leaderboard" button
+ * 
+ * @param {string} channelId - Channel the leaderboard is for
+ * @param {string} date - Day (YYYY-MM-DD)
+ * @param {object} leaderboard - From statsService.collectLeaderboardForDate
+ * @returns {object} - Block Kit modal view (for views.open)
+ */
+function buildLeaderboardView(channelId, date, leaderboard) {
+  return {
+    type: 'modal',
+    title: { type: 'plain_text', text: 'Leaderboard' },
+    close: { type: 'plain_text', text: 'Close' },
+    blocks: [
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: `*🥇 Most active in <#${channelId}> on ${date}*` },
+      },
+      { type: 'section', fields: buildLeaderboardFields(leaderboard) },
+    ],
+  };
+}
+
+/**
+ * Modal for the "📅 Last 7 days" button
+ * 
+ * @param {string} channelId - Channel the numbers are for
+ * @param {Array<{date: string, messages: number, reactions: number, files: number}>} days - From statsService.collectDailyActivity
+ * @returns {object} - Block Kit modal view (for views.open)
+ */
+function buildLastSevenDaysView(channelId, days) {
+  const formatNumber = (num) => num.toLocaleString();
+  const lines = days.map(({ date, messages, reactions, files }) => (
+    `\`${date}\`   💬 ${formatNumber(messages)}   👍 ${formatNumber(reactions)}   📎 ${formatNumber(files)}`
+  ));
+  const total = (field) => formatNumber(days.reduce((sum, day) => sum + day[field], 0));
+
+  return {
+    type: 'modal',
+    title: { type: 'plain_text', text: 'Last 7 days' },
+    close: { type: 'plain_text', text: 'Close' },
+    blocks: [
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: `*📅 Activity in <#${channelId}>, ${days[0].date} → ${days[days.length - 1].date}*` },
+      },
+      { type: 'section', text: { type: 'mrkdwn', text: lines.join('\n') } },
+      { type: 'divider' },
+      {
+        type: 'context',
+        elements: [
+          { type: 'mrkdwn', text: `Total: 💬 ${total('messages')} messages • 👍 ${total('reactions')} reactions • 📎 ${total('files')} files` },
+        ],
+      },
+    ],
+  };
+}
+
+/**
+ * Format a time so Slack shows it in each reader's own timezone
+ * 
+ * @param {Date} date - The moment
+ * @returns {string} - e.g., "<!date^1729260000^{date_short_pretty} at {time}|2026-10-18 14:00 UTC>"
+ */
+function formatSlackTime(date) {
+  const fallback = `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+  return `<!date^${Math.floor(date.getTime() / 1000)}^{date_short_pretty} at {time}|${fallback}>`;
+}
+
+/**
+ * Plain text fallback of the daily summary (for notifications, accessibility, etc.)
+ * This is shown if Block Kit rendering fails or in notifications
+ * 
+ * @param {object} summary - Summary data with all counts
+ * @returns {string}
+ */
+function buildSummaryText(summary) {
+  const period = summary.coversFrom ? `Summary for ${summary.coversFrom} to ${summary.statDate}` : `Daily summary for ${summary.statDate}`;
+  return `${period}: ${summary.messageCount} messages (${summary.threadCount || 0} new threads, ${summary.replyCount || 0} replies), ${summary.reactionCount} reactions (${summary.netReactionCount ?? summary.reactionCount} net), ${summary.fileUploadCount} files, ${summary.newMemberCount} new members, ${summary.memberRemovedCount} members removed.`;
+}
+
 /**
  * Post the daily summary to Slack
  * 
  * This function sends a formatted daily summary message to a Slack channel.
- * The channel can be specified in the summary object (for slash commands) or
- * defaults to the configured channel ID.
+ * The channel can be passed in options (summary channel or slash command channel),
+ * otherwise it's the channel the stats were collected for, or the configured channel ID.
  * 
  * @param {object} summary - Summary data with all counts
- *   - channelId: Optional channel ID (if not provided, uses config.slackChannelId)
+ *   - channelId: Channel the stats were collected for
+ *   - teamId: Workspace the channel belongs to (picks the bot token)
  *   - statDate: Date string (YYYY-MM-DD format)
+ *   - coversFrom / dayCount: Optional first day and number of days of a combined summary
  *   - messageCount: Number of messages
- *   - reactionCount: Number of reactions
+ *   - threadCount: Number of new threads
+ *   - replyCount: Number of thread replies
+ *   - reactionCount: Number of reactions added (gross)
+ *   - netReactionCount: Number of reactions still in place
+ *   - topReactions: Most used emoji [{ reaction, count }]
+ *   - leaderboard: Optional { topPosters, topReactors, topFileSharers }
+ *   - trends: Optional { previous, average, changeVsPrevious, changeVsAverage } (see statsService.collectTrendsForDate)
  *   - fileUploadCount: Number of file uploads
  *   - newMemberCount: Number of new members
  *   - memberRemovedCount: Number of members who left
- * @returns {string|null} - Slack message timestamp (ts) or null if failed
+ * @param {object} options - Posting options
+ * @param {string} options.targetChannelId - Channel to post to (optional)
+ * @param {string[]} options.enabledMetrics - Which metric rows to show (optional)
+ * @param {boolean} options.withCharts - Charts will be uploaded in the thread (optional)
+ * @param {boolean} options.catchUp - Mark it as a late catch-up post (optional)
+ * @returns {string|null} - Slack message timestamp (ts) or null if it wasn't sent (yet - see outbox.js)
  * 
  * The message timestamp (ts) is like a unique ID for the message (e.g., "1234567890.123456").
  * We save it to the database so we can reference this message later.
  * 
  * @example
  * await postSummary({
- *   channelId: "C09SUH2KHK2",  // Optional: overrides default channel
+ *   channelId: "C09SUH2KHK2",
  *   statDate: "2024-01-15",
  *   messageCount: 150,
  *   reactionCount: 25,
  *   ...
- * })
+ * }, { targetChannelId: "C0SUMMARIES" })  // Optional: post somewhere else
  * // Returns: "1234567890.123456" (message timestamp)
  */
-async function postSummary(summary) {
-  if (!config.slackBotToken) {
-    console.warn('⚠️  SLACK_BOT_TOKEN is not set. Slack messages cannot be sent.');
-    return null;
-  }
-
+async function postSummary(summary, { targetChannelId, enabledMetrics, withCharts, catchUp = false } = {}) {
   // Build the Block Kit blocks (the formatted message)
-  const blocks = buildSummaryBlocks(summary);
-  
-  // Create a plain text fallback (for notifications, accessibility, etc.)
-  // This is shown if Block Kit rendering fails or in notifications
-  const text = `Daily summary for ${summary.statDate}: ${summary.messageCount} messages, ${summary.reactionCount} reactions, ${summary.fileUploadCount} files, ${summary.newMemberCount} new members, ${summary.memberRemovedCount} members removed.`;
+  const blocks = buildSummaryBlocks(summary, { enabledMetrics, withCharts, withButtons: true, catchUp });
+  const text = `${catchUp ? '⏪ Catch-up: ' : ''}${buildSummaryText(summary)}`;
 
   // Determine which channel to post to:
-  // 1. Use channelId from summary (if provided - for slash commands)
-  // 2. Otherwise, use the default channel from config
-  const targetChannel = summary.channelId || config.slackChannelId;
-  if (!targetChannel) {
-    console.warn('⚠️  No channel provided for summary post.');
+  // 1. Use targetChannelId (summary channel, or where a slash command was run)
+  // 2. Otherwise, the channel the stats are for
+  // 3. Otherwise, the default channel from config
+  const targetChannel = targetChannelId || summary.channelId || config.slackChannelId;
+
+  return postMessage({
+    teamId: summary.teamId,
+    channel: targetChannel,
+    text,
+    blocks,
+    kind: 'summary',
+    reference: { channelId: summary.channelId, statDate: summary.statDate, coversFrom: summary.coversFrom || null },
+  });
+}
+
+/**
+ * Replace a summary message that was already posted
+ * Used when a summary is re-run for the same day, and by the "Refresh" button
+ * 
+ * @param {object} summary - Freshly collected summary data (same as postSummary)
+ * @param {object} options
+ * @param {string} options.channel - Channel the message is in
+ * @param {string} options.ts - Timestamp of the message to replace
+ * @param {string[]} options.enabledMetrics - Which metric rows to show (optional)
+ * @param {boolean} options.withCharts - Charts are in the message's thread (optional)
+ * @param {boolean} options.markUpdated - Show "(updated)" (defaults to SUMMARY_UPDATED_MARKER)
+ * @returns {string|null} - Message timestamp, or null if it couldn't be updated
+ */
+async function updateSummary(summary, { channel, ts, enabledMetrics, withCharts, markUpdated = config.summaryUpdatedMarker } = {}) {
+  const client = await getClientForTeam(summary.teamId);
+  if (!client) {
+    console.warn(`⚠️  No bot token for workspace ${summary.teamId || '(default)'}. Slack messages cannot be updated.`);
     return null;
   }
 
-  // Send the message to Slack using the Web API
-  const response = await slackClient.chat.postMessage({
-    channel: targetChannel,  // Channel ID (e.g., "C09SUH2KHK2")
-    text,                    // Plain text fallback
-    blocks,                  // Block Kit formatted message
+  const response = await client.chat.update({
+    channel,
+    ts,
+    text: buildSummaryText(summary),
+    blocks: buildSummaryBlocks(summary, { enabledMetrics, withCharts, withButtons: true, markUpdated }),
   });
-
-  // Return the message timestamp (ts)
-  // This is like a unique ID for the message (e.g., "1234567890.123456")
   return response.ts;
 }
 
-// Export functions and client so other modules can reuse the Slack Web API instance
+// Bar heights for the Home tab's 7-day sparkline (lowest → highest)
+const SPARK_LEVELS = ['▁', '▂', '▃', '▄', '▅', '▆', '▇', '█'];
+
+// Most channels shown on the Home tab: Slack rejects a view with more than 100 blocks,
+// and each channel takes 3 (plus 3 for the header and 1 for the "+N more" line)
+const HOME_MAX_CHANNELS = 30;
+
+/**
+ * Draw numbers as a tiny bar chart, e.g. [1, 5, 3] → "▁█▄"
+ * 
+ * @param {number[]} values - Counts
+ * @returns {string}
+ */
+function formatSparkline(values) {
+  const max = Math.max(0, ...values);
+  return values
+    .map((value) => (max ? SPARK_LEVELS[Math.round((value / max) * (SPARK_LEVELS.length - 1))] : SPARK_LEVELS[0]))
+    .join('');
+}
+
+/**
+ * Build the App Home tab
+ * 
+ * @param {object[]} entries - One per channel, from homeService.collectChannelHome
+ * @param {object} options
+ * @param {number} options.totalChannels - Channels in the workspace, if more than the entries
+ *   (only the first HOME_MAX_CHANNELS are shown, the rest as a "+N more" line)
+ * @returns {object} - Block Kit home view (for views.publish)
+ * 
+ * Each channel looks like:
+ *   #general  (Asia/Kolkata)
+ *   Last summary: 2026-10-18 • 💬 134 • 👍 20 • 📎 3
+ *   Last 7 days: ▂▃▅█▆▁▁  150 messages (▲ 25% vs the week before)
+ *   ⏰ Next summary: Today at 3:00 PM Asia/Kolkata
+ */
+function buildHomeView(entries, { totalChannels = entries.length } = {}) {
+  const formatNumber = (num) => (num || 0).toLocaleString();
+  const shown = entries.slice(0, HOME_MAX_CHANNELS);
+  const hiddenCount = Math.max(totalChannels, entries.length) - shown.length;
+
+  const channelBlocks = shown.flatMap(({ channel, lastSummary, trend, nextRun }) => {
+    const last = lastSummary
+      ? `${lastSummary.statDate} • 💬 ${formatNumber(lastSummary.messageCount)} • 👍 ${formatNumber(lastSummary.reactionCount)} • 📎 ${formatNumber(lastSummary.fileUploadCount)}`
+      : '_not posted yet_';
+
+    return [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: [
+            `*<#${channel.channelId}>*  (${channel.timezone})${channel.enabled ? '' : '  ⏸️ _paused_'}`,
+            `Last summary: ${last}`,
+            `Last 7 days: \`${formatSparkline(trend.days.map((day) => day.messages))}\`  ${formatNumber(trend.total)} messages (${formatChange(trend.change)} vs the week before)`,
+          ].join('\n'),
+        },
+      },
+      {
+        type: 'context',
+        elements: [
+          { type: 'mrkdwn', text: nextRun ? `⏰ Next summary: ${nextRun}` : '⏰ No summary scheduled (channel is paused)' },
+        ],
+      },
+      { type: 'divider' },
+    ];
+  });
+
+  if (hiddenCount > 0) {
+    channelBlocks.push({
+      type: 'context',
+      elements: [
+        { type: 'mrkdwn', text: `+${hiddenCount} more channel${hiddenCount === 1 ? '' : 's'} not shown (see \`GET /api/channels\`)` },
+      ],
+    });
+  }
+
+  return {
+    type: 'home',
+    blocks: [
+      {
+        type: 'header',
+        text: { type: 'plain_text', text: '📊 Channel Health' },
+      },
+      {
+        type: 'context',
+        elements: [
+          { type: 'mrkdwn', text: `Updated ${new Date().toISOString().slice(0, 16).replace('T', ' ')} UTC • refreshes every time you open this tab` },
+        ],
+      },
+      { type: 'divider' },
+      ...(channelBlocks.length
+        ? channelBlocks
+        : [
+            {
+              type: 'section',
+              text: { type: 'mrkdwn', text: 'No channels are monitored yet. Add one with `POST /api/channels`.' },
+            },
+          ]),
+    ],
+  };
+}
+
+/**
+ * Publish a user's App Home tab
+ * 
+ * @param {object} params
+ * @param {string} params.teamId - Workspace (picks the bot token)
+ * @param {string} params.userId - User whose Home tab to update
+ * @param {object} params.view - Home view from buildHomeView
+ */
+async function publishHomeView({ teamId, userId, view }) {
+  const client = await getClientForTeam(teamId);
+  if (!client) {
+    console.warn(`⚠️  No bot token for workspace ${teamId || '(default)'}. The Home tab cannot be published.`);
+    return;
+  }
+
+  await client.views.publish({ user_id: userId, view });
+}
+
+/**
+ * Open a modal for the person who pressed a button
+ * 
+ * @param {object} params
+ * @param {string} params.teamId - Workspace (picks the bot token)
+ * @param {string} params.triggerId - trigger_id from the button press (valid for 3 seconds)
+ * @param {object} params.view - Modal view
+ */
+async function openModal({ teamId, triggerId, view }) {
+  const client = await getClientForTeam(teamId);
+  if (!client) {
+    console.warn(`⚠️  No bot token for workspace ${teamId || '(default)'}. Modals cannot be opened.`);
+    return;
+  }
+
+  await client.views.open({ trigger_id: triggerId, view });
+}
+
+// action_id of the "Publish to channel" button on a summary preview
+const PUBLISH_SUMMARY_ACTION = 'publish_summary';
+
+/**
+ * Show a summary preview to the person who ran `/dailyengage preview`
+ * 
+ * The preview is the same Block Kit message as the real summary, sent as an
+ * ephemeral reply through the slash command's response_url (only they can see it).
+ * Underneath is a "Publish to channel" button; its value tells the interactions
+ * route which channel and date to post for real.
+ * 
+ * @param {object} summary - Summary data (same as postSummary)
+ * @param {object} options
+ * @param {string} options.responseUrl - response_url from the slash command
+ * @param {string[]} options.enabledMetrics - Which metric rows to show (optional)
+ */
+async function postSummaryPreview(summary, { responseUrl, enabledMetrics } = {}) {
+  const blocks = [
+    ...buildSummaryBlocks(summary, { enabledMetrics }),
+    {
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: '👀 *Preview* - only you can see this, and nothing has been saved yet.',
+        },
+      ],
+    },
+    {
+      type: 'actions',
+      elements: [
+        {
+          type: 'button',
+          action_id: PUBLISH_SUMMARY_ACTION,
+          style: 'primary',
+          text: { type: 'plain_text', text: 'Publish to channel' },
+          // Everything the publish step needs (Slack sends it back when the button is pressed)
+          value: JSON.stringify({ channelId: summary.channelId, teamId: summary.teamId, date: summary.statDate }),
+        },
+      ],
+    },
+  ];
+
+  await respondToSlack(responseUrl, {
+    response_type: 'ephemeral',
+    text: `Preview: ${buildSummaryText(summary)}`,
+    blocks,
+  });
+}
+
+/**
+ * Reply through a response_url (slash commands and button presses get one)
+ * Works without a bot token and can post, replace or delete ephemeral messages
+ * 
+ * @param {string} responseUrl - response_url from Slack's request
+ * @param {object} message - Message body (text, blocks, response_type, replace_original, ...)
+ */
+async function respondToSlack(responseUrl, message) {
+  if (!responseUrl) {
+    console.warn('⚠️  No response_url provided, cannot reply to Slack.');
+    return;
+  }
+
+  const response = await fetch(responseUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(message),
+  });
+
+  if (!response.ok) {
+    throw new Error(`response_url returned ${response.status}: ${await response.text()}`);
+  }
+}
+
+/**
+ * Format a percentage change with an arrow
+ * 
+ * @param {number|null} change - Percent change (null = previous value was 0)
+ * @returns {string} - e.g., "▲ 12%", "▼ 5%", "– 0%", "🆕 new"
+ */
+function formatChange(change) {
+  if (change === null || change === undefined) return '🆕 new';
+  const rounded = Math.round(change);
+  if (rounded > 0) return `▲ ${rounded}%`;
+  if (rounded < 0) return `▼ ${Math.abs(rounded)}%`;
+  return '– 0%';
+}
+
+// Wording for each kind of rollup (weekly/monthly reports and custom ranges)
+const ROLLUP_NAMES = {
+  week: { title: 'Weekly', periodName: 'week' },
+  month: { title: 'Monthly', periodName: 'month' },
+  range: { title: 'Custom Range', periodName: 'period' },
+};
+
+/**
+ * Build Slack Block Kit blocks for a weekly, monthly or custom range report
+ * 
+ * @param {object} rollup - Rollup from rollupService.collectRollup
+ * @param {object} options - Display options
+ * @param {string[]} options.enabledMetrics - Which metric rows to show (defaults to all)
+ * @returns {array} - Array of Block Kit blocks
+ * 
+ * The message will look like:
+ * ┌──────────────────────────────────────────────┐
+ * │ 📅 Weekly Channel Report - 2026-10-12 → 2026-10-18 │
+ * ├──────────────────────────────────────────────┤
+ * │ Metric          │ This week │ Last week │ Change │
+ * │ Messages Sent   │ 120       │ 100       │ ▲ 20%  │
+ * │ ...                                          │
+ * └──────────────────────────────────────────────┘
+ */
+function buildRollupBlocks(rollup, { enabledMetrics } = {}) {
+  const formatNumber = (num) => (num || 0).toLocaleString();
+  const { title, periodName } = ROLLUP_NAMES[rollup.periodType];
+
+  const rows = enabledMetrics?.length
+    ? METRIC_ROWS.filter((row) => enabledMetrics.includes(row.key))
+    : METRIC_ROWS;
+
+  // One line per metric: "💬 Messages Sent: `120` (last week `100`, ▲ 20%)"
+  const lines = rows.map((row) => {
+    const current = rollup.current[row.field];
+    const previous = rollup.previous[row.field];
+    return `${row.label}: \`${formatNumber(current)}\`  _(last ${periodName} ${formatNumber(previous)}, ${formatChange(rollup.changes[row.field])})_`;
+  });
+
+  return [
+    {
+      type: 'header',
+      text: {
+        type: 'plain_text',
+        text: `📅 ${title} Channel Report - ${rollup.periodStart} → ${rollup.periodEnd}`,
+      },
+    },
+    { type: 'divider' },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `*📋 Totals this ${periodName} vs. last ${periodName}*\n${lines.join('\n')}`,
+      },
+    },
+    {
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: `⏰ Generated automatically • Compared with ${rollup.previousPeriodStart} → ${rollup.previousPeriodEnd}`,
+        },
+      ],
+    },
+  ];
+}
+
+/**
+ * Post a weekly or monthly report to Slack
+ * 
+ * @param {object} rollup - Rollup from rollupService.collectRollup
+ * @param {object} options - Posting options
+ * @param {string} options.targetChannelId - Channel to post to (defaults to the rollup's channel)
+ * @param {string[]} options.enabledMetrics - Which metric rows to show (optional)
+ * @returns {string|null} - Slack message timestamp (ts) or null if not posted
+ */
+async function postRollup(rollup, { targetChannelId, enabledMetrics } = {}) {
+  const blocks = buildRollupBlocks(rollup, { enabledMetrics });
+  const { current } = rollup;
+  const text = `${ROLLUP_NAMES[rollup.periodType].title} report for ${rollup.periodStart} to ${rollup.periodEnd}: ${current.messageCount} messages, ${current.reactionCount} reactions, ${current.fileUploadCount} files, ${current.newMemberCount} new members.`;
+
+  // Weekly/monthly reports are saved, so the outbox links them to their message once sent
+  const isSaved = rollup.periodType !== 'range';
+
+  return postMessage({
+    teamId: rollup.teamId,
+    channel: targetChannelId || rollup.channelId,
+    text,
+    blocks,
+    kind: isSaved ? 'rollup' : 'range_report',
+    reference: isSaved
+      ? { periodType: rollup.periodType, channelId: rollup.channelId, periodStart: rollup.periodStart }
+      : null,
+  });
+}
+
+/**
+ * Build Slack Block Kit blocks for the activity heatmap
+ * 
+ * @param {object} heatmap - Heatmap from heatmapService.collectHeatmap
+ * @returns {array} - Array of Block Kit blocks
+ * 
+ * The message will look like:
+ * 🗓️ When is #general busy? - 2026-09-21 → 2026-10-18
+ *     0     6     12    18
+ * Mon ······░░▒▓█▓▒░░·······
+ * ...
+ * Busiest: Tue 10:00-11:00 (57 messages)
+ */
+function buildHeatmapBlocks(heatmap) {
+  const { busiest } = heatmap;
+  const busiestText = busiest
+    ? `🔥 Busiest: *${busiest.weekday} ${String(busiest.hour).padStart(2, '0')}:00-${String((busiest.hour + 1) % 24).padStart(2, '0')}:00* (${busiest.count.toLocaleString()} messages)`
+    : '😴 No messages in this period.';
+
+  return [
+    {
+      type: 'header',
+      text: {
+        type: 'plain_text',
+        text: `🗓️ Activity Heatmap - ${heatmap.periodStart} → ${heatmap.periodEnd}`,
+      },
+    },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        // ``` keeps the grid in a monospace font so the columns line up
+        text: `Messages in <#${heatmap.channelId}> by hour of day (${heatmap.timezone})\n\`\`\`${formatHeatmapGrid(heatmap.grid)}\`\`\``,
+      },
+    },
+    {
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: `${busiestText} • · none  ░ ▒ ▓ █ quiet → busy • ${heatmap.total.toLocaleString()} messages in ${heatmap.days} days`,
+        },
+      ],
+    },
+  ];
+}
+
+/**
+ * Post the activity heatmap to Slack
+ * 
+ * @param {object} heatmap - Heatmap from heatmapService.collectHeatmap
+ * @param {object} options - Posting options
+ * @param {string} options.targetChannelId - Channel to post to (defaults to the heatmap's channel)
+ * @returns {string|null} - Slack message timestamp (ts) or null if not posted
+ */
+async function postHeatmap(heatmap, { targetChannelId } = {}) {
+  const text = `Activity heatmap for ${heatmap.periodStart} to ${heatmap.periodEnd}: ${heatmap.total} messages.`;
+
+  return postMessage({
+    teamId: heatmap.teamId,
+    channel: targetChannelId || heatmap.channelId,
+    text,
+    blocks: buildHeatmapBlocks(heatmap),
+    kind: 'heatmap',
+  });
+}
+
+/**
+ * Post an activity spike/drop alert
+ * 
+ * @param {object} anomaly - Anomaly from anomalyService.detectAnomalies
+ * @param {object} options - Posting options
+ * @param {string} options.targetChannelId - Alert channel
+ * @param {number} options.alertId - ID of the saved alert (from anomalyService.recordAnomaly)
+ * @returns {string|null} - Slack message timestamp (ts) or null if not posted
+ * 
+ * The message will look like:
+ * 🚨 Activity spike in #general
+ * 💬 Messages: 42 on 2026-10-19 14:00-15:00
+ * Usual for a Monday: ~10 ± 3 (last 4 weeks) • z-score 10.7
+ */
+async function postAnomalyAlert(anomaly, { targetChannelId, alertId } = {}) {
+  const isSpike = anomaly.direction === 'spike';
+  const title = isSpike
+    ? `🚨 *Activity spike in <#${anomaly.channelId}>*`
+    : `🔕 *Unusually quiet: <#${anomaly.channelId}>*`;
+  const usual = `~${Math.round(anomaly.baselineMean).toLocaleString()} ± ${Math.round(anomaly.baselineStddev).toLocaleString()}`;
+  const when = anomaly.windowType === 'hour' ? anomaly.windowLabel : `the whole day of ${anomaly.windowLabel}`;
+
+  const blocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `${title}\n${anomaly.metricLabel}: \`${anomaly.observed.toLocaleString()}\` during ${when}`,
+      },
+    },
+    {
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: `Usual for a ${anomaly.weekday}: ${usual} (last ${anomaly.lookbackWeeks} weeks) • z-score ${anomaly.zScore.toFixed(1)}`,
+        },
+      ],
+    },
+  ];
+  const text = `${isSpike ? 'Activity spike' : 'Unusually quiet'} in <#${anomaly.channelId}>: ${anomaly.observed} ${anomaly.metric} during ${when} (usual ${usual}).`;
+
+  return postMessage({
+    teamId: anomaly.teamId,
+    channel: targetChannelId,
+    text,
+    blocks,
+    kind: 'anomaly_alert',
+    reference: alertId ? { alertId } : null,
+  });
+}
+
+/**
+ * Upload chart images as replies in a message's thread
+ * 
+ * @param {Array<{filename: string, title: string, content: Buffer}>} charts - From chartService.renderSummaryCharts
+ * @param {object} options - Upload options
+ * @param {string} options.teamId - Workspace (picks the bot token)
+ * @param {string} options.channel - Channel the summary was posted in
+ * @param {string} options.threadTs - Timestamp of the summary message
+ * @returns {boolean} - True if the files were uploaded
+ */
+async function uploadCharts(charts, { teamId, channel, threadTs }) {
+  const client = await getClientForTeam(teamId);
+  if (!client || !channel || !charts.length) {
+    return false;
+  }
+
+  // files.uploadV2 uploads all files and shares them in one message
+  await client.files.uploadV2({
+    channel_id: channel,
+    thread_ts: threadTs,
+    initial_comment: '📈 Charts for this summary',
+    file_uploads: charts.map((chart) => ({
+      file: chart.content,
+      filename: chart.filename,
+      title: chart.title,
+    })),
+  });
+
+  return true;
+}
+
+/**
+ * Send a message with the right workspace's bot token
+ * Shared by every "post something to a channel" function in this file
+ * 
+ * The message is saved in the outbox first and then sent right away.
+ * If Slack fails, the outbox worker retries it later (see outbox.js).
+ * 
+ * @param {object} params - Message data
+ * @param {string} params.teamId - Workspace (picks the bot token)
+ * @param {string} params.channel - Channel ID to post to
+ * @param {string} params.text - Plain text fallback
+ * @param {array} params.blocks - Block Kit blocks
+ * @param {string} params.kind - What this message is (e.g., "summary"), for the outbox
+ * @param {object} params.reference - What to link the message to if it's sent on a later try
+ * @returns {string|null} - Slack message timestamp (ts) or null if not posted (yet)
+ */
+async function postMessage({ teamId, channel, text, blocks, kind, reference }) {
+  // Use the bot token of the workspace this message belongs to
+  const client = await getClientForTeam(teamId);
+  if (!client) {
+    console.warn(`⚠️  No bot token for workspace ${teamId || '(default)'}. Slack messages cannot be sent.`);
+    return null;
+  }
+
+  if (!channel) {
+    console.warn('⚠️  No channel provided for Slack post.');
+    return null;
+  }
+
+  // Save the message first, so it isn't lost if Slack fails
+  const outboxId = await enqueueMessage({ teamId, channel, text, blocks, kind, reference });
+
+  // Send it now using the Web API
+  // Returns the message timestamp (ts), like a unique ID for the message (e.g., "1234567890.123456"),
+  // or null if Slack failed (the outbox keeps the message and retries it)
+  return deliverOutboxMessage(outboxId);
+}
+
+// Export functions so other modules can use them
+// (use installations.getClientForTeam() for a raw Slack WebClient)
 module.exports = {
+  PUBLISH_SUMMARY_ACTION,  // action_id of the preview's "Publish to channel" button
+  HOME_MAX_CHANNELS,  // Most channels shown on the App Home tab
+  SUMMARY_ACTIONS,  // action_ids of the buttons under a posted summary
+  METRIC_ROWS,   // Metric keys and labels (summary table, settings modal)
   postSummary,   // Function to post summary to Slack
-  slackClient,   // Re-exported Slack WebClient for other features (e.g., modals)
+  updateSummary,  // Function to replace an already posted summary (re-runs, Refresh button)
+  openModal,     // Function to open a modal after a button press
+  buildLeaderboardView,  // Modal for the Leaderboard button
+  buildLastSevenDaysView,  // Modal for the Last 7 days button
+  buildHomeView,  // App Home tab (channel health dashboard)
+  publishHomeView,  // Function to publish a user's App Home tab
+  postSummaryPreview,  // Function to show a summary preview only to the person who asked
+  respondToSlack,  // Function to reply through a slash command/button response_url
+  postRollup,    // Function to post a weekly/monthly report to Slack
+  postAnomalyAlert,  // Function to post a spike/drop alert to Slack
+  postHeatmap,   // Function to post the activity heatmap to Slack
+  uploadCharts,  // Function to upload chart PNGs in a summary's thread
 };
@@ -0,0 +1,254 @@
+/**
+ * SLASH_COMMANDS.JS - `/dailyengage` Subcommands
+ *
+ * Turns the text typed after `/dailyengage` into a report:
+ *
+ *   /dailyengage                                 → yesterday's summary
+ *   /dailyengage today                           → today so far
+ *   /dailyengage week                            → last week (Mon-Sun) vs the week before
+ *   /dailyengage month                           → last month vs the month before
+ *   /dailyengage date 2026-10-01                 → summary for one day
+ *   /dailyengage range 2026-10-01 2026-10-15     → totals for a range vs the days before it
+ *   /dailyengage heatmap                         → hour-of-day × weekday heatmap
+ *   /dailyengage settings                        → settings modal (channel admins only)
+ *   /dailyengage help                            → usage (only you can see it)
+ *
+ * Re-running a daily summary for a day that was already posted in this channel
+ * updates that message. Add `--new` to post a new message instead:
+ *
+ *   /dailyengage date 2026-10-01 --new
+ *
+ * Daily summaries can be previewed first by putting `preview` in front:
+ *
+ *   /dailyengage preview                         → yesterday's summary, only shown to you
+ *   /dailyengage preview today                   → today so far, only shown to you
+ *   /dailyengage preview date 2026-10-01         → one day, only shown to you
+ *
+ * A preview goes back through the command's response_url, isn't saved to
+ * daily_summaries, and has a "Publish to channel" button to post it for real.
+ *
+ * Anything else gets a usage error that only the person who ran the command sees.
+ */
+
+// Import the report jobs
+const {
+  runDailySummaryJob,
+  previewDailySummary,
+  runRollupJob,
+  runRangeReportJob,
+  runHeatmapJob,
+} = require('./scheduler');
+// Import the ephemeral preview post and response_url replies
+const { postSummaryPreview, respondToSlack } = require('./slackClient');
+// Import the settings modal
+const { openSettingsModal } = require('./settingsModal');
+
+// Longest range `/dailyengage range` accepts (keeps the queries reasonable)
+const MAX_RANGE_DAYS = 366;
+
+// Subcommands that produce a daily summary (the only ones that can be previewed or re-posted with --new)
+const DAILY_SUMMARY_COMMANDS = ['yesterday', 'today', 'date'];
+
+// Flag that forces a new post instead of updating an earlier one
+const NEW_POST_FLAG = '--new';
+
+// Usage text shown for `help` and under every usage error
+const USAGE_TEXT = [
+  '*How to use `/dailyengage`:*',
+  '• `/dailyengage` - yesterday\'s summary',
+  '• `/dailyengage today` - today so far',
+  '• `/dailyengage week` - last week (Mon-Sun) compared with the week before',
+  '• `/dailyengage month` - last month compared with the month before',
+  '• `/dailyengage date 2026-10-01` - summary for one day (add `--new` to post again instead of updating the earlier post)',
+  '• `/dailyengage range 2026-10-01 2026-10-15` - totals for a range of days',
+  '• `/dailyengage heatmap` - when the channel is busiest',
+  '• `/dailyengage preview` (or `preview today`, `preview date 2026-10-01`) - see a summary before anyone else does',
+  '• `/dailyengage settings` - change the post time, timezone, metrics and leaderboard (channel admins)',
+  '• `/dailyengage help` - this message',
+].join('\n');
+
+/**
+ * Check a YYYY-MM-DD string is a real calendar date
+ *
+ * @param {string} value - e.g., "2026-10-01"
+ * @returns {boolean} - false for "2026-02-30", "10/01/2026", etc.
+ */
+function isValidDateString(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) return false;
+  const date = new Date(`${value}T00:00:00.000Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Parse the text typed after `/dailyengage`
+ *
+ * @param {string} text - e.g., "range 2026-10-01 2026-10-15"
+ * @returns {object} - { name, ...arguments } or { error } for invalid input
+ *
+ * Examples:
+ *   parseCommandText("")                    → { name: "yesterday" }
+ *   parseCommandText("date 2026-10-01")     → { name: "date", date: "2026-10-01" }
+ *   parseCommandText("range 2026-10-15 x")  → { error: "..." }
+ *   parseCommandText("preview today")       → { name: "today", preview: true }
+ *   parseCommandText("today --new")         → { name: "today", forceNewPost: true }
+ */
+function parseCommandText(text = '') {
+  const words = text.trim().split(/\s+/).filter(Boolean);
+
+  // "--new": post a new daily summary even if that day was already posted
+  if (words.some((word) => word.toLowerCase() === NEW_POST_FLAG)) {
+    const command = parseCommandText(words.filter((word) => word.toLowerCase() !== NEW_POST_FLAG).join(' '));
+    if (command.error) return command;
+    if (command.preview || !DAILY_SUMMARY_COMMANDS.includes(command.name)) {
+      return { error: '`--new` only works with the daily summary: `/dailyengage --new`, `today --new` or `date 2026-10-01 --new`.' };
+    }
+    return { ...command, forceNewPost: true };
+  }
+
+  const [rawName = '', ...args] = words;
+  const name = rawName.toLowerCase();
+
+  // "preview <subcommand>": parse the rest, then check it's a daily summary
+  if (name === 'preview') {
+    const command = parseCommandText(args.join(' '));
+    if (command.error) return command;
+    if (command.preview || !DAILY_SUMMARY_COMMANDS.includes(command.name)) {
+      return { error: '`preview` works with the daily summary: `/dailyengage preview`, `preview today` or `preview date 2026-10-01`.' };
+    }
+    return { ...command, preview: true };
+  }
+
+  switch (name) {
+    case '':
+      return { name: 'yesterday' };
+
+    case 'today':
+    case 'week':
+    case 'month':
+    case 'heatmap':
+    case 'settings':
+    case 'help':
+      if (args.length) {
+        return { error: `\`${name}\` doesn't take any arguments.` };
+      }
+      return { name };
+
+    case 'date':
+      if (args.length !== 1 || !isValidDateString(args[0])) {
+        return { error: '`date` needs one date in YYYY-MM-DD format, e.g. `/dailyengage date 2026-10-01`.' };
+      }
+      return { name, date: args[0] };
+
+    case 'range': {
+      if (args.length !== 2 || !args.every(isValidDateString)) {
+        return { error: '`range` needs two dates in YYYY-MM-DD format, e.g. `/dailyengage range 2026-10-01 2026-10-15`.' };
+      }
+      const [startDate, endDate] = args;
+      if (startDate > endDate) {
+        return { error: `The range starts after it ends (${startDate} > ${endDate}).` };
+      }
+      const days = (new Date(endDate) - new Date(startDate)) / (24 * 60 * 60 * 1000) + 1;
+      if (days > MAX_RANGE_DAYS) {
+        return { error: `Ranges can be at most ${MAX_RANGE_DAYS} days (this one is ${days}).` };
+      }
+      return { name, startDate, endDate };
+    }
+
+    default:
+      return { error: `Unknown subcommand \`${rawName}\`.` };
+  }
+}
+
+/**
+ * Text of the immediate (ephemeral) reply while the report is being built
+ *
+ * @param {object} command - From parseCommandText
+ * @param {string} channelId - Channel where the command was run
+ * @returns {string}
+ */
+function describeCommand(command, channelId) {
+  if (command.preview) {
+    const day = command.name === 'date' ? command.date : command.name;
+    return `👀 Building a preview of the summary for ${day} in <#${channelId}> (only you will see it)...`;
+  }
+
+  switch (command.name) {
+    case 'today':
+      return `✅ Collecting today's stats so far for <#${channelId}>...`;
+    case 'week':
+      return `📅 Building last week's report for <#${channelId}>...`;
+    case 'month':
+      return `📅 Building last month's report for <#${channelId}>...`;
+    case 'date':
+      return `✅ Collecting stats for ${command.date} in <#${channelId}>...`;
+    case 'range':
+      return `📅 Building the report for ${command.startDate} → ${command.endDate} in <#${channelId}>...`;
+    case 'heatmap':
+      return `🗓️ Building the activity heatmap for <#${channelId}>...`;
+    case 'settings':
+      return `⚙️ Opening the settings for <#${channelId}>...`;
+    default:
+      return `✅ Collecting yesterday's stats for <#${channelId}>...`;
+  }
+}
+
+/**
+ * Run a parsed command; the report is posted in the channel where the command was used
+ *
+ * @param {object} command - From parseCommandText (not an error, not help)
+ * @param {object} context
+ * @param {string} context.teamId - Workspace (picks the bot token)
+ * @param {string} context.channelId - Channel where the command was run
+ * @param {string} context.userId - User who ran the command
+ * @param {string} context.triggerId - trigger_id from the command (opens the settings modal)
+ * @param {string} context.responseUrl - response_url from the command (previews are sent there)
+ */
+async function runSlashCommand(command, { teamId, channelId, userId, triggerId, responseUrl }) {
+  if (command.preview) {
+    const { summary, channel } = await previewDailySummary({
+      channelId,
+      teamId,
+      date: command.date,
+      defaultToToday: command.name === 'today',
+    });
+    return postSummaryPreview(summary, { responseUrl, enabledMetrics: channel.enabledMetrics });
+  }
+
+  // Post the result right there, even if the channel has a separate summary channel
+  const target = { channelId, teamId, targetChannelId: channelId };
+
+  switch (command.name) {
+    case 'today':
+      return runDailySummaryJob({ ...target, defaultToToday: true, forceNewPost: command.forceNewPost, trigger: 'slash' });
+    case 'date':
+      return runDailySummaryJob({ ...target, date: command.date, forceNewPost: command.forceNewPost, trigger: 'slash' });
+    case 'week':
+    case 'month':
+      return runRollupJob({ ...target, periodType: command.name, trigger: 'slash' });
+    case 'range':
+      return runRangeReportJob({ ...target, startDate: command.startDate, endDate: command.endDate, trigger: 'slash' });
+    case 'heatmap':
+      return runHeatmapJob({ ...target, trigger: 'slash' });
+    case 'settings': {
+      const opened = await openSettingsModal({ teamId, channelId, userId, triggerId });
+      if (!opened) {
+        await respondToSlack(responseUrl, {
+          response_type: 'ephemeral',
+          text: `🔒 Only admins of <#${channelId}> can change its summary settings.`,
+        });
+      }
+      return opened;
+    }
+    default:
+      // defaultToToday: false means use yesterday's data
+      return runDailySummaryJob({ ...target, defaultToToday: false, forceNewPost: command.forceNewPost, trigger: 'slash' });
+  }
+}
+
+// Export functions so server.js can use them
+module.exports = {
+  USAGE_TEXT,          // Help text for `/dailyengage help`
+  parseCommandText,    // Text → subcommand (or usage error)
+  describeCommand,     // Immediate "working on it" reply
+  runSlashCommand,     // Run the report for a subcommand
+};
@@ -9,20 +9,45 @@
  * 2. This function counts all events from that day
  * 3. Returns a summary object with all the counts
  * 4. The summary is then posted to Slack and saved to database
+ * 
+ * collectTrendsForDate() adds the context for the trend arrows:
+ * the day before and the average of the 7 days before, read from daily_summaries
+ * (days that were never saved are counted on the fly).
+ * 
+ * A "day" always means a day in the channel's own timezone: from local midnight to the
+ * next local midnight (see getDayRange), so it's 23 or 25 hours long on DST change days.
  */
 
 // Import count functions from eventsStore.js
 const {
   countReactionsBetween,
+  countNetReactionsBetween,
+  getTopReactionsBetween,
   countNewMembersBetween,
   countMembersRemovedBetween,
   countMessagesBetween,
   countFileUploadsBetween,
+  countNewThreadsBetween,
+  countThreadRepliesBetween,
+  getTopPostersBetween,
+  getTopReactorsBetween,
+  getTopFileSharersBetween,
   saveDailySummary,
+  getDailySummariesBetween,
+  getDailyActivityBetween,
 } = require('./eventsStore');
+// Import name lookup for the leaderboard
+const { getUserNames } = require('./usersDirectory');
 // Import config to get channel ID
 const config = require('./config');
 
+// One YYYY-MM-DD formatter per timezone (see getTimezoneDateParts)
+const dateFormatters = new Map();
+
+// Milliseconds in a minute / an hour
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
 /**
  * Helper to extract the date components (year, month, day) for a given timezone.
  *
@@ -31,91 +56,422 @@ const config = require('./config');
  * @returns {{ year: number, month: number, day: number }}
  */
 function getTimezoneDateParts(date, timezone = 'UTC') {
-  const formatter = new Intl.DateTimeFormat('en-CA', {
-    timeZone: timezone,
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-  });
+  // Creating a formatter is slow, so keep one per timezone
+  if (!dateFormatters.has(timezone)) {
+    dateFormatters.set(timezone, new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+    }));
+  }
+  const formatter = dateFormatters.get(timezone);
 
   const [year, month, day] = formatter.format(date).split('-').map(Number);
   return { year, month, day };
 }
 
+/**
+ * Format a date as YYYY-MM-DD in a timezone.
+ *
+ * @param {Date} date - The reference date.
+ * @param {string} timezone - IANA timezone string (e.g., "Asia/Kolkata").
+ * @returns {string} - e.g., "2024-01-15"
+ */
+function formatDateInTimezone(date, timezone = 'UTC') {
+  const { year, month, day } = getTimezoneDateParts(date, timezone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Turn a YYYY-MM-DD string into a Date on that calendar day, for calendar math
+ * (weekday, days between two dates). Noon UTC is the same day from UTC-12 to UTC+12,
+ * but not in UTC+13/+14 zones - to find a day in a timezone, pass the YYYY-MM-DD string
+ * itself to getDayRange / collectStatsForDate instead.
+ *
+ * @param {string} dateString - e.g., "2024-01-15"
+ * @returns {Date}
+ */
+function dateStringToDate(dateString) {
+  return new Date(`${dateString}T12:00:00.000Z`);
+}
+
+/**
+ * Move a YYYY-MM-DD string forwards or backwards by whole days.
+ *
+ * @param {string} dateString - e.g., "2024-01-15"
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} - e.g., shiftDateString("2024-01-01", -1) → "2023-12-31"
+ */
+function shiftDateString(dateString, days) {
+  const date = dateStringToDate(dateString);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Get the day a date refers to, as YYYY-MM-DD in a timezone
+ * 
+ * @param {Date|string} targetDate - A moment (its local day is used) or a YYYY-MM-DD string (used as is)
+ * @param {string} timezone - IANA timezone identifier
+ * @returns {string} - e.g., "2024-01-15"
+ */
+function toLocalDateString(targetDate, timezone = 'UTC') {
+  return typeof targetDate === 'string' ? targetDate : formatDateInTimezone(targetDate, timezone);
+}
+
+/**
+ * Find the moment a day starts in a timezone (its local midnight)
+ * 
+ * Works for any IANA timezone, including:
+ * - DST changes (the day after is found by the clock, not by adding 24 hours)
+ * - zones where midnight itself is skipped when clocks go forward (e.g., America/Santiago):
+ *   the day then starts at the first minute that exists (01:00)
+ * 
+ * @param {string} dateString - Day in YYYY-MM-DD format
+ * @param {string} timezone - IANA timezone identifier
+ * @returns {Date} - The first moment of that day
+ * 
+ * Example: getLocalDayStart("2024-01-15", "Asia/Kolkata") → 2024-01-14T18:30:00.000Z
+ */
+function getLocalDayStart(dateString, timezone = 'UTC') {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const utcMidnight = Date.UTC(year, month - 1, day);
+
+  // UTC offsets go from -12 to +14 hours, so local midnight is somewhere in this window:
+  // at `low` it's still the day before everywhere, at `high` it's already this day everywhere
+  let low = utcMidnight - 15 * HOUR_MS;
+  let high = utcMidnight + 13 * HOUR_MS;
+
+  // Narrow it down (binary search) to the first minute that is on dateString
+  while (high - low > MINUTE_MS) {
+    const middle = low + Math.floor((high - low) / 2 / MINUTE_MS) * MINUTE_MS;
+    if (formatDateInTimezone(new Date(middle), timezone) >= dateString) {
+      high = middle;
+    } else {
+      low = middle;
+    }
+  }
+
+  return new Date(high);
+}
+
 /**
  * Get the start and end times for a specific date in a specific timezone.
+ * The day runs from local midnight to just before the next local midnight,
+ * so it's 23 or 25 hours long when the clocks change.
  * 
- * @param {Date} targetDate - The date we want to get the range for
+ * @param {Date|string} targetDate - A moment (the local day it falls on is used) or a YYYY-MM-DD string
  * @param {string} timezone - IANA timezone identifier (e.g., "Asia/Kolkata")
  * @returns {object} - Object with start and end Date objects (stored in UTC)
  * 
- * Example: getDayRange(new Date('2024-01-15'), 'Asia/Kolkata')
+ * Example: getDayRange('2024-01-15', 'Asia/Kolkata')
  *          Returns: { start: 2024-01-14T18:30:00.000Z, end: 2024-01-15T18:29:59.999Z }
+ * Example: getDayRange('2026-03-08', 'America/New_York')  // clocks go forward: 23 hours
+ *          Returns: { start: 2026-03-08T05:00:00.000Z, end: 2026-03-09T03:59:59.999Z }
  */
 function getDayRange(targetDate, timezone = 'UTC') {
-  const { year, month, day } = getTimezoneDateParts(targetDate, timezone);
+  const dateString = toLocalDateString(targetDate, timezone);
 
-  const start = new Date(Date.UTC(year, month - 1, day, 0, 0, 0, 0));
-  const end = new Date(Date.UTC(year, month - 1, day, 23, 59, 59, 999));
+  const start = getLocalDayStart(dateString, timezone);
+  const end = new Date(getLocalDayStart(shiftDateString(dateString, 1), timezone).getTime() - 1);
 
   return { start, end };
 }
 
+/**
+ * Count every metric between two points in time
+ * Shared by the daily summary (one day) and the weekly/monthly rollups (many days)
+ * 
+ * @param {string} channelId - Channel to count
+ * @param {Date} start - Start date/time
+ * @param {Date} end - End date/time
+ * @param {string} teamId - Workspace the channel belongs to (optional)
+ * @returns {object} - All counts (reactionCount, messageCount, ...)
+ */
+async function collectStatsBetween(channelId, start, end, teamId = null) {
+  // Count all events in parallel using Promise.all
+  // Promise.all runs all these database queries at the same time (faster than one by one)
+  // The results are stored in an array in the same order
+  const [
+    reactionCount,
+    newMemberCount,
+    memberRemovedCount,
+    messageCount,
+    fileUploadCount,
+    threadCount,
+    replyCount,
+    netReactionCount,
+    topReactions,
+  ] = await Promise.all([
+    countReactionsBetween(channelId, start, end, teamId),
+    countNewMembersBetween(channelId, start, end, teamId),
+    countMembersRemovedBetween(channelId, start, end, teamId),
+    countMessagesBetween(channelId, start, end, teamId),
+    countFileUploadsBetween(channelId, start, end, teamId),
+    countNewThreadsBetween(channelId, start, end, teamId),
+    countThreadRepliesBetween(channelId, start, end, teamId),
+    countNetReactionsBetween(channelId, start, end, teamId),
+    getTopReactionsBetween(channelId, start, end, teamId),
+  ]);
+
+  return {
+    reactionCount,                      // Total reactions added (gross)
+    netReactionCount,                   // Reactions still in place (net of removals)
+    topReactions,                       // Most used emoji [{ reaction, count }]
+    newMemberCount,                     // New members
+    memberRemovedCount,                 // Members who left
+    messageCount,                       // Total messages
+    fileUploadCount,                    // Total file uploads
+    threadCount,                        // New threads (top-level messages with replies)
+    replyCount,                         // Thread replies
+  };
+}
+
 /**
  * Collect all statistics for a specific date
  * This is the main function that gathers all the counts for the daily summary
  * 
- * @param {Date} targetDate - The date to collect stats for (usually yesterday)
+ * @param {Date|string} targetDate - The date to collect stats for (usually yesterday), or YYYY-MM-DD
+ * @param {string} channelId - Channel to collect stats for (defaults to SLACK_CHANNEL_ID)
+ * @param {string} timezone - IANA timezone the day is measured in (defaults to CRON_TIMEZONE)
+ * @param {string} teamId - Workspace the channel belongs to (optional)
  * @returns {object} - Summary object with all counts
  * 
  * Example return:
  * {
+ *   teamId: "T012AB3C4",
  *   channelId: "C09SUH2KHK2",
  *   statDate: "2024-01-15",
  *   reactionCount: 25,
+ *   netReactionCount: 22,
+ *   topReactions: [{ reaction: "thumbsup", count: 12 }],
  *   newMemberCount: 3,
  *   memberRemovedCount: 1,
  *   messageCount: 150,
- *   fileUploadCount: 5
+ *   fileUploadCount: 5,
+ *   threadCount: 4,
+ *   replyCount: 30
  * }
  */
-async function collectStatsForDate(targetDate, channelId = config.slackChannelId) {
+async function collectStatsForDate(targetDate, channelId = config.slackChannelId, timezone = config.timezone || 'UTC', teamId = null) {
   if (!channelId) {
     throw new Error('SLACK_CHANNEL_ID is not configured.');
   }
 
-  // Convert date to YYYY-MM-DD format in the configured timezone (e.g., "2024-01-15")
-  const timezone = config.timezone || 'UTC';
-  const statDate = new Intl.DateTimeFormat('en-CA', {
-    timeZone: timezone,
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-  }).format(targetDate);
+  // Convert date to YYYY-MM-DD format in the channel's timezone (e.g., "2024-01-15")
+  const statDate = toLocalDateString(targetDate, timezone);
   
   // Get the start and end times for this date
-  const { start, end } = getDayRange(targetDate, timezone);
+  const { start, end } = getDayRange(statDate, timezone);
 
-  // Count all events in parallel using Promise.all
-  // Promise.all runs all these database queries at the same time (faster than one by one)
-  // The results are stored in an array in the same order
-  const [reactionCount, newMemberCount, memberRemovedCount, messageCount, fileUploadCount] = await Promise.all([
-    countReactionsBetween(channelId, start, end),
-    countNewMembersBetween(channelId, start, end),
-    countMembersRemovedBetween(channelId, start, end),
-    countMessagesBetween(channelId, start, end),
-    countFileUploadsBetween(channelId, start, end),
-  ]);
+  // Count everything that happened between start and end
+  const counts = await collectStatsBetween(channelId, start, end, teamId);
 
   // Return a summary object with all the counts
   return {
+    teamId,                            // Which workspace
     channelId,                         // Which channel
     statDate,                           // Which date (YYYY-MM-DD)
-    reactionCount,                      // Total reactions
-    newMemberCount,                     // New members
-    memberRemovedCount,                 // Members who left
-    messageCount,                       // Total messages
-    fileUploadCount,                    // Total file uploads
+    ...counts,                          // All the counts (see collectStatsBetween)
+  };
+}
+
+// Counts that get a trend arrow (same fields as the summary table)
+const TREND_FIELDS = [
+  'messageCount',
+  'threadCount',
+  'replyCount',
+  'reactionCount',
+  'netReactionCount',
+  'fileUploadCount',
+  'newMemberCount',
+  'memberRemovedCount',
+];
+
+// How many days the trailing average covers
+const TREND_WINDOW_DAYS = 7;
+
+/**
+ * Percentage change from one number to another
+ *
+ * @param {number} current - New value
+ * @param {number} previous - Value to compare against
+ * @returns {number|null} - e.g., 25 for +25%; null when the previous value was 0 (no baseline)
+ */
+function percentChange(current, previous) {
+  if (!previous) {
+    return current ? null : 0;
+  }
+  return ((current - previous) / previous) * 100;
+}
+
+/**
+ * Collect trend context for a daily summary
+ * Compares the day with the day before and with the average of the 7 days before it
+ * 
+ * History comes from daily_summaries. Days that were never saved (e.g., the bot was
+ * added last week) are counted on the fly with collectStatsForDate, without saving them.
+ * 
+ * @param {object} summary - The summary from collectStatsForDate
+ * @param {string} timezone - IANA timezone the days are measured in
+ * @returns {object} - Trend data
+ * 
+ * Example return:
+ * {
+ *   previousDate: "2024-01-14",
+ *   previous: { messageCount: 134, ... },        // the day before
+ *   average: { messageCount: 120.4, ... },       // mean of the 7 days before
+ *   changeVsPrevious: { messageCount: 11.9, ... },  // percent (null = no baseline)
+ *   changeVsAverage: { messageCount: 24.6, ... }
+ * }
+ */
+async function collectTrendsForDate(summary, timezone = config.timezone || 'UTC') {
+  const { channelId, teamId, statDate } = summary;
+
+  // The 7 days before statDate, oldest first
+  const days = [];
+  for (let offset = TREND_WINDOW_DAYS; offset >= 1; offset -= 1) {
+    days.push(shiftDateString(statDate, -offset));
+  }
+
+  // Step 1: Read what we already saved
+  const saved = await getDailySummariesBetween(channelId, days[0], days[days.length - 1]);
+  const byDate = new Map(saved.map((row) => [row.statDate, row]));
+
+  // Step 2: Count the missing days directly from the event tables
+  const history = await Promise.all(
+    days.map((day) => byDate.get(day)
+      || collectStatsForDate(day, channelId, timezone, teamId))
+  );
+
+  // Step 3: Compare
+  const previous = history[history.length - 1];
+  const average = {};
+  const changeVsPrevious = {};
+  const changeVsAverage = {};
+
+  for (const field of TREND_FIELDS) {
+    const total = history.reduce((sum, day) => sum + (day[field] || 0), 0);
+    average[field] = total / history.length;
+    changeVsPrevious[field] = percentChange(summary[field] || 0, previous[field] || 0);
+    changeVsAverage[field] = percentChange(summary[field] || 0, average[field]);
+  }
+
+  return {
+    previousDate: days[days.length - 1],
+    previous,
+    average,
+    changeVsPrevious,
+    changeVsAverage,
+  };
+}
+
+/**
+ * Collect the per-user leaderboard for a specific date
+ * Top posters, top reactors and top file sharers, with user IDs turned into names
+ * 
+ * @param {Date|string} targetDate - The date to collect the leaderboard for, or YYYY-MM-DD
+ * @param {string} channelId - Channel to collect it for
+ * @param {string} timezone - IANA timezone the day is measured in
+ * @param {string} teamId - Workspace the channel belongs to (optional)
+ * @param {number} limit - People per list (defaults to LEADERBOARD_SIZE)
+ * @returns {object} - Leaderboard lists
+ * 
+ * Example return:
+ * {
+ *   topPosters: [{ userId: "U12345", name: "dinesh", count: 42 }],
+ *   topReactors: [{ userId: "U67890", name: "asha", count: 17 }],
+ *   topFileSharers: []
+ * }
+ */
+async function collectLeaderboardForDate(targetDate, channelId, timezone = config.timezone || 'UTC', teamId = null, limit = config.leaderboardSize) {
+  const { start, end } = getDayRange(targetDate, timezone);
+  return collectLeaderboardBetween(channelId, start, end, teamId, limit);
+}
+
+/**
+ * Collect the leaderboard between two points in time
+ * Shared by the daily leaderboard (one day) and combined summaries (several days)
+ * 
+ * @param {string} channelId - Channel to collect it for
+ * @param {Date} start - Start date/time
+ * @param {Date} end - End date/time
+ * @param {string} teamId - Workspace the channel belongs to (optional)
+ * @param {number} limit - People per list (defaults to LEADERBOARD_SIZE)
+ * @returns {object} - Leaderboard lists (see collectLeaderboardForDate)
+ */
+async function collectLeaderboardBetween(channelId, start, end, teamId = null, limit = config.leaderboardSize) {
+  const [topPosters, topReactors, topFileSharers] = await Promise.all([
+    getTopPostersBetween(channelId, start, end, teamId, limit),
+    getTopReactorsBetween(channelId, start, end, teamId, limit),
+    getTopFileSharersBetween(channelId, start, end, teamId, limit),
+  ]);
+
+  // Look up every name in one go (cached in the users table)
+  const names = await getUserNames(teamId, [...topPosters, ...topReactors, ...topFileSharers].map((entry) => entry.userId));
+  const withNames = (entries) => entries.map((entry) => ({ ...entry, name: names.get(entry.userId) }));
+
+  return {
+    topPosters: withNames(topPosters),
+    topReactors: withNames(topReactors),
+    topFileSharers: withNames(topFileSharers),
+  };
+}
+
+/**
+ * Messages, reactions and files per day for the N days ending on a date
+ * Used by the summary charts and the "Last 7 days" button
+ * 
+ * @param {string} channelId - Channel to count for
+ * @param {string} endDate - Last day, YYYY-MM-DD (included)
+ * @param {number} days - How many days
+ * @param {string} timezone - IANA timezone the days are measured in
+ * @param {string} teamId - Workspace the channel belongs to (optional)
+ * @returns {Array<{date: string, messages: number, reactions: number, files: number}>} - Oldest day first, quiet days included as 0
+ */
+async function collectDailyActivity(channelId, endDate, days, timezone = config.timezone || 'UTC', teamId = null) {
+  const firstDay = shiftDateString(endDate, -(days - 1));
+  const { start } = getDayRange(firstDay, timezone);
+  const { end } = getDayRange(endDate, timezone);
+  const activity = await getDailyActivityBetween(channelId, start, end, teamId, timezone);
+
+  return Array.from({ length: days }, (_, index) => {
+    const date = shiftDateString(firstDay, index);
+    return { date, messages: 0, reactions: 0, files: 0, ...activity.get(date) };
+  });
+}
+
+/**
+ * Collect statistics for several days at once (a combined summary)
+ * Used after a break (weekend, holiday): the first working day posts one summary for all the days it skipped
+ * 
+ * @param {string} startDate - First day, YYYY-MM-DD (included)
+ * @param {string} endDate - Last day, YYYY-MM-DD (included)
+ * @param {string} channelId - Channel ID to collect stats for
+ * @param {string} timezone - IANA timezone the days are measured in
+ * @param {string} teamId - Workspace the channel belongs to (optional)
+ * @returns {object} - Same fields as collectStatsForDate, plus coversFrom and dayCount
+ *   (statDate is the last day)
+ * 
+ * Example: collectStatsForDays("2026-10-16", "2026-10-18", ...)
+ *   → { statDate: "2026-10-18", coversFrom: "2026-10-16", dayCount: 3, messageCount: 212, ... }
+ */
+async function collectStatsForDays(startDate, endDate, channelId, timezone = config.timezone || 'UTC', teamId = null) {
+  // From local midnight of the first day to the end of the last day
+  const { start } = getDayRange(startDate, timezone);
+  const { end } = getDayRange(endDate, timezone);
+  const counts = await collectStatsBetween(channelId, start, end, teamId);
+
+  const dayCount = Math.round((dateStringToDate(endDate) - dateStringToDate(startDate)) / (24 * 60 * 60 * 1000)) + 1;
+
+  return {
+    teamId,
+    channelId,
+    statDate: endDate,
+    coversFrom: startDate,
+    dayCount,
+    ...counts,
   };
 }
 
@@ -124,12 +480,16 @@ async function collectStatsForDate(targetDate, channelId = config.slackChannelId
  * This stores the summary results so we have a history
  * 
  * @param {object} summary - The summary object from collectStatsForDate
+ *   (summary.coversFrom is set when the message is a combined summary starting on an earlier day)
  * @param {string} messageTs - Slack message timestamp (when we posted it to Slack)
+ * @param {string} postedChannelId - Channel the message was posted in
+ * @param {boolean} scheduled - Saved by the day's scheduled run (cron/catch-up), not by hand
  * @returns {object} - The saved summary record from database
  */
-async function persistSummary(summary, messageTs) {
+async function persistSummary(summary, messageTs, postedChannelId, scheduled = false) {
   // Call saveDailySummary to store it in the database
   return saveDailySummary({
+    teamId: summary.teamId,
     channelId: summary.channelId,
     statDate: summary.statDate,
     reactionCount: summary.reactionCount,
@@ -137,13 +497,31 @@ async function persistSummary(summary, messageTs) {
     memberRemovedCount: summary.memberRemovedCount,
     messageCount: summary.messageCount,
     fileUploadCount: summary.fileUploadCount,
+    threadCount: summary.threadCount,
+    replyCount: summary.replyCount,
+    netReactionCount: summary.netReactionCount,
     messageTs,  // Slack message timestamp (so we know which Slack message this summary is)
+    postedChannelId,  // Channel that message is in (so it can be updated later)
+    coversFrom: summary.coversFrom || null,  // First day a combined summary message covers
+    scheduled,  // So a manual run of the day doesn't count as its scheduled summary
   });
 }
 
 // Export functions so other files can use them
 module.exports = {
   collectStatsForDate,  // Main function to collect stats for a date
+  collectLeaderboardForDate,  // Top posters/reactors/file sharers for a date
+  collectLeaderboardBetween,  // Same, for any time range (combined summaries)
+  collectStatsForDays,  // Counts for several days at once (combined summaries after a break)
+  collectTrendsForDate, // Previous day + 7-day average for the trend arrows
+  collectDailyActivity, // Messages/reactions/files per day (charts, "Last 7 days")
   persistSummary,       // Function to save summary to database
+  collectStatsBetween,  // Counts for any time range (used by rollups)
   getDayRange,          // Helper function to get date range
+  getLocalDayStart,     // Local midnight of a day in a timezone
+  formatDateInTimezone, // Date → "YYYY-MM-DD" in a timezone
+  dateStringToDate,     // "YYYY-MM-DD" → Date on that day
+  shiftDateString,      // "YYYY-MM-DD" ± N days
+  percentChange,        // % change helper (null when there's no baseline)
+  TREND_FIELDS,         // The count fields every summary has
 };
@@ -0,0 +1,136 @@
+/**
+ * USERS_DIRECTORY.JS - User ID → Display Name Lookup
+ *
+ * Event tables only store Slack user IDs (e.g., "U12345").
+ * To show names in the leaderboard, this file keeps a local "users" table
+ * that is filled from Slack's users.info API.
+ *
+ * Each row is cached for USER_CACHE_TTL_HOURS. After that, the next lookup
+ * asks Slack again so renamed users show up with their new name.
+ */
+
+// Import the database connection pool from db.js
+const { pool } = require('./db');
+// Import config for the cache TTL
+const config = require('./config');
+// Import per-workspace Slack clients
+const { getClientForTeam } = require('./installations');
+
+/**
+ * Pick the best name Slack gives us for a user
+ *
+ * @param {object} user - "user" object from users.info
+ * @returns {string} - Display name, real name, or username (in that order)
+ */
+function pickDisplayName(user) {
+  return user.profile?.display_name || user.profile?.real_name || user.real_name || user.name || user.id;
+}
+
+/**
+ * Save (or refresh) a user in the local cache
+ *
+ * @param {object} params - User data
+ * @param {string} params.teamId - Workspace the user belongs to
+ * @param {string} params.userId - Slack user ID
+ * @param {string} params.displayName - Name shown in summaries
+ * @param {string} params.realName - Full name
+ * @param {boolean} params.isBot - True for bot users
+ */
+async function saveUser({ teamId, userId, displayName, realName, isBot }) {
+  const query = `
+    INSERT INTO users (team_id, user_id, display_name, real_name, is_bot, fetched_at)
+    VALUES ($1, $2, $3, $4, $5, NOW())
+    ON CONFLICT (user_id) DO UPDATE
+      SET team_id = COALESCE(EXCLUDED.team_id, users.team_id),
+          display_name = EXCLUDED.display_name,
+          real_name = EXCLUDED.real_name,
+          is_bot = EXCLUDED.is_bot,
+          fetched_at = NOW()
+  `;
+
+  await pool.query(query, [teamId || null, userId, displayName, realName || null, Boolean(isBot)]);
+}
+
+/**
+ * Ask Slack for one user and store the result
+ *
+ * @param {object} client - Slack WebClient for the user's workspace
+ * @param {string} teamId - Workspace ID
+ * @param {string} userId - Slack user ID
+ * @returns {string|null} - Display name, or null if Slack couldn't tell us
+ */
+async function refreshUser(client, teamId, userId) {
+  try {
+    const { user } = await client.users.info({ user: userId });
+    const displayName = pickDisplayName(user);
+    await saveUser({
+      teamId,
+      userId,
+      displayName,
+      realName: user.real_name,
+      isBot: user.is_bot,
+    });
+    return displayName;
+  } catch (error) {
+    console.warn(`⚠️  users.info failed for ${userId}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Turn a list of user IDs into display names
+ * Uses the local users table when the row is fresh, otherwise refreshes it through users.info
+ *
+ * @param {string} teamId - Workspace the users belong to (picks the bot token)
+ * @param {string[]} userIds - Slack user IDs
+ * @returns {Map<string, string>} - userId → display name (falls back to an old name, then the raw ID)
+ *
+ * @example
+ * const names = await getUserNames('T012AB3C4', ['U12345', 'U67890']);
+ * names.get('U12345'); // "dinesh"
+ */
+async function getUserNames(teamId, userIds) {
+  const names = new Map();
+  const uniqueIds = [...new Set(userIds.filter(Boolean))];
+  if (!uniqueIds.length) return names;
+
+  // Step 1: Read what we already know (fresh or not)
+  const { rows } = await pool.query(
+    `SELECT user_id, display_name,
+            fetched_at > NOW() - $2 * INTERVAL '1 hour' AS is_fresh  -- Works for fractions too (e.g., 0.5)
+     FROM users
+     WHERE user_id = ANY($1)`,
+    [uniqueIds, config.userCacheTtlHours]
+  );
+
+  const stale = new Set(uniqueIds);
+  for (const row of rows) {
+    names.set(row.user_id, row.display_name);
+    if (row.is_fresh) stale.delete(row.user_id);
+  }
+
+  // Step 2: Refresh missing/expired users from Slack
+  if (stale.size) {
+    const client = await getClientForTeam(teamId);
+    if (client) {
+      await Promise.all(
+        [...stale].map(async (userId) => {
+          const name = await refreshUser(client, teamId, userId);
+          if (name) names.set(userId, name);
+        })
+      );
+    }
+  }
+
+  // Step 3: Anyone we still don't know is shown by ID
+  for (const userId of uniqueIds) {
+    if (!names.has(userId)) names.set(userId, userId);
+  }
+
+  return names;
+}
+
+// Export functions so other files can use them
+module.exports = {
+  getUserNames,   // Resolve user IDs to cached display names
+};